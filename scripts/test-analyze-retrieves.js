@@ -0,0 +1,317 @@
+// scripts/test-analyze-retrieves.js
+// Checks the OMOP fact tables picked for each retrieve, from CQL, ELM, included libraries and measure packages
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyzeRetrieves } from '../src/mcp/tools/analyzeRetrieves.js';
+import measurePackageService from '../src/services/measurePackageService.js';
+
+const QDM_CQL = `
+library QdmRetrieves version '1.0.0'
+
+using QDM version '5.6'
+
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+valueset "Insulin": 'urn:oid:2.16.840.1.113883.3.464.1003.196.12.1001'
+valueset "Retinal Exam": 'urn:oid:2.16.840.1.113883.3.464.1003.115.12.1088'
+valueset "Hospice Care": 'urn:oid:2.16.840.1.113883.3.526.3.1584'
+valueset "Payer": 'urn:oid:2.16.840.1.114222.4.11.3591'
+
+context Patient
+
+define "Visits": ["Encounter, Performed": "Office Visit"]
+define "Diagnoses": ["Diagnosis": "Diabetes"]
+define "Lab Tests": ["Laboratory Test, Performed": "HbA1c Laboratory Test"]
+define "Insulin Orders": ["Medication, Active": "Insulin"]
+define "Eye Exams": ["Diagnostic Study, Performed": "Retinal Exam"]
+define "Hospice": ["Intervention, Order": "Hospice Care"]
+define "Payers": ["Patient Characteristic Payer": "Payer"]
+define "Deaths": ["Patient Characteristic Expired"]
+`;
+
+const FHIR_CQL = `
+library FhirRetrieves version '1.0.0'
+
+using FHIR version '4.0.1'
+
+codesystem "LOINC": 'http://loinc.org'
+
+valueset "Diabetes": 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "Insulin": 'urn:oid:2.16.840.1.113883.3.464.1003.196.12.1001'
+valueset "Retinal Exam": 'urn:oid:2.16.840.1.113883.3.464.1003.115.12.1088'
+
+code "HbA1c": '4548-4' from "LOINC"
+
+context Patient
+
+define "Diagnoses": [Condition: "Diabetes"]
+define "HbA1c Tests": [Observation: "HbA1c"]
+define "Insulin Orders": [MedicationRequest: "Insulin"]
+define "Eye Exams": [Procedure: "Retinal Exam"]
+define "Visits": [Encounter]
+`;
+
+// Shaped like cql-to-elm translator output for the first two defines of FHIR_CQL
+const FHIR_ELM = {
+  library: {
+    identifier: { id: 'FhirRetrieves', version: '1.0.0' },
+    schemaIdentifier: { id: 'urn:hl7-org:elm', version: 'r1' },
+    usings: {
+      def: [
+        { localIdentifier: 'System', uri: 'urn:hl7-org:elm-types:r1' },
+        { localIdentifier: 'FHIR', uri: 'http://hl7.org/fhir', version: '4.0.1' }
+      ]
+    },
+    codeSystems: { def: [{ name: 'LOINC', id: 'http://loinc.org', accessLevel: 'Public' }] },
+    valueSets: {
+      def: [{ name: 'Diabetes', id: 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.103.12.1001', accessLevel: 'Public' }]
+    },
+    codes: {
+      def: [{ name: 'HbA1c', id: '4548-4', accessLevel: 'Public', codeSystem: { name: 'LOINC' } }]
+    },
+    contexts: { def: [{ name: 'Patient' }] },
+    statements: {
+      def: [
+        {
+          name: 'Diagnoses',
+          context: 'Patient',
+          accessLevel: 'Public',
+          expression: {
+            type: 'Retrieve',
+            dataType: '{http://hl7.org/fhir}Condition',
+            codeProperty: 'code',
+            codeComparator: 'in',
+            codes: { type: 'ValueSetRef', name: 'Diabetes', preserve: true }
+          }
+        },
+        {
+          name: 'HbA1c Tests',
+          context: 'Patient',
+          accessLevel: 'Public',
+          expression: {
+            type: 'Retrieve',
+            dataType: '{http://hl7.org/fhir}Observation',
+            codeProperty: 'code',
+            codeComparator: '~',
+            codes: { type: 'ToList', operand: { type: 'CodeRef', name: 'HbA1c' } }
+          }
+        }
+      ]
+    }
+  }
+};
+
+const MAIN_CQL = `
+library DiabetesControl version '1.0.0'
+
+using FHIR version '4.0.1'
+
+include Helpers version '2.0.0' called H
+
+valueset "Diabetes": 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.103.12.1001'
+
+context Patient
+
+define "Initial Population":
+  exists [Condition: "Diabetes"] and H."Has Visit"
+`;
+
+const HELPERS_CQL = `
+library Helpers version '2.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+
+context Patient
+
+define "Has Visit":
+  exists [Encounter: "Office Visit"]
+`;
+
+const library = (name, version, cql) => ({
+  resourceType: 'Library',
+  id: name,
+  url: `http://example.org/Library/${name}`,
+  name,
+  version,
+  content: [{ contentType: 'text/cql', data: Buffer.from(cql, 'utf8').toString('base64') }]
+});
+
+const MEASURE_BUNDLE = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    {
+      resource: {
+        resourceType: 'Measure',
+        url: 'http://example.org/Measure/DiabetesControl',
+        name: 'DiabetesControl',
+        version: '1.0.0',
+        library: ['http://example.org/Library/DiabetesControl|1.0.0']
+      }
+    },
+    { resource: library('DiabetesControl', '1.0.0', MAIN_CQL) },
+    { resource: library('Helpers', '2.0.0', HELPERS_CQL) }
+  ]
+};
+
+const factTables = result => result.retrieves
+  .map(retrieve => `${retrieve.library}.${retrieve.define}: ${retrieve.dataType} -> ${retrieve.factTables.join(',')}`);
+
+function withLibraryDirectory(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'retrieves-'));
+  try {
+    fs.writeFileSync(path.join(directory, 'Helpers.cql'), HELPERS_CQL);
+    return run(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const testCases = [
+  {
+    name: 'QDM data types map to the fact table of their domain',
+    run: () => factTables(analyzeRetrieves({ cqlQuery: QDM_CQL })),
+    expected: [
+      'QdmRetrieves.Visits: Encounter, Performed -> visit_occurrence',
+      'QdmRetrieves.Diagnoses: Diagnosis -> condition_occurrence',
+      'QdmRetrieves.Lab Tests: Laboratory Test, Performed -> measurement',
+      'QdmRetrieves.Insulin Orders: Medication, Active -> drug_exposure',
+      'QdmRetrieves.Eye Exams: Diagnostic Study, Performed -> procedure_occurrence,measurement',
+      'QdmRetrieves.Hospice: Intervention, Order -> procedure_occurrence',
+      'QdmRetrieves.Payers: Patient Characteristic Payer -> payer_plan_period',
+      'QdmRetrieves.Deaths: Patient Characteristic Expired -> death'
+    ]
+  },
+  {
+    name: 'FHIR resources map to the fact table of their domain',
+    run: () => factTables(analyzeRetrieves({ cqlQuery: FHIR_CQL })),
+    expected: [
+      'FhirRetrieves.Diagnoses: Condition -> condition_occurrence',
+      'FhirRetrieves.HbA1c Tests: Observation -> measurement,observation',
+      'FhirRetrieves.Insulin Orders: MedicationRequest -> drug_exposure',
+      'FhirRetrieves.Eye Exams: Procedure -> procedure_occurrence',
+      'FhirRetrieves.Visits: Encounter -> visit_occurrence'
+    ]
+  },
+  {
+    name: 'Value sets and codes are tied to the fact tables their retrieves read',
+    run: () => analyzeRetrieves({ cqlQuery: FHIR_CQL }).terminologyUsage
+      .map(usage => `${usage.type} ${usage.name} -> ${usage.factTables.join(',')}`),
+    expected: [
+      'valueset Diabetes -> condition_occurrence',
+      'code HbA1c -> measurement,observation',
+      'valueset Insulin -> drug_exposure',
+      'valueset Retinal Exam -> procedure_occurrence'
+    ]
+  },
+  {
+    name: 'Retrieves without a code filter are counted',
+    run: () => {
+      const { summary } = analyzeRetrieves({ cqlQuery: FHIR_CQL });
+      return [summary.totalRetrieves, summary.definesWithRetrieves, summary.retrievesWithoutCodeFilter];
+    },
+    expected: [5, 5, 1]
+  },
+  {
+    name: 'ELM input picks the same fact tables as its CQL',
+    run: () => factTables(analyzeRetrieves({ elm: FHIR_ELM })),
+    expected: [
+      'FhirRetrieves.Diagnoses: Condition -> condition_occurrence',
+      'FhirRetrieves.HbA1c Tests: Observation -> measurement,observation'
+    ]
+  },
+  {
+    name: 'ELM JSON text is accepted and preferred over CQL',
+    run: () => analyzeRetrieves({ cqlQuery: QDM_CQL, elm: JSON.stringify(FHIR_ELM) }).summary.totalRetrieves,
+    expected: 2
+  },
+  {
+    name: 'Retrieves of included libraries are found through cqlLibraryPath',
+    run: () => withLibraryDirectory(directory => factTables(analyzeRetrieves({ cqlQuery: MAIN_CQL, cqlLibraryPath: directory }))),
+    expected: [
+      'DiabetesControl.Initial Population: Condition -> condition_occurrence',
+      'Helpers.Has Visit: Encounter -> visit_occurrence'
+    ]
+  },
+  {
+    name: 'An imported measure package supplies the library and its includes',
+    run: () => {
+      const imported = measurePackageService.importPackage({ bundle: MEASURE_BUNDLE }, '');
+      const result = analyzeRetrieves({ measurePackageId: imported.id, cqlQuery: QDM_CQL });
+      return [result.measurePackageId === imported.id, ...factTables(result)];
+    },
+    expected: [
+      true,
+      'DiabetesControl.Initial Population: Condition -> condition_occurrence',
+      'Helpers.Has Visit: Encounter -> visit_occurrence'
+    ]
+  },
+  {
+    name: 'Missing library input',
+    run: () => analyzeRetrieves({}),
+    expectedError: 'LIBRARY_INPUT_MISSING'
+  },
+  {
+    name: 'Measure package that was not imported',
+    run: () => analyzeRetrieves({ measurePackageId: 'NotImported' }),
+    expectedError: 'PACKAGE_NOT_IMPORTED'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing retrieve analysis\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = await testCase.run();
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, analysis succeeded`);
+        failed++;
+      } else if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
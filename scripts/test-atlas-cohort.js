@@ -0,0 +1,183 @@
+// scripts/test-atlas-cohort.js
+// Exports measure populations as Circe cohort definitions and checks the criteria, windows and rules
+
+import { buildCohortDefinition } from '../src/mcp/tools/atlasExport/cohortDefinition.js';
+
+const LIBRARY = `
+library CohortTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+valueset "Hospice Care": 'urn:oid:2.16.840.1.113883.3.526.3.1584'
+
+parameter "Measurement Period" Interval<DateTime>
+
+context Patient
+
+define "Qualifying Encounters":
+  [Encounter: "Office Visit"] E
+    where E.period during "Measurement Period"
+
+define "Initial Population":
+  AgeInYearsAt(date from start of "Measurement Period") in Interval[18, 75]
+    and exists "Qualifying Encounters"
+    and exists ([Condition: "Diabetes"] C where C.onset before end of "Measurement Period")
+
+define "Denominator":
+  "Initial Population"
+    and not exists ([Procedure: "Hospice Care"] H
+      with [Encounter: "Office Visit"] V
+        such that H.performed starts 30 days or less before start of V.period)
+
+define "Numerator":
+  exists ([Observation: "HbA1c Laboratory Test"] O where O.value > 9 and O.status = 'final')
+`;
+
+const CONCEPT_MAPPINGS = {
+  'Diabetes': [201826],
+  'Office Visit': [9202],
+  'HbA1c Laboratory Test': [3004410],
+  'Hospice Care': [4127751]
+};
+
+const PARAMETERS = { 'Measurement Period': 'Interval[@2024-01-01T00:00:00.0, @2025-01-01T00:00:00.0)' };
+
+const testCases = [
+  {
+    name: 'Primary criteria: first qualifying encounter in the Measurement Period',
+    expect: result => result.expression.PrimaryCriteria,
+    expected: {
+      CriteriaList: [{
+        VisitOccurrence: {
+          CodesetId: 0,
+          OccurrenceStartDate: { Value: '2024-01-01', Op: 'gte' },
+          OccurrenceEndDate: { Value: '2024-12-31', Op: 'lte' }
+        }
+      }],
+      ObservationWindow: { PriorDays: 0, PostDays: 0 },
+      PrimaryCriteriaLimit: { Type: 'First' }
+    }
+  },
+  {
+    name: 'Additional criteria: age range and a condition before the end of the period',
+    expect: result => ({
+      age: result.expression.AdditionalCriteria.DemographicCriteriaList,
+      condition: result.expression.AdditionalCriteria.CriteriaList.map(item => ({ criteria: item.Criteria, occurrence: item.Occurrence }))
+    }),
+    expected: {
+      age: [{ Age: { Value: 18, Op: 'bt', Extent: 75 } }],
+      // The period ends at midnight, open, so the whole of December 31st is before its end
+      condition: [{ criteria: { ConditionOccurrence: { CodesetId: 1, OccurrenceStartDate: { Value: '2024-12-31', Op: 'lte' } } }, occurrence: { Type: 2, Count: 1 } }]
+    }
+  },
+  {
+    name: 'Denominator: the initial population becomes an inclusion rule',
+    options: { population: 'denominator' },
+    expect: result => ({
+      define: result.define,
+      rules: result.expression.InclusionRules.map(rule => rule.name),
+      primary: result.primaryCriteria.define,
+      ruleAge: result.expression.InclusionRules[0].expression.DemographicCriteriaList.length
+    }),
+    expected: { define: 'Denominator', rules: ['Initial Population'], primary: 'Initial Population', ruleAge: 1 }
+  },
+  {
+    name: 'Without clause with a timing phrase: correlated window, never occurring',
+    options: { population: 'denominator' },
+    expect: result => {
+      const [hospice] = result.expression.AdditionalCriteria.CriteriaList;
+      const [visit] = hospice.Criteria.ProcedureOccurrence.CorrelatedCriteria.CriteriaList;
+      return { occurrence: hospice.Occurrence, window: visit.StartWindow, visitOccurrence: visit.Occurrence };
+    },
+    expected: {
+      occurrence: { Type: 0, Count: 0 },
+      // The encounter starts 1 to 30 days after the procedure
+      window: { Start: { Days: 1, Coeff: 1 }, End: { Days: 30, Coeff: 1 }, UseIndexEnd: false, UseEventEnd: false },
+      visitOccurrence: { Type: 2, Count: 1 }
+    }
+  },
+  {
+    name: 'Unrepresentable terms are reported, the rest is kept',
+    options: { define: 'Numerator' },
+    expect: result => ({
+      criteria: result.expression.PrimaryCriteria.CriteriaList.map(criteria => Object.keys(criteria)[0]),
+      value: result.expression.PrimaryCriteria.CriteriaList[0].Measurement.ValueAsNumber,
+      notRepresented: result.notRepresented.map(entry => `${entry.define}:${entry.line}`)
+    }),
+    expected: { criteria: ['Measurement', 'Observation'], value: { Value: 9, Op: 'gt' }, notRepresented: ['Numerator:31'] }
+  },
+  {
+    name: 'Concept sets are the ones the criteria use',
+    expect: result => result.expression.ConceptSets.map(conceptSet => `${conceptSet.id}:${conceptSet.name}:${conceptSet.expression.items.length}`),
+    expected: ['0:Office Visit:1', '1:Diabetes:1']
+  },
+  {
+    name: 'List defines are not populations',
+    options: { define: 'Qualifying Encounters' },
+    expectedError: 'NOT_A_POPULATION'
+  },
+  {
+    name: 'Unknown define',
+    options: { define: 'Numerator Exclusions' },
+    expectedError: 'UNKNOWN_DEFINE'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing ATLAS cohort definition export\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const result = buildCohortDefinition(LIBRARY, [], CONCEPT_MAPPINGS, { parameters: PARAMETERS, ...testCase.options });
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, export succeeded`);
+        failed++;
+      } else {
+        const actual = testCase.expect(result);
+        if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+          console.log(`  ✅ PASSED`);
+          passed++;
+        } else {
+          console.log(`  ❌ FAILED`);
+          console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+          console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+          failed++;
+        }
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,191 @@
+// scripts/test-atlas-export.js
+// Builds ATLAS concept set expressions from a map-vsac-to-omop shaped result and checks names, items and flags
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildAtlasConceptSets } from '../src/mcp/tools/atlasExport/conceptSetExpressions.js';
+import { exportAtlasConceptSetsTool } from '../src/mcp/tools/exportAtlasConceptSets.js';
+
+const DIABETES = '2.16.840.1.113883.3.464.1003.103.12.1001';
+const HBA1C = '2.16.840.1.113883.3.464.1003.198.12.1013';
+const HOSPICE = '2.16.840.1.113883.3.526.3.1584';
+
+// Shaped like the map-vsac-to-omop result
+const CONCEPT_MAPPINGS = {
+  pipeline: {
+    step1_extraction: {
+      valuesets: [
+        { name: 'Diabetes', oid: DIABETES, library: 'MeasureTest' },
+        { name: 'HbA1c Laboratory Test', oid: HBA1C, library: 'MeasureTest' },
+        { name: 'Hospice Care', oid: HOSPICE, library: 'MeasureTest' }
+      ]
+    },
+    step4_final_concept_sets: {
+      verbatim: [
+        { concept_set_id: DIABETES, concept_set_name: 'Diabetes', concept_id: 44054006, concept_code: 'E11.9', vocabulary_id: 'ICD10CM', domain_id: 'Condition', concept_class_id: '5-char billing code', concept_name: 'Type 2 diabetes mellitus without complications' }
+      ],
+      standard: [
+        { concept_set_id: DIABETES, concept_set_name: 'Diabetes', concept_id: 201826, concept_code: '44054006', vocabulary_id: 'SNOMED', domain_id: 'Condition', concept_class_id: 'Clinical Finding', concept_name: 'Type 2 diabetes mellitus', standard_concept: 'S' }
+      ],
+      mapped: [
+        { concept_set_id: DIABETES, concept_set_name: 'Diabetes', concept_id: 201826, source_concept_id: 44054006, concept_code: 'E11.9', vocabulary_id: 'ICD10CM', domain_id: 'Condition', concept_class_id: 'Clinical Finding', concept_name: 'Type 2 diabetes mellitus', standard_concept: 'S' },
+        { concept_set_id: HBA1C, concept_set_name: 'HbA1c Laboratory Test', concept_id: 3004410, source_concept_id: 3004410, concept_code: '4548-4', vocabulary_id: 'LOINC', domain_id: 'Measurement', concept_class_id: 'Lab Test', concept_name: 'Hemoglobin A1c/Hemoglobin.total in Blood', standard_concept: 'S' }
+      ]
+    }
+  }
+};
+
+// Names that sanitise to the same file name, and one that is the combined file's
+const COLLIDING_MAPPINGS = { 'A/B': [201826], 'A:B': [443238], 'a_b': [3004410], 'measure concept sets': [4127751] };
+
+// Files the export-atlas-concept-sets tool writes, with the concept ids each holds
+async function writtenFiles(conceptMappings) {
+  let handler = null;
+  exportAtlasConceptSetsTool({ tool: (name, schema, toolHandler) => { handler = toolHandler; } });
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-export-'));
+  try {
+    const response = await handler({ conceptMappings, includeDescendants: false, includeMapped: false, measureName: 'measure', outputDir });
+    const result = JSON.parse(response.content[0].text);
+    const contents = fs.readdirSync(outputDir).sort().map(fileName => {
+      const content = JSON.parse(fs.readFileSync(path.join(outputDir, fileName), 'utf8'));
+      const items = Array.isArray(content) ? content.flatMap(conceptSet => conceptSet.expression.items) : content.items;
+      return `${fileName}:${items.map(item => item.concept.CONCEPT_ID).join(',')}`;
+    });
+    return { files: result.files.length, contents };
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+const testCases = [
+  {
+    name: 'One expression per value set, named after the CQL declaration',
+    expect: result => result.conceptSets.map(conceptSet => `${conceptSet.id}:${conceptSet.name}:${conceptSet.fileName}:${conceptSet.conceptCount}`),
+    expected: ['0:Diabetes:Diabetes.json:1', '1:HbA1c Laboratory Test:HbA1c Laboratory Test.json:1', '2:Hospice Care:Hospice Care.json:0']
+  },
+  {
+    name: 'Items carry the Circe concept and flags',
+    options: { includeDescendants: true },
+    expect: result => result.conceptSets[0].expression.items,
+    expected: [{
+      concept: {
+        CONCEPT_ID: 201826,
+        CONCEPT_NAME: 'Type 2 diabetes mellitus',
+        STANDARD_CONCEPT: 'S',
+        STANDARD_CONCEPT_CAPTION: 'Standard',
+        INVALID_REASON: 'V',
+        INVALID_REASON_CAPTION: 'Valid',
+        CONCEPT_CODE: '44054006',
+        DOMAIN_ID: 'Condition',
+        VOCABULARY_ID: 'SNOMED',
+        CONCEPT_CLASS_ID: 'Clinical Finding'
+      },
+      isExcluded: false,
+      includeDescendants: true,
+      includeMapped: false
+    }]
+  },
+  {
+    name: 'Mapped rows do not lend the target the source code',
+    expect: result => {
+      const { CONCEPT_CODE, VOCABULARY_ID } = result.conceptSets[1].expression.items[0].concept;
+      return { CONCEPT_CODE, VOCABULARY_ID };
+    },
+    expected: { CONCEPT_CODE: null, VOCABULARY_ID: null }
+  },
+  {
+    name: 'Value sets without concepts are exported empty with a warning',
+    expect: result => ({ items: result.conceptSets[2].expression.items, warnings: result.warnings }),
+    expected: { items: [], warnings: ['Concept set "Hospice Care" has no OMOP concepts; its expression is empty'] }
+  },
+  {
+    name: 'Plain concept id lists',
+    mappings: { 'Diabetes': [201826, 443238] },
+    expect: result => result.conceptSets.map(conceptSet => conceptSet.expression.items.map(item => item.concept.CONCEPT_ID)),
+    expected: [[201826, 443238]]
+  },
+  {
+    name: 'Names that sanitise alike get numbered file names',
+    mappings: COLLIDING_MAPPINGS,
+    options: { reservedFileNames: ['measure concept sets.json'] },
+    expect: result => result.conceptSets.map(conceptSet => `${conceptSet.name}:${conceptSet.fileName}`),
+    expected: ['A/B:A_B.json', 'A:B:A_B_2.json', 'a_b:a_b_3.json', 'measure concept sets:measure concept sets_2.json']
+  },
+  {
+    name: 'Every concept set and the combined file are written to their own file',
+    mappings: COLLIDING_MAPPINGS,
+    expect: () => writtenFiles(COLLIDING_MAPPINGS),
+    expected: {
+      files: 5,
+      contents: [
+        'A_B.json:201826',
+        'A_B_2.json:443238',
+        'a_b_3.json:3004410',
+        'measure concept sets.json:201826,443238,3004410,4127751',
+        'measure concept sets_2.json:4127751'
+      ]
+    }
+  },
+  {
+    name: 'No concept sets',
+    mappings: {},
+    expectedError: 'NO_CONCEPT_SETS'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing ATLAS concept set export\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const result = buildAtlasConceptSets(testCase.mappings || CONCEPT_MAPPINGS, testCase.options);
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, export succeeded`);
+        failed++;
+      } else {
+        const actual = await testCase.expect(result);
+        if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+          console.log(`  ✅ PASSED`);
+          passed++;
+        } else {
+          console.log(`  ❌ FAILED`);
+          console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+          console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+          failed++;
+        }
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,125 @@
+// scripts/test-code-systems.js
+// Looks up code systems by canonical URL, OID and VSAC name, with and without versions
+
+import { findCodeSystem, resolveCodeSystemIdentifier } from '../src/utils/codeSystems.js';
+import { resolveCodeSystemAliases } from '../src/mcp/tools/parseNlToCql/extractors.js';
+
+const VERSIONED_CQL = `library Versioned version '1.0.0'
+using FHIR version '4.0.1'
+codesystem "SNOMEDCT": 'http://snomed.info/sct' version 'http://snomed.info/sct/731000124108/version/20240301'
+codesystem "LOINC": 'http://loinc.org|2.76'
+codesystem "ICD10CM": 'urn:oid:2.16.840.1.113883.6.90' version '2024'
+`;
+
+const vocabularyOf = identifier => findCodeSystem(identifier)?.vocabularyId || null;
+
+const testCases = [
+  {
+    name: 'VSAC names resolve to the canonical URL and OID',
+    run: () => ['SNOMEDCT', 'loinc', 'ICD-10-CM', 'RXNORM'].map(name => {
+      const system = findCodeSystem(name);
+      return `${name} -> ${system.uri} ${system.oids[0]}`;
+    }),
+    expected: [
+      'SNOMEDCT -> http://snomed.info/sct 2.16.840.1.113883.6.96',
+      'loinc -> http://loinc.org 2.16.840.1.113883.6.1',
+      'ICD-10-CM -> http://hl7.org/fhir/sid/icd-10-cm 2.16.840.1.113883.6.90',
+      'RXNORM -> http://www.nlm.nih.gov/research/umls/rxnorm 2.16.840.1.113883.6.88'
+    ]
+  },
+  {
+    name: 'Bare and urn:oid: OIDs resolve to the same code system',
+    run: () => ['2.16.840.1.113883.6.1', 'urn:oid:2.16.840.1.113883.6.1', 'URN:OID:2.16.840.1.113883.6.285'].map(vocabularyOf),
+    expected: ['LOINC', 'LOINC', 'HCPCS']
+  },
+  {
+    name: 'Canonical URLs match with a trailing slash or another scheme',
+    run: () => ['http://loinc.org/', 'https://snomed.info/sct', 'http://www.cms.gov/Medicare/Coding/HCPCSReleaseCodeSets/'].map(vocabularyOf),
+    expected: ['LOINC', 'SNOMED', 'HCPCS']
+  },
+  {
+    name: 'A |version suffix is ignored when looking up the code system',
+    run: () => [
+      'http://snomed.info/sct|http://snomed.info/sct/731000124108/version/20240301',
+      'http://loinc.org|2.76',
+      'urn:oid:2.16.840.1.113883.6.90|2024',
+      'RxNorm|2024-03'
+    ].map(vocabularyOf),
+    expected: ['SNOMED', 'LOINC', 'ICD10CM', 'RxNorm']
+  },
+  {
+    name: 'SNOMED CT edition URIs resolve to SNOMED',
+    run: () => ['http://snomed.info/sct/731000124108', 'http://snomed.info/sct/900000000000207008/version/20240101'].map(vocabularyOf),
+    expected: ['SNOMED', 'SNOMED']
+  },
+  {
+    name: 'Unknown code systems are not matched',
+    run: () => ['http://example.org/codes', 'urn:oid:1.2.3.4', 'LOCAL', '|2.76', ''].map(vocabularyOf),
+    expected: [null, null, null, null, null]
+  },
+  {
+    name: 'A versioned identifier keeps its version apart from the URL',
+    run: () => resolveCodeSystemIdentifier('http://loinc.org/|2.76'),
+    expected: { id: 'http://loinc.org/|2.76', uri: 'http://loinc.org', oid: '2.16.840.1.113883.6.1', version: '2.76', vocabularyId: 'LOINC' }
+  },
+  {
+    name: 'The version clause of the declaration takes precedence',
+    run: () => resolveCodeSystemIdentifier('urn:oid:2.16.840.1.113883.6.96|20230901', '20240301'),
+    expected: { id: 'urn:oid:2.16.840.1.113883.6.96|20230901', uri: 'http://snomed.info/sct', oid: '2.16.840.1.113883.6.96', version: '20240301', vocabularyId: 'SNOMED' }
+  },
+  {
+    name: 'Versioned codesystem declarations resolve to their vocabulary and version',
+    run: () => [...resolveCodeSystemAliases(VERSIONED_CQL).values()]
+      .map(system => `${system.name}: ${system.vocabularyId} ${system.uri} ${system.oid} ${system.version}`),
+    expected: [
+      'SNOMEDCT: SNOMED http://snomed.info/sct 2.16.840.1.113883.6.96 http://snomed.info/sct/731000124108/version/20240301',
+      'LOINC: LOINC http://loinc.org 2.16.840.1.113883.6.1 2.76',
+      'ICD10CM: ICD10CM http://hl7.org/fhir/sid/icd-10-cm 2.16.840.1.113883.6.90 2024'
+    ]
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing code system lookup\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = await testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
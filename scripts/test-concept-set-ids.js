@@ -0,0 +1,118 @@
+// scripts/test-concept-set-ids.js
+// Gives each CQL code and concept declaration its own concept set for OMOP mapping, across included libraries
+
+import { extractConceptDeclarationsFromCQL, extractIndividualCodesFromCQL } from '../src/mcp/tools/parseNlToCql/extractors.js';
+import { prepareDirectReferenceConceptSets } from '../src/mcp/tools/mapVsacToOmop.js';
+import { parseCql } from '../src/mcp/tools/parseNlToCql/cqlParser.js';
+
+const MAIN_CQL = `library Main version '1.0.0'
+using FHIR version '4.0.1'
+include Common version '1.0.0' called Common
+codesystem "SNOMEDCT": 'http://snomed.info/sct'
+code "Type 2 diabetes": '44054006' from "SNOMEDCT"
+code "Type 1 diabetes": '46635009' from "SNOMEDCT"
+concept "Diabetes": { "Type 2 diabetes" } display 'Diabetes'
+concept "A-B": { "Type 1 diabetes" }
+concept "A B": { "Type 2 diabetes" }
+context Patient
+define "Initial Population": exists [Condition: "Diabetes"]
+`;
+
+const COMMON_CQL = `library Common version '1.0.0'
+using FHIR version '4.0.1'
+codesystem "ICD10CM": 'http://hl7.org/fhir/sid/icd-10-cm'
+code "E11": 'E11' from "ICD10CM"
+concept "Diabetes": { "E11" }
+`;
+
+const INCLUDED = [{ name: 'Common', version: '1.0.0', path: 'Common.cql', includedBy: 'Main', alias: 'Common', library: parseCql(COMMON_CQL) }];
+
+async function conceptSets() {
+  const library = parseCql(MAIN_CQL);
+  const { concepts } = await extractConceptDeclarationsFromCQL(library, INCLUDED);
+  const { codes } = await extractIndividualCodesFromCQL(library, INCLUDED);
+  return prepareDirectReferenceConceptSets(codes, concepts);
+}
+
+const conceptRows = ({ directReferenceConcepts }, prefix = 'CONCEPT_') => directReferenceConcepts
+  .filter(row => row.concept_set_id.startsWith(prefix))
+  .map(row => `${row.concept_set_id}:${row.concept_code}`);
+
+const testCases = [
+  {
+    name: 'Concept set ids are qualified with the library',
+    run: async () => (await conceptSets()).individualCodeMappings
+      .filter(entry => entry.type === 'concept')
+      .map(entry => `${entry.library}.${entry.name} -> ${entry.conceptSetId}`),
+    expected: [
+      'Main.Diabetes -> CONCEPT_MAIN_DIABETES',
+      'Main.A-B -> CONCEPT_MAIN_A_B',
+      'Main.A B -> CONCEPT_MAIN_A_B_2',
+      'Common.Diabetes -> CONCEPT_COMMON_DIABETES'
+    ]
+  },
+  {
+    name: 'Concepts of the same name in two libraries keep their own codes',
+    run: async () => conceptRows(await conceptSets()).filter(row => row.includes('_DIABETES:')),
+    expected: ['CONCEPT_MAIN_DIABETES:44054006', 'CONCEPT_COMMON_DIABETES:E11']
+  },
+  {
+    name: 'Names that normalise to the same id get their own concept set',
+    run: async () => conceptRows(await conceptSets(), 'CONCEPT_MAIN_A_B'),
+    expected: ['CONCEPT_MAIN_A_B:46635009', 'CONCEPT_MAIN_A_B_2:44054006']
+  },
+  {
+    name: 'Every concept set id belongs to one declaration',
+    run: async () => {
+      const { individualCodeMappings } = await conceptSets();
+      const ids = individualCodeMappings.filter(entry => entry.type === 'concept').map(entry => entry.conceptSetId);
+      return ids.length === new Set(ids).size;
+    },
+    expected: true
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing concept set ids of code and concept declarations\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = await testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
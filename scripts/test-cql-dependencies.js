@@ -0,0 +1,179 @@
+// scripts/test-cql-dependencies.js
+// Builds the dependency graph of a CQL library: edges, entry points, unused declarations, cycles and Mermaid output
+
+import { buildDependencyGraph, dependencyGraphToMermaid } from '../src/mcp/tools/parseNlToCql/dependencies.js';
+import { parseCql } from '../src/mcp/tools/parseNlToCql/cqlParser.js';
+
+const MAIN_CQL = `library Main version '1.0.0'
+using FHIR version '4.0.1'
+include Global version '1.0.0' called Global
+codesystem "LOINC": 'http://loinc.org'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "Unused Set": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+code "HbA1c": '4548-4' from "LOINC"
+parameter "Measurement Period" Interval<DateTime>
+context Patient
+define "Initial Population":
+  exists Global."Qualifying Encounters" and exists "Diabetes Diagnoses"
+define "Denominator": "Initial Population"
+define "Numerator": exists ([Observation: "HbA1c"] O where O.value > 9) and "Looping A"
+define "Looping A": "Looping B"
+define "Looping B": "Looping A"
+define "Orphan A": "Orphan B"
+define "Orphan B": "Orphan A" and Global."Missing Define"
+define private "Diabetes Diagnoses": [Condition: "Diabetes"] C where C.onset during "Measurement Period"
+define private "Unused Helper": "Undeclared"
+define function "Unused Function"(x Integer): x + 1
+`;
+
+const GLOBAL_CQL = `library Global version '1.0.0'
+using FHIR version '4.0.1'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+context Patient
+define "Qualifying Encounters": [Encounter: "Office Visit"]
+`;
+
+// As cqlLibraryService.resolveIncludes returns it
+const INCLUDED = [{
+  name: 'Global',
+  version: '1.0.0',
+  path: 'Global.cql',
+  includedBy: 'Main',
+  alias: 'Global',
+  library: parseCql(GLOBAL_CQL)
+}];
+
+const graph = (includedLibraries = INCLUDED) => buildDependencyGraph(parseCql(MAIN_CQL), includedLibraries);
+
+const testCases = [
+  {
+    name: 'Edges from defines to defines, terminology, parameters and included libraries',
+    run: () => graph().edges.map(edge => `${edge.from} -> ${edge.to}`),
+    expected: [
+      'define:Initial Population -> external:Global.Qualifying Encounters',
+      'define:Initial Population -> define:Diabetes Diagnoses',
+      'define:Denominator -> define:Initial Population',
+      'define:Numerator -> code:HbA1c',
+      'define:Numerator -> define:Looping A',
+      'define:Looping A -> define:Looping B',
+      'define:Looping B -> define:Looping A',
+      'define:Orphan A -> define:Orphan B',
+      'define:Orphan B -> define:Orphan A',
+      'define:Orphan B -> external:Global.Missing Define',
+      'define:Diabetes Diagnoses -> valueset:Diabetes',
+      'define:Diabetes Diagnoses -> parameter:Measurement Period',
+      'code:HbA1c -> codesystem:LOINC'
+    ]
+  },
+  {
+    name: 'Entry points are the public defines nothing references',
+    run: () => graph().entryPoints,
+    expected: ['define:Denominator', 'define:Numerator']
+  },
+  {
+    name: 'A cycle no entry point reaches is unused; one an entry point reaches is not',
+    run: () => graph().unusedDeclarations.map(item => `${item.id}:${item.reason}`),
+    expected: [
+      'define:Orphan A:unreachable',
+      'define:Orphan B:unreachable',
+      'define:Unused Helper:unreferenced',
+      'valueset:Unused Set:unreferenced',
+      'function:Unused Function:unreferenced'
+    ]
+  },
+  {
+    name: 'Cycles',
+    run: () => graph().cycles,
+    expected: [['define:Looping A', 'define:Looping B'], ['define:Orphan A', 'define:Orphan B']]
+  },
+  {
+    name: 'Cross-library references are checked against the included library',
+    run: () => graph().undefinedReferences.map(({ from, name, libraryName, reason }) => ({ from, name, libraryName, reason })),
+    expected: [
+      { from: 'define:Orphan B', name: 'Missing Define', libraryName: 'Global', reason: 'Missing Define is not declared in Global' },
+      { from: 'define:Unused Helper', name: 'Undeclared', libraryName: null, reason: 'not declared in this library or in scope' }
+    ]
+  },
+  {
+    name: 'References into an include that was not loaded are kept as external nodes',
+    run: () => {
+      const unloaded = graph([]);
+      return {
+        external: unloaded.nodes.filter(node => node.kind === 'external').map(node => `${node.name}@${node.library}`),
+        undefined: unloaded.undefinedReferences.filter(reference => reference.libraryName).length
+      };
+    },
+    expected: { external: ['Global.Qualifying Encounters@Global', 'Global.Missing Define@Global'], undefined: 0 }
+  },
+  {
+    name: 'Mermaid: node shapes, edges and highlighted nodes',
+    run: () => {
+      const lines = dependencyGraphToMermaid(graph(), 'TD').split('\n');
+      return {
+        header: lines[0],
+        shapes: lines.filter(line => /^ {2}n\d+\W/.test(line) && !line.includes('-->')).filter(line => /Denominator|Measurement Period|Unused Set|HbA1c|LOINC|Unused Function|Qualifying/.test(line)),
+        edges: lines.filter(line => line.includes('-->')).length,
+        classes: lines.filter(line => line.startsWith('  class '))
+      };
+    },
+    expected: {
+      header: 'graph TD',
+      shapes: [
+        '  n1["define: Denominator"]',
+        '  n9{{"parameter: Measurement Period"}}',
+        '  n11[("valueset: Unused Set")]',
+        '  n12(["code: HbA1c"])',
+        '  n13[/"codesystem: LOINC"/]',
+        '  n14[["function: Unused Function"]]',
+        '  n15>"external: Global.Qualifying Encounters"]'
+      ],
+      edges: 13,
+      classes: ['  class n5,n6,n8,n11,n14 unused;', '  class n3,n4,n5,n6 cycle;', '  class n6,n8 undefinedRef;']
+    }
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing CQL dependency analysis\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,157 @@
+// scripts/test-cql-parser.js
+// Checks source positions, comments, string literals and error recovery of the CQL lexer and parser
+
+import { parseCql, walkCql } from '../src/mcp/tools/parseNlToCql/cqlParser.js';
+
+const SAMPLE_CQL = `library Sample version '1.0.0'
+using FHIR version '4.0.1'
+// valueset "Old": 'urn:oid:1.2.3'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+/* block
+   comment */
+context Patient
+define "Name": 'It\\'s "quoted" // not a comment'
+define "Has Diabetes":
+  exists [Condition: "Diabetes"] C where C.onset is not null
+`;
+
+const at = position => `${position.line}:${position.column}@${position.offset}`;
+const span = loc => `${at(loc.start)}-${at(loc.end)}`;
+const errors = cql => parseCql(cql).errors.map(error => `${at(error.start)} ${error.message}`);
+
+function nodeTypes(node, visitor = () => {}) {
+  const types = [];
+  walkCql(node, (child, ancestors) => {
+    types.push(`${child.type}/${ancestors.length}@${child.loc.start.line}:${child.loc.start.column}`);
+    return visitor(child);
+  });
+  return types;
+}
+
+const testCases = [
+  {
+    name: 'Declarations carry line, column and offset of their start and end',
+    run: () => {
+      const library = parseCql(SAMPLE_CQL);
+      return [library.identifier.loc, library.usings[0].loc, library.valuesets[0].loc, ...library.statements.map(s => s.loc)].map(span);
+    },
+    expected: ['1:1@0-1:31@30', '2:1@31-2:27@57', '4:1@93-4:72@164', '8:1@204-8:49@252', '9:1@253-10:61@336']
+  },
+  {
+    name: 'Line and block comments are kept apart from the tree',
+    run: () => parseCql(SAMPLE_CQL).comments.map(comment => `${comment.type} ${span(comment)} ${JSON.stringify(comment.value)}`),
+    expected: [
+      'LineComment 3:1@58-3:35@92 " valueset \\"Old\\": \'urn:oid:1.2.3\'"',
+      'BlockComment 5:1@165-6:14@187 " block\\n   comment "'
+    ]
+  },
+  {
+    name: 'Commented-out declarations are not parsed',
+    run: () => parseCql(SAMPLE_CQL).valuesets.map(valueset => valueset.name),
+    expected: ['Diabetes']
+  },
+  {
+    name: 'String literals unescape quotes and keep comment markers',
+    run: () => {
+      const { expression } = parseCql(SAMPLE_CQL).statements[0];
+      return [expression.type, expression.value];
+    },
+    expected: ['Literal', 'It\'s "quoted" // not a comment']
+  },
+  {
+    name: 'walkCql visits expression nodes with their ancestors in source order',
+    run: () => nodeTypes(parseCql(SAMPLE_CQL).statements[1]),
+    expected: [
+      'ExpressionDef/0@9:1',
+      'UnaryExpression/1@10:3',
+      'Query/2@10:10',
+      'AliasedQuerySource/3@10:10',
+      'Retrieve/4@10:10',
+      'Identifier/5@10:22',
+      'BooleanTest/3@10:42',
+      'Property/4@10:42',
+      'Identifier/5@10:42'
+    ]
+  },
+  {
+    name: 'walkCql skips the children of a node when the visitor returns false',
+    run: () => nodeTypes(parseCql(SAMPLE_CQL).statements[1], node => node.type !== 'Query'),
+    expected: ['ExpressionDef/0@9:1', 'UnaryExpression/1@10:3', 'Query/2@10:10']
+  },
+  {
+    name: 'A well-formed library has no errors',
+    run: () => errors(SAMPLE_CQL),
+    expected: []
+  },
+  {
+    name: 'An incomplete define is reported and parsing resumes at the next statement',
+    run: () => {
+      const cql = `library Bad\ndefine "A": exists (\ndefine "B": 2`;
+      return [...errors(cql), ...parseCql(cql).statements.map(s => s.name)];
+    },
+    expected: ["3:1@33 Expected an expression but found 'define'", 'B']
+  },
+  {
+    name: 'Unexpected characters are reported by the lexer',
+    run: () => errors(`define "A": 2 # 3\ndefine "B": 1`),
+    expected: ["1:15@14 Unexpected character '#'", "1:17@16 Expected a library statement but found '3'"]
+  },
+  {
+    name: 'A malformed declaration does not hide the statements after it',
+    run: () => {
+      const library = parseCql(`valueset "V" 'x'\ndefine "B": 1`);
+      return [...library.errors.map(error => error.message), library.valuesets.length, ...library.statements.map(s => s.name)];
+    },
+    expected: ["Expected ':' but found ''x''", 0, 'B']
+  },
+  {
+    name: 'Unterminated strings and block comments are reported where they start',
+    run: () => [...errors(`define "A": 'open\n`), ...errors(`context Patient\n/* open`)],
+    expected: ['1:13@12 Unterminated string literal', '2:1@16 Unterminated block comment']
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing the CQL lexer and parser\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = await testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
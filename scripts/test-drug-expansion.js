@@ -0,0 +1,139 @@
+// scripts/test-drug-expansion.js
+// Expands drug codesets through concept_ancestor and drug_strength and reports the concepts the expansion added
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+import { normalizeConceptMappings } from '../src/mcp/tools/generateSql/conceptSets.js';
+import { drugExpansionPaths } from '../src/mcp/tools/generateSql/drugExpansion.js';
+
+const LIBRARY = `
+library DrugExpansionTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Statin Therapy": 'urn:oid:2.16.840.1.117.1.1.40.0.8.22'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+
+context Patient
+
+define "Statin Orders": [MedicationRequest: "Statin Therapy"]
+
+define "Initial Population": exists "Statin Orders" and exists [Condition: "Diabetes"]
+`;
+
+// map-vsac-to-omop rows: the clinical drug the value set lists, and a branded drug its expansion added
+const CONCEPT_MAPPINGS = {
+  standard: [
+    { concept_set_id: '2.16.840.1.117.1.1.40.0.8.22', concept_set_name: 'Statin Therapy', concept_id: 1539463, domain_id: 'Drug' },
+    { concept_set_id: '2.16.840.1.113883.3.464.1003.103.12.1001', concept_set_name: 'Diabetes', concept_id: 201826, domain_id: 'Condition' }
+  ],
+  expanded: [
+    { concept_set_id: '2.16.840.1.117.1.1.40.0.8.22', concept_id: 1539463, expanded_from: 1539463 },
+    { concept_set_id: '2.16.840.1.117.1.1.40.0.8.22', concept_id: 19112569, expanded_from: 1539463 }
+  ]
+};
+
+const DIALECTS = ['postgresql', 'sql server', 'bigquery', 'snowflake', 'spark', 'duckdb'];
+
+const generate = (options = {}) => generateOmopSql(LIBRARY, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', ...options });
+
+// The codesets CTE(s), up to the first define
+const codesetsOf = sql => sql.slice(sql.indexOf('WITH '), sql.indexOf('statin_orders AS'));
+
+const testCases = [
+  {
+    name: 'Without an expansion the codesets are the mapped concepts',
+    run: () => ({
+      seeds: generate().sql.includes('codeset_seeds'),
+      codesets: generate().codesets.map(({ codesetId, conceptCount, addedByExpansion, drugExpansion }) => ({ codesetId, conceptCount, addedByExpansion, drugExpansion }))
+    }),
+    expected: {
+      seeds: false,
+      codesets: [
+        { codesetId: 1, conceptCount: 2, addedByExpansion: 1, drugExpansion: null },
+        { codesetId: 2, conceptCount: 1, addedByExpansion: 0, drugExpansion: null }
+      ]
+    }
+  },
+  {
+    name: 'Descendants: drug codesets also hold the concept_ancestor descendants of their concepts',
+    run: () => codesetsOf(generate({ drugExpansion: 'descendants' }).sql).split('\n').map(line => line.trim()).filter(line => /JOIN|ON |WHERE|UNION/.test(line)),
+    expected: ['UNION', 'INNER JOIN cdm.concept_ancestor ca', 'ON ca.ancestor_concept_id = s.concept_id', 'WHERE s.codeset_id IN (1)']
+  },
+  {
+    name: 'Ingredients: also every drug holding an ingredient of the codeset\'s drugs',
+    run: () => codesetsOf(generate({ drugExpansion: 'ingredients' }).sql).split('\n').map(line => line.trim()).filter(line => /JOIN|ON /.test(line)),
+    expected: [
+      'INNER JOIN cdm.concept_ancestor ca', 'ON ca.ancestor_concept_id = s.concept_id',
+      'INNER JOIN cdm.drug_strength ds', 'ON ds.drug_concept_id = s.concept_id',
+      'INNER JOIN cdm.concept_ancestor ca', 'ON ca.ancestor_concept_id = ds.ingredient_concept_id'
+    ]
+  },
+  {
+    name: 'Only codesets drug_exposure is filtered on are expanded',
+    run: () => generate({ drugExpansion: 'descendants' }).codesets.map(codeset => `${codeset.name}:${codeset.drugExpansion}`),
+    expected: ['Statin Therapy:descendants', 'Diabetes:null']
+  },
+  {
+    name: 'Expanded concepts count once per concept set',
+    run: () => {
+      const set = normalizeConceptMappings(CONCEPT_MAPPINGS).sets.get('2.16.840.1.117.1.1.40.0.8.22');
+      return { conceptIds: set.conceptIds, addedByExpansion: set.addedByExpansion };
+    },
+    expected: { conceptIds: [1539463, 19112569], addedByExpansion: 1 }
+  },
+  {
+    name: 'Expanded codesets validate in every dialect with a grammar',
+    run: () => DIALECTS.map(targetDialect => `${targetDialect}:${generate({ drugExpansion: 'ingredients', targetDialect }).validation.valid}`),
+    expected: DIALECTS.map(dialect => `${dialect}:true`)
+  },
+  {
+    name: 'Expansion paths',
+    run: () => ['none', 'descendants', 'ingredients'].map(expansion => drugExpansionPaths('cdm', 'x.concept_id', expansion).length),
+    expected: [0, 1, 2]
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing drug concept expansion\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,337 @@
+// scripts/test-elm-input.js
+// Checks that ELM JSON/XML input reduces to the same extraction results as the CQL it was translated from
+
+import { parseCql } from '../src/mcp/tools/parseNlToCql/cqlParser.js';
+import { parseElm } from '../src/mcp/tools/parseNlToCql/elm.js';
+import {
+  extractValueSetIdentifiersFromCQL,
+  extractIndividualCodesFromCQL,
+  extractConceptDeclarationsFromCQL
+} from '../src/mcp/tools/parseNlToCql/extractors.js';
+import { extractRetrievesFromCQL } from '../src/mcp/tools/parseNlToCql/retrieves.js';
+import { buildDependencyGraph } from '../src/mcp/tools/parseNlToCql/dependencies.js';
+
+const FHIR_CQL = `
+library ElmSample version '1.0.0'
+
+using FHIR version '4.0.1'
+
+include FHIRHelpers version '4.0.1' called FHIRHelpers
+
+codesystem "LOINC": 'http://loinc.org'
+
+valueset "Diabetes": 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001' version '20240101'
+
+code "HbA1c": '4548-4' from "LOINC" display 'Hemoglobin A1c'
+
+concept "HbA1c Concept": { "HbA1c" } display 'HbA1c'
+
+parameter "Measurement Period" Interval<DateTime>
+
+context Patient
+
+define "Qualifying Encounters":
+  [Encounter: "Office Visit"] E
+    where E.period during "Measurement Period"
+
+define "Diabetes Diagnosis":
+  [Condition: "Diabetes"] C
+    where exists "Qualifying Encounters"
+
+define "HbA1c Tests":
+  [Observation: "HbA1c"] O
+    where O.value is not null
+
+define "Initial Population":
+  AgeInYearsAt(start of "Measurement Period") >= 18
+    and exists "Diabetes Diagnosis"
+`;
+
+// Shaped like cql-to-elm translator output for FHIR_CQL
+const FHIR_ELM = {
+  library: {
+    identifier: { id: 'ElmSample', version: '1.0.0' },
+    schemaIdentifier: { id: 'urn:hl7-org:elm', version: 'r1' },
+    usings: {
+      def: [
+        { localIdentifier: 'System', uri: 'urn:hl7-org:elm-types:r1' },
+        { localIdentifier: 'FHIR', uri: 'http://hl7.org/fhir', version: '4.0.1' }
+      ]
+    },
+    includes: { def: [{ localIdentifier: 'FHIRHelpers', path: 'FHIRHelpers', version: '4.0.1' }] },
+    parameters: {
+      def: [{
+        name: 'Measurement Period',
+        accessLevel: 'Public',
+        parameterTypeSpecifier: {
+          type: 'IntervalTypeSpecifier',
+          pointType: { type: 'NamedTypeSpecifier', name: '{urn:hl7-org:elm-types:r1}DateTime' }
+        }
+      }]
+    },
+    codeSystems: { def: [{ name: 'LOINC', id: 'http://loinc.org', accessLevel: 'Public' }] },
+    valueSets: {
+      def: [
+        { name: 'Diabetes', id: 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.103.12.1001', accessLevel: 'Public' },
+        { name: 'Office Visit', id: 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001', version: '20240101', accessLevel: 'Public' }
+      ]
+    },
+    codes: {
+      def: [{ name: 'HbA1c', id: '4548-4', display: 'Hemoglobin A1c', accessLevel: 'Public', codeSystem: { name: 'LOINC' } }]
+    },
+    concepts: {
+      def: [{ name: 'HbA1c Concept', display: 'HbA1c', accessLevel: 'Public', code: [{ name: 'HbA1c' }] }]
+    },
+    contexts: { def: [{ name: 'Patient' }] },
+    statements: {
+      def: [
+        {
+          name: 'Patient',
+          context: 'Patient',
+          expression: { type: 'SingletonFrom', operand: { type: 'Retrieve', dataType: '{http://hl7.org/fhir}Patient' } }
+        },
+        {
+          name: 'Qualifying Encounters',
+          context: 'Patient',
+          accessLevel: 'Public',
+          expression: {
+            type: 'Query',
+            source: [{
+              alias: 'E',
+              expression: {
+                type: 'Retrieve',
+                dataType: '{http://hl7.org/fhir}Encounter',
+                codeProperty: 'type',
+                codeComparator: 'in',
+                codes: { type: 'ValueSetRef', name: 'Office Visit', preserve: true }
+              }
+            }],
+            relationship: [],
+            where: {
+              type: 'IncludedIn',
+              operand: [
+                { type: 'FunctionRef', name: 'ToInterval', libraryName: 'FHIRHelpers', operand: [{ type: 'Property', path: 'period', scope: 'E' }] },
+                { type: 'ParameterRef', name: 'Measurement Period' }
+              ]
+            }
+          }
+        },
+        {
+          name: 'Diabetes Diagnosis',
+          context: 'Patient',
+          accessLevel: 'Public',
+          expression: {
+            type: 'Query',
+            source: [{
+              alias: 'C',
+              expression: {
+                type: 'Retrieve',
+                dataType: '{http://hl7.org/fhir}Condition',
+                codeProperty: 'code',
+                codeComparator: 'in',
+                codes: { type: 'ValueSetRef', name: 'Diabetes', preserve: true }
+              }
+            }],
+            relationship: [],
+            where: { type: 'Exists', operand: { type: 'ExpressionRef', name: 'Qualifying Encounters' } }
+          }
+        },
+        {
+          name: 'HbA1c Tests',
+          context: 'Patient',
+          accessLevel: 'Public',
+          expression: {
+            type: 'Query',
+            source: [{
+              alias: 'O',
+              expression: {
+                type: 'Retrieve',
+                dataType: '{http://hl7.org/fhir}Observation',
+                codeProperty: 'code',
+                codeComparator: '~',
+                codes: { type: 'ToList', operand: { type: 'CodeRef', name: 'HbA1c' } }
+              }
+            }],
+            relationship: [],
+            where: { type: 'Not', operand: { type: 'IsNull', operand: { type: 'Property', path: 'value', scope: 'O' } } }
+          }
+        },
+        {
+          name: 'Initial Population',
+          context: 'Patient',
+          accessLevel: 'Public',
+          expression: {
+            type: 'And',
+            operand: [
+              {
+                type: 'GreaterOrEqual',
+                operand: [
+                  {
+                    type: 'CalculateAgeAt',
+                    precision: 'Year',
+                    operand: [
+                      { type: 'Property', path: 'birthDate.value', source: { type: 'ExpressionRef', name: 'Patient' } },
+                      { type: 'ToDate', operand: { type: 'Start', operand: { type: 'ParameterRef', name: 'Measurement Period' } } }
+                    ]
+                  },
+                  { type: 'Literal', valueType: '{urn:hl7-org:elm-types:r1}Integer', value: '18' }
+                ]
+              },
+              { type: 'Exists', operand: { type: 'ExpressionRef', name: 'Diabetes Diagnosis' } }
+            ]
+          }
+        }
+      ]
+    }
+  }
+};
+
+const QDM_CQL = `
+library QdmSample version '1.0.0'
+
+using QDM version '5.6'
+
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+
+parameter "Measurement Period" Interval<DateTime>
+
+context Patient
+
+define "Qualifying Encounters":
+  ["Encounter, Performed": "Office Visit"] E
+    where E.relevantPeriod during "Measurement Period"
+
+define "Has Diabetes":
+  exists ["Diagnosis": "Diabetes"]
+`;
+
+// Shaped like cql-to-elm translator XML output for QDM_CQL
+const QDM_ELM_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<library xmlns="urn:hl7-org:elm:r1" xmlns:t="urn:hl7-org:elm-types:r1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:qdm56="urn:healthit-gov:qdm:v5_6">
+   <identifier id="QdmSample" version="1.0.0"/>
+   <schemaIdentifier id="urn:hl7-org:elm" version="r1"/>
+   <usings>
+      <def localIdentifier="System" uri="urn:hl7-org:elm-types:r1"/>
+      <def localIdentifier="QDM" uri="urn:healthit-gov:qdm:v5_6" version="5.6"/>
+   </usings>
+   <parameters>
+      <def name="Measurement Period" accessLevel="Public">
+         <parameterTypeSpecifier xsi:type="IntervalTypeSpecifier">
+            <pointType name="t:DateTime" xsi:type="NamedTypeSpecifier"/>
+         </parameterTypeSpecifier>
+      </def>
+   </parameters>
+   <valueSets>
+      <def name="Office Visit" id="urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001" accessLevel="Public"/>
+      <def name="Diabetes" id="urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001" accessLevel="Public"/>
+   </valueSets>
+   <contexts>
+      <def name="Patient"/>
+   </contexts>
+   <statements>
+      <def name="Patient" context="Patient">
+         <expression xsi:type="SingletonFrom">
+            <operand dataType="qdm56:Patient" templateId="Patient" xsi:type="Retrieve"/>
+         </expression>
+      </def>
+      <def locator="13:1-15:54" name="Qualifying Encounters" context="Patient" accessLevel="Public">
+         <expression xsi:type="Query">
+            <source alias="E">
+               <expression locator="14:3-14:40" dataType="qdm56:PositiveEncounterPerformed" codeProperty="code" codeComparator="in" xsi:type="Retrieve">
+                  <codes name="Office Visit" preserve="true" xsi:type="ValueSetRef"/>
+               </expression>
+            </source>
+            <where xsi:type="IncludedIn">
+               <operand path="relevantPeriod" scope="E" xsi:type="Property"/>
+               <operand name="Measurement Period" xsi:type="ParameterRef"/>
+            </where>
+         </expression>
+      </def>
+      <def locator="17:1-18:34" name="Has Diabetes" context="Patient" accessLevel="Public">
+         <expression xsi:type="Exists">
+            <operand locator="18:10-18:34" dataType="qdm56:Diagnosis" codeProperty="code" codeComparator="in" xsi:type="Retrieve">
+               <codes name="Diabetes" preserve="true" xsi:type="ValueSetRef"/>
+            </operand>
+         </expression>
+      </def>
+   </statements>
+</library>`;
+
+/**
+ * Everything the extractors report, minus source positions (CQL always has
+ * them, ELM only when translated with locators)
+ */
+async function extractAll(library) {
+  const stripPositions = value => JSON.parse(JSON.stringify(value, (key, item) =>
+    ['loc', 'line', 'column'].includes(key) ? undefined : item
+  ));
+  return stripPositions({
+    valuesets: await extractValueSetIdentifiersFromCQL(library),
+    codes: await extractIndividualCodesFromCQL(library),
+    concepts: await extractConceptDeclarationsFromCQL(library),
+    retrieves: extractRetrievesFromCQL(library),
+    dependencies: buildDependencyGraph(library),
+    statements: library.statements
+  });
+}
+
+const testCases = [
+  { name: 'FHIR library as ELM JSON', cql: FHIR_CQL, elm: FHIR_ELM },
+  { name: 'FHIR library as ELM JSON text', cql: FHIR_CQL, elm: JSON.stringify(FHIR_ELM) },
+  { name: 'QDM library as ELM XML', cql: QDM_CQL, elm: QDM_ELM_XML }
+];
+
+async function runTests() {
+  console.log("🧪 Testing ELM input against the CQL it was translated from\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const fromCql = await extractAll(parseCql(testCase.cql));
+      const fromElm = await extractAll(parseElm(testCase.elm));
+
+      const differences = Object.keys(fromCql).filter(key =>
+        JSON.stringify(fromCql[key]) !== JSON.stringify(fromElm[key])
+      );
+
+      if (differences.length === 0) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED: ${differences.join(', ')} differ`);
+        for (const key of differences) {
+          console.log(`  📊 CQL: ${JSON.stringify(fromCql[key])}`);
+          console.log(`  📊 ELM: ${JSON.stringify(fromElm[key])}`);
+        }
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
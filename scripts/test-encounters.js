@@ -0,0 +1,162 @@
+// scripts/test-encounters.js
+// Matches encounter value sets against visits through their visit concepts, visit details, linked procedures and site visit rules
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+import { encounterCondition } from '../src/mcp/tools/generateSql/encounters.js';
+
+const LIBRARY = `
+library EncounterTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+
+context Patient
+
+define "Office Visits": [Encounter: "Office Visit"]
+
+define "Initial Population": exists "Office Visits" and exists [Condition: "Diabetes"]
+`;
+
+// 9202 Outpatient Visit, 2514435 CPT 99213
+const CONCEPT_MAPPINGS = { 'Office Visit': [9202, 2514435], 'Diabetes': [201826] };
+
+const OFFICE_VISIT_OID = '2.16.840.1.113883.3.464.1003.101.12.1001';
+
+const DIALECTS = ['postgresql', 'sql server', 'bigquery', 'snowflake', 'spark', 'duckdb'];
+
+const generate = (options = {}) => generateOmopSql(LIBRARY, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', ...options });
+
+// The WHERE clause of the "Office Visits" CTE, one line per alternative
+const encounterWhere = sql => {
+  const cte = sql.slice(sql.indexOf('office_visits AS'), sql.indexOf('initial_population AS'));
+  return cte.slice(cte.indexOf('WHERE')).split('\n').map(line => line.trim()).filter(line => line && line !== ')' && line !== '),');
+};
+
+const CONCEPTS = '(SELECT concept_id FROM codesets WHERE codeset_id = 1)';
+
+const testCases = [
+  {
+    name: 'Visits match through their concepts, visit details and linked procedures',
+    run: () => encounterWhere(generate().sql),
+    expected: [
+      `WHERE (vo.visit_concept_id IN ${CONCEPTS}`,
+      `OR vo.visit_source_concept_id IN ${CONCEPTS}`,
+      `OR EXISTS (SELECT 1 FROM cdm.visit_detail vd WHERE vd.visit_occurrence_id = vo.visit_occurrence_id AND (vd.visit_detail_concept_id IN ${CONCEPTS} OR vd.visit_detail_source_concept_id IN ${CONCEPTS}))`,
+      `OR EXISTS (SELECT 1 FROM cdm.procedure_occurrence vp WHERE vp.visit_occurrence_id = vo.visit_occurrence_id AND (vp.procedure_concept_id IN ${CONCEPTS} OR vp.procedure_source_concept_id IN ${CONCEPTS})))`
+    ]
+  },
+  {
+    name: 'Encounter sources can be narrowed',
+    run: () => encounterWhere(generate({ encounterSources: ['visit_concept'] }).sql),
+    expected: [`WHERE vo.visit_concept_id IN ${CONCEPTS}`]
+  },
+  {
+    name: 'Visit rules add the site\'s visit concepts and types for a value set, by OID or name',
+    run: () => ['Office Visit', OFFICE_VISIT_OID].map(valueSet => encounterWhere(generate({
+      encounterSources: ['visit_source_concept'],
+      visitRules: [{ valueSet, visitConceptIds: [9202, 581477], visitTypeConceptIds: [32817] }]
+    }).sql)),
+    expected: Array(2).fill([
+      `WHERE (vo.visit_source_concept_id IN ${CONCEPTS}`,
+      'OR (vo.visit_concept_id IN (9202, 581477) AND vo.visit_type_concept_id IN (32817)))'
+    ])
+  },
+  {
+    name: 'The codesets report how their encounters are matched',
+    run: () => generate({ encounterSources: ['visit_concept', 'procedure'], visitRules: [{ valueSet: 'Office Visit', visitConceptIds: [9202] }] })
+      .codesets.map(({ name, encounterSources, visitRules }) => ({ name, encounterSources, visitRules })),
+    expected: [
+      { name: 'Office Visit', encounterSources: ['visit_concept', 'procedure'], visitRules: [{ valueSet: 'Office Visit', visitConceptIds: [9202], visitTypeConceptIds: [] }] },
+      { name: 'Diabetes', encounterSources: null, visitRules: [] }
+    ]
+  },
+  {
+    name: 'Visit rules that match no encounter value set are reported',
+    run: () => generate({ visitRules: [{ valueSet: 'Diabetes', visitConceptIds: [9201] }] }).warnings,
+    expected: ['Visit rule for "Diabetes" matches no value set an Encounter is retrieved with; it is not used']
+  },
+  {
+    name: 'No sources and no rules: the retrieve selects no rows',
+    run: () => {
+      const generated = generate({ encounterSources: [] });
+      return { where: encounterWhere(generated.sql), warnings: generated.warnings };
+    },
+    expected: {
+      where: ['WHERE 1 = 0'],
+      warnings: ['Encounters of valueset "Office Visit" match through no encounter source or visit rule; they select no rows']
+    }
+  },
+  {
+    name: 'Encounter matching validates in every dialect with a grammar',
+    run: () => DIALECTS.map(targetDialect => `${targetDialect}:${generate({
+      targetDialect,
+      visitRules: [{ valueSet: 'Office Visit', visitConceptIds: [9202], visitTypeConceptIds: [32817] }]
+    }).validation.valid}`),
+    expected: DIALECTS.map(dialect => `${dialect}:true`)
+  },
+  {
+    name: 'Unqualified tables without a CDM schema',
+    run: () => encounterCondition('vo', '(1)', ['procedure'], [], name => name),
+    expected: 'EXISTS (SELECT 1 FROM procedure_occurrence vp WHERE vp.visit_occurrence_id = vo.visit_occurrence_id AND (vp.procedure_concept_id IN (1) OR vp.procedure_source_concept_id IN (1)))'
+  },
+  {
+    name: 'Visit rules without visit concepts are refused',
+    run: () => generate({ visitRules: [{ valueSet: 'Office Visit', visitConceptIds: [] }] }),
+    expectedError: 'INVALID_VISIT_RULE'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing encounter matching\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, generation succeeded`);
+        failed++;
+      } else if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,147 @@
+// scripts/test-include-resolution.js
+// Resolves included CQL libraries from a library directory: nested includes, versions and file names
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import cqlLibraryService from '../src/services/cqlLibraryService.js';
+import { parseCql } from '../src/mcp/tools/parseNlToCql/cqlParser.js';
+
+// Library files written to a temporary CQL_LIBRARY_PATH
+const FILES = {
+  'Global-1.0.0.cql': `library Global version '1.0.0'
+using FHIR version '4.0.1'
+include Common version '1.0.0' called Common
+valueset "Inpatient Encounter": 'urn:oid:2.16.840.1.113883.3.666.5.307'
+`,
+  'Global-2.0.0.cql': `library Global version '2.0.0'
+using FHIR version '4.0.1'
+valueset "Inpatient Encounter": 'urn:oid:2.16.840.1.113883.3.666.5.307'
+`,
+  'Common-1.0.0.cql': `library Common version '1.0.0'
+using FHIR version '4.0.1'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+`,
+  'Helpers.cql': `library Helpers version '3.0.0'
+using FHIR version '4.0.1'
+include Global called Global
+`,
+  // No library declaration: known by its file name
+  'Quality-Measures.cql': `using FHIR version '4.0.1'
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+`,
+  'Shared-1.2.3.cql': `using FHIR version '4.0.1'
+valueset "Hospice": 'urn:oid:2.16.840.1.113883.3.526.3.1584'
+`
+};
+
+const measure = includes => parseCql(`library Measure version '1.0.0'
+using FHIR version '4.0.1'
+${includes.join('\n')}
+context Patient
+define "Initial Population": true
+`);
+
+const resolved = (libraryPath, includes) => cqlLibraryService
+  .resolveIncludes(measure(includes), libraryPath)
+  .map(entry => `${entry.name}@${entry.version ?? 'unversioned'}<-${entry.includedBy}`);
+
+const testCases = [
+  {
+    name: 'Nested includes resolve recursively',
+    run: libraryPath => resolved(libraryPath, ["include Global version '1.0.0' called Global"]),
+    expected: ['Global@1.0.0<-Measure', 'Common@1.0.0<-Global']
+  },
+  {
+    name: 'A missing library is reported',
+    run: libraryPath => resolved(libraryPath, ["include Missing version '1.0.0' called Missing"]),
+    expectedError: 'LIBRARY_NOT_FOUND'
+  },
+  {
+    name: 'A version that is not in the library path is reported',
+    run: libraryPath => resolved(libraryPath, ["include Common version '9.0.0' called Common"]),
+    expectedError: 'LIBRARY_VERSION_MISMATCH'
+  },
+  {
+    name: 'Two includes pinning different versions conflict',
+    run: libraryPath => resolved(libraryPath, ["include Global version '1.0.0' called Global", "include Helpers version '3.0.0' called Helpers", "include Global version '2.0.0' called G2"]),
+    expectedError: 'LIBRARY_VERSION_MISMATCH'
+  },
+  {
+    name: 'An unversioned include accepts the version a later include pins',
+    run: libraryPath => resolved(libraryPath, ["include Helpers version '3.0.0' called Helpers", "include Global version '2.0.0' called Global"]),
+    expected: ['Helpers@3.0.0<-Measure', 'Global@2.0.0<-Helpers']
+  },
+  {
+    name: 'A pinned include is kept when a later include takes any version',
+    run: libraryPath => resolved(libraryPath, ["include Global version '1.0.0' called Global", "include Helpers version '3.0.0' called Helpers"]),
+    expected: ['Global@1.0.0<-Measure', 'Common@1.0.0<-Global', 'Helpers@3.0.0<-Measure']
+  },
+  {
+    name: 'File names lose only a version suffix',
+    run: libraryPath => cqlLibraryService.listLibraries([libraryPath])
+      .filter(entry => !entry.version)
+      .map(entry => `${entry.name}:${path.basename(entry.path)}`),
+    expected: ['Quality-Measures:Quality-Measures.cql', 'Shared:Shared-1.2.3.cql']
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing included library resolution\n");
+
+  const libraryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cql-libraries-'));
+  Object.entries(FILES).forEach(([file, cql]) => fs.writeFileSync(path.join(libraryPath, file), cql));
+
+  let passed = 0;
+  let failed = 0;
+
+  try {
+    for (const testCase of testCases) {
+      console.log(`📝 Test: ${testCase.name}`);
+
+      try {
+        const actual = testCase.run(libraryPath);
+        if (testCase.expectedError) {
+          console.log(`  ❌ FAILED: expected ${testCase.expectedError}, got ${JSON.stringify(actual)}`);
+          failed++;
+        } else if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+          console.log(`  ✅ PASSED`);
+          passed++;
+        } else {
+          console.log(`  ❌ FAILED`);
+          console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+          console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+          failed++;
+        }
+      } catch (error) {
+        if (testCase.expectedError && error.code === testCase.expectedError) {
+          console.log(`  ✅ PASSED (${error.code})`);
+          passed++;
+        } else {
+          console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+          failed++;
+        }
+      }
+
+      console.log('');
+    }
+  } finally {
+    fs.rmSync(libraryPath, { recursive: true, force: true });
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,212 @@
+// scripts/test-list-functions.js
+// Translates First/Last with sort clauses to ranked rows per person, and Count/Min/Max/Sum/Avg, exists and return clauses to per-person aggregates
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+
+const HEADER = `
+library ListFunctionsTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "Systolic Blood Pressure": 'urn:oid:2.16.840.1.113883.3.526.3.1032'
+
+context Patient
+`;
+
+const DEFINES = {
+  'Most Recent HbA1c': `Last([Observation: "HbA1c Laboratory Test"] O sort by effective)`,
+  'Earliest First': `First([Observation: "HbA1c Laboratory Test"] O sort by start of effective desc)`,
+  'Unsorted': `First([Observation: "HbA1c Laboratory Test"])`,
+  'Poor Control': `Last([Observation: "HbA1c Laboratory Test"] O sort by effective).value > 9 '%'`,
+  'Two Visits': `Count([Encounter: "Office Visit"]) >= 2`,
+  'Two Visit Days': `Count([Encounter: "Office Visit"] E return E.period) >= 2`,
+  'Highest Systolic': `Max([Observation: "Systolic Blood Pressure"] B return B.value) >= 140`,
+  'Systolic Total': `Sum([Observation: "Systolic Blood Pressure"] B return B.value) > 0`,
+  'Any Value': `exists ([Observation: "HbA1c Laboratory Test"] O return O.value)`,
+  'Min Rows': `Min([Observation: "HbA1c Laboratory Test"]) > 0`
+};
+
+// A library with one define, and the initial population reading it
+const library = name => `${HEADER}\ndefine "${name}": ${DEFINES[name]}\n\ndefine "Initial Population": "${name}"\n`;
+
+const CONCEPT_MAPPINGS = {
+  'HbA1c Laboratory Test': [3004410],
+  'Office Visit': [9202],
+  'Systolic Blood Pressure': [3004249]
+};
+
+const DIALECTS = ['postgresql', 'sql server', 'bigquery', 'snowflake', 'spark', 'duckdb'];
+
+const generate = (name, options = {}) => generateOmopSql(library(name), [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', ...options });
+
+// An initial population testing "Most Recent HbA1c"
+const generateOverLast = condition => generateOmopSql(
+  `${HEADER}\ndefine "Most Recent HbA1c": ${DEFINES['Most Recent HbA1c']}\n\ndefine "Initial Population": ${condition}\n`,
+  [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm' }
+);
+
+// The ORDER BY of a First/Last window
+const windowOrder = sql => sql.match(/ROW_NUMBER\(\) OVER \(PARTITION BY r\.person_id ORDER BY (.*)\) AS row_rank/)[1].split(', ');
+
+// Lines of the define's CTE that hold one of the fragments
+const linesWith = (sql, ...fragments) => sql.split('\n').map(line => line.trim()).filter(line => fragments.some(fragment => line.includes(fragment)));
+
+const testCases = [
+  {
+    name: 'Last: the last row by the sort keys, nulls first, then domain and event_id',
+    run: () => windowOrder(generate('Most Recent HbA1c').sql),
+    expected: [
+      'CASE WHEN r.start_date IS NULL THEN 0 ELSE 1 END DESC', 'r.start_date DESC',
+      'CASE WHEN r.start_datetime IS NULL THEN 0 ELSE 1 END DESC', 'r.start_datetime DESC',
+      'CASE WHEN r.end_date IS NULL THEN 0 ELSE 1 END DESC', 'r.end_date DESC',
+      'CASE WHEN r.end_datetime IS NULL THEN 0 ELSE 1 END DESC', 'r.end_datetime DESC',
+      'r.domain DESC', 'r.event_id DESC'
+    ]
+  },
+  {
+    name: 'First of a descending sort: keys descending, tie-breakers ascending',
+    run: () => windowOrder(generate('Earliest First').sql),
+    expected: [
+      'CASE WHEN r.start_date IS NULL THEN 0 ELSE 1 END DESC', 'r.start_date DESC',
+      'CASE WHEN r.start_datetime IS NULL THEN 0 ELSE 1 END DESC', 'r.start_datetime DESC',
+      'r.domain ASC', 'r.event_id ASC'
+    ]
+  },
+  {
+    name: 'Without a sort clause only the tie-breakers order the rows',
+    run: () => {
+      const generated = generate('Unsorted');
+      return { order: windowOrder(generated.sql), warnings: generated.warnings };
+    },
+    expected: {
+      order: ['r.domain ASC', 'r.event_id ASC'],
+      warnings: ['"Unsorted": First() of a list without a sort clause picks each person\'s row by domain and event_id']
+    }
+  },
+  {
+    name: 'First/Last keep one row per person of the event columns',
+    run: () => linesWith(generate('Most Recent HbA1c').sql, 'row_rank', 'ranked.person_id', 'ranked.stop_reason'),
+    expected: [
+      'SELECT ranked.person_id,',
+      'ranked.stop_reason',
+      'ROW_NUMBER() OVER (PARTITION BY r.person_id ORDER BY CASE WHEN r.start_date IS NULL THEN 0 ELSE 1 END DESC, r.start_date DESC, ' +
+        'CASE WHEN r.start_datetime IS NULL THEN 0 ELSE 1 END DESC, r.start_datetime DESC, CASE WHEN r.end_date IS NULL THEN 0 ELSE 1 END DESC, ' +
+        'r.end_date DESC, CASE WHEN r.end_datetime IS NULL THEN 0 ELSE 1 END DESC, r.end_datetime DESC, r.domain DESC, r.event_id DESC) AS row_rank',
+      'WHERE ranked.row_rank = 1'
+    ]
+  },
+  {
+    name: 'A property of the Last row is tested on that row, in its unit',
+    run: () => linesWith(generate('Poor Control').sql, 's.person_id', 'THEN s.value_as_number'),
+    expected: ['WHERE s.person_id = p.person_id', 'AND CASE WHEN s.unit_concept_id = 8554 THEN s.value_as_number ELSE NULL END > 9']
+  },
+  {
+    name: 'A Last define is not null for a person with its row, and null for a person without',
+    run: () => ['is not null', 'is null'].map(test => linesWith(
+      generateOverLast(`"Most Recent HbA1c" ${test}`).sql, 'EXISTS (', 'most_recent_hba1c s', 's.person_id'
+    )),
+    expected: [
+      ['WHERE EXISTS (', 'FROM most_recent_hba1c s', 'WHERE s.person_id = p.person_id'],
+      ['WHERE NOT EXISTS (', 'FROM most_recent_hba1c s', 'WHERE s.person_id = p.person_id']
+    ]
+  },
+  {
+    name: 'A property of the Last row is null unless the person has the row with a value',
+    run: () => ['is null', 'is not null'].map(test => linesWith(
+      generateOverLast(`"Most Recent HbA1c".value ${test}`).sql, 'EXISTS (', 's.person_id', 'value_as_number IS'
+    )),
+    expected: [
+      ['WHERE NOT EXISTS (', 'WHERE s.person_id = p.person_id', 'AND s.value_as_number IS NOT NULL'],
+      ['WHERE EXISTS (', 'WHERE s.person_id = p.person_id', 'AND s.value_as_number IS NOT NULL']
+    ]
+  },
+  {
+    name: 'Count of rows per person',
+    run: () => linesWith(generate('Two Visits').sql, 'COUNT(', 'g.person_id', ') >= 2'),
+    expected: ['SELECT COUNT(*)', 'WHERE g.person_id = p.person_id', ') >= 2']
+  },
+  {
+    name: 'Count of a return clause counts distinct values; an interval by its start and end',
+    run: () => linesWith(generate('Two Visit Days').sql, 'COUNT(', 'DISTINCT', 'd.person_id'),
+    expected: [
+      'SELECT COUNT(*)',
+      'SELECT DISTINCT g.person_id, g.start_date AS value_1, g.end_date AS value_2',
+      'WHERE d.person_id = p.person_id'
+    ]
+  },
+  {
+    name: 'Max of the returned values; Sum of the distinct ones',
+    run: () => [
+      linesWith(generate('Highest Systolic').sql, 'MAX(', 'DISTINCT'),
+      linesWith(generate('Systolic Total').sql, 'SUM(', 'DISTINCT')
+    ],
+    expected: [
+      ['SELECT MAX(g.value_as_number)'],
+      ['SELECT SUM(d.value_1)', 'SELECT DISTINCT g.person_id, g.value_as_number AS value_1']
+    ]
+  },
+  {
+    name: 'exists of a return clause needs a row with a value',
+    run: () => linesWith(generate('Any Value').sql, 'e.person_id', 'IS NOT NULL'),
+    expected: ['WHERE e.person_id = p.person_id', 'AND e.value_as_number IS NOT NULL']
+  },
+  {
+    name: 'Min of rows without a return clause is reported',
+    run: () => generate('Min Rows').untranslated.map(({ define, reason }) => ({ define, reason })),
+    expected: [{ define: 'Min Rows', reason: 'Min() of rows needs a return clause naming the value' }]
+  },
+  {
+    name: 'Window functions and aggregates validate in every dialect with a grammar',
+    run: () => DIALECTS.map(targetDialect => `${targetDialect}:${
+      ['Poor Control', 'Two Visit Days', 'Systolic Total', 'Unsorted'].every(name => generate(name, { targetDialect }).validation.valid)
+    }`),
+    expected: DIALECTS.map(dialect => `${dialect}:true`)
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing list functions\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,266 @@
+// scripts/test-measure-package.js
+// Imports FHIR measure bundles and checks libraries, population criteria and bundled expansions
+
+import measurePackageService from '../src/services/measurePackageService.js';
+
+const MAIN_CQL = `
+library DiabetesControl version '1.0.0'
+
+using FHIR version '4.0.1'
+
+include Helpers version '2.0.0' called H
+
+valueset "Diabetes": 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+
+context Patient
+
+define "Initial Population":
+  exists [Condition: "Diabetes"] and H."Has Visit"
+
+define "Numerator":
+  exists [Observation: "HbA1c Laboratory Test"]
+`;
+
+const HELPERS_CQL = `
+library Helpers version '2.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+
+context Patient
+
+define "Has Visit":
+  exists [Encounter: "Office Visit"]
+`;
+
+const base64 = text => Buffer.from(text, 'utf8').toString('base64');
+
+const library = (name, version, cql) => ({
+  resourceType: 'Library',
+  id: name,
+  url: `http://example.org/Library/${name}`,
+  name,
+  version,
+  content: [{ contentType: 'text/cql', data: base64(cql) }]
+});
+
+const valueSet = (oid, name, system, code, display) => ({
+  resourceType: 'ValueSet',
+  url: `http://cts.nlm.nih.gov/fhir/ValueSet/${oid}`,
+  name,
+  version: '20240101',
+  expansion: { contains: [{ system, code, display }] }
+});
+
+const population = (code, expression) => ({
+  code: { coding: [{ code }] },
+  criteria: { language: 'text/cql-identifier', expression }
+});
+
+const MEASURE = {
+  resourceType: 'Measure',
+  url: 'http://example.org/Measure/DiabetesControl',
+  name: 'DiabetesControl',
+  version: '1.0.0',
+  library: ['http://example.org/Library/DiabetesControl|1.0.0'],
+  scoring: { coding: [{ code: 'proportion' }] },
+  group: [{
+    population: [
+      population('initial-population', 'Initial Population'),
+      population('denominator', 'Initial Population'),
+      population('numerator', 'Numerator')
+    ]
+  }]
+};
+
+const VALUE_SETS = [
+  valueSet('2.16.840.1.113883.3.464.1003.103.12.1001', 'Diabetes', 'http://snomed.info/sct', '44054006', 'Diabetes mellitus type 2'),
+  valueSet('2.16.840.1.113883.3.464.1003.198.12.1013', 'HbA1c Laboratory Test', 'http://loinc.org', '4548-4', 'Hemoglobin A1c'),
+  valueSet('2.16.840.1.113883.3.464.1003.101.12.1001', 'Office Visit', 'http://www.ama-assn.org/go/cpt', '99213', 'Office visit')
+];
+
+const bundle = resources => ({
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: resources.map(resource => ({ resource }))
+});
+
+// Office Visit enumerated in its compose, less the codes it excludes
+const composedValueSet = exclude => ({
+  resourceType: 'ValueSet',
+  url: 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.101.12.1001',
+  name: 'Office Visit',
+  version: '20240101',
+  compose: {
+    include: [{ system: 'http://www.ama-assn.org/go/cpt', concept: [{ code: '99212' }, { code: '99213' }, { code: '99214' }] }],
+    exclude
+  }
+});
+
+const officeVisitCodes = imported => {
+  const { results, missing } = measurePackageService.getValueSetExpansions(imported, ['2.16.840.1.113883.3.464.1003.101.12.1001']);
+  return { codes: Object.values(results).flatMap(result => result.concepts.map(concept => concept.code)), missing };
+};
+
+const FULL_BUNDLE = bundle([
+  MEASURE,
+  library('DiabetesControl', '1.0.0', MAIN_CQL),
+  library('Helpers', '2.0.0', HELPERS_CQL),
+  ...VALUE_SETS
+]);
+
+const testCases = [
+  {
+    name: 'Complete bundle maps without VSAC',
+    bundle: FULL_BUNDLE,
+    expect: async imported => {
+      const summary = await measurePackageService.describePackage(imported);
+      const { results, missing } = measurePackageService.getValueSetExpansions(imported, summary.valueSets.map(vs => vs.oid));
+      return {
+        primary: summary.primaryLibrary.name,
+        includes: summary.includes.map(include => include.name),
+        populations: summary.populationCriteria[0].populations.map(item => `${item.code}=${item.criteria}`),
+        missing: summary.coverage.missing.length + missing.length,
+        codeSystems: Object.values(results).map(result => result.concepts[0].codeSystemName)
+      };
+    },
+    expected: {
+      primary: 'DiabetesControl',
+      includes: ['Helpers'],
+      populations: ['initial-population=Initial Population', 'denominator=Initial Population', 'numerator=Numerator'],
+      missing: 0,
+      codeSystems: ['SNOMEDCT', 'LOINC', 'CPT']
+    }
+  },
+  {
+    name: 'Value set without expansion is reported missing',
+    bundle: JSON.stringify(bundle([MEASURE, library('DiabetesControl', '1.0.0', MAIN_CQL), library('Helpers', '2.0.0', HELPERS_CQL), ...VALUE_SETS.slice(0, 2)])),
+    expect: async imported => (await measurePackageService.describePackage(imported)).coverage.missing.map(vs => vs.name),
+    expected: ['Office Visit']
+  },
+  {
+    name: 'Concepts a compose excludes are left out',
+    bundle: bundle([
+      MEASURE, library('DiabetesControl', '1.0.0', MAIN_CQL), library('Helpers', '2.0.0', HELPERS_CQL),
+      composedValueSet([{ system: 'http://www.ama-assn.org/go/cpt', concept: [{ code: '99214' }] }])
+    ]),
+    expect: async imported => officeVisitCodes(imported),
+    expected: { codes: ['99212', '99213'], missing: [] }
+  },
+  {
+    name: 'Excluded concepts are left out of an expansion too',
+    bundle: bundle([
+      MEASURE, library('DiabetesControl', '1.0.0', MAIN_CQL), library('Helpers', '2.0.0', HELPERS_CQL),
+      {
+        ...VALUE_SETS[2],
+        expansion: { contains: [{ system: 'http://www.ama-assn.org/go/cpt', code: '99213' }, { system: 'http://www.ama-assn.org/go/cpt', code: '99214' }] },
+        compose: { include: [{ system: 'http://www.ama-assn.org/go/cpt' }], exclude: [{ system: 'http://www.ama-assn.org/go/cpt', concept: [{ code: '99214' }] }] }
+      }
+    ]),
+    expect: async imported => officeVisitCodes(imported),
+    expected: { codes: ['99213'], missing: [] }
+  },
+  {
+    name: 'A compose that excludes by filter is not expanded and is reported',
+    bundle: bundle([
+      MEASURE, library('DiabetesControl', '1.0.0', MAIN_CQL), library('Helpers', '2.0.0', HELPERS_CQL),
+      composedValueSet([{ system: 'http://www.ama-assn.org/go/cpt', filter: [{ property: 'concept', op: 'is-a', value: '99214' }] }])
+    ]),
+    expect: async imported => ({
+      ...officeVisitCodes(imported),
+      warnings: (await measurePackageService.describePackage(imported)).warnings
+    }),
+    expected: {
+      codes: [],
+      missing: ['2.16.840.1.113883.3.464.1003.101.12.1001'],
+      warnings: ['bundle: ValueSet http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.101.12.1001 excludes concepts by filter or value set and has no expansion']
+    }
+  },
+  {
+    name: 'Library content types with parameters are read',
+    bundle: bundle([
+      MEASURE,
+      {
+        ...library('DiabetesControl', '1.0.0', MAIN_CQL),
+        content: [{ contentType: 'text/cql; charset=utf-8', data: base64(MAIN_CQL) }]
+      },
+      library('Helpers', '2.0.0', HELPERS_CQL)
+    ]),
+    expect: async imported => [imported.id, imported.primary.format],
+    expected: ['DiabetesControl|1.0.0', 'cql']
+  },
+  {
+    name: 'Primary library found without a Measure',
+    bundle: bundle([library('Helpers', '2.0.0', HELPERS_CQL), library('DiabetesControl', '1.0.0', MAIN_CQL)]),
+    expect: async imported => imported.id,
+    expected: 'DiabetesControl|1.0.0'
+  },
+  {
+    name: 'Missing included library',
+    bundle: bundle([MEASURE, library('DiabetesControl', '1.0.0', MAIN_CQL), ...VALUE_SETS]),
+    expectedError: 'LIBRARY_NOT_FOUND'
+  },
+  {
+    name: 'Measure library not in the bundle',
+    bundle: bundle([MEASURE, library('Helpers', '2.0.0', HELPERS_CQL)]),
+    expectedError: 'PRIMARY_LIBRARY_MISSING'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing measure package import\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const imported = measurePackageService.importPackage({ bundle: testCase.bundle }, '');
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, import succeeded`);
+        failed++;
+      } else {
+        const actual = await testCase.expect(imported);
+        if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+          console.log(`  ✅ PASSED`);
+          passed++;
+        } else {
+          console.log(`  ❌ FAILED`);
+          console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+          console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+          failed++;
+        }
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
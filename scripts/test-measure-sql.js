@@ -0,0 +1,213 @@
+// scripts/test-measure-sql.js
+// Scores small proportion measures and checks the population defines, flags and counts SQL
+
+import { generateMeasureSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+import { generateMeasureSqlTool } from '../src/mcp/tools/generateMeasureSql.js';
+
+const LIBRARY = `
+library MeasureTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+valueset "Hospice Care": 'urn:oid:2.16.840.1.113883.3.526.3.1584'
+
+context Patient
+
+define "Initial Population": exists [Condition: "Diabetes"]
+define "Denominator": "Initial Population"
+define "Denominator Exclusions": exists [Procedure: "Hospice Care"]
+define "Numerator": exists [Observation: "HbA1c Laboratory Test"]
+`;
+
+const CONCEPT_MAPPINGS = {
+  'Diabetes': [201826],
+  'HbA1c Laboratory Test': [3004410],
+  'Hospice Care': [4127751]
+};
+
+const MEASURE = {
+  resourceType: 'Measure',
+  url: 'http://example.org/Measure/MeasureTest',
+  scoring: { coding: [{ code: 'proportion' }] },
+  group: [{
+    id: 'main',
+    population: [
+      { code: { coding: [{ code: 'initial-population' }] }, criteria: { language: 'text/cql-identifier', expression: 'Initial Population' } },
+      { code: { coding: [{ code: 'denominator' }] }, criteria: { language: 'text/cql-identifier', expression: 'Denominator' } },
+      { code: { coding: [{ code: 'numerator' }] }, criteria: { language: 'text/cql-identifier', expression: 'Numerator' } }
+    ]
+  }]
+};
+
+// "Has Result" cannot be translated; the Numerator negates it through "No Result"
+const STUBBED_LIBRARY = LIBRARY.replace(/define "Numerator".*\n/, `define "Has Result":
+  exists ([Observation: "HbA1c Laboratory Test"] O where O.value.code.system ~ 'http://loinc.org')
+define "No Result": not "Has Result"
+define "Numerator": "No Result"
+`);
+
+// Result of the generate-measure-sql tool for a library
+async function runMeasureTool(cql) {
+  let handler = null;
+  generateMeasureSqlTool({ tool: (name, schema, toolHandler) => { handler = toolHandler; } });
+  const response = await handler({ cql, conceptMappings: CONCEPT_MAPPINGS, cqlLibraryPath: '', cdmSchema: 'dbo', parameters: {} });
+  return { isError: response.isError ?? false, ...JSON.parse(response.content[0].text) };
+}
+
+const testCases = [
+  {
+    name: 'Population defines by eCQM define names',
+    expect: result => ({
+      source: result.populationSource,
+      populations: result.populations.map(population => `${population.code}=${population.cte}`)
+    }),
+    expected: {
+      source: 'convention',
+      populations: ['initial-population=initial_population', 'denominator=denominator', 'denominator-exclusion=denominator_exclusions', 'numerator=numerator']
+    }
+  },
+  {
+    name: 'Flags nest: the numerator excludes denominator exclusions',
+    expect: result => ({
+      initialPopulation: result.personSql.includes('1 AS initial_population'),
+      numerator: /CASE WHEN EXISTS \(SELECT 1 FROM denominator m WHERE m\.person_id = ip\.person_id\)\n\s+AND NOT EXISTS \(SELECT 1 FROM denominator_exclusions m WHERE m\.person_id = ip\.person_id\)\n\s+AND EXISTS \(SELECT 1 FROM numerator m/.test(result.personSql),
+      // The measure has no exceptions or numerator exclusions
+      absent: ['0 AS numerator_exclusion', '0 AS denominator_exception'].every(column => result.personSql.includes(column)),
+      persons: result.personSql.includes('FROM (SELECT DISTINCT person_id FROM initial_population) ip')
+    }),
+    expected: { initialPopulation: true, numerator: true, absent: true, persons: true }
+  },
+  {
+    name: 'Counts and performance rate',
+    expect: result => ({
+      counts: result.countsSql.includes('COALESCE(SUM(denominator_exclusion), 0) AS denominator_exclusion'),
+      rate: result.countsSql.includes('THEN 1.0 * (COALESCE(SUM(numerator), 0) - COALESCE(SUM(numerator_exclusion), 0))'),
+      sharedCtes: result.countsSql.includes('population_flags AS (') && result.personSql.includes('population_flags AS (')
+    }),
+    expected: { counts: true, rate: true, sharedCtes: true }
+  },
+  {
+    name: 'Population defines from a Measure group',
+    options: { measure: MEASURE },
+    expect: result => ({
+      source: result.populationSource,
+      group: result.group,
+      codes: result.populations.map(population => population.code),
+      noExclusion: result.personSql.includes('0 AS denominator_exclusion')
+    }),
+    expected: { source: 'measure', group: 'main', codes: ['initial-population', 'denominator', 'numerator'], noExclusion: true }
+  },
+  {
+    name: 'Populations that read an untranslated define are untranslated',
+    cql: STUBBED_LIBRARY,
+    expect: result => ({
+      populations: result.populations.map(population => `${population.code}=${population.status}`),
+      numeratorDependsOn: result.populations.find(population => population.code === 'numerator').untranslatedDependencies,
+      untranslated: result.untranslated.map(entry => entry.define),
+      partial: result.partial.map(entry => entry.define),
+      provenance: result.provenance.numerator.status
+    }),
+    expected: {
+      populations: ['initial-population=translated', 'denominator=translated', 'denominator-exclusion=translated', 'numerator=untranslated'],
+      numeratorDependsOn: [{ define: 'Has Result', library: 'MeasureTest' }],
+      untranslated: ['Has Result'],
+      partial: ['No Result', 'Numerator'],
+      provenance: 'partial'
+    }
+  },
+  {
+    name: 'Counts built on an untranslated define are not a success',
+    cql: STUBBED_LIBRARY,
+    expect: async () => {
+      const result = await runMeasureTool(STUBBED_LIBRARY);
+      return { success: result.success, isError: result.isError, errorCode: result.errorCode, summary: result.summary.untranslatedPopulations };
+    },
+    expected: { success: false, isError: true, errorCode: 'UNTRANSLATED_POPULATIONS', summary: 1 }
+  },
+  {
+    name: 'Counts of fully translated populations are a success',
+    expect: async () => {
+      const result = await runMeasureTool(LIBRARY);
+      return { success: result.success, partial: result.summary.partial, untranslatedPopulations: result.summary.untranslatedPopulations };
+    },
+    expected: { success: true, partial: 0, untranslatedPopulations: 0 }
+  },
+  {
+    name: 'Measure criteria naming a missing define',
+    options: {
+      measure: {
+        ...MEASURE,
+        group: [{ population: [...MEASURE.group[0].population.slice(0, 2), { code: { coding: [{ code: 'numerator' }] }, criteria: { expression: 'Numerator Met' } }] }]
+      }
+    },
+    expectedError: 'UNKNOWN_DEFINE'
+  },
+  {
+    name: 'Continuous variable measures are not scored',
+    options: { measure: { ...MEASURE, scoring: { coding: [{ code: 'continuous-variable' }] } } },
+    expectedError: 'UNSUPPORTED_SCORING'
+  },
+  {
+    name: 'Library without a Numerator',
+    cql: LIBRARY.replace(/define "Numerator".*\n/, ''),
+    expectedError: 'POPULATION_NOT_FOUND'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing measure SQL generation\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const result = generateMeasureSql(testCase.cql || LIBRARY, [], CONCEPT_MAPPINGS, { cdmSchema: 'dbo', ...testCase.options });
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, generation succeeded`);
+        failed++;
+      } else {
+        const actual = await testCase.expect(result);
+        if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+          console.log(`  ✅ PASSED`);
+          passed++;
+        } else {
+          console.log(`  ❌ FAILED`);
+          console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+          console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+          failed++;
+        }
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,185 @@
+// scripts/test-provenance.js
+// Heads each generated CTE with the CQL define, library and lines it translates, and maps CTE names back to defines
+
+import { generateOmopSql, generateMeasureSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+import { parseCql } from '../src/mcp/tools/parseNlToCql/cqlParser.js';
+import { parseElm } from '../src/mcp/tools/parseNlToCql/elm.js';
+
+const LIBRARY = `library ProvenanceTest version '1.2.0'
+
+using FHIR version '4.0.1'
+
+include Helpers version '2.0.0' called H
+
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+
+context Patient
+
+define "Initial Population":
+  exists [Condition: "Diabetes"]
+    and H."Has Visit"
+
+define "Denominator": "Initial Population"
+
+define "Numerator":
+  exists ([Observation: "HbA1c Laboratory Test"] O where O.value > 9)
+
+define "Age": AgeInYears()
+`;
+
+const HELPERS = `library Helpers version '2.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+
+context Patient
+
+define "Has Visit":
+  exists [Encounter: "Office Visit"]
+`;
+
+const INCLUDED = [{
+  name: 'Helpers',
+  version: '2.0.0',
+  path: 'Helpers.cql',
+  includedBy: 'ProvenanceTest',
+  alias: 'H',
+  library: parseCql(HELPERS)
+}];
+
+// Shaped like cql-to-elm output with locators
+const ELM = {
+  library: {
+    identifier: { id: 'ElmProvenance', version: '3.0.0' },
+    usings: { def: [{ localIdentifier: 'FHIR', uri: 'http://hl7.org/fhir', version: '4.0.1' }] },
+    valueSets: { def: [{ name: 'Diabetes', id: 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001', accessLevel: 'Public' }] },
+    statements: {
+      def: [{
+        locator: '9:1-10:31',
+        name: 'Initial Population',
+        context: 'Patient',
+        accessLevel: 'Public',
+        expression: {
+          type: 'Exists',
+          operand: { type: 'Retrieve', dataType: '{http://hl7.org/fhir}Condition', codeProperty: 'code', codes: { type: 'ValueSetRef', name: 'Diabetes' } }
+        }
+      }]
+    }
+  }
+};
+
+const CONCEPT_MAPPINGS = { 'Diabetes': [201826], 'HbA1c Laboratory Test': [3004410], 'Office Visit': [9202] };
+
+const generate = (options = {}) => generateOmopSql(LIBRARY, INCLUDED, CONCEPT_MAPPINGS, { cdmSchema: 'cdm', ...options });
+
+const headers = sql => sql.split('\n').filter(line => line.startsWith('  -- define ')).map(line => line.trim());
+
+const testCases = [
+  {
+    name: 'Each CTE is headed by its define, library and CQL lines',
+    run: () => headers(generate().sql),
+    expected: [
+      '-- define "Has Visit" (library Helpers version \'2.0.0\', lines 9-10)',
+      '-- define "Initial Population" (library ProvenanceTest version \'1.2.0\', lines 12-14)',
+      '-- define "Denominator" (library ProvenanceTest version \'1.2.0\', line 16)',
+      '-- define "Numerator" (library ProvenanceTest version \'1.2.0\', lines 18-19)',
+      '-- define "Age" (library ProvenanceTest version \'1.2.0\', line 21)'
+    ]
+  },
+  {
+    name: 'CTE names map to defines, included libraries too',
+    run: () => generate().provenance,
+    expected: {
+      helpers_has_visit: { define: 'Has Visit', library: 'Helpers', version: '2.0.0', startLine: 9, startColumn: 1, endLine: 10, endColumn: 37, status: 'translated' },
+      initial_population: { define: 'Initial Population', library: 'ProvenanceTest', version: '1.2.0', startLine: 12, startColumn: 1, endLine: 14, endColumn: 22, status: 'translated' },
+      denominator: { define: 'Denominator', library: 'ProvenanceTest', version: '1.2.0', startLine: 16, startColumn: 1, endLine: 16, endColumn: 43, status: 'translated' },
+      numerator: { define: 'Numerator', library: 'ProvenanceTest', version: '1.2.0', startLine: 18, startColumn: 1, endLine: 19, endColumn: 70, status: 'translated' },
+      age: { define: 'Age', library: 'ProvenanceTest', version: '1.2.0', startLine: 21, startColumn: 1, endLine: 21, endColumn: 27, status: 'untranslated' }
+    }
+  },
+  {
+    name: 'The header of an untranslated define comes before the reason',
+    run: () => {
+      const lines = generate().sql.split('\n').map(line => line.trim());
+      const start = lines.indexOf('age AS (');
+      return lines.slice(start + 1, start + 3);
+    },
+    expected: ['-- define "Age" (library ProvenanceTest version \'1.2.0\', line 21)', '-- Not translated: AgeInYears() is neither a list of events nor a patient-level condition']
+  },
+  {
+    name: 'Measure SQL carries the same headers and map',
+    run: () => {
+      const result = generateMeasureSql(LIBRARY, INCLUDED, CONCEPT_MAPPINGS, { cdmSchema: 'cdm' });
+      return {
+        personSql: headers(result.personSql).length,
+        countsSql: headers(result.countsSql).length,
+        populations: result.populations.map(population => `${population.cte}=${result.provenance[population.cte].define}`)
+      };
+    },
+    expected: {
+      personSql: 5,
+      countsSql: 5,
+      populations: ['initial_population=Initial Population', 'denominator=Denominator', 'numerator=Numerator']
+    }
+  },
+  {
+    name: 'ELM input: lines from the ELM locators',
+    run: () => {
+      const result = generateOmopSql(parseElm(ELM), [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm' });
+      return { headers: headers(result.sql), lines: [result.provenance.initial_population.startLine, result.provenance.initial_population.endLine] };
+    },
+    expected: { headers: ['-- define "Initial Population" (library ElmProvenance version \'3.0.0\', lines 9-10)'], lines: [9, 10] }
+  },
+  {
+    name: 'The headers are comments, so the SQL still validates',
+    run: () => ['postgresql', 'sql server', 'bigquery'].map(targetDialect => generate({ targetDialect }).validation.valid),
+    expected: [true, true, true]
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing SQL provenance\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
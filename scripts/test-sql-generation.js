@@ -0,0 +1,354 @@
+// scripts/test-sql-generation.js
+// Translates small CQL libraries to OMOP SQL and checks CTEs, concept filters and untranslated defines
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+
+const HEADER = `
+library SqlTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+codesystem "LOINC": 'http://loinc.org'
+
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+
+code "HbA1c": '4548-4' from "LOINC"
+
+context Patient
+`;
+
+// Shaped like the map-vsac-to-omop result
+const CONCEPT_MAPPINGS = {
+  pipeline: {
+    step4_final_concept_sets: {
+      verbatim: [{ concept_set_id: '2.16.840.1.113883.3.464.1003.103.12.1001', concept_set_name: 'Diabetes', concept_id: 44054006 }],
+      standard: [{ concept_set_id: '2.16.840.1.113883.3.464.1003.103.12.1001', concept_set_name: 'Diabetes', concept_id: 201826 }],
+      mapped: [
+        { concept_set_id: '2.16.840.1.113883.3.464.1003.198.12.1013', concept_set_name: 'HbA1c Laboratory Test', concept_id: 3004410 },
+        { concept_set_id: 'PLACEHOLDER_HBA1C', concept_set_name: 'HbA1c', concept_id: 3004410 }
+      ]
+    },
+    step5_individual_code_mappings: [
+      { type: 'code', name: 'HbA1c', library: 'SqlTest', conceptSetId: 'PLACEHOLDER_HBA1C' }
+    ]
+  }
+};
+
+// One interval parameter, for the placeholder syntax of each dialect
+const BIND_CQL = `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population": exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts during "Measurement Period")`;
+
+const testCases = [
+  {
+    name: 'Retrieves read the fact table of their data type',
+    cql: `${HEADER}
+define "Initial Population":
+  exists [Condition: "Diabetes"] and exists [Encounter: "Office Visit"]`,
+    expect: result => ({
+      tables: ['dbo.condition_occurrence co', 'dbo.visit_occurrence vo'].filter(table => result.sql.includes(table)).length,
+      standardOnly: result.sql.includes('(1, 201826)') && !result.sql.includes('44054006'),
+      finalSelect: result.sql.trim().endsWith('FROM initial_population;')
+    }),
+    expected: { tables: 2, standardOnly: true, finalSelect: true }
+  },
+  {
+    name: 'Defines become CTEs after the defines they use',
+    cql: `${HEADER}
+define "Initial Population": "Has Diabetes"
+define "Has Diabetes": exists "Diabetes Conditions"
+define "Diabetes Conditions": [Condition: "Diabetes"]`,
+    expect: result => result.defines.map(entry => `${entry.cte}:${entry.resultType}`),
+    expected: ['diabetes_conditions:events', 'has_diabetes:persons', 'initial_population:persons']
+  },
+  {
+    name: 'with, where and code comparisons',
+    cql: `${HEADER}
+define "High A1c":
+  [Observation: "HbA1c Laboratory Test"] O
+    with [Encounter: "Office Visit"] E such that O.code ~ "HbA1c"
+    where O.value > 9`,
+    expect: result => ({
+      exists: /EXISTS \(\s+SELECT 1\s+FROM \([\s\S]+\) e\s+WHERE e\.person_id = o\.person_id/.test(result.sql),
+      code: result.sql.includes('o.concept_id IN (SELECT concept_id FROM codesets WHERE codeset_id = 3)'),
+      value: result.sql.includes('o.value_as_number > 9'),
+      codesets: result.codesets.map(codeset => `${codeset.name}=${codeset.conceptCount}`)
+    }),
+    expected: {
+      exists: true,
+      code: true,
+      value: true,
+      codesets: ['HbA1c Laboratory Test=1', 'Office Visit=0', 'HbA1c=1']
+    }
+  },
+  {
+    name: 'Untranslatable define becomes an empty CTE',
+    cql: `${HEADER}
+define "Age": AgeInYears()
+define "Initial Population": "Age" >= 18`,
+    expect: result => ({
+      untranslated: result.untranslated.map(entry => entry.define),
+      stub: result.sql.includes('-- Not translated: AgeInYears()')
+    }),
+    expected: { untranslated: ['Age', 'Initial Population'], stub: true }
+  },
+  {
+    name: 'Measurement Period becomes bind parameters with its default values',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+  default Interval[@2024-01-01T00:00:00.0, @2025-01-01T00:00:00.0)
+
+context Patient`)}
+define "Initial Population":
+  exists ([Encounter: "Office Visit"] E where E.period during "Measurement Period")`,
+    expect: result => ({
+      start: result.sql.includes('e.start_date >= CAST(:measurement_period_start AS TIMESTAMP)'),
+      end: result.sql.includes("e.end_date <= (CAST(:measurement_period_end AS TIMESTAMP) - INTERVAL '1 millisecond')"),
+      bindings: result.bindings,
+      source: result.parameters.map(parameter => `${parameter.name}=${parameter.source}`)
+    }),
+    expected: {
+      start: true,
+      end: true,
+      bindings: { measurement_period_start: '2024-01-01T00:00:00.0', measurement_period_end: '2025-01-01T00:00:00.0' },
+      source: ['Measurement Period=default']
+    }
+  },
+  {
+    name: 'Parameter values from the input as SqlRender placeholders',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population":
+  exists ([Condition: "Diabetes"] C where C.onset in "Measurement Period")`,
+    options: {
+      parameterStyle: 'sqlrender',
+      parameters: { 'Measurement Period': 'Interval[@2023-01-01T00:00:00.0, @2023-12-31T23:59:59.999]' }
+    },
+    expect: result => ({
+      placeholders: ["CAST('@measurement_period_start' AS TIMESTAMP)", "CAST('@measurement_period_end' AS TIMESTAMP)"]
+        .every(placeholder => result.sql.includes(placeholder)),
+      bindings: result.bindings
+    }),
+    expected: {
+      placeholders: true,
+      bindings: { measurement_period_start: '2023-01-01T00:00:00.0', measurement_period_end: '2023-12-31T23:59:59.999' }
+    }
+  },
+  {
+    name: 'Age at the start of the Measurement Period reads birth dates from person',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population":
+  AgeInYearsAt(date from start of "Measurement Period") >= 18
+    and Patient.gender = 'female'`,
+    options: { birthDatePolicy: 'exclude' },
+    expect: result => ({
+      birthDates: /birth_dates AS \([\s\S]+CASE WHEN p\.month_of_birth IS NOT NULL AND p\.day_of_birth IS NOT NULL THEN MAKE_DATE/.test(result.sql),
+      age: result.sql.includes('EXTRACT(YEAR FROM CAST(CAST(:measurement_period_start AS TIMESTAMP) AS DATE)) - EXTRACT(YEAR FROM bd.birth_date)'),
+      gender: result.sql.includes('p.gender_concept_id = 8532'),
+      untranslated: result.untranslated.length
+    }),
+    expected: { birthDates: true, age: true, gender: true, untranslated: 0 }
+  },
+  {
+    name: 'Supplemental data elements read person and payer_plan_period',
+    cql: `${HEADER}
+valueset "Payer Type": 'urn:oid:2.16.840.1.114222.4.11.3591'
+define "SDE Ethnicity": Patient.ethnicity E return Tuple { codes: { E.ombCategory }, display: E.text }
+define "SDE Payer": [Coverage: type in "Payer Type"] Payer return { code: Payer.type, period: Payer.period }
+define "SDE Race": Patient.race R return Tuple { codes: R.ombCategory }
+define "SDE Sex": case when Patient.gender = 'male' then 'M' when Patient.gender = 'female' then 'F' else null end
+define "Initial Population": exists [Condition: "Diabetes"]`,
+    expect: result => result.defines
+      .filter(entry => entry.supplementalData)
+      .map(entry => `${entry.cte}:${entry.supplementalData}:${entry.status}`),
+    expected: [
+      'sde_ethnicity:person_ethnicity:translated',
+      'sde_payer:payer_plan_period:translated',
+      'sde_race:person_race:translated',
+      'sde_sex:person_sex:translated'
+    ]
+  },
+  {
+    name: 'SQL Server dialect',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population":
+  AgeInYearsAt(date from start of "Measurement Period") >= 18
+    and exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts 30 days or less after start of "Measurement Period")`,
+    options: { targetDialect: 'sql server' },
+    expect: result => ({
+      dialect: result.targetDialect,
+      dateAdd: result.sql.includes('DATEADD(day, 30, CAST(@measurement_period_start AS DATETIME2))'),
+      birthDate: result.sql.includes('DATEFROMPARTS(p.year_of_birth'),
+      datePart: result.sql.includes('DATEPART(year, bd.birth_date)'),
+      postgres: /INTERVAL|MAKE_DATE|EXTRACT\(|AS TIMESTAMP\)/.test(result.sql)
+    }),
+    expected: { dialect: 'sql server', dateAdd: true, birthDate: true, datePart: true, postgres: false }
+  },
+  {
+    name: 'SQL Server truncation runs before SQL Server 2022',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population":
+  exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts same month as start of "Measurement Period")
+    and exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts same week as start of "Measurement Period")
+    and exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts same second as start of "Measurement Period")`,
+    options: { targetDialect: 'sql server' },
+    expect: result => ({
+      datetrunc: result.sql.includes('DATETRUNC'),
+      month: result.sql.includes('DATEADD(month, DATEDIFF(month, 0, CAST(@measurement_period_start AS DATETIME2)), 0)'),
+      week: result.sql.includes('DATEADD(day, (DATEDIFF(day, 0, CAST(@measurement_period_start AS DATETIME2)) / 7) * 7, 0)'),
+      second: result.sql.includes('DATEADD(second, DATEDIFF(second, CAST(CAST(@measurement_period_start AS DATETIME2) AS DATE)'),
+      valid: result.validation.valid
+    }),
+    expected: { datetrunc: false, month: true, week: true, second: true, valid: true }
+  },
+  {
+    name: 'Oracle truncates to the second without rounding',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population":
+  exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts same second as start of "Measurement Period")`,
+    options: { targetDialect: 'oracle' },
+    expect: result => ({
+      truncated: result.sql.includes(`TO_TIMESTAMP(TO_CHAR(TO_TIMESTAMP(:measurement_period_start, 'YYYY-MM-DD"T"HH24:MI:SS.FF'), 'YYYY-MM-DD HH24:MI:SS'), 'YYYY-MM-DD HH24:MI:SS')`),
+      rounded: result.sql.includes('TIMESTAMP(0)')
+    }),
+    expected: { truncated: true, rounded: false }
+  },
+  {
+    name: 'Oracle parameters are read with explicit formats',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+parameter "Index Date" Date
+
+context Patient`)}
+define "Initial Population":
+  exists ([Condition: "Diabetes"] C where C.prevalencePeriod starts during "Measurement Period" and C.recordedDate on or after "Index Date")`,
+    options: { targetDialect: 'oracle', parameters: { 'Measurement Period': ['2024-01-01', '2024-12-31T23:59:59.999'], 'Index Date': '2023-06-01' } },
+    expect: result => ({
+      timestamp: result.sql.includes(`TO_TIMESTAMP(:measurement_period_start, 'YYYY-MM-DD"T"HH24:MI:SS.FF')`),
+      date: result.sql.includes(`TO_DATE(:index_date, 'YYYY-MM-DD')`),
+      cast: /CAST\(:\w+ AS/.test(result.sql),
+      bindings: result.bindings
+    }),
+    expected: {
+      timestamp: true,
+      date: true,
+      cast: false,
+      bindings: { measurement_period_start: '2024-01-01T00:00:00.000', measurement_period_end: '2024-12-31T23:59:59.999', index_date: '2023-06-01' }
+    }
+  },
+  {
+    name: 'BigQuery dialect',
+    cql: `${HEADER}
+define "Diabetes Conditions": [Condition: "Diabetes"] union [Condition: "Diabetes"]
+define "Initial Population":
+  exists ("Diabetes Conditions" C where C.prevalencePeriod starts on or after @2024-01-01T00:00:00.0)`,
+    options: { targetDialect: 'bigquery' },
+    expect: result => ({
+      values: result.sql.includes('FROM UNNEST([\n    STRUCT(1 AS codeset_id, 201826 AS concept_id)'),
+      union: result.sql.includes('\n  UNION DISTINCT\n'),
+      // DATE columns are cast before they are compared with a DATETIME
+      comparison: result.sql.includes("CAST(c.start_date AS DATETIME) >= DATETIME '2024-01-01 00:00:00.000'"),
+      types: /CAST\(NULL AS INT64\)/.test(result.sql) && !/VARCHAR|INTEGER/.test(result.sql)
+    }),
+    expected: { values: true, union: true, comparison: true, types: true }
+  },
+  {
+    name: 'Named parameters use the bind syntax of each dialect',
+    cql: BIND_CQL,
+    expect: () => ['postgresql', 'sql server', 'oracle', 'bigquery', 'snowflake', 'spark', 'duckdb'].map(targetDialect => {
+      const { sql } = generateOmopSql(BIND_CQL, [], CONCEPT_MAPPINGS, { cdmSchema: 'dbo', targetDialect });
+      return `${targetDialect}:${/[:@$]measurement_period_start\b/.exec(sql)?.[0]}`;
+    }),
+    expected: [
+      'postgresql::measurement_period_start',
+      'sql server:@measurement_period_start',
+      'oracle::measurement_period_start',
+      'bigquery:@measurement_period_start',
+      'snowflake::measurement_period_start',
+      'spark::measurement_period_start',
+      'duckdb:$measurement_period_start'
+    ]
+  },
+  {
+    name: 'Invalid parameter value',
+    cql: `${HEADER.replace('context Patient', `parameter "Measurement Period" Interval<DateTime>
+
+context Patient`)}
+define "Initial Population": exists [Condition: "Diabetes"]`,
+    options: { parameters: { 'Measurement Period': 2024 } },
+    expectedError: 'INVALID_PARAMETER_VALUE'
+  },
+  {
+    name: 'Unknown target define',
+    cql: `${HEADER}
+define "Initial Population": exists [Condition: "Diabetes"]`,
+    target: 'Numerator',
+    expectedError: 'UNKNOWN_DEFINE'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing OMOP SQL generation\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const result = generateOmopSql(testCase.cql, [], CONCEPT_MAPPINGS, { cdmSchema: 'dbo', target: testCase.target, ...testCase.options });
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, generation succeeded`);
+        failed++;
+      } else {
+        const actual = testCase.expect(result);
+        if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+          console.log(`  ✅ PASSED`);
+          passed++;
+        } else {
+          console.log(`  ❌ FAILED`);
+          console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+          console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+          failed++;
+        }
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
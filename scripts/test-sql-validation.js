@@ -0,0 +1,208 @@
+// scripts/test-sql-validation.js
+// Parses SQL in each dialect's grammar and checks table and column references against the bundled OMOP CDM schema
+
+import { validateSql, assertValidSql } from '../src/mcp/tools/generateSql/sqlValidator.js';
+import { generateOmopSql, generateMeasureSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+
+const LIBRARY = `
+library ValidationTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+
+parameter "Measurement Period" Interval<DateTime>
+  default Interval[@2024-01-01T00:00:00.0, @2025-01-01T00:00:00.0)
+
+context Patient
+
+define "SDE Sex": Patient.gender
+
+define "Initial Population":
+  AgeInYearsAt(date from start of "Measurement Period") >= 18
+    and exists ([Encounter: "Office Visit"] E where E.period during "Measurement Period")
+
+define "Denominator": "Initial Population" and exists [Condition: "Diabetes"]
+
+define "Numerator":
+  exists ([Observation: "HbA1c Laboratory Test"] O where O.value > 9)
+`;
+
+const CONCEPT_MAPPINGS = { 'Diabetes': [201826], 'Office Visit': [9202], 'HbA1c Laboratory Test': [3004410] };
+
+const PARSED_DIALECTS = ['postgresql', 'sql server', 'bigquery', 'snowflake', 'spark', 'duckdb'];
+
+const located = result => result.diagnostics.map(({ severity, code, clause, line, column, text }) => ({ severity, code, clause, line, column, text }));
+
+const testCases = [
+  {
+    name: 'generate-sql output validates in every dialect with a grammar',
+    run: () => PARSED_DIALECTS.map(targetDialect => {
+      const generated = generateOmopSql(LIBRARY, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', targetDialect, target: 'Denominator' });
+      return `${generated.validation.dialect}:${generated.validation.valid}:${generated.validation.diagnostics.length}`;
+    }),
+    expected: PARSED_DIALECTS.map(dialect => `${dialect}:true:0`)
+  },
+  {
+    name: 'generate-measure-sql validates both queries against CDM 5.3',
+    run: () => {
+      const { validation } = generateMeasureSql(LIBRARY, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', cdmVersion: '5.3' });
+      return { valid: validation.valid, cdmVersion: validation.cdmVersion, diagnostics: validation.diagnostics.length };
+    },
+    expected: { valid: true, cdmVersion: '5.3', diagnostics: 0 }
+  },
+  {
+    name: 'Unknown column: the clause, position and line it is on',
+    run: () => located(validateSql(
+      'SELECT co.person_id\nFROM cdm.condition_occurrence co\nWHERE co.condition_start_date >= DATE \'2024-01-01\'\n  AND co.condition_concept = 201826'
+    )),
+    expected: [{ severity: 'error', code: 'UNKNOWN_COLUMN', clause: 'WHERE', line: 4, column: 7, text: 'AND co.condition_concept = 201826' }]
+  },
+  {
+    name: 'Unknown table',
+    run: () => validateSql('SELECT p.person_id\nFROM cdm.person p\nINNER JOIN cdm.conditions c ON c.person_id = p.person_id').diagnostics
+      .map(({ code, clause, table, message }) => ({ code, clause, table, message })),
+    expected: [{ code: 'UNKNOWN_TABLE', clause: 'INNER JOIN', table: 'conditions', message: 'Table "cdm.conditions" is not in the OMOP CDM 5.4 schema' }]
+  },
+  {
+    name: 'Columns are checked against the CDM version',
+    run: () => ['5.3', '5.4'].map(cdmVersion => validateSql(
+      'SELECT po.procedure_end_date FROM cdm.procedure_occurrence po', { cdmVersion }
+    ).diagnostics.map(diagnostic => diagnostic.message)),
+    expected: [['Column "procedure_end_date" is not in CDM 5.3 procedure_occurrence; it is a CDM 5.4 column'], []]
+  },
+  {
+    name: 'Correlated subqueries see the outer aliases; unknown aliases are reported',
+    run: () => validateSql(
+      'SELECT p.person_id FROM cdm.person p\nWHERE EXISTS (SELECT 1 FROM cdm.death d WHERE d.person_id = p.person_id AND x.death_date IS NOT NULL)'
+    ).diagnostics.map(({ code, alias, line, column }) => ({ code, alias, line, column })),
+    expected: [{ code: 'UNKNOWN_ALIAS', alias: 'x', line: 2, column: 77 }]
+  },
+  {
+    name: 'CTEs and registered non-CDM tables are known',
+    run: () => validateSql(
+      'WITH codesets AS (SELECT 1 AS codeset_id, 201826 AS concept_id)\n' +
+      'SELECT cr.concept_id_2, t.concept_code, cs.concept_id\nFROM #temp_concepts t\n' +
+      'INNER JOIN cdm.concept_relationship_new cr ON cr.concept_id_1 = t.concept_id\nCROSS JOIN codesets cs',
+      { dialect: 'sql server', tables: { temp_concepts: ['concept_set_id', 'concept_code'], concept_relationship_new: 'concept_relationship' } }
+    ).diagnostics.map(({ code, columnName, line }) => ({ code, columnName, line })),
+    expected: [{ code: 'UNKNOWN_COLUMN', columnName: 'concept_id', line: 4 }]
+  },
+  {
+    name: 'Syntax errors carry the location of the parse failure',
+    run: () => located(validateSql('SELECT person_id\nFROM cdm.person\nWHERE year_of_birth >', { dialect: 'snowflake' })),
+    expected: [{ severity: 'error', code: 'SYNTAX_ERROR', clause: 'WHERE', line: 3, column: 22, text: 'WHERE year_of_birth >' }]
+  },
+  {
+    name: 'Dialects without a grammar are not validated',
+    run: () => {
+      const result = validateSql('SELECT person_id FROM cdm.person FETCH FIRST 1 ROWS ONLY', { dialect: 'oracle' });
+      return { valid: result.valid, status: result.status, codes: result.diagnostics.map(diagnostic => `${diagnostic.severity}:${diagnostic.code}`) };
+    },
+    expected: { valid: null, status: 'not validated', codes: ['warning:PARSER_UNAVAILABLE'] }
+  },
+  {
+    name: 'Oracle SQL is reported as not validated, not valid, by generate-sql',
+    run: () => {
+      const generated = generateOmopSql(LIBRARY, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', targetDialect: 'oracle', target: 'Denominator' });
+      return { valid: generated.validation.valid, status: generated.validation.status, warned: generated.warnings.includes('The generated SQL was not validated: there is no oracle grammar') };
+    },
+    expected: { valid: null, status: 'not validated', warned: true }
+  },
+  {
+    name: 'INTERSECT and EXCEPT parse in grammars without them',
+    run: () => [
+      ['sql server', 'INTERSECT'], ['sql server', 'EXCEPT'], ['snowflake', 'EXCEPT'], ['spark', 'INTERSECT'], ['bigquery', 'EXCEPT DISTINCT']
+    ].map(([dialect, operator]) => {
+      const result = validateSql(`SELECT person_id FROM cdm.person ${operator} SELECT person_id FROM cdm.person`, { dialect });
+      return `${dialect} ${operator}:${result.valid}`;
+    }),
+    expected: ['sql server INTERSECT:true', 'sql server EXCEPT:true', 'snowflake EXCEPT:true', 'spark INTERSECT:true', 'bigquery EXCEPT DISTINCT:true']
+  },
+  {
+    name: 'Branches of a set operation are still checked',
+    run: () => validateSql(
+      'SELECT person_id FROM cdm.person\nEXCEPT\nSELECT d.person_identifier FROM cdm.death d', { dialect: 'sql server' }
+    ).diagnostics.map(({ code, line, column }) => ({ code, line, column })),
+    expected: [{ code: 'UNKNOWN_COLUMN', line: 3, column: 8 }]
+  },
+  {
+    name: 'CQL except and intersect validate on SQL Server',
+    run: () => {
+      const cql = LIBRARY + `
+define "Other Visits":
+  [Encounter: "Office Visit"] except ([Encounter: "Office Visit"] E where E.period during "Measurement Period")
+
+define "Same Visits":
+  [Encounter: "Office Visit"] intersect ([Encounter: "Office Visit"] E where E.period during "Measurement Period")
+`;
+      const { sql, validation } = generateOmopSql(cql, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', targetDialect: 'sql server', target: 'Same Visits' });
+      return {
+        operators: ['EXCEPT', 'INTERSECT'].filter(operator => new RegExp(`^\\s*${operator}$`, 'm').test(sql)),
+        valid: validation.valid,
+        diagnostics: validation.diagnostics.length
+      };
+    },
+    expected: { operators: ['EXCEPT', 'INTERSECT'], valid: true, diagnostics: 0 }
+  },
+  {
+    name: 'SQL that fails validation is refused',
+    run: () => assertValidSql('SELECT c.concept_identifier FROM cdm.concept c'),
+    expectedError: 'INVALID_SQL'
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing SQL validation\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (testCase.expectedError) {
+        console.log(`  ❌ FAILED: expected ${testCase.expectedError}, validation succeeded`);
+        failed++;
+      } else if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      if (testCase.expectedError && error.code === testCase.expectedError) {
+        console.log(`  ✅ PASSED (${error.code})`);
+        passed++;
+      } else {
+        console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
@@ -0,0 +1,162 @@
+// scripts/test-status-filters.js
+// Translates status, intent, verification and category filters to OMOP columns and reports the ones OMOP cannot express
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+
+const FHIR_HEADER = `
+library StatusTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+codesystem "ConditionClinicalStatusCodes": 'http://terminology.hl7.org/CodeSystem/condition-clinical'
+codesystem "ConditionVerificationStatusCodes": 'http://terminology.hl7.org/CodeSystem/condition-ver-status'
+
+code "active": 'active' from "ConditionClinicalStatusCodes"
+code "confirmed": 'confirmed' from "ConditionVerificationStatusCodes"
+
+valueset "Diabetes": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+valueset "Office Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "Statin Therapy": 'urn:oid:2.16.840.1.117.1.1.40.0.8.22'
+
+context Patient
+`;
+
+const QDM_HEADER = `
+library StatusTest version '1.0.0'
+
+using QDM version '5.6'
+
+valueset "Statin Therapy": 'urn:oid:2.16.840.1.117.1.1.40.0.8.22'
+
+context Patient
+`;
+
+const CONCEPT_MAPPINGS = { 'Diabetes': [201826], 'Office Visit': [9202], 'Statin Therapy': [1539403] };
+
+const generate = (define, header = FHIR_HEADER) => generateOmopSql(`${header}\ndefine "Filtered": ${define}\n`, [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm' });
+
+// The where clause of the filtered query
+const whereOf = define => generate(define).sql
+  .split('\n').map(line => line.trim())
+  .filter(line => /^(WHERE|AND) /.test(line) && !line.includes('codesets'));
+
+const testCases = [
+  {
+    name: 'Condition clinical and verification status: end date and condition_status_concept_id',
+    run: () => whereOf('[Condition: "Diabetes"] C where C.clinicalStatus ~ "active" and C.verificationStatus ~ "confirmed"'),
+    expected: ['WHERE c.end_date IS NULL', 'AND (c.status_concept_id IS NULL OR c.status_concept_id <> 32899)']
+  },
+  {
+    name: 'Condition category: problem list entries by condition_type_concept_id',
+    run: () => whereOf('[Condition: "Diabetes"] C where C.category ~ \'problem-list-item\''),
+    expected: ['WHERE c.type_concept_id IN (32840, 38000245)']
+  },
+  {
+    name: 'Medication request intent and status: drug_type_concept_id and stop_reason',
+    run: () => whereOf('[MedicationRequest: "Statin Therapy"] M where FHIRHelpers.ToString(M.intent) = \'order\' and M.status in { \'active\', \'completed\' }'),
+    expected: ['WHERE m.type_concept_id IN (32833, 32838, 38000177)', 'AND m.stop_reason IS NULL']
+  },
+  {
+    name: 'Negated comparisons negate the condition',
+    run: () => whereOf('[MedicationRequest: "Statin Therapy"] M where M.status != \'stopped\''),
+    expected: ['WHERE NOT (m.stop_reason IS NOT NULL)']
+  },
+  {
+    name: 'Statuses every OMOP row has, and ones OMOP holds no rows for',
+    run: () => [
+      whereOf('[Encounter: "Office Visit"] E where E.status.value = \'finished\''),
+      whereOf('[Encounter: "Office Visit"] E where E.status = \'cancelled\'')
+    ],
+    expected: [['WHERE 1 = 1'], ['WHERE 1 = 0']]
+  },
+  {
+    name: 'Filters OMOP cannot express are dropped and reported one by one',
+    run: () => {
+      const generated = generate('[Encounter: "Office Visit"] E where E.status in { \'finished\', \'in-progress\' } and E.status ~ "active"');
+      return {
+        filters: generated.statusFilters.map(({ define, element, line, condition, reason }) => ({ define, element, line, condition, reason })),
+        warnings: generated.warnings.filter(warning => warning.includes('not representable'))
+      };
+    },
+    expected: {
+      filters: [
+        { define: 'Filtered', element: 'E.status', line: 18, condition: null, reason: "OMOP cannot tell Encounter rows with status 'in-progress'" },
+        { define: 'Filtered', element: 'E.status', line: 18, condition: null, reason: "OMOP cannot tell Encounter rows with status 'active'" }
+      ],
+      warnings: [
+        `"Filtered": E.status in { 'finished', 'in-progress' } is not representable in OMOP: OMOP cannot tell Encounter rows with status 'in-progress'; the filter is dropped`,
+        `"Filtered": E.status ~ 'active' is not representable in OMOP: OMOP cannot tell Encounter rows with status 'active'; the filter is dropped`
+      ]
+    }
+  },
+  {
+    name: 'Elements without an OMOP column are not representable',
+    run: () => generate('[Observation] O where O.category ~ \'vital-signs\'').statusFilters.map(filter => filter.reason),
+    expected: ['OMOP has no column for Observation.category']
+  },
+  {
+    name: 'QDM negation data types select no rows',
+    run: () => {
+      const generated = generate('["Medication, Not Ordered": "Statin Therapy"]', QDM_HEADER);
+      return {
+        empty: generated.sql.includes('-- Not representable: OMOP records no actions that were not performed; the retrieve selects no rows'),
+        resources: generated.statusFilters.map(filter => filter.resources),
+        codesets: generated.codesets.length
+      };
+    },
+    expected: { empty: true, resources: [['Medication, Not Ordered']], codesets: 0 }
+  },
+  {
+    name: 'Status columns validate against both CDM versions',
+    run: () => ['5.3', '5.4'].map(cdmVersion => generateOmopSql(
+      `${FHIR_HEADER}\ndefine "Filtered": [Condition: "Diabetes"] C where C.verificationStatus ~ "confirmed"\n`,
+      [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', cdmVersion }
+    ).validation.valid),
+    expected: [true, true]
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing status filters\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
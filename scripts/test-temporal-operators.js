@@ -0,0 +1,440 @@
+// scripts/test-temporal-operators.js
+// One fixture per CQL timing operator: the date predicate generate-sql writes for it,
+// and boundary cases with the CQL result. The cases run against PostgreSQL temp
+// tables when DATABASE_HOST and DATABASE_PASSWORD are set; otherwise only the SQL is checked.
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+
+const LIBRARY = body => `
+library TemporalTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "Visit": 'urn:oid:2.16.840.1.113883.3.464.1003.101.12.1001'
+valueset "Dx": 'urn:oid:2.16.840.1.113883.3.464.1003.103.12.1001'
+
+context Patient
+
+define "Result":
+  ${body}
+`;
+
+const CONCEPT_MAPPINGS = { Visit: [9202], Dx: [201826] };
+
+const MARCH = 'Interval[@2024-03-01, @2024-03-31]';
+
+// Each case is one patient with one visit [start, end], or none when visit is null
+// (and a condition, when given); expected is whether the define is true for them in CQL
+const fixtures = [
+  {
+    operator: 'during',
+    cql: `[Encounter: "Visit"] E where E.period during ${MARCH}`,
+    sql: "(e.start_date >= DATE '2024-03-01' AND (e.end_date IS NOT NULL AND e.end_date <= DATE '2024-03-31'))",
+    cases: [
+      { visit: ['2024-03-01', '2024-03-05'], expected: true },
+      { visit: ['2024-03-20', '2024-03-31'], expected: true },
+      { visit: ['2024-02-29', '2024-03-03'], expected: false },
+      { visit: ['2024-03-10', null], expected: false }
+    ]
+  },
+  {
+    operator: 'properly during',
+    cql: `[Encounter: "Visit"] E where E.period properly during ${MARCH}`,
+    sql: "(e.start_date >= DATE '2024-03-01' AND (e.end_date IS NOT NULL AND e.end_date <= DATE '2024-03-31') AND (e.start_date > DATE '2024-03-01' OR (e.end_date IS NOT NULL AND e.end_date < DATE '2024-03-31')))",
+    cases: [
+      { visit: ['2024-03-01', '2024-03-31'], expected: false },
+      { visit: ['2024-03-01', '2024-03-30'], expected: true }
+    ]
+  },
+  {
+    operator: 'includes',
+    cql: '[Encounter: "Visit"] E where E.period includes @2024-03-10',
+    sql: "(DATE '2024-03-10' >= e.start_date AND (e.end_date IS NULL OR DATE '2024-03-10' <= e.end_date))",
+    cases: [
+      { visit: ['2024-03-10', '2024-03-10'], expected: true },
+      { visit: ['2024-03-01', '2024-03-09'], expected: false },
+      { visit: ['2024-03-01', null], expected: true }
+    ]
+  },
+  {
+    operator: 'in (open interval)',
+    cql: '[Encounter: "Visit"] E where start of E.period in Interval[@2024-01-01, @2025-01-01)',
+    sql: "(e.start_date >= DATE '2024-01-01' AND e.start_date <= (DATE '2025-01-01' - INTERVAL '1 day'))",
+    cases: [
+      { visit: ['2024-12-31', '2025-01-02'], expected: true },
+      { visit: ['2025-01-01', '2025-01-02'], expected: false }
+    ]
+  },
+  {
+    operator: 'during (closed null end)',
+    cql: '[Encounter: "Visit"] E where E.period during Interval[@2024-01-01, null]',
+    sql: "(e.start_date >= DATE '2024-01-01' AND 1 = 1)",
+    cases: [
+      { visit: ['2024-06-01', null], expected: true },
+      { visit: ['2023-12-31', '2024-01-02'], expected: false }
+    ]
+  },
+  {
+    operator: 'ends before start of',
+    cql: `[Encounter: "Visit"] E where E.period ends before start of ${MARCH}`,
+    sql: "(e.end_date IS NOT NULL AND e.end_date < DATE '2024-03-01')",
+    cases: [
+      { visit: ['2024-02-01', '2024-02-29'], expected: true },
+      { visit: ['2024-02-01', '2024-03-01'], expected: false },
+      { visit: ['2024-02-01', null], expected: false }
+    ]
+  },
+  {
+    operator: 'not ends before start of',
+    cql: `[Encounter: "Visit"] E where not (E.period ends before start of ${MARCH})`,
+    sql: "NOT ((e.end_date IS NOT NULL AND e.end_date < DATE '2024-03-01'))",
+    cases: [
+      { visit: ['2024-02-01', '2024-02-29'], expected: false },
+      { visit: ['2024-02-01', null], expected: true }
+    ]
+  },
+  {
+    operator: 'ends on or before',
+    cql: '[Encounter: "Visit"] E where E.period ends on or before @2024-03-10',
+    sql: "(e.end_date IS NOT NULL AND e.end_date <= DATE '2024-03-10')",
+    cases: [
+      { visit: ['2024-03-01', '2024-03-10'], expected: true },
+      { visit: ['2024-03-01', '2024-03-11'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts after end of',
+    cql: `[Encounter: "Visit"] E where E.period starts after end of ${MARCH}`,
+    sql: "e.start_date > DATE '2024-03-31'",
+    cases: [
+      { visit: ['2024-03-31', '2024-04-02'], expected: false },
+      { visit: ['2024-04-01', '2024-04-02'], expected: true }
+    ]
+  },
+  {
+    operator: 'starts within 30 days after end of',
+    cql: `[Encounter: "Visit"] E
+    with [Condition: "Dx"] C
+      such that E.period starts within 30 days after end of C.prevalencePeriod`,
+    sql: "((c.end_date IS NULL OR e.start_date <= (c.end_date + INTERVAL '30 day')) AND (c.end_date IS NOT NULL AND e.start_date > c.end_date))",
+    cases: [
+      { condition: ['2024-01-01', '2024-01-10'], visit: ['2024-02-09', '2024-02-09'], expected: true },
+      { condition: ['2024-01-01', '2024-01-10'], visit: ['2024-02-10', '2024-02-10'], expected: false },
+      { condition: ['2024-01-01', '2024-01-10'], visit: ['2024-01-10', '2024-01-10'], expected: false },
+      { condition: ['2024-01-01', null], visit: ['2024-02-01', '2024-02-01'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts 3 days or more before',
+    cql: '[Encounter: "Visit"] E where E.period starts 3 days or more before @2024-03-10',
+    sql: "e.start_date <= (DATE '2024-03-10' - INTERVAL '3 day')",
+    cases: [
+      { visit: ['2024-03-07', '2024-03-07'], expected: true },
+      { visit: ['2024-03-08', '2024-03-08'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts less than 3 days before',
+    cql: '[Encounter: "Visit"] E where E.period starts less than 3 days before @2024-03-10',
+    sql: "(e.start_date > (DATE '2024-03-10' - INTERVAL '3 day') AND e.start_date < DATE '2024-03-10')",
+    cases: [
+      { visit: ['2024-03-07', '2024-03-07'], expected: false },
+      { visit: ['2024-03-08', '2024-03-08'], expected: true },
+      { visit: ['2024-03-10', '2024-03-10'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts more than 3 days after',
+    cql: '[Encounter: "Visit"] E where E.period starts more than 3 days after @2024-03-10',
+    sql: "e.start_date > (DATE '2024-03-10' + INTERVAL '3 day')",
+    cases: [
+      { visit: ['2024-03-13', '2024-03-13'], expected: false },
+      { visit: ['2024-03-14', '2024-03-14'], expected: true }
+    ]
+  },
+  {
+    operator: 'starts 1 day after',
+    cql: '[Encounter: "Visit"] E where E.period starts 1 day after @2024-03-10',
+    sql: "e.start_date = (DATE '2024-03-10' + INTERVAL '1 day')",
+    cases: [
+      { visit: ['2024-03-11', '2024-03-11'], expected: true },
+      { visit: ['2024-03-12', '2024-03-12'], expected: false }
+    ]
+  },
+  {
+    operator: 'within 3 days of',
+    cql: '[Encounter: "Visit"] E where start of E.period within 3 days of @2024-03-10',
+    sql: "(e.start_date >= (DATE '2024-03-10' - INTERVAL '3 day') AND e.start_date <= (DATE '2024-03-10' + INTERVAL '3 day'))",
+    cases: [
+      { visit: ['2024-03-06', '2024-03-06'], expected: false },
+      { visit: ['2024-03-07', '2024-03-07'], expected: true },
+      { visit: ['2024-03-13', '2024-03-13'], expected: true },
+      { visit: ['2024-03-14', '2024-03-14'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts same day as',
+    cql: '[Encounter: "Visit"] E where E.period starts same day as @2024-03-10',
+    sql: "e.start_date = DATE '2024-03-10'",
+    cases: [
+      { visit: ['2024-03-10', '2024-03-12'], expected: true },
+      { visit: ['2024-03-11', '2024-03-12'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts same month as',
+    cql: '[Encounter: "Visit"] E where E.period starts same month as @2024-03-10',
+    sql: "DATE_TRUNC('month', e.start_date) = DATE_TRUNC('month', DATE '2024-03-10')",
+    cases: [
+      { visit: ['2024-03-01', '2024-03-01'], expected: true },
+      { visit: ['2024-02-29', '2024-03-01'], expected: false },
+      { visit: ['2024-04-01', '2024-04-01'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts same hour as',
+    cql: '[Encounter: "Visit"] E where E.period starts same hour as @2024-03-10T08:00:00',
+    sql: "DATE_TRUNC('hour', e.start_datetime) = DATE_TRUNC('hour', CAST('2024-03-10T08:00:00' AS TIMESTAMP))",
+    cases: [
+      { visit: ['2024-03-10T08:59:00', '2024-03-10T10:00:00'], expected: true },
+      { visit: ['2024-03-10T09:00:00', '2024-03-10T10:00:00'], expected: false }
+    ]
+  },
+  {
+    operator: 'ends same or before',
+    cql: '[Encounter: "Visit"] E where E.period ends same or before @2024-03-10',
+    sql: "(e.end_date IS NOT NULL AND e.end_date <= DATE '2024-03-10')",
+    cases: [
+      { visit: ['2024-03-01', '2024-03-10'], expected: true },
+      { visit: ['2024-03-01', null], expected: false }
+    ]
+  },
+  {
+    operator: 'starts same or after',
+    cql: '[Encounter: "Visit"] E where E.period starts same or after @2024-03-10',
+    sql: "e.start_date >= DATE '2024-03-10'",
+    cases: [
+      { visit: ['2024-03-10', '2024-03-10'], expected: true },
+      { visit: ['2024-03-09', '2024-03-10'], expected: false }
+    ]
+  },
+  {
+    operator: 'overlaps',
+    cql: `[Encounter: "Visit"] E where E.period overlaps ${MARCH}`,
+    sql: "(e.start_date <= DATE '2024-03-31' AND (e.end_date IS NULL OR e.end_date >= DATE '2024-03-01'))",
+    cases: [
+      { visit: ['2024-02-01', '2024-03-01'], expected: true },
+      { visit: ['2024-03-31', '2024-04-10'], expected: true },
+      { visit: ['2024-02-01', '2024-02-29'], expected: false },
+      { visit: ['2024-02-01', null], expected: true }
+    ]
+  },
+  {
+    operator: 'overlaps before',
+    cql: `[Encounter: "Visit"] E where E.period overlaps before ${MARCH}`,
+    sql: "(e.start_date < DATE '2024-03-01' AND (e.end_date IS NULL OR e.end_date >= DATE '2024-03-01'))",
+    cases: [
+      { visit: ['2024-02-01', '2024-03-01'], expected: true },
+      { visit: ['2024-03-05', '2024-04-01'], expected: false },
+      { visit: ['2024-02-01', null], expected: true }
+    ]
+  },
+  {
+    operator: 'overlaps after',
+    cql: `[Encounter: "Visit"] E where E.period overlaps after ${MARCH}`,
+    sql: "((e.end_date IS NULL OR e.end_date > DATE '2024-03-31') AND e.start_date <= DATE '2024-03-31')",
+    cases: [
+      { visit: ['2024-03-31', '2024-04-10'], expected: true },
+      { visit: ['2024-03-01', '2024-03-15'], expected: false },
+      { visit: ['2024-03-20', null], expected: true }
+    ]
+  },
+  {
+    operator: 'meets',
+    cql: `[Encounter: "Visit"] E where E.period meets ${MARCH}`,
+    sql: "((e.end_date IS NOT NULL AND (e.end_date + INTERVAL '1 day') = DATE '2024-03-01') OR e.start_date = (DATE '2024-03-31' + INTERVAL '1 day'))",
+    cases: [
+      { visit: ['2024-02-01', '2024-02-29'], expected: true },
+      { visit: ['2024-04-01', '2024-04-10'], expected: true },
+      { visit: ['2024-02-01', '2024-03-01'], expected: false }
+    ]
+  },
+  {
+    operator: 'meets before',
+    cql: `[Encounter: "Visit"] E where E.period meets before ${MARCH}`,
+    sql: "(e.end_date IS NOT NULL AND (e.end_date + INTERVAL '1 day') = DATE '2024-03-01')",
+    cases: [
+      { visit: ['2024-02-01', '2024-02-29'], expected: true },
+      { visit: ['2024-04-01', '2024-04-10'], expected: false }
+    ]
+  },
+  {
+    operator: 'meets after',
+    cql: `[Encounter: "Visit"] E where E.period meets after ${MARCH}`,
+    sql: "e.start_date = (DATE '2024-03-31' + INTERVAL '1 day')",
+    cases: [
+      { visit: ['2024-04-01', '2024-04-10'], expected: true },
+      { visit: ['2024-02-01', '2024-02-29'], expected: false }
+    ]
+  },
+  {
+    operator: 'starts',
+    cql: `[Encounter: "Visit"] E where E.period starts ${MARCH}`,
+    sql: "(e.start_date = DATE '2024-03-01' AND (e.end_date IS NOT NULL AND e.end_date <= DATE '2024-03-31'))",
+    cases: [
+      { visit: ['2024-03-01', '2024-03-10'], expected: true },
+      { visit: ['2024-03-01', '2024-04-01'], expected: false },
+      { visit: ['2024-03-01', null], expected: false }
+    ]
+  },
+  {
+    operator: 'ends',
+    cql: `[Encounter: "Visit"] E where E.period ends ${MARCH}`,
+    sql: "((e.end_date IS NOT NULL AND e.end_date = DATE '2024-03-31') AND e.start_date >= DATE '2024-03-01')",
+    cases: [
+      { visit: ['2024-03-20', '2024-03-31'], expected: true },
+      { visit: ['2024-02-20', '2024-03-31'], expected: false }
+    ]
+  },
+  {
+    operator: 'is not null (a Last row)',
+    cql: '"Last Visit" is not null\n\ndefine "Last Visit":\n  Last([Encounter: "Visit"] E sort by start of E.period)',
+    sql: 'FROM last_visit s\n    WHERE s.person_id = p.person_id\n  )',
+    cases: [
+      { visit: ['2024-03-01', '2024-03-05'], expected: true },
+      { visit: null, expected: false }
+    ]
+  },
+  {
+    operator: 'is null (end of a Last row)',
+    cql: 'end of Last([Encounter: "Visit"] E sort by start of E.period).period is null',
+    sql: 'WHERE NOT EXISTS (',
+    cases: [
+      { visit: ['2024-03-01', '2024-03-05'], expected: false },
+      { visit: ['2024-03-01', null], expected: true },
+      { visit: null, expected: true }
+    ]
+  }
+];
+
+const dateOf = value => (value ? value.slice(0, 10) : null);
+const datetimeOf = value => (value ? (value.length > 10 ? value : `${value}T00:00:00`) : null);
+
+async function runCases(client, fixture, sql) {
+  await client.query('TRUNCATE person, visit_occurrence, condition_occurrence');
+  for (const [index, testCase] of fixture.cases.entries()) {
+    const personId = index + 1;
+    await client.query('INSERT INTO person (person_id) VALUES ($1)', [personId]);
+    if (testCase.visit) {
+      const [start, end] = testCase.visit;
+      await client.query(
+        'INSERT INTO visit_occurrence VALUES ($1, $1, 9202, 0, $2, $3, $4, $5)',
+        [personId, dateOf(start), dateOf(end), datetimeOf(start), datetimeOf(end)]
+      );
+    }
+    if (testCase.condition) {
+      const [conditionStart, conditionEnd] = testCase.condition;
+      await client.query(
+        'INSERT INTO condition_occurrence VALUES ($1, $1, 201826, 0, $2, $3, $4, $5, NULL)',
+        [personId, dateOf(conditionStart), dateOf(conditionEnd), datetimeOf(conditionStart), datetimeOf(conditionEnd)]
+      );
+    }
+  }
+
+  const { rows } = await client.query(sql);
+  const matched = new Set(rows.map(row => Number(row.person_id)));
+  return fixture.cases
+    .map((testCase, index) => ({ ...testCase, actual: matched.has(index + 1) }))
+    .filter(testCase => testCase.actual !== testCase.expected);
+}
+
+async function connect() {
+  if (!process.env.DATABASE_HOST || !process.env.DATABASE_PASSWORD) {
+    return null;
+  }
+  const { default: pg } = await import('pg');
+  const client = new pg.Client({
+    host: process.env.DATABASE_HOST,
+    port: process.env.DATABASE_PORT || 5432,
+    user: process.env.DATABASE_USER,
+    password: process.env.DATABASE_PASSWORD,
+    database: process.env.DATABASE_NAME
+  });
+  await client.connect();
+  await client.query(`
+    CREATE TEMP TABLE person (person_id BIGINT);
+    CREATE TEMP TABLE visit_occurrence (
+      visit_occurrence_id BIGINT, person_id BIGINT, visit_concept_id INTEGER, visit_source_concept_id INTEGER,
+      visit_start_date DATE, visit_end_date DATE, visit_start_datetime TIMESTAMP, visit_end_datetime TIMESTAMP
+    );
+    CREATE TEMP TABLE condition_occurrence (
+      condition_occurrence_id BIGINT, person_id BIGINT, condition_concept_id INTEGER, condition_source_concept_id INTEGER,
+      condition_start_date DATE, condition_end_date DATE, condition_start_datetime TIMESTAMP, condition_end_datetime TIMESTAMP,
+      visit_occurrence_id BIGINT
+    );
+  `);
+  return client;
+}
+
+async function runTests() {
+  console.log("🧪 Testing temporal operator translation\n");
+
+  const client = await connect();
+  if (!client) {
+    console.log("ℹ️  DATABASE_HOST/DATABASE_PASSWORD not set: checking the SQL only, boundary cases are not run\n");
+  }
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const fixture of fixtures) {
+    console.log(`📝 Test: ${fixture.operator}`);
+
+    try {
+      const result = generateOmopSql(LIBRARY(fixture.cql), [], CONCEPT_MAPPINGS, { cdmSchema: client ? 'pg_temp' : 'cdm' });
+      const problems = [];
+      if (result.untranslated.length > 0) {
+        problems.push(`not translated: ${result.untranslated[0].reason}`);
+      } else if (!result.sql.includes(fixture.sql)) {
+        problems.push(`SQL does not contain: ${fixture.sql}`);
+      }
+      if (client && problems.length === 0) {
+        for (const mismatch of await runCases(client, fixture, result.sql)) {
+          problems.push(`visit ${JSON.stringify(mismatch.visit)}: CQL ${mismatch.expected}, SQL ${mismatch.actual}`);
+        }
+      }
+
+      if (problems.length === 0) {
+        console.log(`  ✅ PASSED${client ? ` (${fixture.cases.length} boundary cases)` : ''}`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        problems.forEach(problem => console.log(`  📊 ${problem}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  await client?.end();
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { fixtures, runTests };
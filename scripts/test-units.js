@@ -0,0 +1,163 @@
+// scripts/test-units.js
+// Compares measurement values with CQL quantities in OMOP UCUM units and checks the unit conversions
+
+import { generateOmopSql } from '../src/mcp/tools/generateSql/sqlGenerator.js';
+import { buildCohortDefinition } from '../src/mcp/tools/atlasExport/cohortDefinition.js';
+import { unitConcept, unitConversions } from '../src/mcp/tools/generateSql/units.js';
+
+const HEADER = `
+library UnitsTest version '1.0.0'
+
+using FHIR version '4.0.1'
+
+valueset "HbA1c Laboratory Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1013'
+valueset "Glucose Lab Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1028'
+valueset "Hemoglobin Lab Test": 'urn:oid:2.16.840.1.113883.3.464.1003.198.12.1041'
+valueset "Diastolic Blood Pressure": 'urn:oid:2.16.840.1.113883.3.526.3.1033'
+
+context Patient
+`;
+
+const DEFINES = {
+  'High HbA1c': `[Observation: "HbA1c Laboratory Test"] O where O.value > 9 '%'`,
+  'High Glucose': `[Observation: "Glucose Lab Test"] G where G.value >= 126 'mg/dL'`,
+  'Low Hemoglobin': `[Observation: "Hemoglobin Lab Test"] H where H.value < 12 'g/dL'`,
+  'Diastolic In Range': `[Observation: "Diastolic Blood Pressure"] B where B.value between 60 'mm[Hg]' and 90 'mm[Hg]'`,
+  'Scored': `[Observation: "HbA1c Laboratory Test"] O where O.value < 3 '{score}'`
+};
+
+// A library with one define, and an initial population for the cohort export
+const library = name => `${HEADER}\ndefine "${name}": ${DEFINES[name]}\n\ndefine "Initial Population": exists "${name}"\n`;
+
+const CONCEPT_MAPPINGS = {
+  'HbA1c Laboratory Test': [3004410],
+  'Glucose Lab Test': [3004501],
+  'Hemoglobin Lab Test': [3000963],
+  'Diastolic Blood Pressure': [3012888]
+};
+
+const generate = (name, options = {}) => generateOmopSql(library(name), [], CONCEPT_MAPPINGS, { cdmSchema: 'cdm', ...options });
+
+const whereOf = (name, options = {}) => {
+  const { sql } = generate(name, options);
+  return sql.split('\n').filter(line => line.includes('CASE')).map(line => line.trim());
+};
+
+const testCases = [
+  {
+    name: 'A quantity is compared only on rows recorded in its unit',
+    run: () => whereOf('High HbA1c'),
+    expected: ['WHERE CASE WHEN o.unit_concept_id = 8554 THEN o.value_as_number ELSE NULL END > 9']
+  },
+  {
+    name: 'Glucose in mmol/L is converted to mg/dL through its molar mass',
+    run: () => {
+      const [where] = whereOf('High Glucose');
+      return ['= 8840 THEN g.value_as_number WHEN', '= 8636 THEN g.value_as_number * 100', '= 8753 THEN g.value_as_number * 18.0156']
+        .map(branch => where.includes(branch));
+    },
+    expected: [true, true, true]
+  },
+  {
+    name: 'g/L converts to g/dL; substance concentrations do not without an analyte',
+    run: () => whereOf('Low Hemoglobin'),
+    expected: ['WHERE CASE WHEN h.unit_concept_id = 8713 THEN h.value_as_number WHEN h.unit_concept_id = 8636 THEN h.value_as_number * 0.1 ' +
+      'WHEN h.unit_concept_id = 8840 THEN h.value_as_number * 0.001 WHEN h.unit_concept_id = 8751 THEN h.value_as_number * 0.0001 ' +
+      'WHEN h.unit_concept_id = 8842 THEN h.value_as_number * 0.0000001 ELSE NULL END < 12']
+  },
+  {
+    name: 'The assume policy takes rows without a unit to be in the quantity\'s unit',
+    run: () => whereOf('High HbA1c', { missingUnitPolicy: 'assume' }),
+    expected: ['WHERE CASE WHEN o.unit_concept_id = 8554 THEN o.value_as_number WHEN o.unit_concept_id IS NULL OR o.unit_concept_id = 0 THEN o.value_as_number ELSE NULL END > 9']
+  },
+  {
+    name: 'Between compares both bounds in mm[Hg]',
+    run: () => whereOf('Diastolic In Range').map(line => line.match(/CASE/g).length),
+    expected: [2]
+  },
+  {
+    name: 'Units without an OMOP concept are reported and compared as is',
+    run: () => {
+      const generated = generate('Scored');
+      return { case: generated.sql.includes('CASE'), warnings: generated.warnings.filter(warning => warning.startsWith('Unit')) };
+    },
+    expected: { case: false, warnings: ["Unit '{score}' has no OMOP unit concept; 3 '{score}' is compared with o.value_as_number whatever its unit"] }
+  },
+  {
+    name: 'The report lists the units compared in and the units converted to them',
+    run: () => generate('High Glucose').units,
+    expected: [{
+      unit: 'mg/dL',
+      unitConceptId: 8840,
+      analyte: 'glucose',
+      convertedFrom: ['g/L', 'g/dL', 'mg/L', 'ng/mL', 'mmol/L', 'umol/L'],
+      missingUnitPolicy: 'exclude'
+    }]
+  },
+  {
+    name: 'Temperatures convert with an offset',
+    run: () => unitConversions('Cel').map(({ unit, factor, offset }) => `${unit}:${factor.toPrecision(4)}:${offset.toPrecision(4)}`),
+    expected: ['Cel:1.000:0.000', '[degF]:0.5556:-17.78']
+  },
+  {
+    name: 'Circe criteria filter on the unit concept',
+    run: () => {
+      const result = buildCohortDefinition(library('High HbA1c'), [], CONCEPT_MAPPINGS, { define: 'Initial Population' });
+      return result.expression.PrimaryCriteria.CriteriaList.map(criteria => Object.values(criteria)[0].Unit);
+    },
+    expected: [
+      [{ CONCEPT_ID: 8554, CONCEPT_CODE: '%', DOMAIN_ID: 'Unit', VOCABULARY_ID: 'UCUM' }],
+      [{ CONCEPT_ID: 8554, CONCEPT_CODE: '%', DOMAIN_ID: 'Unit', VOCABULARY_ID: 'UCUM' }]
+    ]
+  },
+  {
+    name: 'Units the vocabulary has no concept for',
+    run: () => [unitConcept('mm[Hg]'), unitConcept('{score}')],
+    expected: [8876, null]
+  }
+];
+
+async function runTests() {
+  console.log("🧪 Testing quantity comparisons in UCUM units\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    console.log(`📝 Test: ${testCase.name}`);
+
+    try {
+      const actual = testCase.run();
+      if (JSON.stringify(actual) === JSON.stringify(testCase.expected)) {
+        console.log(`  ✅ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ❌ FAILED`);
+        console.log(`  📊 Expected: ${JSON.stringify(testCase.expected)}`);
+        console.log(`  📊 Actual:   ${JSON.stringify(actual)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  💥 ERROR: ${error.code || ''} ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log("📈 Test Summary:");
+  console.log(`  ✅ Passed: ${passed}`);
+  console.log(`  ❌ Failed: ${failed}`);
+  console.log(`  📊 Total:  ${passed + failed}`);
+
+  return { passed, failed };
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests()
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(console.error);
+}
+
+export { runTests };
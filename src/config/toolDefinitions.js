@@ -28,10 +28,77 @@ const toolDefinitions = {
     },
     
     "generate-sql": {
-      description: "Generate OMOP CDM SQL from CQL",
+      description: "Generate OMOP CDM SQL from CQL, validated against the dialect grammar and the CDM schema; success is false when it fails validation",
       inputSchema: {
-        cql: "string",
-        conceptMappings: "object"
+        cql: "string?",
+        elm: "string|object?",
+        measurePackageId: "string?",
+        conceptMappings: "object|object[]?",
+        cqlLibraryPath: "string?",
+        cdmSchema: "string?",
+        target: "string?",
+        parameters: "object?",
+        parameterStyle: "string?",
+        birthDatePolicy: "string?",
+        missingUnitPolicy: "string?",
+        drugExpansion: "string?",
+        encounterSources: "string[]?",
+        visitRules: "object[]?",
+        targetDialect: "string?",
+        cdmVersion: "string?"
+      }
+    },
+
+    "generate-measure-sql": {
+      description: "Generate OMOP CDM population flags, counts and performance rate for a proportion eCQM; success is false when the SQL fails validation or a population depends on untranslated CQL",
+      inputSchema: {
+        cql: "string?",
+        elm: "string|object?",
+        measurePackageId: "string?",
+        measure: "string|object?",
+        group: "string|number?",
+        conceptMappings: "object|object[]?",
+        cqlLibraryPath: "string?",
+        cdmSchema: "string?",
+        parameters: "object?",
+        parameterStyle: "string?",
+        birthDatePolicy: "string?",
+        missingUnitPolicy: "string?",
+        drugExpansion: "string?",
+        encounterSources: "string[]?",
+        visitRules: "object[]?",
+        targetDialect: "string?",
+        cdmVersion: "string?"
+      }
+    },
+
+    "export-atlas-concept-sets": {
+      description: "Export resolved concept sets as OHDSI ATLAS concept set expressions",
+      inputSchema: {
+        conceptMappings: "object",
+        includeDescendants: "boolean?",
+        includeMapped: "boolean?",
+        measureName: "string?",
+        outputDir: "string?"
+      }
+    },
+    "export-atlas-cohort": {
+      description: "Export a measure's initial population or denominator as an OHDSI ATLAS cohort definition",
+      inputSchema: {
+        cql: "string?",
+        elm: "string|object?",
+        measurePackageId: "string?",
+        measure: "string|object?",
+        group: "string|number?",
+        population: "string?",
+        define: "string?",
+        conceptMappings: "object|object[]?",
+        cqlLibraryPath: "string?",
+        parameters: "object?",
+        includeDescendants: "boolean?",
+        includeMapped: "boolean?",
+        cohortName: "string?",
+        outputDir: "string?"
       }
     }
   };
@@ -1,3 +1,5 @@
+import { CDM_VERSIONS, DEFAULT_CDM_VERSION, cdmSchemaDefinition } from "../tools/generateSql/omopCdmSchema.js";
+
 export function schemaResource(server) {
     server.resource(
       "omop-schema",
@@ -5,12 +7,12 @@ export function schemaResource(server) {
       async (uri) => ({
         contents: [{
           uri: uri.href,
+          // The bundled definition generated SQL is validated against
           text: JSON.stringify({
-            version: "6.0",
-            tables: ["person", "observation_period", "visit_occurrence", "condition_occurrence"],
-            status: "placeholder - full schema not loaded"
+            ...cdmSchemaDefinition(DEFAULT_CDM_VERSION),
+            versions: CDM_VERSIONS
           })
         }]
       })
     );
-  }
\ No newline at end of file
+  }
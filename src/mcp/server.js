@@ -7,7 +7,13 @@ import { fetchVsacTool } from "./tools/fetchVsac.js";
 import { exploreVsacTool } from "./tools/exploreVsac.js";
 import { mapToOmopTool } from "./tools/mapToOmop.js";
 import { generateSqlTool } from "./tools/generateSql.js";
+import { generateMeasureSqlTool } from "./tools/generateMeasureSql.js";
+import { exportAtlasConceptSetsTool } from "./tools/exportAtlasConceptSets.js";
+import { exportAtlasCohortTool } from "./tools/exportAtlasCohort.js";
 import { mapVsacToOmopTool } from "./tools/mapVsacToOmop.js";
+import { analyzeRetrievesTool } from "./tools/analyzeRetrieves.js";
+import { analyzeCqlDependenciesTool } from "./tools/analyzeCqlDependencies.js";
+import { importMeasurePackageTool } from "./tools/importMeasurePackage.js";
 import { lookupLoincCodeTool } from "./tools/lookupLoincCode.js";
 import { lookupSnomedCodeTool } from "./tools/lookupSnomedCode.js";
 
@@ -29,11 +35,17 @@ export function createOMOPServer() {
   // exploreVsacTool(server);    // ValueSet exploration and search
 
   mapVsacToOmopTool(server);         // Complete VSAC to OMOP pipeline
+  analyzeRetrievesTool(server);       // Retrieve data types, code filters and fact tables per define
+  analyzeCqlDependenciesTool(server); // Define/function/terminology dependency graph
+  importMeasurePackageTool(server);   // eCQM package (zip / FHIR Bundle) import for offline mapping
   lookupLoincCodeTool(server);        // Direct LOINC code lookup
   lookupSnomedCodeTool(server);       // Direct SNOMED code lookup
 
   mapToOmopTool(server);
   generateSqlTool(server);
+  generateMeasureSqlTool(server);    // Population flags, counts and performance rate of proportion eCQMs
+  exportAtlasConceptSetsTool(server); // ATLAS/Circe concept set expressions of the resolved value sets
+  exportAtlasCohortTool(server); // Circe cohort definition of the initial population or denominator
 
   // Register resources
   configResource(server);
@@ -0,0 +1,76 @@
+// src/mcp/tools/analyzeCqlDependencies.js
+import { z } from "zod";
+import { parseCql } from "./parseNlToCql/cqlParser.js";
+import { buildDependencyGraph, dependencyGraphToMermaid } from "./parseNlToCql/dependencies.js";
+import cqlLibraryService from "../../services/cqlLibraryService.js";
+
+/**
+ * CQL dependency graph tool
+ * Builds the define -> define / function / valueset / code graph of a library,
+ * as JSON and Mermaid, and flags unused declarations, undefined references and cycles
+ */
+export function analyzeCqlDependenciesTool(server) {
+  server.tool(
+    "analyze-cql-dependencies",
+    {
+      cqlQuery: z.string(),
+      // Directory (or path-delimited list) of .cql files used to check references into included libraries
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || ''),
+      mermaidDirection: z.enum(["LR", "TD"]).optional().default("LR")
+    },
+    async ({ cqlQuery, cqlLibraryPath, mermaidDirection }) => {
+      try {
+        console.error("Building CQL dependency graph...");
+
+        const library = parseCql(cqlQuery);
+        const { libraries: includedLibraries, includes } = cqlLibraryService.loadIncludes(library, cqlLibraryPath);
+        const graph = buildDependencyGraph(library, includedLibraries);
+
+        const result = {
+          success: true,
+          library: library.identifier,
+          includes,
+          graph: {
+            nodes: graph.nodes,
+            edges: graph.edges
+          },
+          mermaid: dependencyGraphToMermaid(graph, mermaidDirection),
+          entryPoints: graph.entryPoints,
+          unusedDeclarations: graph.unusedDeclarations,
+          undefinedReferences: graph.undefinedReferences,
+          cycles: graph.cycles,
+          summary: {
+            totalNodes: graph.nodes.length,
+            totalEdges: graph.edges.length,
+            entryPoints: graph.entryPoints.length,
+            unusedDeclarations: graph.unusedDeclarations.length,
+            undefinedReferences: graph.undefinedReferences.length,
+            cycles: graph.cycles.length
+          },
+          parseErrors: library.errors
+        };
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+
+      } catch (error) {
+        console.error("CQL dependency analysis error:", error);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code })
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,84 @@
+// src/mcp/tools/analyzeRetrieves.js
+import { z } from "zod";
+import { extractRetrievesFromCQL, summariseTerminologyUsage } from "./parseNlToCql/retrieves.js";
+import measurePackageService from "../../services/measurePackageService.js";
+
+/**
+ * List the retrieves of a library and its includes, from CQL, ELM or an imported measure package
+ * @param {Object} input - { cqlQuery, elm, measurePackageId, cqlLibraryPath }, as map-vsac-to-omop takes them
+ * @returns {Object} Tool result: retrieves, terminology usage and summary
+ * @throws {CqlLibraryError|MeasurePackageError} When no library is given or includes/the package cannot be loaded
+ */
+export function analyzeRetrieves({ cqlQuery, elm, measurePackageId, cqlLibraryPath = '' }) {
+  const { measurePackage, library, includedLibraries, includes } = measurePackageService.loadMeasureLogic(
+    { cqlQuery, elm, measurePackageId }, cqlLibraryPath
+  );
+  const retrieves = extractRetrievesFromCQL(library, includedLibraries);
+  const terminologyUsage = summariseTerminologyUsage(retrieves);
+
+  return {
+    success: true,
+    library: library.identifier,
+    measurePackageId: measurePackage?.id ?? null,
+    models: library.usings.map(using => ({ model: using.model, version: using.version })),
+    includes,
+    retrieves,
+    terminologyUsage,
+    summary: {
+      totalRetrieves: retrieves.length,
+      definesWithRetrieves: new Set(retrieves.map(retrieve => `${retrieve.library}.${retrieve.define}`)).size,
+      retrievesWithoutCodeFilter: retrieves.filter(retrieve => !retrieve.terminology).length,
+      unknownDataTypes: [...new Set(retrieves.filter(retrieve => retrieve.factTables.length === 0).map(retrieve => retrieve.dataType))]
+    },
+    parseErrors: library.errors
+  };
+}
+
+/**
+ * Retrieve analysis tool
+ * Lists every retrieve in every define with its data type, code filter,
+ * code path and the OMOP fact tables it reads from
+ */
+export function analyzeRetrievesTool(server) {
+  server.tool(
+    "analyze-retrieves",
+    {
+      cqlQuery: z.string().optional(),
+      // Translated ELM (JSON or XML); retrieves then come from the ELM tree
+      elm: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Package id from import-measure-package; its libraries replace cqlQuery/elm
+      measurePackageId: z.string().optional(),
+      // Directory (or path-delimited list) of .cql files used to resolve include statements
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || '')
+    },
+    async ({ cqlQuery, elm, measurePackageId, cqlLibraryPath }) => {
+      try {
+        console.error("Analyzing retrieve expressions...");
+
+        const result = analyzeRetrieves({ cqlQuery, elm, measurePackageId, cqlLibraryPath });
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+
+      } catch (error) {
+        console.error("Retrieve analysis error:", error);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && { details: error.details })
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,1071 @@
+// src/mcp/tools/atlasExport/cohortDefinition.js
+
+/**
+ * OHDSI Circe cohort definitions for a measure population.
+ *
+ * A patient-based population define is a conjunction of terms. The first
+ * `exists` of a list of events becomes the primary criteria (the index
+ * event); the other terms of the population define become the additional
+ * criteria, and the terms of each boolean define it references become an
+ * inclusion rule named after that define. Within a term:
+ * - a retrieve is a domain criterion on the concept set of its value set
+ * - where clauses timing an alias against a parameter such as "Measurement
+ *   Period" become occurrence start / end date ranges, value comparisons a
+ *   value range
+ * - with / without clauses become correlated criteria whose windows are the
+ *   timing phrase between the two aliases, in days
+ * - exists / not exists become at least one / exactly zero occurrences,
+ *   or becomes an ANY group and not a group of at most n - 1
+ * - age and sex comparisons become demographic criteria
+ *
+ * Circe has no counterpart for everything CQL says. Terms that cannot be
+ * represented are left out and listed in notRepresented, so the cohort is
+ * broader than the population rather than silently different.
+ */
+import { buildLibraryUnits, toCqlLibrary } from "../parseNlToCql/extractors.js";
+import { retrieveModel, describeTerminology, factTablesForDataType } from "../parseNlToCql/retrieves.js";
+import { normalizeConceptMappings, findConceptSet } from "../generateSql/conceptSets.js";
+import { propertyColumns } from "../generateSql/omopTables.js";
+import { resolveParameters } from "../generateSql/parameters.js";
+import { ageFunction, genderConcept } from "../generateSql/demographics.js";
+import { durationUnit } from "../generateSql/temporal.js";
+import { unitConcept } from "../generateSql/units.js";
+import { PROPORTION_POPULATIONS, findPopulationDefines } from "../generateSql/measurePopulations.js";
+import { CONVERSION_FUNCTIONS } from "../generateSql/sqlGenerator.js";
+import { conceptSetExpression } from "./conceptSetExpressions.js";
+import { AtlasExportError } from "../../../utils/atlasExportErrors.js";
+
+// Populations a cohort can be exported for
+export const COHORT_POPULATIONS = ['initial-population', 'denominator'];
+
+// Circe criteria by OMOP fact table; dates says which occurrence dates the criterion filters on
+const CIRCE_CRITERIA = {
+  condition_occurrence: { name: 'ConditionOccurrence', dates: ['start', 'end'] },
+  procedure_occurrence: { name: 'ProcedureOccurrence', dates: ['start'] },
+  measurement: { name: 'Measurement', dates: ['start'], value: true },
+  observation: { name: 'Observation', dates: ['start'], value: true },
+  drug_exposure: { name: 'DrugExposure', dates: ['start', 'end'] },
+  device_exposure: { name: 'DeviceExposure', dates: ['start', 'end'] },
+  visit_occurrence: { name: 'VisitOccurrence', dates: ['start', 'end'] },
+  death: { name: 'Death', dates: ['start'] }
+};
+
+// Circe occurrence types
+const AT_LEAST_ONE = { Type: 2, Count: 1 };
+const NONE = { Type: 0, Count: 0 };
+
+const CIRCE_OPERATORS = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte', '=': 'eq', '~': 'eq', '!=': '!eq', '!~': '!eq' };
+const MIRRORED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+
+// Days in a duration unit; years and months are approximate
+const DAYS = { year: 365, month: 30, week: 7, day: 1 };
+
+const emptyGroup = (Type = 'ALL') => ({ Type, CriteriaList: [], DemographicCriteriaList: [], Groups: [] });
+const groupSize = group => group.CriteriaList.length + group.DemographicCriteriaList.length + group.Groups.length;
+
+/**
+ * Error for a CQL term Circe cannot express; the term is reported and left out
+ */
+function notRepresentable(node, message) {
+  return new AtlasExportError(message, 'NOT_REPRESENTABLE', {
+    nodeType: node?.type ?? null,
+    line: node?.loc?.start.line ?? null,
+    column: node?.loc?.start.column ?? null
+  });
+}
+
+function describeNode(node) {
+  if (node.type === 'FunctionCall') {
+    return `${node.libraryName ? `${node.libraryName}.` : ''}${node.name}()`;
+  }
+  if (node.type === 'Identifier') {
+    return `"${node.name}"`;
+  }
+  return node.operator ? `${node.type} '${node.operator}'` : node.type;
+}
+
+function unwrap(node) {
+  return node?.type === 'Parenthesized' ? unwrap(node.expression) : node;
+}
+
+/**
+ * The and-ed terms of a condition
+ */
+function conjuncts(node) {
+  const term = unwrap(node);
+  if (!term) {
+    return [];
+  }
+  return term.type === 'BinaryExpression' && term.operator === 'and'
+    ? [...conjuncts(term.left), ...conjuncts(term.right)]
+    : [term];
+}
+
+// ---------------------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------------------
+
+/**
+ * Day (YYYY-MM-DD) of a CQL date or datetime value, or null
+ */
+function dayOf(value) {
+  const match = /^@?(\d{4}-\d{2}-\d{2})/.exec(String(value ?? ''));
+  return match ? match[1] : null;
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Move a day by a CQL duration (3 years, 30 days)
+ */
+function shiftDay(day, quantity, sign, node) {
+  const unit = durationUnit(quantity);
+  if (!DAYS[unit]) {
+    throw notRepresentable(node, `Circe dates are days; a ${quantity.unit} offset cannot be represented`);
+  }
+  const date = new Date(`${day}T00:00:00Z`);
+  if (unit === 'year') {
+    date.setUTCFullYear(date.getUTCFullYear() + sign * quantity.value);
+  } else if (unit === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + sign * quantity.value);
+  } else {
+    date.setUTCDate(date.getUTCDate() + sign * quantity.value * DAYS[unit]);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Closed day bounds { lo, hi } narrowed by a comparison with a day (or a number of days)
+ */
+function narrow(bounds, operator, value, next) {
+  if (value === null) {
+    return bounds;
+  }
+  const [lo, hi] = {
+    '<': () => [null, next(value, -1)],
+    '<=': () => [null, value],
+    '>': () => [next(value, 1), null],
+    '>=': () => [value, null],
+    '=': () => [value, value]
+  }[operator]();
+  const later = (a, b) => (a === null ? b : b === null ? a : (a > b ? a : b));
+  const earlier = (a, b) => (a === null ? b : b === null ? a : (a < b ? a : b));
+  return { lo: later(bounds.lo, lo), hi: earlier(bounds.hi, hi) };
+}
+
+/**
+ * Circe DateRange / NumericRange for closed bounds
+ */
+function range({ lo, hi }) {
+  if (lo !== null && hi !== null) {
+    return lo === hi ? { Value: lo, Op: 'eq' } : { Value: lo, Op: 'bt', Extent: hi };
+  }
+  return lo !== null ? { Value: lo, Op: 'gte' } : { Value: hi, Op: 'lte' };
+}
+
+/**
+ * Circe window endpoint for a number of days relative to the index, unbounded when null
+ */
+function windowEndpoint(days, unboundedCoeff) {
+  if (days === null) {
+    return { Coeff: unboundedCoeff };
+  }
+  return { Days: Math.abs(days), Coeff: days < 0 ? -1 : 1 };
+}
+
+const ALL_TIME = { Start: { Coeff: -1 }, End: { Coeff: 1 }, UseIndexEnd: false, UseEventEnd: false };
+
+// ---------------------------------------------------------------------------
+// Criteria groups
+// ---------------------------------------------------------------------------
+
+/**
+ * Group holding every condition of the given groups
+ */
+function allOf(groups) {
+  const result = emptyGroup('ALL');
+  for (const group of groups) {
+    if (group.Type === 'ALL') {
+      result.CriteriaList.push(...group.CriteriaList);
+      result.DemographicCriteriaList.push(...group.DemographicCriteriaList);
+      result.Groups.push(...group.Groups);
+    } else {
+      result.Groups.push(group);
+    }
+  }
+  return result;
+}
+
+/**
+ * Group holding any condition of the given groups
+ */
+function anyOf(groups) {
+  const result = emptyGroup('ANY');
+  for (const group of groups) {
+    if (group.Type === 'ANY' || (group.Type === 'ALL' && groupSize(group) === 1)) {
+      result.CriteriaList.push(...group.CriteriaList);
+      result.DemographicCriteriaList.push(...group.DemographicCriteriaList);
+      result.Groups.push(...group.Groups);
+    } else {
+      result.Groups.push(group);
+    }
+  }
+  return result;
+}
+
+/**
+ * Negation of a group: none of an ANY group, at most n - 1 of an ALL group of n
+ */
+function negate(group, node) {
+  const size = groupSize(group);
+  const [single] = group.CriteriaList;
+  if (size === 1 && single && single.Occurrence.Type === AT_LEAST_ONE.Type && single.Occurrence.Count === 1) {
+    return { ...emptyGroup('ALL'), CriteriaList: [{ ...single, Occurrence: { ...NONE } }] };
+  }
+  if (group.Type === 'ANY' || size === 1) {
+    return { ...group, Type: 'AT_MOST', Count: 0 };
+  }
+  if (group.Type === 'ALL') {
+    return { ...group, Type: 'AT_MOST', Count: size - 1 };
+  }
+  throw notRepresentable(node, `The negation of an ${group.Type} group cannot be represented`);
+}
+
+// ---------------------------------------------------------------------------
+// Builder
+// ---------------------------------------------------------------------------
+
+export class CohortDefinitionBuilder {
+  /**
+   * @param {Object} library - Library AST
+   * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+   * @param {Object} conceptMappings - map-vsac-to-omop result or concept set ids (see normalizeConceptMappings)
+   * @param {{ parameters?:Object, includeDescendants?:boolean, includeMapped?:boolean }} options -
+   *        parameters holds values by parameter name; the flags are set on every concept set item
+   */
+  constructor(library, includedLibraries, conceptMappings, options = {}) {
+    this.units = buildLibraryUnits(library, includedLibraries);
+    this.root = this.units[0];
+    this.mappings = normalizeConceptMappings(conceptMappings);
+    this.itemFlags = { includeDescendants: !!options.includeDescendants, includeMapped: !!options.includeMapped };
+    this.conceptSets = new Map(); // concept set key -> { id, name, ... }
+    this.warnings = [];
+    this.notRepresented = [];
+    this.origin = null; // define the term being translated comes from
+    const { parameters, ignored } = resolveParameters(library, includedLibraries, options.parameters || {});
+    ignored.forEach(name => this.warn(`Parameter "${name}" is not declared by the library; its value is ignored`));
+    this.parameters = new Map(parameters.map(parameter => [parameter.name, parameter]));
+  }
+
+  /**
+   * Cohort expression for a boolean define of the root library
+   * @param {string} target - Population define
+   * @returns {Object} { expression, conceptSets, primaryCriteria, inclusionRules, notRepresented, warnings }
+   * @throws {AtlasExportError} UNKNOWN_DEFINE
+   */
+  build(target) {
+    const statement = this.root.library.statements.find(item => item.type === 'ExpressionDef' && item.name === target);
+    if (!statement) {
+      throw new AtlasExportError(`Define "${target}" is not in ${this.root.name || 'the library'}`, 'UNKNOWN_DEFINE', {
+        define: target,
+        defines: this.root.library.statements.filter(item => item.type === 'ExpressionDef').map(item => item.name)
+      });
+    }
+    if (this.isList(statement.expression, this.root)) {
+      throw new AtlasExportError(`Define "${target}" is a list; a cohort needs a patient-based (boolean) population`, 'NOT_A_POPULATION', { define: target });
+    }
+
+    const terms = this.terms(statement.expression, { name: target, unit: this.root });
+    const primary = this.primaryCriteria(terms);
+    const additional = this.termGroup(terms.filter(term => term !== primary.term && term.origin.name === target));
+
+    const rules = new Map(); // define -> terms
+    for (const term of terms) {
+      if (term !== primary.term && term.origin.name !== target) {
+        rules.set(term.origin.name, [...(rules.get(term.origin.name) || []), term]);
+      }
+    }
+    const inclusionRules = Array.from(rules.entries())
+      .map(([name, ruleTerms]) => ({ name, origin: ruleTerms[0].origin, expression: this.termGroup(ruleTerms) }))
+      .filter(rule => groupSize(rule.expression) > 0)
+      .map(({ name, origin, expression }) => ({
+        name,
+        description: `CQL define "${name}" (${origin.unit.name || 'library'}, line ${origin.line ?? '?'})`,
+        expression
+      }));
+
+    const conceptSets = Array.from(this.conceptSets.values());
+    return {
+      expression: {
+        cdmVersionRange: '>=5.0.0',
+        PrimaryCriteria: {
+          CriteriaList: primary.criteria,
+          ObservationWindow: { PriorDays: 0, PostDays: 0 },
+          PrimaryCriteriaLimit: { Type: 'First' }
+        },
+        ...(groupSize(additional) > 0 && { AdditionalCriteria: additional }),
+        ConceptSets: conceptSets.map(({ id, name, expression }) => ({ id, name, expression })),
+        QualifiedLimit: { Type: 'First' },
+        ExpressionLimit: { Type: 'First' },
+        InclusionRules: inclusionRules,
+        CensoringCriteria: [],
+        CollapseSettings: { CollapseType: 'ERA', EraPad: 0 },
+        CensorWindow: {}
+      },
+      conceptSets: conceptSets.map(({ expression, ...conceptSet }) => conceptSet),
+      primaryCriteria: primary.term ? { define: primary.term.origin.name, line: primary.term.node.loc?.start.line ?? null } : null,
+      inclusionRules: inclusionRules.map(rule => rule.name),
+      notRepresented: this.notRepresented,
+      warnings: this.warnings
+    };
+  }
+
+  warn(message) {
+    if (!this.warnings.includes(message)) {
+      console.error(`export-atlas-cohort: ${message}`);
+      this.warnings.push(message);
+    }
+  }
+
+  /**
+   * Run a translation step; a term Circe cannot express is reported and yields null
+   */
+  attempt(node, translate) {
+    try {
+      return translate();
+    } catch (error) {
+      if (error.code !== 'NOT_REPRESENTABLE') {
+        throw error;
+      }
+      this.notRepresented.push({
+        define: this.origin?.name ?? null,
+        library: this.origin?.unit.name ?? null,
+        reason: error.message,
+        line: error.details.line ?? node?.loc?.start.line ?? null,
+        column: error.details.column ?? node?.loc?.start.column ?? null
+      });
+      this.warn(`${error.message}; it is left out of the cohort, which is broader than "${this.origin?.name}" for it`);
+      return null;
+    }
+  }
+
+  lookupDefine(identifier, unit) {
+    const owner = identifier.libraryName ? unit.includes.get(identifier.libraryName) : unit;
+    const statement = owner?.library.statements.find(item => item.type === 'ExpressionDef' && item.name === identifier.name);
+    return statement ? { statement, unit: owner } : null;
+  }
+
+  isList(node, unit) {
+    const expression = unwrap(node);
+    switch (expression?.type) {
+      case 'Retrieve':
+        return true;
+      case 'Query':
+        return !expression.aggregate;
+      case 'BinaryExpression':
+        return ['union', 'intersect', 'except'].includes(expression.operator);
+      case 'Identifier': {
+        const target = this.lookupDefine(expression, unit);
+        return !!target && this.isList(target.statement.expression, target.unit);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * The and-ed terms of a population, following the boolean defines it
+   * references; each term remembers the define it comes from
+   */
+  terms(node, origin, seen = new Set()) {
+    const result = [];
+    for (const term of conjuncts(node)) {
+      const target = term.type === 'Identifier' ? this.lookupDefine(term, origin.unit) : null;
+      const key = target ? `${target.unit.name}|${target.statement.name}` : null;
+      if (target && !seen.has(key) && !this.isList(target.statement.expression, target.unit)) {
+        seen.add(key);
+        const referenced = { name: target.statement.name, unit: target.unit, line: target.statement.loc?.start.line ?? null };
+        result.push(...this.terms(target.statement.expression, referenced, seen));
+      } else {
+        result.push({ node: term, origin });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Primary criteria: the events of the first `exists` term Circe can express.
+   * Without one, every observation period start is an index date.
+   */
+  primaryCriteria(terms) {
+    for (const term of terms) {
+      if (term.node.type !== 'UnaryExpression' || term.node.operator !== 'exists') {
+        continue;
+      }
+      this.origin = term.origin;
+      const reported = this.notRepresented.length;
+      try {
+        const criteria = this.criteria(term.node.operand, term.origin.unit);
+        return { term, criteria: criteria.map(draft => this.finish(draft)) };
+      } catch (error) {
+        if (error.code !== 'NOT_REPRESENTABLE') {
+          throw error;
+        }
+        // The term is reported when it is translated as an additional criterion
+        this.notRepresented.splice(reported);
+      }
+    }
+    this.warn('The population has no list of events Circe can start from; every observation period start is an index date');
+    return { term: null, criteria: [{ ObservationPeriod: {} }] };
+  }
+
+  /**
+   * ALL group of the terms Circe can express
+   */
+  termGroup(terms) {
+    const groups = terms.map(term => {
+      this.origin = term.origin;
+      return this.attempt(term.node, () => this.condition(term.node, term.origin.unit));
+    });
+    return allOf(groups.filter(Boolean));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Boolean conditions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a boolean expression to a criteria group
+   */
+  condition(node, unit) {
+    const expression = unwrap(node);
+    switch (expression.type) {
+      case 'BinaryExpression':
+        if (expression.operator === 'and') {
+          return allOf([this.condition(expression.left, unit), this.condition(expression.right, unit)]);
+        }
+        if (expression.operator === 'or') {
+          return anyOf([this.condition(expression.left, unit), this.condition(expression.right, unit)]);
+        }
+        return this.demographic(expression, unit);
+      case 'UnaryExpression':
+        if (expression.operator === 'exists') {
+          return this.occurrenceGroup(this.criteria(expression.operand, unit), AT_LEAST_ONE);
+        }
+        if (expression.operator === 'not') {
+          const operand = unwrap(expression.operand);
+          if (operand.type === 'UnaryExpression' && operand.operator === 'exists') {
+            return this.occurrenceGroup(this.criteria(operand.operand, unit), NONE);
+          }
+          return negate(this.condition(operand, unit), expression);
+        }
+        break;
+      case 'Identifier': {
+        const target = this.lookupDefine(expression, unit);
+        if (target && !this.isList(target.statement.expression, target.unit)) {
+          return this.condition(target.statement.expression, target.unit);
+        }
+        break;
+      }
+      case 'Between':
+        return this.demographic(expression, unit);
+      default:
+        break;
+    }
+    throw notRepresentable(expression, `${describeNode(expression)} cannot be represented as Circe criteria`);
+  }
+
+  /**
+   * Criteria list item for an event criterion, within its windows (all time without any)
+   */
+  correlatedItem(draft, occurrence) {
+    const windows = Array.from(draft.windows.values());
+    const window = ({ eventSide, indexSide, bounds }) => ({
+      Start: windowEndpoint(bounds.lo, -1),
+      End: windowEndpoint(bounds.hi, 1),
+      UseIndexEnd: indexSide === 'end',
+      UseEventEnd: eventSide === 'end'
+    });
+    // StartWindow places the event's start and EndWindow its end, unless told otherwise
+    const [first, second] = windows.length === 2 && windows[0].eventSide === 'end' ? [windows[1], windows[0]] : windows;
+    return {
+      Criteria: this.finish(draft),
+      StartWindow: first ? window(first) : { ...ALL_TIME },
+      ...(second && { EndWindow: window(second) }),
+      RestrictVisit: false,
+      IgnoreObservationPeriod: true,
+      Occurrence: { ...occurrence }
+    };
+  }
+
+  /**
+   * Age and sex comparisons as demographic criteria
+   */
+  demographic(node, unit) {
+    const sides = node.type === 'Between' ? [node.operand] : [node.left, node.right];
+    const isAge = side => unwrap(side).type === 'FunctionCall' && !unwrap(side).libraryName && ageFunction(unwrap(side).name);
+    const isGender = side => {
+      const property = unwrap(side);
+      return property.type === 'Property' && property.path === 'gender' &&
+        property.source.type === 'Identifier' && property.source.name === 'Patient';
+    };
+
+    if (sides.some(isAge)) {
+      return { ...emptyGroup('ALL'), DemographicCriteriaList: [{ Age: this.ageRange(node, isAge) }] };
+    }
+    if (sides.some(isGender) && ['=', '~', 'in'].includes(node.operator)) {
+      const other = unwrap(isGender(node.left) ? node.right : node.left);
+      const codes = other.type === 'ListSelector' ? other.elements.map(unwrap) : [other];
+      const Gender = codes.map(code => {
+        const conceptId = code.type === 'Literal' ? genderConcept(code.value) : null;
+        if (conceptId === null) {
+          throw notRepresentable(code, `${describeNode(code)} is not an administrative gender code`);
+        }
+        return { CONCEPT_ID: conceptId, CONCEPT_NAME: String(code.value).toUpperCase(), DOMAIN_ID: 'Gender', VOCABULARY_ID: 'Gender' };
+      });
+      return { ...emptyGroup('ALL'), DemographicCriteriaList: [{ Gender }] };
+    }
+    throw notRepresentable(node, `${describeNode(node)} cannot be represented as Circe criteria`);
+  }
+
+  /**
+   * Circe age range of an age comparison. Circe counts age in years at the index event.
+   */
+  ageRange(node, isAge) {
+    const age = unwrap(node.type === 'Between' ? node.operand : isAge(node.left) ? node.left : node.right);
+    const { unit } = ageFunction(age.name);
+    if (unit !== 'year') {
+      throw notRepresentable(age, `Circe ages are in years; ${age.name}() cannot be represented`);
+    }
+    this.warn(`${age.name}() is read as the age in years at the index event, which is when Circe computes age`);
+
+    const number = expression => {
+      const value = unwrap(expression);
+      if (value.type !== 'Literal' || typeof value.value !== 'number') {
+        throw notRepresentable(value, `Age bound ${describeNode(value)} is not a number`);
+      }
+      return value.value;
+    };
+    if (node.type === 'Between') {
+      return range({ lo: number(node.low), hi: number(node.high) });
+    }
+    if (node.operator === 'in') {
+      const interval = unwrap(node.right);
+      if (interval.type !== 'IntervalSelector') {
+        throw notRepresentable(interval, `Age is compared with ${describeNode(interval)}, not an interval of numbers`);
+      }
+      return range({
+        lo: interval.lowClosed ? number(interval.low) : number(interval.low) + 1,
+        hi: interval.highClosed ? number(interval.high) : number(interval.high) - 1
+      });
+    }
+    const operator = isAge(node.left) ? node.operator : MIRRORED[node.operator] || node.operator;
+    if (!CIRCE_OPERATORS[operator]) {
+      throw notRepresentable(node, `Age comparison '${node.operator}' cannot be represented`);
+    }
+    return { Value: number(isAge(node.left) ? node.right : node.left), Op: CIRCE_OPERATORS[operator] };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Event criteria
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a list of events to criterion drafts, one per OMOP table it reads
+   * @returns {Array<Object>} { table, name, fields, dates, values, windows, correlated }
+   */
+  criteria(node, unit) {
+    const expression = unwrap(node);
+    switch (expression.type) {
+      case 'Retrieve':
+        return this.retrieve(expression, unit);
+      case 'Query':
+        return this.query(expression, unit);
+      case 'Identifier': {
+        const target = this.lookupDefine(expression, unit);
+        if (target && this.isList(target.statement.expression, target.unit)) {
+          return this.criteria(target.statement.expression, target.unit);
+        }
+        break;
+      }
+      case 'BinaryExpression':
+        if (expression.operator === 'union') {
+          return [...this.criteria(expression.left, unit), ...this.criteria(expression.right, unit)];
+        }
+        break;
+      default:
+        break;
+    }
+    throw notRepresentable(expression, `${describeNode(expression)} cannot be represented as Circe event criteria`);
+  }
+
+  retrieve(node, unit) {
+    const tables = factTablesForDataType(node.dataType, retrieveModel(node, unit.library));
+    const supported = tables.filter(table => CIRCE_CRITERIA[table]);
+    if (supported.length === 0) {
+      throw notRepresentable(node, tables.length > 0
+        ? `[${node.dataType}] reads ${tables.join(', ')}, which has no Circe event criterion`
+        : `No OMOP fact table is known for [${node.dataType}]`);
+    }
+    const codesetId = node.terminology ? this.conceptSet(node.terminology, unit, node) : null;
+    return supported.map(table => ({
+      table,
+      name: CIRCE_CRITERIA[table].name,
+      fields: codesetId === null ? {} : { CodesetId: codesetId },
+      dates: { start: { lo: null, hi: null }, end: { lo: null, hi: null } },
+      values: { lo: null, hi: null, strict: {} },
+      unit: null, // UCUM unit the values are compared in
+      windows: new Map(), // "<event side>|<index side>" -> { eventSide, indexSide, bounds }
+      correlated: []
+    }));
+  }
+
+  /**
+   * Concept set id (0-based, as Circe numbers them) for a valueset, code or concept reference
+   */
+  conceptSet(terminologyNode, unit, node) {
+    const terminology = describeTerminology(terminologyNode, unit);
+    if (terminology.type === 'expression') {
+      throw notRepresentable(node, terminology.reason
+        ? `"${terminology.name}" is ${terminology.reason}`
+        : `Code filters of type ${terminology.expressionType} cannot be represented`);
+    }
+    const set = findConceptSet(terminology, this.mappings);
+    const key = set ? set.id : `${terminology.type}:${terminology.library ?? ''}:${terminology.name}`;
+    if (!this.conceptSets.has(key)) {
+      const taken = Array.from(this.conceptSets.values()).some(conceptSet => conceptSet.name === terminology.name);
+      const concepts = set?.concepts || [];
+      this.conceptSets.set(key, {
+        id: this.conceptSets.size,
+        name: taken ? `${terminology.name} (${key})` : terminology.name,
+        conceptSetId: set?.id ?? null,
+        library: terminology.library ?? null,
+        conceptCount: concepts.length,
+        expression: conceptSetExpression(concepts, this.itemFlags)
+      });
+      if (concepts.length === 0) {
+        this.warn(`No OMOP concepts for ${terminology.type} "${terminology.name}"; its concept set is empty. Pass the map-vsac-to-omop result as conceptMappings.`);
+      }
+    }
+    return this.conceptSets.get(key).id;
+  }
+
+  /**
+   * Single-source query: its where clause filters the source's criteria and
+   * its with / without clauses become correlated criteria
+   */
+  query(node, unit) {
+    if (node.sources.length !== 1) {
+      throw notRepresentable(node, 'Multi-source queries cannot be represented');
+    }
+    if (node.let.length > 0) {
+      throw notRepresentable(node, 'Queries with let clauses cannot be represented');
+    }
+    const [source] = node.sources;
+    const drafts = this.criteria(source.expression, unit);
+
+    for (const relationship of node.relationships) {
+      const related = this.criteria(relationship.expression, unit);
+      for (const term of conjuncts(relationship.suchThat)) {
+        this.attempt(term, () => this.restrict(term, { unit, alias: relationship.alias, index: source.alias, drafts: related }));
+      }
+      const group = relationship.type === 'Without'
+        ? this.occurrenceGroup(related, NONE)
+        : this.occurrenceGroup(related, AT_LEAST_ONE);
+      drafts.forEach(draft => draft.correlated.push(group));
+    }
+    for (const term of conjuncts(node.where)) {
+      this.attempt(term, () => this.restrict(term, { unit, alias: source.alias, index: null, drafts }));
+    }
+    return drafts;
+  }
+
+  /**
+   * Group requiring the events of any draft at least once, or of every draft never
+   */
+  occurrenceGroup(drafts, occurrence) {
+    const items = drafts.map(draft => this.correlatedItem(draft, occurrence));
+    return { ...emptyGroup(occurrence === NONE || items.length === 1 ? 'ALL' : 'ANY'), CriteriaList: items };
+  }
+
+  /**
+   * Circe criterion for a draft
+   */
+  finish(draft) {
+    const criterion = { ...draft.fields };
+    const { start, end } = draft.dates;
+    // Tables without an end date of their own end where they start
+    const bounds = CIRCE_CRITERIA[draft.table].dates.includes('end')
+      ? { start, end }
+      : { start: narrow(narrow(start, '>=', end.lo, addDays), '<=', end.hi, addDays), end: { lo: null, hi: null } };
+    for (const [side, field] of [['start', 'OccurrenceStartDate'], ['end', 'OccurrenceEndDate']]) {
+      const { lo, hi } = bounds[side];
+      if (lo !== null && hi !== null && lo > hi) {
+        this.warn(`${draft.name} occurrence ${side} dates ${lo} to ${hi} are empty; no event meets them`);
+      }
+      if (lo !== null || hi !== null) {
+        criterion[field] = range(bounds[side]);
+      }
+    }
+    if (draft.values.lo !== null || draft.values.hi !== null) {
+      criterion.ValueAsNumber = draft.values.strict.Op ? { ...draft.values.strict } : range(draft.values);
+    }
+    if (draft.unit) {
+      criterion.Unit = [{ CONCEPT_ID: unitConcept(draft.unit), CONCEPT_CODE: draft.unit, DOMAIN_ID: 'Unit', VOCABULARY_ID: 'UCUM' }];
+    }
+    if (draft.correlated.length > 0) {
+      criterion.CorrelatedCriteria = allOf(draft.correlated);
+    }
+    return { [draft.name]: criterion };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Where and such that terms
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Apply a where / such that term to the drafts of an alias
+   * @param {Object} context - { unit, alias, index, drafts }: alias names the drafts'
+   *        events, index the events of the query they are correlated with
+   */
+  restrict(node, context) {
+    const term = unwrap(node);
+    if (term.type === 'TimingExpression') {
+      if (term.precision && term.precision !== 'day') {
+        throw notRepresentable(term, `Circe compares dates by day; timing ${term.precision} of cannot be represented`);
+      }
+      if (term.properly) {
+        this.warn(`'properly' timing phrases are represented without their strictness`);
+      }
+      const left = this.boundaryOf(this.temporalOperand(term.left, context), term.leftBoundary);
+      const right = this.boundaryOf(this.temporalOperand(term.right, context), term.rightBoundary);
+      this.timingConstraints(term, left, right).forEach(constraint => this.constrain(constraint, context, term));
+      return;
+    }
+    if (term.type === 'BinaryExpression' && term.operator === 'in' && unwrap(term.right).type !== 'ListSelector') {
+      // The collection first, so a membership test reports its value set
+      const right = this.temporalOperand(term.right, context);
+      const left = this.temporalOperand(term.left, context);
+      this.timingConstraints({ operator: 'includedIn' }, left, right).forEach(constraint => this.constrain(constraint, context, term));
+      return;
+    }
+    if (term.type === 'BinaryExpression' && MIRRORED[term.operator]) {
+      if (this.valueProperty(term.left, context) || this.valueProperty(term.right, context)) {
+        this.valueRange(term, context);
+        return;
+      }
+      const left = this.temporalOperand(term.left, context);
+      const right = this.temporalOperand(term.right, context);
+      if (!left.point || !right.point) {
+        throw notRepresentable(term, 'Comparing intervals cannot be represented');
+      }
+      this.constrain({ left: left.low, operator: term.operator, right: right.low }, context, term);
+      return;
+    }
+    throw notRepresentable(term, `${describeNode(term)} cannot be represented as a Circe criterion attribute`);
+  }
+
+  /**
+   * A date operand as { low, high, point } of endpoints: { alias, side } for an
+   * event's start or end, { day } for a fixed date (day null when unbounded)
+   */
+  temporalOperand(node, context) {
+    const expression = unwrap(node);
+    switch (expression.type) {
+      case 'Property': {
+        const alias = expression.source.type === 'Identifier' && !expression.source.libraryName ? expression.source.name : null;
+        if (alias !== context.alias && alias !== context.index) {
+          break;
+        }
+        const columns = propertyColumns(expression.path);
+        if (columns?.type === 'interval') {
+          return { low: { alias, side: 'start' }, high: { alias, side: 'end' }, point: false };
+        }
+        if (columns?.type === 'date') {
+          const endpoint = { alias, side: columns.column === 'end_date' ? 'end' : 'start' };
+          return { low: endpoint, high: endpoint, point: true };
+        }
+        throw notRepresentable(expression, `${alias}.${expression.path} is not an OMOP date`);
+      }
+      case 'TimeBoundary':
+        return this.boundaryOf(this.temporalOperand(expression.operand, context), expression.boundary);
+      case 'DateTimeComponentFrom':
+        if (expression.component === 'date') {
+          return this.temporalOperand(expression.operand, context);
+        }
+        break;
+      case 'FunctionCall':
+        if (CONVERSION_FUNCTIONS.has(expression.name) && expression.args.length === 1 &&
+          (!expression.libraryName || expression.libraryName === 'FHIRHelpers')) {
+          return this.temporalOperand(expression.args[0], context);
+        }
+        break;
+      case 'Literal':
+        if (['Date', 'DateTime'].includes(expression.valueType)) {
+          const endpoint = { day: dayOf(expression.value) };
+          return { low: endpoint, high: endpoint, point: true };
+        }
+        break;
+      case 'IntervalSelector': {
+        const bound = (value, closed, step) => {
+          const { low } = this.temporalOperand(value, context);
+          if (low.day === undefined) {
+            throw notRepresentable(value, 'Interval boundaries must be fixed dates');
+          }
+          return closed || low.day === null ? low : { day: addDays(low.day, step) };
+        };
+        return { low: bound(expression.low, expression.lowClosed, 1), high: bound(expression.high, expression.highClosed, -1), point: false };
+      }
+      case 'Identifier':
+        return this.parameterOperand(expression);
+      default:
+        break;
+    }
+    throw notRepresentable(expression, `${describeNode(expression)} is not an event date or a fixed date`);
+  }
+
+  /**
+   * A date or interval parameter ("Measurement Period") by its value
+   */
+  parameterOperand(node) {
+    const parameter = node.libraryName ? null : this.parameters.get(node.name);
+    if (!parameter) {
+      throw notRepresentable(node, `${describeNode(node)} is not a date parameter of the library`);
+    }
+    const { value } = parameter;
+    if (!value) {
+      throw notRepresentable(node, `Parameter "${parameter.name}" has no value; Circe needs its dates (pass it in parameters)`);
+    }
+    if (parameter.kind !== 'interval') {
+      const endpoint = { day: dayOf(value.value) };
+      return { low: endpoint, high: endpoint, point: true };
+    }
+    const start = dayOf(value.start);
+    const end = dayOf(value.end);
+    const time = /T(.*)$/.exec(String(value.end ?? ''))?.[1] ?? null;
+    const midnight = time !== null && /^00:00(:00(\.0+)?)?$/.test(time);
+    // A datetime end other than a closed midnight takes in the whole of its last day,
+    // so an event on that day is still before it
+    const endOfDay = end !== null && time !== null && (value.highClosed === false ? midnight : !midnight);
+    const lastDay = end !== null && value.highClosed === false && (time === null || midnight) ? addDays(end, -1) : end;
+    return {
+      low: { day: start !== null && value.lowClosed === false ? addDays(start, 1) : start },
+      high: { day: lastDay, endOfDay },
+      point: false
+    };
+  }
+
+  boundaryOf(operand, boundary) {
+    if (!boundary) {
+      return operand;
+    }
+    const endpoint = boundary === 'start' ? operand.low : operand.high;
+    return { low: endpoint, high: endpoint, point: true };
+  }
+
+  /**
+   * Comparisons { left, operator, right, shift? } a timing phrase stands for;
+   * shift { quantity, sign } moves the right endpoint. Mirrors timingCondition.
+   */
+  timingConstraints(phrase, a, b) {
+    const compare = (left, operator, right, shift = null) => ({ left, operator, right, shift });
+    const offset = (left, right, direction) => {
+      const beyond = direction < 0 ? (phrase.inclusive ? '<=' : '<') : (phrase.inclusive ? '>=' : '>');
+      if (!phrase.offset) {
+        return [compare(left, beyond, right)];
+      }
+      const shift = { quantity: phrase.offset.quantity, sign: direction };
+      const [towards, past] = direction < 0 ? ['>', '<'] : ['<', '>'];
+      switch (phrase.offset.qualifier) {
+        case 'or less':
+          return [compare(left, `${towards}=`, right, shift), compare(left, beyond, right)];
+        case 'less than':
+          return [compare(left, towards, right, shift), compare(left, beyond, right)];
+        case 'or more':
+          return [compare(left, `${past}=`, right, shift)];
+        case 'more than':
+          return [compare(left, past, right, shift)];
+        default:
+          return [compare(left, '=', right, shift)];
+      }
+    };
+
+    switch (phrase.operator) {
+      case 'before':
+        return offset(a.high, b.low, -1);
+      case 'after':
+        return offset(a.low, b.high, 1);
+      case 'sameAs':
+        return a.point && b.point ? [compare(a.low, '=', b.low)] : [compare(a.low, '=', b.low), compare(a.high, '=', b.high)];
+      case 'sameOrBefore':
+        return [compare(a.high, '<=', b.low)];
+      case 'sameOrAfter':
+        return [compare(a.low, '>=', b.high)];
+      case 'within':
+        return [
+          compare(a.low, '>=', b.low, { quantity: phrase.offset.quantity, sign: -1 }),
+          compare(a.high, '<=', b.high, { quantity: phrase.offset.quantity, sign: 1 })
+        ];
+      case 'includedIn':
+        return [compare(a.low, '>=', b.low), compare(a.high, '<=', b.high)];
+      case 'includes':
+        return [compare(b.low, '>=', a.low), compare(b.high, '<=', a.high)];
+      case 'overlaps':
+        return [compare(a.low, '<=', b.high), compare(a.high, '>=', b.low)];
+      case 'starts':
+        return [compare(a.low, '=', b.low), compare(a.high, '<=', b.high)];
+      case 'ends':
+        return [compare(a.high, '=', b.high), compare(a.low, '>=', b.low)];
+      default:
+        throw notRepresentable(phrase, `Timing '${phrase.operator}' cannot be represented`);
+    }
+  }
+
+  /**
+   * Record a comparison as an occurrence date range (against a fixed date) or
+   * a window (against the index event) on the drafts of the context's alias
+   */
+  constrain({ left, operator, right, shift }, context, node) {
+    // Put the alias's endpoint on the left: x < y + s is y > x - s
+    if (left.alias !== context.alias && right.alias === context.alias) {
+      this.constrain({ left: right, operator: MIRRORED[operator], right: left, shift: shift && { ...shift, sign: -shift.sign } }, context, node);
+      return;
+    }
+    if (left.alias !== context.alias) {
+      throw notRepresentable(node, `Only the dates of ${context.alias} can be constrained here`);
+    }
+
+    if (right.day !== undefined) {
+      // An unbounded end constrains nothing
+      if (right.day !== null) {
+        const day = shift ? shiftDay(right.day, shift.quantity, shift.sign, node) : right.day;
+        const dayOperator = right.endOfDay && operator === '<' ? '<=' : operator;
+        context.drafts.forEach(draft => {
+          draft.dates[left.side] = narrow(draft.dates[left.side], dayOperator, day, addDays);
+        });
+      }
+      return;
+    }
+    if (context.index && right.alias === context.index) {
+      const days = shift ? shift.sign * this.offsetDays(shift.quantity, node) : 0;
+      const key = `${left.side}|${right.side}`;
+      if (context.drafts.some(draft => !draft.windows.has(key) && draft.windows.size === 2)) {
+        throw notRepresentable(node, 'Circe windows place an event by at most two of its dates against the index event');
+      }
+      context.drafts.forEach(draft => {
+        const window = draft.windows.get(key) || { eventSide: left.side, indexSide: right.side, bounds: { lo: null, hi: null } };
+        window.bounds = narrow(window.bounds, operator, days, (value, step) => value + step);
+        draft.windows.set(key, window);
+      });
+      return;
+    }
+    throw notRepresentable(node, `${context.alias} is compared with the dates of ${right.alias}, which Circe cannot relate`);
+  }
+
+  offsetDays(quantity, node) {
+    const unit = durationUnit(quantity);
+    if (!DAYS[unit]) {
+      throw notRepresentable(node, `Circe windows are days; a ${quantity.unit} offset cannot be represented`);
+    }
+    if (unit === 'year' || unit === 'month') {
+      this.warn(`Window offsets in ${unit}s are approximated as ${DAYS[unit]} days each`);
+    }
+    return quantity.value * DAYS[unit];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Values
+  // ---------------------------------------------------------------------------
+
+  valueProperty(node, context) {
+    const expression = unwrap(node);
+    return expression.type === 'Property' && expression.source.type === 'Identifier' &&
+      expression.source.name === context.alias && propertyColumns(expression.path)?.column === 'value_as_number';
+  }
+
+  /**
+   * A comparison of a result with a number as a ValueAsNumber range
+   */
+  valueRange(node, context) {
+    const propertyOnLeft = this.valueProperty(node.left, context);
+    const operator = propertyOnLeft ? node.operator : MIRRORED[node.operator];
+    const other = unwrap(propertyOnLeft ? node.right : node.left);
+    if (!['Literal', 'Quantity'].includes(other.type) || typeof other.value !== 'number') {
+      throw notRepresentable(other, `${describeNode(other)} is not a number; only results compared with a number can be represented`);
+    }
+    const unit = other.type === 'Quantity' && other.unit && other.unit !== '1' ? other.unit : null;
+    if (unit && unitConcept(unit) === null) {
+      this.warn(`Unit '${unit}' has no OMOP unit concept; the value is compared with value_as_number whatever its unit`);
+    } else if (unit) {
+      // Circe filters on the unit concept but does not convert between units
+      this.warn(`Only results recorded in '${unit}' are compared; Circe does not convert results in other units`);
+    }
+    for (const draft of context.drafts) {
+      if (!CIRCE_CRITERIA[draft.table].value) {
+        throw notRepresentable(node, `${draft.name} criteria have no value to compare`);
+      }
+      if (unit && unitConcept(unit) !== null) {
+        if (draft.unit && draft.unit !== unit) {
+          throw notRepresentable(node, `Results compared in both '${draft.unit}' and '${unit}' cannot be represented`);
+        }
+        draft.unit = unit;
+      }
+      if (operator === '<' || operator === '>') {
+        // Results are decimals, so a strict bound stays strict
+        if (draft.values.lo !== null || draft.values.hi !== null) {
+          throw notRepresentable(node, 'Only one strict result comparison can be represented per criterion');
+        }
+        draft.values = { lo: other.value, hi: other.value, strict: { Value: other.value, Op: CIRCE_OPERATORS[operator] } };
+      } else {
+        if (draft.values.strict.Op) {
+          throw notRepresentable(node, 'Only one strict result comparison can be represented per criterion');
+        }
+        draft.values = { ...narrow(draft.values, operator, other.value, value => value), strict: {} };
+      }
+    }
+  }
+}
+
+/**
+ * Pick the define a population code names, from a Measure group or by the define names eCQMs use
+ * @returns {{ define:string, source:string, group:string|null, warnings:Array<string> }}
+ * @throws {AtlasExportError} POPULATION_NOT_FOUND
+ */
+export function findCohortPopulation(defineNames, population, measure = null, groupId = null) {
+  if (measure) {
+    const found = findPopulationDefines(defineNames, measure, groupId);
+    const entry = found.populations.find(item => item.code === population);
+    return { define: entry.define, source: found.source, group: found.group, warnings: found.warnings };
+  }
+  const { names } = PROPORTION_POPULATIONS.find(item => item.code === population);
+  const define = names.find(name => defineNames.includes(name));
+  if (!define) {
+    throw new AtlasExportError(`No "${names[0]}" define; pass define or a Measure resource to name the population`, 'POPULATION_NOT_FOUND', { population });
+  }
+  return { define, source: 'convention', group: null, warnings: [] };
+}
+
+/**
+ * Build the Circe cohort definition of a measure population
+ * @param {string|Object} cqlQuery - CQL text or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @param {Object} conceptMappings - map-vsac-to-omop result or concept set ids
+ * @param {{ population?:string, define?:string, measure?:Object, group?:string|number, parameters?:Object,
+ *          includeDescendants?:boolean, includeMapped?:boolean }} options - define overrides population
+ *          ('initial-population' by default)
+ * @returns {Object} { define, populationSource, group, expression, conceptSets, primaryCriteria, inclusionRules, notRepresented, warnings }
+ */
+export function buildCohortDefinition(cqlQuery, includedLibraries = [], conceptMappings = {}, options = {}) {
+  const library = toCqlLibrary(cqlQuery);
+  const builder = new CohortDefinitionBuilder(library, includedLibraries, conceptMappings, options);
+  const defineNames = library.statements.filter(statement => statement.type === 'ExpressionDef').map(statement => statement.name);
+  const found = options.define
+    ? { define: options.define, source: 'input', group: null, warnings: [] }
+    : findCohortPopulation(defineNames, options.population || 'initial-population', options.measure ?? null, options.group ?? null);
+  found.warnings.forEach(warning => builder.warn(warning));
+  return { define: found.define, populationSource: found.source, group: found.group, ...builder.build(found.define) };
+}
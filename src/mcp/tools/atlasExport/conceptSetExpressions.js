@@ -0,0 +1,135 @@
+// src/mcp/tools/atlasExport/conceptSetExpressions.js
+
+/**
+ * OHDSI ATLAS / Circe concept set expressions for the concept sets
+ * map-vsac-to-omop resolves.
+ *
+ * Each value set, code and concept becomes one expression named after its
+ * CQL declaration. The concepts are the ones generate-sql filters on
+ * (standard and mapped, verbatim only when a set has nothing else), so the
+ * expressions select the same rows as the generated SQL. VSAC expansions
+ * are already enumerated, so descendants are not included unless asked for.
+ */
+import { mappingPipeline, normalizeConceptMappings } from "../generateSql/conceptSets.js";
+import { AtlasExportError } from "../../../utils/atlasExportErrors.js";
+
+const STANDARD_CAPTIONS = { S: 'Standard', C: 'Classification' };
+const INVALID_CAPTIONS = { V: 'Valid', D: 'Invalid', U: 'Invalid' };
+
+/**
+ * Circe concept of a concept set row ({ concept_id, concept_name, ... })
+ */
+function circeConcept(concept) {
+  const standard = concept.standard_concept === undefined ? null : concept.standard_concept || 'N';
+  const invalidReason = concept.invalid_reason || 'V';
+  return {
+    CONCEPT_ID: concept.concept_id,
+    CONCEPT_NAME: concept.concept_name ?? null,
+    STANDARD_CONCEPT: standard,
+    STANDARD_CONCEPT_CAPTION: standard === null ? 'Unknown' : STANDARD_CAPTIONS[standard] || 'Non-Standard',
+    INVALID_REASON: invalidReason,
+    INVALID_REASON_CAPTION: INVALID_CAPTIONS[invalidReason] || 'Invalid',
+    CONCEPT_CODE: concept.concept_code ?? null,
+    DOMAIN_ID: concept.domain_id ?? null,
+    VOCABULARY_ID: concept.vocabulary_id ?? null,
+    CONCEPT_CLASS_ID: concept.concept_class_id ?? null
+  };
+}
+
+/**
+ * Concept set expression ({ items }) for a list of concepts
+ * @param {Array<Object>} concepts - Concept rows
+ * @param {{ includeDescendants?:boolean, includeMapped?:boolean }} options
+ */
+export function conceptSetExpression(concepts, { includeDescendants = false, includeMapped = false } = {}) {
+  return {
+    items: concepts.map(concept => ({
+      concept: circeConcept(concept),
+      isExcluded: false,
+      includeDescendants,
+      includeMapped
+    }))
+  };
+}
+
+/**
+ * File name for a concept set or measure name
+ */
+export function exportFileName(name) {
+  const base = String(name || '').trim().replace(/[^A-Za-z0-9 ._-]+/g, '_').replace(/\s+/g, ' ').replace(/^[ .]+|[ .]+$/g, '');
+  return `${base || 'concept_set'}.json`;
+}
+
+/**
+ * File name for a name that does not collide with the names already taken:
+ * names that sanitise alike ("A/B", "A:B") get a numbered suffix (A_B_2.json).
+ * Names are compared case-insensitively, as Windows and macOS file systems do.
+ * @param {string} name - Concept set or measure name
+ * @param {Set<string>} taken - Lower-cased file names in use; the new name is added
+ */
+export function uniqueExportFileName(name, taken) {
+  const fileName = exportFileName(name);
+  let unique = fileName;
+  for (let suffix = 2; taken.has(unique.toLowerCase()); suffix++) {
+    unique = fileName.replace(/\.json$/, `_${suffix}.json`);
+  }
+  taken.add(unique.toLowerCase());
+  return unique;
+}
+
+/**
+ * Build the ATLAS concept sets of a map-vsac-to-omop result
+ * @param {Object|Array} conceptMappings - map-vsac-to-omop result (see normalizeConceptMappings)
+ * @param {{ includeDescendants?:boolean, includeMapped?:boolean, reservedFileNames?:Array<string> }} options - Flags
+ *        set on every item, and file names (the combined file) the concept sets must not take
+ * @returns {{ conceptSets:Array<Object>, warnings:Array<string> }} conceptSets in the
+ *          cohort definition ConceptSets shape ({ id, name, expression }) with the set's
+ *          OID or placeholder id, library, concept source and file name
+ * @throws {AtlasExportError} NO_CONCEPT_SETS
+ */
+export function buildAtlasConceptSets(conceptMappings, options = {}) {
+  const { sets } = normalizeConceptMappings(conceptMappings);
+  const source = mappingPipeline(conceptMappings);
+  const declared = source.step1_extraction?.valuesets || [];
+  const warnings = [];
+
+  // Declared value sets no concept mapped to still get an (empty) expression
+  const entries = Array.from(sets.values());
+  for (const valueset of declared) {
+    if (valueset.oid && !sets.has(valueset.oid)) {
+      entries.push({ id: valueset.oid, name: valueset.name, conceptSource: null, conceptIds: [], concepts: [] });
+    }
+  }
+  if (entries.length === 0) {
+    throw new AtlasExportError('conceptMappings holds no concept sets; pass the map-vsac-to-omop result', 'NO_CONCEPT_SETS');
+  }
+
+  const libraries = new Map(declared.map(valueset => [valueset.oid, valueset.library ?? null]));
+  const fileNames = new Set((options.reservedFileNames || []).map(fileName => fileName.toLowerCase()));
+  const names = new Map();
+  for (const entry of entries) {
+    names.set(entry.name, (names.get(entry.name) || 0) + 1);
+  }
+
+  const conceptSets = entries.map((entry, index) => {
+    // Sets that share a CQL name (value sets of two libraries) keep it apart with their id
+    const name = names.get(entry.name) > 1 ? `${entry.name} (${entry.id})` : entry.name;
+    if (entry.concepts.length === 0) {
+      warnings.push(`Concept set "${name}" has no OMOP concepts; its expression is empty`);
+    } else if (entry.conceptSource === 'verbatim') {
+      warnings.push(`Concept set "${name}" only has non-standard (verbatim) concepts; consider includeMapped`);
+    }
+    return {
+      id: index,
+      name,
+      conceptSetId: entry.id,
+      library: libraries.get(entry.id) ?? null,
+      conceptSource: entry.conceptSource,
+      conceptCount: entry.concepts.length,
+      fileName: uniqueExportFileName(name, fileNames),
+      expression: conceptSetExpression(entry.concepts, options)
+    };
+  });
+
+  return { conceptSets, warnings };
+}
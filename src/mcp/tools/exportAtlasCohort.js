@@ -0,0 +1,148 @@
+// src/mcp/tools/exportAtlasCohort.js
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { COHORT_POPULATIONS, buildCohortDefinition } from "./atlasExport/cohortDefinition.js";
+import { exportFileName } from "./atlasExport/conceptSetExpressions.js";
+import { pipelineParameterValues } from "./generateSql/parameters.js";
+import { AtlasExportError } from "../../utils/atlasExportErrors.js";
+import measurePackageService from "../../services/measurePackageService.js";
+
+/**
+ * ATLAS cohort definition export tool
+ * Translates a measure's initial population or denominator define to an
+ * OHDSI Circe cohort definition (concept sets, primary criteria, additional
+ * criteria and inclusion rules) that ATLAS can import and the standard
+ * cohort tooling can run.
+ */
+export function exportAtlasCohortTool(server) {
+  server.tool(
+    "export-atlas-cohort",
+    {
+      cql: z.string().optional(),
+      // Translated ELM (JSON or XML) instead of the CQL text
+      elm: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Package imported with import-measure-package; its libraries and Measure replace cql/elm/measure
+      measurePackageId: z.string().optional(),
+      // FHIR Measure resource whose group names the population defines
+      measure: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Measure group id or 1-based index; the first group by default
+      group: z.union([z.string(), z.number()]).optional(),
+      population: z.enum(COHORT_POPULATIONS).optional().default("initial-population"),
+      // Boolean define to export instead of the population
+      define: z.string().optional(),
+      // map-vsac-to-omop result (or its pipeline / step4_final_concept_sets), or { "<OID or name>": [concept_id, ...] }
+      conceptMappings: z.union([z.object({}).passthrough(), z.array(z.object({}).passthrough())]).optional().default({}),
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || ''),
+      // Values by parameter name; Circe needs the Measurement Period dates
+      parameters: z.record(z.any()).optional().default({}),
+      includeDescendants: z.boolean().optional().default(false),
+      includeMapped: z.boolean().optional().default(false),
+      // Cohort name; "<library> - <define>" by default
+      cohortName: z.string().optional(),
+      // Directory to write <cohort name>.json to; returned only when empty
+      outputDir: z.string().optional()
+    },
+    async ({ cql, elm, measurePackageId, measure, group, population, define, conceptMappings, cqlLibraryPath, parameters, includeDescendants, includeMapped, cohortName, outputDir }) => {
+      try {
+        console.error("Exporting ATLAS cohort definition...");
+
+        const { measurePackage, library, includedLibraries, includes } = measurePackageService.loadMeasureLogic(
+          { cqlQuery: cql, elm, measurePackageId }, cqlLibraryPath
+        );
+
+        let measureResource = measurePackage?.measure ?? null;
+        if (!measureResource && measure) {
+          try {
+            measureResource = typeof measure === 'string' ? JSON.parse(measure) : measure;
+          } catch (error) {
+            throw new AtlasExportError(`Measure is not valid JSON: ${error.message}`, 'INVALID_MEASURE');
+          }
+        }
+
+        const built = buildCohortDefinition(library, includedLibraries, conceptMappings, {
+          population,
+          define,
+          measure: measureResource,
+          group: group ?? null,
+          parameters: { ...pipelineParameterValues(conceptMappings), ...parameters },
+          includeDescendants,
+          includeMapped
+        });
+
+        const name = cohortName || `${library.identifier?.name || measureResource?.name || 'measure'} - ${built.define}`;
+        // The shape WebAPI's cohort definition endpoint takes; ATLAS's import takes the expression
+        const cohortDefinition = {
+          name,
+          description: `Population "${built.define}" of ${library.identifier?.name || 'the library'}, exported from CQL`,
+          expressionType: 'SIMPLE_EXPRESSION',
+          expression: built.expression
+        };
+        const fileName = exportFileName(name);
+
+        let files = [];
+        if (outputDir) {
+          const directory = path.resolve(outputDir);
+          const filePath = path.join(directory, fileName);
+          try {
+            fs.mkdirSync(directory, { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(built.expression, null, 2));
+          } catch (error) {
+            throw new AtlasExportError(`Cannot write to ${directory}: ${error.message}`, 'OUTPUT_DIR_NOT_WRITABLE', { outputDir: directory });
+          }
+          files = [{ name, path: filePath }];
+          console.error(`Wrote ${filePath}`);
+        }
+
+        const result = {
+          success: true,
+          library: library.identifier,
+          includes,
+          measure: measureResource ? { url: measureResource.url ?? null, name: measureResource.name ?? null } : null,
+          population: define ? null : population,
+          define: built.define,
+          populationSource: built.populationSource,
+          group: built.group,
+          cohortDefinition,
+          fileName,
+          files,
+          conceptSets: built.conceptSets,
+          primaryCriteria: built.primaryCriteria,
+          inclusionRules: built.inclusionRules,
+          // CQL the cohort leaves out; the cohort is broader than the population by these
+          notRepresented: built.notRepresented,
+          warnings: built.warnings,
+          summary: {
+            conceptSets: built.conceptSets.length,
+            emptyConceptSets: built.conceptSets.filter(conceptSet => conceptSet.conceptCount === 0).length,
+            inclusionRules: built.inclusionRules.length,
+            notRepresented: built.notRepresented.length
+          },
+          parseErrors: library.errors
+        };
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+
+      } catch (error) {
+        console.error("ATLAS cohort export error:", error);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && { details: error.details })
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
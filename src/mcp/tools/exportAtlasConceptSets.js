@@ -0,0 +1,96 @@
+// src/mcp/tools/exportAtlasConceptSets.js
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { buildAtlasConceptSets, exportFileName } from "./atlasExport/conceptSetExpressions.js";
+import { AtlasExportError } from "../../utils/atlasExportErrors.js";
+
+/**
+ * ATLAS concept set export tool
+ * Turns the value sets, codes and concepts map-vsac-to-omop resolved into
+ * OHDSI ATLAS / Circe concept set expressions, one per CQL declaration, and
+ * one combined file in the ConceptSets shape of a cohort definition.
+ */
+export function exportAtlasConceptSetsTool(server) {
+  server.tool(
+    "export-atlas-concept-sets",
+    {
+      // map-vsac-to-omop result (or its pipeline / step4_final_concept_sets)
+      conceptMappings: z.union([z.object({}).passthrough(), z.array(z.object({}).passthrough())]),
+      includeDescendants: z.boolean().optional().default(false),
+      includeMapped: z.boolean().optional().default(false),
+      // Name of the combined file
+      measureName: z.string().optional().default("measure"),
+      // Directory to write <concept set name>.json files and the combined file to; returned only when empty
+      outputDir: z.string().optional()
+    },
+    async ({ conceptMappings, includeDescendants, includeMapped, measureName, outputDir }) => {
+      try {
+        console.error("Exporting ATLAS concept set expressions...");
+
+        const combinedFileName = exportFileName(`${measureName} concept sets`);
+        const { conceptSets, warnings } = buildAtlasConceptSets(conceptMappings, {
+          includeDescendants,
+          includeMapped,
+          reservedFileNames: [combinedFileName]
+        });
+        const combined = conceptSets.map(({ id, name, expression }) => ({ id, name, expression }));
+
+        let files = [];
+        if (outputDir) {
+          const directory = path.resolve(outputDir);
+          try {
+            fs.mkdirSync(directory, { recursive: true });
+            files = [
+              ...conceptSets.map(conceptSet => ({ name: conceptSet.name, content: conceptSet.expression, fileName: conceptSet.fileName })),
+              { name: measureName, content: combined, fileName: combinedFileName }
+            ].map(file => {
+              const filePath = path.join(directory, file.fileName);
+              fs.writeFileSync(filePath, JSON.stringify(file.content, null, 2));
+              return { name: file.name, path: filePath };
+            });
+          } catch (error) {
+            throw new AtlasExportError(`Cannot write to ${directory}: ${error.message}`, 'OUTPUT_DIR_NOT_WRITABLE', { outputDir: directory });
+          }
+          console.error(`Wrote ${files.length} file(s) to ${directory}`);
+        }
+
+        const result = {
+          success: true,
+          conceptSets,
+          // Paste into ATLAS (Concept Sets > Import) or a cohort definition's ConceptSets
+          combined: { fileName: combinedFileName, conceptSets: combined },
+          files,
+          warnings,
+          summary: {
+            conceptSets: conceptSets.length,
+            concepts: conceptSets.reduce((total, conceptSet) => total + conceptSet.conceptCount, 0),
+            empty: conceptSets.filter(conceptSet => conceptSet.conceptCount === 0).length
+          }
+        };
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+
+      } catch (error) {
+        console.error("ATLAS concept set export error:", error);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && { details: error.details })
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
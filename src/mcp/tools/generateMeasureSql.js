@@ -0,0 +1,170 @@
+// src/mcp/tools/generateMeasureSql.js
+import { z } from "zod";
+import { generateMeasureSql } from "./generateSql/sqlGenerator.js";
+import { PARAMETER_STYLES, pipelineParameterValues } from "./generateSql/parameters.js";
+import { BIRTH_DATE_POLICIES } from "./generateSql/demographics.js";
+import { MISSING_UNIT_POLICIES } from "./generateSql/units.js";
+import { DRUG_EXPANSIONS } from "./generateSql/drugExpansion.js";
+import { ENCOUNTER_SOURCES } from "./generateSql/encounters.js";
+import { DIALECT_NAMES, DEFAULT_DIALECT } from "./generateSql/dialects.js";
+import { CDM_VERSIONS, DEFAULT_CDM_VERSION } from "./generateSql/omopCdmSchema.js";
+import { SqlGenerationError } from "../../utils/sqlGenerationErrors.js";
+import measurePackageService from "../../services/measurePackageService.js";
+
+/**
+ * Measure SQL generation tool
+ * Translates a proportion eCQM to OMOP CDM SQL that flags, for each initial
+ * population person, the populations they fall in, and to a query counting
+ * each population with the performance rate. Population defines come from
+ * the Measure resource when there is one, else from the eCQM define names.
+ */
+export function generateMeasureSqlTool(server) {
+  server.tool(
+    "generate-measure-sql",
+    {
+      cql: z.string().optional(),
+      // Translated ELM (JSON or XML) instead of the CQL text
+      elm: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Package imported with import-measure-package; its libraries and Measure replace cql/elm/measure
+      measurePackageId: z.string().optional(),
+      // FHIR Measure resource whose group names the population defines
+      measure: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Measure group id or 1-based index; the first group by default
+      group: z.union([z.string(), z.number()]).optional(),
+      // map-vsac-to-omop result (or its pipeline / step4_final_concept_sets), or { "<OID or name>": [concept_id, ...] }
+      conceptMappings: z.union([z.object({}).passthrough(), z.array(z.object({}).passthrough())]).optional().default({}),
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || ''),
+      cdmSchema: z.string().optional().default(process.env.OMOP_DATABASE_SCHEMA || 'dbo'),
+      parameters: z.record(z.any()).optional().default({}),
+      parameterStyle: z.enum(PARAMETER_STYLES).optional().default("named"),
+      birthDatePolicy: z.enum(BIRTH_DATE_POLICIES).optional().default("mid-year"),
+      missingUnitPolicy: z.enum(MISSING_UNIT_POLICIES).optional().default("exclude"),
+      // Drug codesets also match their concept_ancestor descendants, or every drug with one of their ingredients
+      drugExpansion: z.enum(DRUG_EXPANSIONS).optional().default("none"),
+      // Where visits match encounter value sets: visit_concept, visit_source_concept, visit_detail, procedure
+      encounterSources: z.array(z.enum(ENCOUNTER_SOURCES)).optional().default(ENCOUNTER_SOURCES),
+      // Site visit-type conventions: visits with these visit (and visit type) concepts are encounters of the value set
+      visitRules: z.array(z.object({
+        valueSet: z.string(),
+        visitConceptIds: z.array(z.number().int()).min(1),
+        visitTypeConceptIds: z.array(z.number().int()).optional()
+      })).optional().default([]),
+      targetDialect: z.enum(DIALECT_NAMES).optional().default(DEFAULT_DIALECT),
+      cdmVersion: z.enum(CDM_VERSIONS).optional().default(DEFAULT_CDM_VERSION)
+    },
+    async ({ cql, elm, measurePackageId, measure, group, conceptMappings, cqlLibraryPath, cdmSchema, parameters, parameterStyle, birthDatePolicy, missingUnitPolicy, drugExpansion, encounterSources, visitRules, targetDialect, cdmVersion }) => {
+      try {
+        console.error("Generating OMOP measure SQL from CQL...");
+
+        const { measurePackage, library, includedLibraries, includes } = measurePackageService.loadMeasureLogic(
+          { cqlQuery: cql, elm, measurePackageId }, cqlLibraryPath
+        );
+
+        let measureResource = measurePackage?.measure ?? null;
+        if (!measureResource && measure) {
+          try {
+            measureResource = typeof measure === 'string' ? JSON.parse(measure) : measure;
+          } catch (error) {
+            throw new SqlGenerationError(`Measure is not valid JSON: ${error.message}`, 'INVALID_MEASURE');
+          }
+        }
+
+        const generated = generateMeasureSql(library, includedLibraries, conceptMappings, {
+          cdmSchema,
+          parameters: { ...pipelineParameterValues(conceptMappings), ...parameters },
+          parameterStyle,
+          birthDatePolicy,
+          missingUnitPolicy,
+          drugExpansion,
+          encounterSources,
+          visitRules,
+          targetDialect,
+          cdmVersion,
+          measure: measureResource,
+          group: group ?? null
+        });
+
+        const { valid } = generated.validation;
+        const untranslatedPopulations = generated.populations.filter(population => population.status === 'untranslated');
+        // SQL that fails validation, or counts a population from an empty stub, is returned for inspection, not as a success
+        const failure = valid === false
+          ? {
+            error: `The generated SQL does not validate against the ${generated.targetDialect} grammar and OMOP CDM ${generated.validation.cdmVersion}; see validation.diagnostics`,
+            errorCode: 'INVALID_SQL'
+          }
+          : untranslatedPopulations.length > 0
+            ? {
+              error: `Population(s) ${untranslatedPopulations.map(population => `"${population.define}"`).join(', ')} depend on CQL that is not translated; see untranslated`,
+              errorCode: 'UNTRANSLATED_POPULATIONS'
+            }
+            : null;
+        const result = {
+          success: failure === null,
+          // false when the SQL fails validation, null when the dialect has no grammar to validate it with
+          valid,
+          ...failure,
+          library: library.identifier,
+          includes,
+          measure: measureResource ? { url: measureResource.url ?? null, name: measureResource.name ?? null } : null,
+          populationSource: generated.populationSource,
+          group: generated.group,
+          populations: generated.populations,
+          targetDialect: generated.targetDialect,
+          // One row per initial population person with a 0/1 column per population
+          personSql: generated.personSql,
+          // Population counts and performance_rate
+          countsSql: generated.countsSql,
+          // Parse of both queries in the target dialect and their CDM table and column references
+          validation: generated.validation,
+          ctes: generated.defines,
+          // CTE name -> CQL define, library and source lines, as in each CTE's header comment
+          provenance: generated.provenance,
+          codesets: generated.codesets,
+          untranslated: generated.untranslated,
+          // Defines translated on top of an untranslated define's empty stub
+          partial: generated.partial,
+          parameters: generated.parameters,
+          // Units quantities are compared in, with the units converted to them
+          units: generated.units,
+          // Status, intent, verification and category filters, with the ones OMOP cannot express
+          statusFilters: generated.statusFilters,
+          bindings: generated.bindings,
+          warnings: generated.warnings,
+          summary: {
+            populations: generated.populations.length,
+            untranslatedPopulations: untranslatedPopulations.length,
+            untranslated: generated.untranslated.length,
+            partial: generated.partial.length,
+            codesets: generated.codesets.length,
+            emptyCodesets: generated.codesets.filter(codeset => codeset.conceptCount === 0).length,
+            notRepresentable: generated.statusFilters.filter(filter => filter.reason).length
+          },
+          parseErrors: library.errors
+        };
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }],
+          ...(failure && { isError: true })
+        };
+
+      } catch (error) {
+        console.error("Measure SQL generation error:", error);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && { details: error.details })
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
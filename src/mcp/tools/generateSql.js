@@ -1,37 +1,149 @@
+// src/mcp/tools/generateSql.js
 import { z } from "zod";
+import { SqlGenerator } from "./generateSql/sqlGenerator.js";
+import { PARAMETER_STYLES, pipelineParameterValues } from "./generateSql/parameters.js";
+import { BIRTH_DATE_POLICIES } from "./generateSql/demographics.js";
+import { MISSING_UNIT_POLICIES } from "./generateSql/units.js";
+import { DRUG_EXPANSIONS } from "./generateSql/drugExpansion.js";
+import { ENCOUNTER_SOURCES } from "./generateSql/encounters.js";
+import { DIALECT_NAMES, DEFAULT_DIALECT } from "./generateSql/dialects.js";
+import { CDM_VERSIONS, DEFAULT_CDM_VERSION } from "./generateSql/omopCdmSchema.js";
+import measurePackageService from "../../services/measurePackageService.js";
 
+/**
+ * OMOP SQL generation tool
+ * Translates the Patient-context defines of a CQL library into one CTE each,
+ * reading retrieves from the OMOP fact tables and filtering them on the
+ * concept sets in conceptMappings (the map-vsac-to-omop result)
+ */
 export function generateSqlTool(server) {
   server.tool(
     "generate-sql",
     {
-      cql: z.string(),
-      conceptMappings: z.object({}).passthrough()
+      cql: z.string().optional(),
+      // Translated ELM (JSON or XML) instead of the CQL text
+      elm: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Package imported with import-measure-package; its libraries replace cql/elm
+      measurePackageId: z.string().optional(),
+      // map-vsac-to-omop result (or its pipeline / step4_final_concept_sets), or { "<OID or name>": [concept_id, ...] }
+      conceptMappings: z.union([z.object({}).passthrough(), z.array(z.object({}).passthrough())]).optional().default({}),
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || ''),
+      cdmSchema: z.string().optional().default(process.env.OMOP_DATABASE_SCHEMA || 'dbo'),
+      // Define the final SELECT returns; defaults to "Initial Population", else the last define
+      target: z.string().optional(),
+      // Values by parameter name, e.g. { "Measurement Period": "Interval[@2024-01-01, @2024-12-31]" }; declared defaults otherwise
+      parameters: z.record(z.any()).optional().default({}),
+      // named (:measurement_period_start, in the dialect's bind syntax), sqlrender (@measurement_period_start) or inline literals
+      parameterStyle: z.enum(PARAMETER_STYLES).optional().default("named"),
+      // Age functions on a person without a full birth date: mid-year, start-of-year or exclude
+      birthDatePolicy: z.enum(BIRTH_DATE_POLICIES).optional().default("mid-year"),
+      // Quantity comparisons on rows without a unit: exclude them, or assume the quantity's unit
+      missingUnitPolicy: z.enum(MISSING_UNIT_POLICIES).optional().default("exclude"),
+      // Drug codesets also match their concept_ancestor descendants, or every drug with one of their ingredients
+      drugExpansion: z.enum(DRUG_EXPANSIONS).optional().default("none"),
+      // Where visits match encounter value sets: visit_concept, visit_source_concept, visit_detail, procedure
+      encounterSources: z.array(z.enum(ENCOUNTER_SOURCES)).optional().default(ENCOUNTER_SOURCES),
+      // Site visit-type conventions: visits with these visit (and visit type) concepts are encounters of the value set
+      visitRules: z.array(z.object({
+        valueSet: z.string(),
+        visitConceptIds: z.array(z.number().int()).min(1),
+        visitTypeConceptIds: z.array(z.number().int()).optional()
+      })).optional().default([]),
+      // SqlRender dialect name the SQL is written in
+      targetDialect: z.enum(DIALECT_NAMES).optional().default(DEFAULT_DIALECT),
+      // OMOP CDM version the SQL's tables and columns are checked against
+      cdmVersion: z.enum(CDM_VERSIONS).optional().default(DEFAULT_CDM_VERSION)
     },
-    async ({ cql, conceptMappings }) => {
+    async ({ cql, elm, measurePackageId, conceptMappings, cqlLibraryPath, cdmSchema, target, parameters, parameterStyle, birthDatePolicy, missingUnitPolicy, drugExpansion, encounterSources, visitRules, targetDialect, cdmVersion }) => {
       try {
-        // TODO: Implement SQL generation logic
+        console.error("Generating OMOP SQL from CQL...");
+
+        const { measurePackage, library, includedLibraries, includes } = measurePackageService.loadMeasureLogic(
+          { cqlQuery: cql, elm, measurePackageId }, cqlLibraryPath
+        );
+
+        const generator = new SqlGenerator(library, includedLibraries, conceptMappings, {
+          cdmSchema,
+          // Values given to the map-vsac-to-omop run apply unless overridden here
+          parameters: { ...pipelineParameterValues(conceptMappings), ...parameters },
+          parameterStyle,
+          birthDatePolicy,
+          missingUnitPolicy,
+          drugExpansion,
+          encounterSources,
+          visitRules,
+          targetDialect,
+          cdmVersion
+        });
+        const generated = generator.generate(target || null);
+
+        const { valid } = generated.validation;
         const result = {
-          cql,
-          conceptMappings,
-          sql: "-- SQL generation not implemented yet",
-          status: "placeholder - not implemented yet"
+          // SQL that fails validation is returned for inspection, not as a success
+          success: valid !== false,
+          // false when the SQL fails validation, null when the dialect has no grammar to validate it with
+          valid,
+          ...(valid === false && {
+            error: `The generated SQL does not validate against the ${generated.targetDialect} grammar and OMOP CDM ${generated.validation.cdmVersion}; see validation.diagnostics`,
+            errorCode: 'INVALID_SQL'
+          }),
+          library: library.identifier,
+          includes,
+          target: generated.target,
+          targetDialect: generated.targetDialect,
+          sql: generated.sql,
+          // Parse of sql in the target dialect and its CDM table and column references
+          validation: generated.validation,
+          ctes: generated.defines,
+          // CTE name -> CQL define, library and source lines, as in each CTE's header comment
+          provenance: generated.provenance,
+          codesets: generated.codesets,
+          untranslated: generated.untranslated,
+          // Defines translated on top of an untranslated define's empty stub
+          partial: generated.partial,
+          parameters: generated.parameters,
+          // Units quantities are compared in, with the units converted to them
+          units: generated.units,
+          // Status, intent, verification and category filters, with the ones OMOP cannot express
+          statusFilters: generated.statusFilters,
+          // Values to bind to the placeholders in sql (declared defaults unless given)
+          bindings: generated.bindings,
+          warnings: generated.warnings,
+          summary: {
+            defines: generated.defines.length,
+            translated: generated.defines.length - generated.untranslated.length - generated.partial.length,
+            untranslated: generated.untranslated.length,
+            partial: generated.partial.length,
+            codesets: generated.codesets.length,
+            emptyCodesets: generated.codesets.filter(codeset => codeset.conceptCount === 0).length,
+            notRepresentable: generated.statusFilters.filter(filter => filter.reason).length
+          },
+          parseErrors: library.errors
         };
-        
+
         return {
           content: [{
             type: "text",
-            text: JSON.stringify(result)
-          }]
+            text: JSON.stringify(result, null, 2)
+          }],
+          ...(valid === false && { isError: true })
         };
+
       } catch (error) {
+        console.error("SQL generation error:", error);
         return {
           content: [{
             type: "text",
-            text: `Error: ${error.message}`
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && { details: error.details })
+            }, null, 2)
           }],
           isError: true
         };
       }
     }
   );
-}
\ No newline at end of file
+}
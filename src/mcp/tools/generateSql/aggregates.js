@@ -0,0 +1,110 @@
+// src/mcp/tools/generateSql/aggregates.js
+
+/**
+ * List functions over the rows of one person.
+ *
+ * First and Last pick one row per person with ROW_NUMBER() over the rows
+ * ordered by the query's sort clause. The order is total, so the pick is
+ * deterministic:
+ * - each sort key, nulls first (CQL sorts null before any value); a date
+ *   key is followed by its datetime, so rows of one day keep their time order
+ * - then domain and event_id, ascending, whatever the direction of the keys
+ * First is the first row of that order and Last the last one, so Last
+ * reverses every key and tie-breaker. Without a sort clause only the
+ * tie-breakers order the rows.
+ *
+ * Count, Min, Max, Sum and Avg aggregate the rows (or the values a return
+ * clause names) of the person. A return clause is distinct unless it says
+ * `return all`, so Count and Sum of it count and add distinct values.
+ */
+export const SINGLETON_FUNCTIONS = new Set(['First', 'Last']);
+
+export const AGGREGATE_FUNCTIONS = { Count: 'COUNT', Min: 'MIN', Max: 'MAX', Sum: 'SUM', Avg: 'AVG' };
+
+// Value types each aggregate takes; Count takes rows or any value
+const AGGREGATE_TYPES = {
+  Min: ['number', 'date', 'datetime', 'string'],
+  Max: ['number', 'date', 'datetime', 'string'],
+  Sum: ['number'],
+  Avg: ['number']
+};
+
+export const TIE_BREAKERS = ['domain', 'event_id'];
+
+/**
+ * Whether an aggregate takes values of a type
+ */
+export function aggregateAccepts(name, type) {
+  return !AGGREGATE_TYPES[name] || AGGREGATE_TYPES[name].includes(type);
+}
+
+/**
+ * ORDER BY items of a First/Last window, nulls first
+ * @param {Array<{ sql:string, direction:string }>} keys - Sort keys, most significant first
+ * @param {string} alias - Alias of the ranked rows, for the tie-breakers
+ * @param {boolean} last - Reverse the order, so the first row is the last one
+ * @returns {string[]}
+ */
+export function rankOrder(keys, alias, last) {
+  const sorted = keys.flatMap(key => {
+    const direction = (key.direction === 'desc') !== last ? 'DESC' : 'ASC';
+    return [`CASE WHEN ${key.sql} IS NULL THEN 0 ELSE 1 END ${direction}`, `${key.sql} ${direction}`];
+  });
+  return [...sorted, ...TIE_BREAKERS.map(column => `${alias}.${column} ${last ? 'DESC' : 'ASC'}`)];
+}
+
+/**
+ * The first row of each person in a window order
+ * @param {string} fromItem - Ranked rows with their alias
+ * @param {string} alias - Alias of the ranked rows
+ * @param {string[]} order - From rankOrder
+ * @param {string} rankedAlias - Alias of the numbered rows
+ * @param {string[]} columns - Event columns the result keeps
+ */
+export function firstRowSql(fromItem, alias, order, rankedAlias, columns) {
+  return [
+    `SELECT ${columns.map(column => `${rankedAlias}.${column}`).join(',\n       ')}`,
+    'FROM (',
+    `  SELECT ${alias}.*,`,
+    `         ROW_NUMBER() OVER (PARTITION BY ${alias}.person_id ORDER BY ${order.join(', ')}) AS row_rank`,
+    `  FROM ${fromItem.replace(/\n/g, '\n  ')}`,
+    `) ${rankedAlias}`,
+    `WHERE ${rankedAlias}.row_rank = 1`
+  ].join('\n');
+}
+
+/**
+ * A person's aggregate as a scalar subquery
+ * @param {string} name - Key of AGGREGATE_FUNCTIONS
+ * @param {string[]|null} values - Value aggregated, or the start and end of an interval
+ *        (Count only); null aggregates the rows (Count)
+ * @param {boolean} distinct - Aggregate distinct values, de-duplicated per person first
+ * @param {string} fromItem - Rows with their alias
+ * @param {string} alias - Alias of the rows
+ * @param {string} personRef - Person the rows are aggregated for
+ * @param {string} distinctAlias - Alias of the distinct values
+ */
+export function aggregateSql(name, values, distinct, fromItem, alias, personRef, distinctAlias) {
+  const aggregated = columns => `${AGGREGATE_FUNCTIONS[name]}(${columns.length === 1 ? columns[0] : '*'})`;
+  // Distinct values only change a count, sum or average
+  if (values === null || !distinct || name === 'Min' || name === 'Max') {
+    return [
+      '(',
+      `  SELECT ${aggregated(values ?? ['*'])}`,
+      `  FROM ${fromItem.replace(/\n/g, '\n  ')}`,
+      `  WHERE ${alias}.person_id = ${personRef}`,
+      ')'
+    ].join('\n');
+  }
+  const columns = values.map((value, index) => `${value} AS value_${index + 1}`);
+  return [
+    '(',
+    `  SELECT ${aggregated(values.map((value, index) => `${distinctAlias}.value_${index + 1}`))}`,
+    '  FROM (',
+    `    SELECT DISTINCT ${[`${alias}.person_id`, ...columns].join(', ')}`,
+    `    FROM ${fromItem.replace(/\n/g, '\n    ')}`,
+    `  ) ${distinctAlias}`,
+    `  WHERE ${distinctAlias}.person_id = ${personRef}`,
+    ')'
+  ].join('\n');
+}
@@ -0,0 +1,135 @@
+// src/mcp/tools/generateSql/conceptSets.js
+
+const MAPPING_TYPES = ['verbatim', 'standard', 'mapped', 'expanded'];
+
+// OMOP concept fields a mapping row may carry
+const CONCEPT_FIELDS = ['concept_name', 'concept_code', 'vocabulary_id', 'domain_id', 'concept_class_id', 'standard_concept', 'invalid_reason'];
+
+function conceptDetails(row, conceptId) {
+  const details = { concept_id: conceptId };
+  for (const field of CONCEPT_FIELDS) {
+    if (row[field] !== undefined) {
+      details[field] = row[field];
+    }
+  }
+  // Mapped rows carry the source concept's code and vocabulary; the target's are unknown
+  if (row.mapping_type === 'mapped') {
+    delete details.concept_code;
+    delete details.vocabulary_id;
+  }
+  return details;
+}
+
+/**
+ * The pipeline object of a map-vsac-to-omop result, or the mappings as given
+ * when they are already the pipeline or another accepted shape
+ * @param {Object|Array} conceptMappings - Tool input
+ * @returns {Object|Array}
+ */
+export function mappingPipeline(conceptMappings) {
+  return conceptMappings?.pipeline || conceptMappings || {};
+}
+
+/**
+ * Read the concept mappings generate-sql receives into concept sets. Accepted shapes:
+ * - the map-vsac-to-omop result, or its `pipeline` object
+ * - `{ verbatim, standard, mapped }` row arrays (step4_final_concept_sets)
+ * - an array of mapping rows ({ concept_set_id, concept_set_name, concept_id, mapping_type })
+ * - `{ "<OID or name>": [concept_id, ...] }` or `{ "<OID or name>": { name, conceptIds } }`
+ * Fact-table columns hold standard concepts, so standard, mapped and expanded
+ * (drug expansion) concepts are used; verbatim matches are used only for sets
+ * that have nothing else.
+ * @param {Object|Array} conceptMappings - Tool input
+ * @returns {{ sets: Map<string, Object>, codeSets: Array<Object> }} Concept sets by id
+ *          ({ id, name, conceptSource, conceptIds, concepts, addedByExpansion }, concepts holding the rows'
+ *          concept fields), and the code/concept entries (step5_individual_code_mappings) that name them
+ */
+export function normalizeConceptMappings(conceptMappings) {
+  const sets = new Map();
+  const source = mappingPipeline(conceptMappings);
+  const finalSets = source.step4_final_concept_sets || source;
+  const codeSets = source.step5_individual_code_mappings || [];
+
+  const target = (id, name) => {
+    if (!sets.has(id)) {
+      sets.set(id, {
+        id,
+        name: name || id,
+        byType: { verbatim: new Set(), standard: new Set(), mapped: new Set(), expanded: new Set(), explicit: new Set() },
+        details: new Map()
+      });
+    }
+    return sets.get(id);
+  };
+
+  const rows = Array.isArray(finalSets)
+    ? finalSets
+    : MAPPING_TYPES.some(type => Array.isArray(finalSets[type]))
+      ? MAPPING_TYPES.flatMap(type => (finalSets[type] || []).map(row => ({ mapping_type: type, ...row })))
+      : null;
+
+  if (rows) {
+    for (const row of rows) {
+      const conceptId = Number(row.concept_id);
+      if (row.concept_set_id && Number.isInteger(conceptId)) {
+        const type = MAPPING_TYPES.includes(row.mapping_type) ? row.mapping_type : 'explicit';
+        const entry = target(String(row.concept_set_id), row.concept_set_name);
+        entry.byType[type].add(conceptId);
+        // A mapped row describes the target concept; keep the first description of each concept
+        if (!entry.details.has(conceptId)) {
+          entry.details.set(conceptId, conceptDetails(row, conceptId));
+        }
+      }
+    }
+  } else {
+    for (const [key, value] of Object.entries(finalSets)) {
+      const ids = Array.isArray(value) ? value : value?.conceptIds || value?.concept_ids;
+      if (!Array.isArray(ids)) {
+        continue;
+      }
+      const entry = target(key, value?.name);
+      ids.map(Number).filter(Number.isInteger).forEach(id => entry.byType.explicit.add(id));
+    }
+  }
+
+  for (const entry of sets.values()) {
+    const preferred = new Set([...entry.byType.explicit, ...entry.byType.standard, ...entry.byType.mapped]);
+    const expanded = Array.from(entry.byType.expanded).filter(id => !preferred.has(id));
+    entry.addedByExpansion = expanded.length;
+    expanded.forEach(id => preferred.add(id));
+    entry.conceptSource = entry.byType.explicit.size > 0 ? 'explicit' : preferred.size > 0 ? 'standard' : 'verbatim';
+    entry.conceptIds = Array.from(preferred.size > 0 ? preferred : entry.byType.verbatim).sort((a, b) => a - b);
+    entry.concepts = entry.conceptIds.map(id => entry.details.get(id) || { concept_id: id });
+    delete entry.byType;
+    delete entry.details;
+  }
+
+  return { sets, codeSets };
+}
+
+/**
+ * Find the concept set for the terminology a retrieve or membership test names
+ * @param {Object} terminology - From describeTerminology (type valueset, code or concept)
+ * @param {{ sets: Map<string, Object>, codeSets: Array<Object> }} mappings - From normalizeConceptMappings
+ * @returns {Object|null} Concept set, or null when the mappings have none for it
+ */
+export function findConceptSet(terminology, { sets, codeSets }) {
+  if (terminology.type === 'valueset' && terminology.oid && sets.has(terminology.oid)) {
+    return sets.get(terminology.oid);
+  }
+
+  // Codes and concepts go by the PLACEHOLDER_*/CONCEPT_* ids map-vsac-to-omop gives them
+  const codeSet = codeSets.find(entry =>
+    entry.type === terminology.type &&
+    entry.name === terminology.name &&
+    (entry.library ?? null) === (terminology.library ?? null)
+  );
+  if (codeSet && sets.has(codeSet.conceptSetId)) {
+    return sets.get(codeSet.conceptSetId);
+  }
+
+  if (sets.has(terminology.name)) {
+    return sets.get(terminology.name);
+  }
+  return Array.from(sets.values()).find(entry => entry.name === terminology.name) || null;
+}
@@ -0,0 +1,121 @@
+// src/mcp/tools/generateSql/demographics.js
+
+/**
+ * Patient demographics over the OMOP person table: the birth dates the CQL age
+ * functions count from, and the person columns behind sex, race, ethnicity
+ * and the supplemental data elements (SDEs) measures report.
+ *
+ * OMOP requires year_of_birth only; month_of_birth, day_of_birth and
+ * birth_datetime may be missing. A full birth_datetime always wins, and the
+ * birth date policy decides what a partial birth date means:
+ * - mid-year: a missing month is July 1st, a missing day the 15th
+ * - start-of-year: a missing month is January 1st, a missing day the 1st (the oldest possible age)
+ * - exclude: the age is unknown, so the person meets no age criterion
+ */
+export const BIRTH_DATE_POLICIES = ['mid-year', 'start-of-year', 'exclude'];
+
+// Name of the CTE holding each person's birth date
+export const BIRTH_DATES_CTE = 'birth_dates';
+
+const AGE_FUNCTION = /^(Calculate)?AgeIn(Years|Months|Weeks|Days|Hours|Minutes|Seconds)(At)?$/;
+
+// OMOP Gender concepts for FHIR administrative gender codes
+const GENDER_CONCEPTS = { male: 8507, female: 8532, other: 8521, unknown: 8551 };
+
+/**
+ * Fact-table entries (see FACT_TABLES) for the supplemental data elements,
+ * by the define names eCQMs give them. The define body only reshapes the
+ * person's value into a tuple or code, so the rows come from the column itself.
+ */
+const SUPPLEMENTAL_DATA_ELEMENTS = {
+  'SDE Sex': 'person_sex',
+  'SDE Race': 'person_race',
+  'SDE Ethnicity': 'person_ethnicity',
+  'SDE Payer': 'payer_plan_period'
+};
+
+// Fact-table entries for the QDM data types the person table answers
+const PERSON_DATA_TYPES = {
+  'Patient Characteristic Sex': 'person_sex',
+  'Patient Characteristic Race': 'person_race',
+  'Patient Characteristic Ethnicity': 'person_ethnicity'
+};
+
+/**
+ * Read the name of a CQL age function
+ * @returns {{ unit:string, at:boolean, birthDateArgument:boolean }|null} null for other functions
+ */
+export function ageFunction(name) {
+  const match = AGE_FUNCTION.exec(name || '');
+  if (!match) {
+    return null;
+  }
+  return { unit: match[2].slice(0, -1).toLowerCase(), at: !!match[3], birthDateArgument: !!match[1] };
+}
+
+/**
+ * Fact-table entry of a supplemental data element define, or null
+ */
+export function supplementalDataTable(defineName) {
+  return SUPPLEMENTAL_DATA_ELEMENTS[defineName] || null;
+}
+
+/**
+ * Fact-table entry for a retrieve the mapping sends to the person table, or null
+ */
+export function personTable(dataType) {
+  return PERSON_DATA_TYPES[dataType] || null;
+}
+
+/**
+ * OMOP gender concept id for a FHIR administrative gender code, or null
+ */
+export function genderConcept(code) {
+  return GENDER_CONCEPTS[String(code).toLowerCase()] ?? null;
+}
+
+/**
+ * Birth date of a person row under a policy
+ * @param {string} alias - Alias of the person table
+ * @param {string} policy - One of BIRTH_DATE_POLICIES
+ * @param {Object} dialect - From getDialect
+ * @returns {string} SQL date expression
+ */
+export function birthDateSql(alias, policy, dialect) {
+  const [year, month, day] = ['year_of_birth', 'month_of_birth', 'day_of_birth'].map(column => `${alias}.${column}`);
+  let partial;
+  switch (policy) {
+    case 'exclude':
+      partial = `CASE WHEN ${month} IS NOT NULL AND ${day} IS NOT NULL THEN ${dialect.makeDate(year, month, day)} END`;
+      break;
+    case 'start-of-year':
+      partial = dialect.makeDate(year, `COALESCE(${month}, 1)`, `COALESCE(${day}, 1)`);
+      break;
+    default:
+      partial = dialect.makeDate(year, `COALESCE(${month}, 7)`, `COALESCE(${day}, CASE WHEN ${month} IS NULL THEN 1 ELSE 15 END)`);
+      break;
+  }
+  return `COALESCE(${dialect.toDate(`${alias}.birth_datetime`)}, ${partial})`;
+}
+
+/**
+ * Whole units between a birth date and a date, as CQL counts them: a year or
+ * month is complete once its day of the month (and month of the year) is reached
+ * @param {string} birthDate - SQL date
+ * @param {string} asOf - SQL date
+ * @param {'year'|'month'|'week'|'day'} unit
+ * @param {Object} dialect - From getDialect
+ */
+export function ageSql(birthDate, asOf, unit, dialect) {
+  const part = (field, date) => dialect.extract(field, date);
+  switch (unit) {
+    case 'year':
+      return `${part('YEAR', asOf)} - ${part('YEAR', birthDate)} - CASE WHEN ${part('MONTH', asOf)} * 100 + ${part('DAY', asOf)} < ${part('MONTH', birthDate)} * 100 + ${part('DAY', birthDate)} THEN 1 ELSE 0 END`;
+    case 'month':
+      return `(${part('YEAR', asOf)} - ${part('YEAR', birthDate)}) * 12 + ${part('MONTH', asOf)} - ${part('MONTH', birthDate)} - CASE WHEN ${part('DAY', asOf)} < ${part('DAY', birthDate)} THEN 1 ELSE 0 END`;
+    case 'week':
+      return `FLOOR(${dialect.daysBetween(birthDate, asOf)} / 7)`;
+    default:
+      return dialect.daysBetween(birthDate, asOf);
+  }
+}
@@ -0,0 +1,406 @@
+// src/mcp/tools/generateSql/dialects.js
+
+/**
+ * SQL dialects for generate-sql and the map-vsac-to-omop queries.
+ *
+ * The generators build queries from the constructs below instead of spelling
+ * out syntax that differs between database systems: date arithmetic and
+ * truncation, typed literals and casts, inline value lists, set operators,
+ * temp tables, row limits and string concatenation. Each dialect renders
+ * those constructs; everything else is the SQL all of them share. Dialect
+ * names follow OHDSI SqlRender's targetDialect values.
+ */
+
+const DATE_UNITS = new Set(['year', 'month', 'week', 'day']);
+
+// Generic column types -> the dialect's names; VARCHAR(n) keeps its length
+const BASE_TYPES = { BIGINT: 'BIGINT', INTEGER: 'INTEGER', VARCHAR: 'VARCHAR', TEXT: 'TEXT', DATE: 'DATE', TIMESTAMP: 'TIMESTAMP', NUMERIC: 'NUMERIC' };
+
+/**
+ * Timestamp text 'YYYY-MM-DD HH:MM:SS.fff' for a CQL DateTime value, with missing parts zeroed
+ */
+function timestampText(value) {
+  const [date, time = ''] = String(value).split('T');
+  const [clock, fraction = '0'] = time.split('.');
+  const [hour = '00', minute = '00', second = '00'] = clock ? clock.split(':') : [];
+  return `${date} ${hour}:${minute}:${second}.${fraction.padEnd(3, '0')}`;
+}
+
+const postgresql = {
+  name: 'postgresql',
+  types: BASE_TYPES,
+  // DATE and TIMESTAMP values compare without a cast
+  strictDateTypes: false,
+
+  type(type) {
+    const [, base, length = ''] = /^(\w+)(\(\d+\))?$/.exec(type) || [null, type];
+    const name = this.types[base] ?? base;
+    // Types that carry their own size (VARCHAR(MAX), STRING) drop the generic length
+    return /\(|^STRING$/.test(name) ? name : `${name}${length}`;
+  },
+  cast(sql, type) {
+    return `CAST(${sql} AS ${this.type(type)})`;
+  },
+  dateLiteral(value) {
+    return `DATE '${value}'`;
+  },
+  timestampLiteral(value) {
+    return this.cast(`'${value}'`, 'TIMESTAMP');
+  },
+  booleanLiteral(value) {
+    return value ? 'TRUE' : 'FALSE';
+  },
+  currentDate() {
+    return 'CURRENT_DATE';
+  },
+
+  /**
+   * Add a signed number of units to a date or timestamp
+   * @param {string} sql - Date or timestamp expression
+   * @param {number} amount - Units to add; negative to subtract
+   * @param {string} unit - year, month, week, day, hour, minute, second or millisecond
+   * @param {'date'|'datetime'} pointType - Type of sql
+   */
+  addInterval(sql, amount, unit) {
+    return `(${sql} ${amount < 0 ? '-' : '+'} INTERVAL '${Math.abs(amount)} ${unit}')`;
+  },
+  /**
+   * Truncate a date or timestamp to a precision coarser than a day's (or an hour, minute or second)
+   */
+  truncate(sql, precision) {
+    return `DATE_TRUNC('${precision}', ${sql})`;
+  },
+  toDate(sql) {
+    return this.cast(sql, 'DATE');
+  },
+  toTimestamp(sql) {
+    return this.cast(sql, 'TIMESTAMP');
+  },
+  /**
+   * Named bind parameter, in the syntax the dialect's drivers bind
+   */
+  bindParameter(name) {
+    return `:${name}`;
+  },
+  /**
+   * A bound parameter value as a DATE or TIMESTAMP
+   * @param {string} placeholder - Bind parameter, or quoted SqlRender placeholder
+   * @param {'DATE'|'TIMESTAMP'} type
+   */
+  parameterCast(placeholder, type) {
+    return this.cast(placeholder, type);
+  },
+  /**
+   * Value to bind for a parameter placeholder, from the CQL value
+   * @param {string|number|boolean} value
+   * @param {string} pointType - 'datetime', 'date', 'number', 'string' or 'boolean'
+   */
+  bindingValue(value) {
+    return value;
+  },
+  makeDate(year, month, day) {
+    return `MAKE_DATE(${year}, ${month}, ${day})`;
+  },
+  daysBetween(start, end) {
+    return `(${end} - ${start})`;
+  },
+  extract(field, sql) {
+    return `EXTRACT(${field.toUpperCase()} FROM ${sql})`;
+  },
+  concat(...parts) {
+    return parts.join(' || ');
+  },
+
+  /**
+   * UNION, INTERSECT or EXCEPT (distinct rows)
+   */
+  setOperator(operator) {
+    return operator;
+  },
+  /**
+   * SELECT of literal rows
+   * @param {Array<Array<string>>} rows - SQL values per row
+   * @param {Array<string>} columns - Column names
+   */
+  valuesTable(rows, columns) {
+    const body = rows.map(row => `  (${row.join(', ')})`).join(',\n');
+    return `SELECT ${columns.join(', ')}\nFROM (VALUES\n${body}\n) AS v (${columns.join(', ')})`;
+  },
+  limit(select, count) {
+    return `${select}\nLIMIT ${count}`;
+  },
+  /**
+   * Render a query model
+   * @param {{ columns:Array<string>, from:string, joins?:Array<{ table:string, on:Array<string> }>,
+   *           where?:Array<string>, orderBy?:Array<string>, limit?:number }} query - Tables with their aliases
+   *        ('cdm.concept c'); join and where conditions are ANDed
+   */
+  select(query) {
+    const lines = [
+      `SELECT ${query.columns.join(',\n       ')}`,
+      `FROM ${query.from}`,
+      ...(query.joins || []).map(join => `INNER JOIN ${join.table}\n  ON ${join.on.join('\n  AND ')}`)
+    ];
+    if (query.where?.length) {
+      lines.push(`WHERE ${query.where.join('\n  AND ')}`);
+    }
+    if (query.orderBy?.length) {
+      lines.push(`ORDER BY ${query.orderBy.join(', ')}`);
+    }
+    const sql = lines.join('\n');
+    return query.limit ? this.limit(sql, query.limit) : sql;
+  },
+
+  /**
+   * Name a temp table is referenced by
+   */
+  tempTable(name) {
+    return name;
+  },
+  /**
+   * @param {string} name - Temp table name (before tempTable)
+   * @param {Array<{ name:string, type:string }>} columns - Generic column types
+   */
+  createTempTable(name, columns) {
+    return `CREATE TEMPORARY TABLE ${this.tempTable(name)} (\n${this.columnList(columns)}\n)`;
+  },
+  columnList(columns) {
+    return columns.map(column => `  ${column.name} ${this.type(column.type)}`).join(',\n');
+  }
+};
+
+const sqlServer = {
+  ...postgresql,
+  name: 'sql server',
+  types: { ...BASE_TYPES, TEXT: 'VARCHAR(MAX)', TIMESTAMP: 'DATETIME2' },
+
+  dateLiteral(value) {
+    return this.cast(`'${value}'`, 'DATE');
+  },
+  booleanLiteral(value) {
+    return value ? '1' : '0';
+  },
+  currentDate() {
+    return 'CAST(GETDATE() AS DATE)';
+  },
+  bindParameter(name) {
+    return `@${name}`;
+  },
+  addInterval(sql, amount, unit) {
+    return `DATEADD(${unit}, ${amount}, ${sql})`;
+  },
+  // DATETRUNC needs SQL Server 2022; count whole units from day 0 (1900-01-01, a Monday) instead
+  truncate(sql, precision, pointType) {
+    let truncated;
+    switch (precision) {
+      case 'week':
+        truncated = `DATEADD(day, (DATEDIFF(day, 0, ${sql}) / 7) * 7, 0)`;
+        break;
+      case 'second':
+        // Seconds since 1900 overflow DATEDIFF's INT: count them from the day's start
+        truncated = `DATEADD(second, DATEDIFF(second, CAST(${sql} AS DATE), ${sql}), CAST(CAST(${sql} AS DATE) AS DATETIME2))`;
+        break;
+      default:
+        truncated = `DATEADD(${precision}, DATEDIFF(${precision}, 0, ${sql}), 0)`;
+    }
+    return pointType === 'date' ? this.cast(truncated, 'DATE') : truncated;
+  },
+  makeDate(year, month, day) {
+    return `DATEFROMPARTS(${year}, ${month}, ${day})`;
+  },
+  daysBetween(start, end) {
+    return `DATEDIFF(day, ${start}, ${end})`;
+  },
+  extract(field, sql) {
+    return `DATEPART(${field.toLowerCase()}, ${sql})`;
+  },
+  concat(...parts) {
+    return `CONCAT(${parts.join(', ')})`;
+  },
+  limit(select, count) {
+    return select.replace(/^SELECT(\s+DISTINCT)?/i, match => `${match} TOP ${count}`);
+  },
+  tempTable(name) {
+    return `#${name}`;
+  },
+  createTempTable(name, columns) {
+    return `CREATE TABLE ${this.tempTable(name)} (\n${this.columnList(columns)}\n)`;
+  }
+};
+
+const ORACLE_TRUNCATE = { year: 'YYYY', month: 'MM', week: 'IW', day: 'DD', hour: 'HH24', minute: 'MI' };
+
+const oracle = {
+  ...postgresql,
+  name: 'oracle',
+  types: { ...BASE_TYPES, BIGINT: 'NUMBER(19)', INTEGER: 'NUMBER(10)', VARCHAR: 'VARCHAR2', TEXT: 'VARCHAR2(4000)', NUMERIC: 'NUMBER' },
+
+  timestampLiteral(value) {
+    return `TIMESTAMP '${timestampText(value)}'`;
+  },
+  booleanLiteral(value) {
+    return value ? '1' : '0';
+  },
+  currentDate() {
+    return 'TRUNC(SYSDATE)';
+  },
+  addInterval(sql, amount, unit) {
+    switch (unit) {
+      case 'year':
+        return `ADD_MONTHS(${sql}, ${amount * 12})`;
+      case 'month':
+        return `ADD_MONTHS(${sql}, ${amount})`;
+      case 'week':
+        return `(${sql} + NUMTODSINTERVAL(${amount * 7}, 'DAY'))`;
+      case 'millisecond':
+        return `(${sql} + NUMTODSINTERVAL(${amount / 1000}, 'SECOND'))`;
+      default:
+        return `(${sql} + NUMTODSINTERVAL(${amount}, '${unit.toUpperCase()}'))`;
+    }
+  },
+  truncate(sql, precision) {
+    if (ORACLE_TRUNCATE[precision]) {
+      return `TRUNC(${sql}, '${ORACLE_TRUNCATE[precision]}')`;
+    }
+    // CAST(... AS TIMESTAMP(0)) rounds fractional seconds; formatting without them drops them
+    return `TO_TIMESTAMP(TO_CHAR(${sql}, 'YYYY-MM-DD HH24:MI:SS'), 'YYYY-MM-DD HH24:MI:SS')`;
+  },
+  // CAST(... AS DATE) keeps the time of day in Oracle
+  toDate(sql) {
+    return `TRUNC(${sql})`;
+  },
+  // CAST from text follows the session's NLS formats; the bound values are ISO text
+  parameterCast(placeholder, type) {
+    return type === 'DATE'
+      ? `TO_DATE(${placeholder}, 'YYYY-MM-DD')`
+      : `TO_TIMESTAMP(${placeholder}, 'YYYY-MM-DD"T"HH24:MI:SS.FF')`;
+  },
+  // Every part of a datetime, so each value fits the TO_TIMESTAMP format
+  bindingValue(value, pointType) {
+    return pointType === 'datetime' ? timestampText(value).replace(' ', 'T') : value;
+  },
+  makeDate(year, month, day) {
+    return `TO_DATE(TO_CHAR((${year}) * 10000 + (${month}) * 100 + (${day})), 'YYYYMMDD')`;
+  },
+  setOperator(operator) {
+    return operator === 'EXCEPT' ? 'MINUS' : operator;
+  },
+  valuesTable(rows, columns) {
+    return rows
+      .map(row => `SELECT ${row.map((value, index) => `${value} AS ${columns[index]}`).join(', ')} FROM DUAL`)
+      .join('\nUNION ALL\n');
+  },
+  limit(select, count) {
+    return `${select}\nFETCH FIRST ${count} ROWS ONLY`;
+  },
+  // Private temp tables (Oracle 18c+) need the ORA$PTT_ prefix
+  tempTable(name) {
+    return `ORA$PTT_${name}`;
+  },
+  createTempTable(name, columns) {
+    return `CREATE PRIVATE TEMPORARY TABLE ${this.tempTable(name)} (\n${this.columnList(columns)}\n) ON COMMIT PRESERVE DEFINITION`;
+  }
+};
+
+const bigquery = {
+  ...postgresql,
+  name: 'bigquery',
+  types: { ...BASE_TYPES, BIGINT: 'INT64', INTEGER: 'INT64', VARCHAR: 'STRING', TEXT: 'STRING', TIMESTAMP: 'DATETIME' },
+  // DATE and DATETIME only compare after a cast
+  strictDateTypes: true,
+
+  timestampLiteral(value) {
+    return `DATETIME '${timestampText(value)}'`;
+  },
+  currentDate() {
+    return 'CURRENT_DATE()';
+  },
+  bindParameter(name) {
+    return `@${name}`;
+  },
+  addInterval(sql, amount, unit, pointType) {
+    if (pointType === 'date' && DATE_UNITS.has(unit)) {
+      return `DATE_ADD(${sql}, INTERVAL ${amount} ${unit.toUpperCase()})`;
+    }
+    const datetime = pointType === 'date' ? this.toTimestamp(sql) : sql;
+    return `DATETIME_ADD(${datetime}, INTERVAL ${amount} ${unit.toUpperCase()})`;
+  },
+  truncate(sql, precision, pointType) {
+    const part = precision === 'week' ? 'ISOWEEK' : precision.toUpperCase();
+    return pointType === 'date' ? `DATE_TRUNC(${sql}, ${part})` : `DATETIME_TRUNC(${sql}, ${part})`;
+  },
+  makeDate(year, month, day) {
+    return `DATE(${year}, ${month}, ${day})`;
+  },
+  daysBetween(start, end) {
+    return `DATE_DIFF(${end}, ${start}, DAY)`;
+  },
+  setOperator(operator) {
+    return `${operator} DISTINCT`;
+  },
+  valuesTable(rows, columns) {
+    const structs = rows.map(row => `  STRUCT(${row.map((value, index) => `${value} AS ${columns[index]}`).join(', ')})`);
+    return `SELECT ${columns.join(', ')}\nFROM UNNEST([\n${structs.join(',\n')}\n])`;
+  },
+  createTempTable(name, columns) {
+    return `CREATE TEMP TABLE ${this.tempTable(name)} (\n${this.columnList(columns)}\n)`;
+  }
+};
+
+const snowflake = {
+  ...postgresql,
+  name: 'snowflake',
+  types: { ...BASE_TYPES, TIMESTAMP: 'TIMESTAMP_NTZ' },
+
+  addInterval(sql, amount, unit) {
+    return `DATEADD(${unit}, ${amount}, ${sql})`;
+  },
+  makeDate(year, month, day) {
+    return `DATE_FROM_PARTS(${year}, ${month}, ${day})`;
+  },
+  daysBetween(start, end) {
+    return `DATEDIFF(day, ${start}, ${end})`;
+  }
+};
+
+const spark = {
+  ...postgresql,
+  name: 'spark',
+  types: { ...BASE_TYPES, INTEGER: 'INT', VARCHAR: 'STRING', TEXT: 'STRING', NUMERIC: 'DECIMAL(38, 10)' },
+
+  addInterval(sql, amount, unit) {
+    return `(${sql} ${amount < 0 ? '-' : '+'} INTERVAL ${Math.abs(amount)} ${unit.toUpperCase()})`;
+  },
+  daysBetween(start, end) {
+    return `DATEDIFF(${end}, ${start})`;
+  },
+  // Spark has no temp tables; the table is dropped like the other dialects' temp tables
+  createTempTable(name, columns) {
+    return `CREATE TABLE ${this.tempTable(name)} (\n${this.columnList(columns)}\n) USING DELTA`;
+  }
+};
+
+const duckdb = {
+  ...postgresql,
+  name: 'duckdb',
+
+  bindParameter(name) {
+    return `$${name}`;
+  },
+  createTempTable(name, columns) {
+    return `CREATE TEMP TABLE ${this.tempTable(name)} (\n${this.columnList(columns)}\n)`;
+  }
+};
+
+const DIALECTS = { postgresql, 'sql server': sqlServer, oracle, bigquery, snowflake, spark, duckdb };
+
+export const DIALECT_NAMES = Object.keys(DIALECTS);
+
+export const DEFAULT_DIALECT = 'postgresql';
+
+/**
+ * Dialect by SqlRender name ('postgresql', 'sql server', 'oracle', 'bigquery', 'snowflake', 'spark', 'duckdb')
+ */
+export function getDialect(name = DEFAULT_DIALECT) {
+  return DIALECTS[name || DEFAULT_DIALECT] || DIALECTS[DEFAULT_DIALECT];
+}
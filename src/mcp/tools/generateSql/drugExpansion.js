@@ -0,0 +1,52 @@
+// src/mcp/tools/generateSql/drugExpansion.js
+
+/**
+ * Drug concept sets from VSAC list RxNorm clinical and branded drugs, while
+ * drug_exposure rows may be recorded at any level of the RxNorm hierarchy
+ * (packs, quantified drugs, NDC codes mapped to those). Expanding a drug
+ * concept finds them:
+ * - descendants: the concept and its concept_ancestor descendants
+ * - ingredients: also every drug holding one of its ingredients, the
+ *   ingredients coming from drug_strength
+ */
+export const DRUG_EXPANSIONS = ['none', 'descendants', 'ingredients'];
+
+/**
+ * Joins from a drug concept to the concepts it expands to, one join list per
+ * path; the expanded concept is ca.descendant_concept_id
+ * @param {string} cdmSchema - Schema prefix of concept_ancestor and drug_strength, or ''
+ * @param {string} seedConceptSql - Column holding the drug concept id
+ * @param {string} expansion - One of DRUG_EXPANSIONS
+ * @returns {Array<Array<{ table:string, on:string[] }>>} Empty for 'none'
+ */
+export function drugExpansionPaths(cdmSchema, seedConceptSql, expansion) {
+  const table = name => (cdmSchema ? `${cdmSchema}.${name}` : name);
+  const descendants = [
+    { table: `${table('concept_ancestor')} ca`, on: [`ca.ancestor_concept_id = ${seedConceptSql}`] }
+  ];
+  const ingredients = [
+    { table: `${table('drug_strength')} ds`, on: [`ds.drug_concept_id = ${seedConceptSql}`] },
+    { table: `${table('concept_ancestor')} ca`, on: ['ca.ancestor_concept_id = ds.ingredient_concept_id'] }
+  ];
+  switch (expansion) {
+    case 'descendants':
+      return [descendants];
+    case 'ingredients':
+      return [descendants, ingredients];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Render one SELECT per expansion path of a query model, as their UNION
+ * @param {Object} query - Query model (see dialect.select) without the expansion joins
+ * @param {Array<Array<Object>>} paths - From drugExpansionPaths
+ * @param {Object} dialect - From getDialect
+ * @param {Array<Object>} trailingJoins - Joins on the expanded concept, after each path
+ */
+export function drugExpansionSql(query, paths, dialect, trailingJoins = []) {
+  return paths
+    .map(joins => dialect.select({ ...query, joins: [...(query.joins || []), ...joins, ...trailingJoins] }))
+    .join(`\n${dialect.setOperator('UNION')}\n`);
+}
@@ -0,0 +1,81 @@
+// src/mcp/tools/generateSql/encounters.js
+
+import { SqlGenerationError } from "../../../utils/sqlGenerationErrors.js";
+
+/**
+ * Encounter value sets ("Office Visit") list CPT, HCPCS and SNOMED codes,
+ * which ETLs seldom store as a visit_concept_id: the visit is recorded with a
+ * Visit concept (9202 Outpatient Visit) and the billed code lands in
+ * visit_source_concept_id, a visit_detail or a procedure of the visit. A
+ * visit is an encounter of a codeset when it matches through any source:
+ * - visit_concept: its visit_concept_id
+ * - visit_source_concept: its visit_source_concept_id
+ * - visit_detail: the concept or source concept of one of its visit_details
+ * - procedure: the concept or source concept of a procedure_occurrence linked to it
+ * Visit rules add a site's own conventions: every visit with one of a rule's
+ * visit concepts (and, if given, visit types) is an encounter of its value set.
+ */
+export const ENCOUNTER_SOURCES = ['visit_concept', 'visit_source_concept', 'visit_detail', 'procedure'];
+
+/**
+ * Check the visit rules given to the generator
+ * @param {Array<{ valueSet:string, visitConceptIds:number[], visitTypeConceptIds?:number[] }>} rules -
+ *        valueSet is the name, OID or concept set id of an encounter value set
+ * @returns {Array<Object>} The rules, visitTypeConceptIds defaulting to []
+ * @throws {SqlGenerationError} INVALID_VISIT_RULE
+ */
+export function normalizeVisitRules(rules = []) {
+  const conceptIds = value => Array.isArray(value) && value.every(id => Number.isInteger(id));
+  return rules.map((rule, index) => {
+    if (!rule?.valueSet || !conceptIds(rule.visitConceptIds) || rule.visitConceptIds.length === 0 ||
+        (rule.visitTypeConceptIds !== undefined && !conceptIds(rule.visitTypeConceptIds))) {
+      throw new SqlGenerationError(
+        `Visit rule ${index + 1} needs a valueSet and visitConceptIds, and integer visitTypeConceptIds if any`,
+        'INVALID_VISIT_RULE',
+        { index, rule }
+      );
+    }
+    return { valueSet: rule.valueSet, visitConceptIds: rule.visitConceptIds, visitTypeConceptIds: rule.visitTypeConceptIds ?? [] };
+  });
+}
+
+/**
+ * Whether a visit rule names a codeset (see SqlGenerator.codeset)
+ */
+export function visitRuleMatches(rule, codeset) {
+  return [codeset.name, codeset.oid, codeset.conceptSetId].includes(rule.valueSet);
+}
+
+/**
+ * Condition for the visits that are encounters of a codeset
+ * @param {string} alias - Alias of visit_occurrence
+ * @param {string} conceptsSql - Subquery of the codeset's concept ids
+ * @param {string[]} sources - ENCOUNTER_SOURCES to match through
+ * @param {Array<Object>} rules - Visit rules of the codeset
+ * @param {function(string):string} table - Schema-qualified CDM table name
+ * @returns {string|null} null when nothing can match
+ */
+export function encounterCondition(alias, conceptsSql, sources, rules, table) {
+  const linked = (name, linkedAlias, columns) =>
+    `EXISTS (SELECT 1 FROM ${table(name)} ${linkedAlias} WHERE ${linkedAlias}.visit_occurrence_id = ${alias}.visit_occurrence_id ` +
+    `AND (${columns.map(column => `${linkedAlias}.${column} IN ${conceptsSql}`).join(' OR ')}))`;
+  const bySource = {
+    visit_concept: () => `${alias}.visit_concept_id IN ${conceptsSql}`,
+    visit_source_concept: () => `${alias}.visit_source_concept_id IN ${conceptsSql}`,
+    visit_detail: () => linked('visit_detail', 'vd', ['visit_detail_concept_id', 'visit_detail_source_concept_id']),
+    procedure: () => linked('procedure_occurrence', 'vp', ['procedure_concept_id', 'procedure_source_concept_id'])
+  };
+  const conditions = [
+    ...ENCOUNTER_SOURCES.filter(source => sources.includes(source)).map(source => bySource[source]()),
+    ...rules.map(rule => {
+      const visit = `${alias}.visit_concept_id IN (${rule.visitConceptIds.join(', ')})`;
+      return rule.visitTypeConceptIds.length > 0
+        ? `(${visit} AND ${alias}.visit_type_concept_id IN (${rule.visitTypeConceptIds.join(', ')}))`
+        : visit;
+    })
+  ];
+  if (conditions.length === 0) {
+    return null;
+  }
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join('\n   OR ')})`;
+}
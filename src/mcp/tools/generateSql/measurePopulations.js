@@ -0,0 +1,140 @@
+// src/mcp/tools/generateSql/measurePopulations.js
+
+/**
+ * Population criteria of proportion eCQMs and the SQL that scores them.
+ *
+ * Each population is a boolean define. The populations nest, so a person's
+ * flags follow the measure scoring rules rather than the raw defines:
+ * - denominator: in the initial population and the denominator
+ * - denominator exclusion: in the denominator and the exclusion
+ * - numerator: in the denominator, not excluded, and in the numerator
+ * - numerator exclusion: in the numerator and the numerator exclusion
+ * - denominator exception: in the denominator, not excluded, not in the
+ *   numerator, and in the exception
+ * The performance rate is (numerator - numerator exclusions) /
+ * (denominator - denominator exclusions - denominator exceptions).
+ */
+import { SqlGenerationError } from "../../../utils/sqlGenerationErrors.js";
+
+// FHIR measure-population codes, in scoring order, with the define names eCQMs use for them
+export const PROPORTION_POPULATIONS = [
+  { code: 'initial-population', column: 'initial_population', names: ['Initial Population'], required: true },
+  { code: 'denominator', column: 'denominator', names: ['Denominator'], required: true },
+  { code: 'denominator-exclusion', column: 'denominator_exclusion', names: ['Denominator Exclusions', 'Denominator Exclusion'] },
+  { code: 'numerator', column: 'numerator', names: ['Numerator'], required: true },
+  { code: 'numerator-exclusion', column: 'numerator_exclusion', names: ['Numerator Exclusions', 'Numerator Exclusion'] },
+  { code: 'denominator-exception', column: 'denominator_exception', names: ['Denominator Exceptions', 'Denominator Exception'] }
+];
+
+// Name of the CTE holding each initial population person's flags
+export const POPULATION_FLAGS_CTE = 'population_flags';
+
+const codeOf = concept => concept?.coding?.[0]?.code ?? null;
+
+/**
+ * Pick the population defines of a measure, from a Measure group or, without
+ * one, by the define names eCQMs use
+ * @param {Array<string>} defineNames - Defines of the primary library
+ * @param {Object|null} measure - FHIR Measure resource
+ * @param {string|number|null} groupId - Group id, or 1-based index; the first group by default
+ * @returns {{ source:string, group:string|null, scoring:string, populations:Array<Object>, warnings:Array<string> }}
+ *          populations holds { code, column, define } for each population the measure has
+ * @throws {SqlGenerationError} UNSUPPORTED_SCORING, UNKNOWN_GROUP or POPULATION_NOT_FOUND
+ */
+export function findPopulationDefines(defineNames, measure = null, groupId = null) {
+  const warnings = [];
+  const groups = measure?.group || [];
+  let group = null;
+  if (groups.length > 0) {
+    group = groupId === null || groupId === undefined
+      ? groups[0]
+      : groups.find(item => item.id === String(groupId)) || groups[Number(groupId) - 1];
+    if (!group) {
+      throw new SqlGenerationError(`Measure has no group "${groupId}"`, 'UNKNOWN_GROUP', {
+        groups: groups.map((item, index) => item.id ?? String(index + 1))
+      });
+    }
+    if (groups.length > 1 && (groupId === null || groupId === undefined)) {
+      warnings.push(`Measure has ${groups.length} groups; using the first (pass group to pick another)`);
+    }
+  }
+
+  const scoring = codeOf(group?.scoring) || codeOf(measure?.scoring) || 'proportion';
+  if (scoring !== 'proportion') {
+    throw new SqlGenerationError(`Only proportion measures are scored; the measure is scored as ${scoring}`, 'UNSUPPORTED_SCORING', { scoring });
+  }
+
+  const criteria = new Map((group?.population || []).map(population => [codeOf(population.code), population.criteria?.expression ?? null]));
+  const defined = new Set(defineNames);
+  const populations = [];
+  for (const population of PROPORTION_POPULATIONS) {
+    const define = group
+      ? criteria.get(population.code) ?? null
+      : population.names.find(name => defined.has(name)) ?? null;
+    if (define) {
+      populations.push({ code: population.code, column: population.column, define });
+    } else if (population.required) {
+      throw new SqlGenerationError(
+        group
+          ? `Measure group has no ${population.code} criteria`
+          : `No "${population.names[0]}" define; pass a Measure resource to name the population defines`,
+        'POPULATION_NOT_FOUND',
+        { population: population.code }
+      );
+    }
+  }
+
+  return { source: group ? 'measure' : 'convention', group: group ? group.id ?? String(groups.indexOf(group) + 1) : null, scoring, populations, warnings };
+}
+
+/**
+ * SELECT of one row per initial population person with a 0/1 column per population
+ * @param {Array<{ code:string, column:string, cte:string }>} populations - From findPopulationDefines, with their CTEs
+ */
+export function populationFlagsSql(populations) {
+  const cteOf = new Map(populations.map(population => [population.code, population.cte]));
+  const member = code => (cteOf.has(code) ? `EXISTS (SELECT 1 FROM ${cteOf.get(code)} m WHERE m.person_id = ip.person_id)` : null);
+  const [denominator, exclusion, numerator, numeratorExclusion, exception] =
+    ['denominator', 'denominator-exclusion', 'numerator', 'numerator-exclusion', 'denominator-exception'].map(member);
+
+  // Conditions each flag needs besides initial population membership; null for a population the measure lacks
+  const notExcluded = exclusion ? [`NOT ${exclusion}`] : [];
+  const inNumerator = [denominator, ...notExcluded, numerator];
+  const conditions = {
+    'initial-population': [],
+    denominator: [denominator],
+    'denominator-exclusion': exclusion && [denominator, exclusion],
+    numerator: inNumerator,
+    'numerator-exclusion': numeratorExclusion && [...inNumerator, numeratorExclusion],
+    'denominator-exception': exception && [denominator, ...notExcluded, `NOT ${numerator}`, exception]
+  };
+
+  const columns = PROPORTION_POPULATIONS.map(({ code, column }) => {
+    const condition = conditions[code];
+    if (!condition) {
+      return `0 AS ${column}`;
+    }
+    return condition.length === 0
+      ? `1 AS ${column}`
+      : `CASE WHEN ${condition.join('\n           AND ')}\n         THEN 1 ELSE 0 END AS ${column}`;
+  });
+  return [
+    `SELECT ip.person_id,\n       ${columns.join(',\n       ')}`,
+    `FROM (SELECT DISTINCT person_id FROM ${cteOf.get('initial-population')}) ip`
+  ].join('\n');
+}
+
+/**
+ * SELECT of the population counts and the performance rate over the flags CTE
+ */
+export function measureCountsSql() {
+  const total = column => `COALESCE(SUM(${column}), 0)`;
+  const performed = `${total('numerator')} - ${total('numerator_exclusion')}`;
+  const eligible = `${total('denominator')} - ${total('denominator_exclusion')} - ${total('denominator_exception')}`;
+  return [
+    `SELECT ${PROPORTION_POPULATIONS.map(({ column }) => `${total(column)} AS ${column}`).join(',\n       ')},`,
+    // NULL when no one is left in the denominator
+    `       CASE WHEN ${eligible} > 0\n         THEN 1.0 * (${performed}) / (${eligible})\n       END AS performance_rate`,
+    `FROM ${POPULATION_FLAGS_CTE}`
+  ].join('\n');
+}
@@ -0,0 +1,216 @@
+// src/mcp/tools/generateSql/omopTables.js
+
+/**
+ * Every list-valued define is translated to rows of the same shape, whatever
+ * fact table they come from, so defines can be unioned, intersected and
+ * referenced from each other. Columns a table does not have are NULL.
+ */
+export const EVENT_COLUMNS = [
+  { name: 'person_id', type: 'BIGINT' },
+  { name: 'event_id', type: 'BIGINT' },
+  { name: 'domain', type: 'VARCHAR(50)' },
+  { name: 'concept_id', type: 'INTEGER' },
+  { name: 'source_concept_id', type: 'INTEGER' },
+  { name: 'start_date', type: 'DATE' },
+  { name: 'end_date', type: 'DATE' },
+  { name: 'start_datetime', type: 'TIMESTAMP' },
+  { name: 'end_datetime', type: 'TIMESTAMP' },
+  { name: 'visit_occurrence_id', type: 'BIGINT' },
+  { name: 'value_as_number', type: 'NUMERIC' },
+  { name: 'value_as_concept_id', type: 'INTEGER' },
+  { name: 'unit_concept_id', type: 'INTEGER' },
+  // Provenance and status, for status filters (see statusFilters.js)
+  { name: 'type_concept_id', type: 'INTEGER' },
+  { name: 'status_concept_id', type: 'INTEGER' },
+  { name: 'stop_reason', type: 'VARCHAR(20)' }
+];
+
+/**
+ * OMOP CDM fact tables a retrieve can read, with the table column behind each
+ * event column. Only columns present in both CDM 5.3 and 5.4 are used, so a
+ * procedure has no end date of its own. The *_datetime columns are
+ * read for timing phrases finer than a day. Entries with a `table` read
+ * another CDM table than their name, such as sex, race and ethnicity from person.
+ */
+export const FACT_TABLES = {
+  condition_occurrence: {
+    alias: 'co',
+    columns: {
+      event_id: 'condition_occurrence_id',
+      concept_id: 'condition_concept_id',
+      source_concept_id: 'condition_source_concept_id',
+      start_date: 'condition_start_date',
+      end_date: 'condition_end_date',
+      start_datetime: 'condition_start_datetime',
+      end_datetime: 'condition_end_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      type_concept_id: 'condition_type_concept_id',
+      status_concept_id: 'condition_status_concept_id',
+      stop_reason: 'stop_reason'
+    }
+  },
+  procedure_occurrence: {
+    alias: 'po',
+    columns: {
+      event_id: 'procedure_occurrence_id',
+      concept_id: 'procedure_concept_id',
+      source_concept_id: 'procedure_source_concept_id',
+      start_date: 'procedure_date',
+      end_date: 'procedure_date',
+      start_datetime: 'procedure_datetime',
+      end_datetime: 'procedure_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      type_concept_id: 'procedure_type_concept_id'
+    }
+  },
+  measurement: {
+    alias: 'm',
+    columns: {
+      event_id: 'measurement_id',
+      concept_id: 'measurement_concept_id',
+      source_concept_id: 'measurement_source_concept_id',
+      start_date: 'measurement_date',
+      end_date: 'measurement_date',
+      start_datetime: 'measurement_datetime',
+      end_datetime: 'measurement_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      value_as_number: 'value_as_number',
+      value_as_concept_id: 'value_as_concept_id',
+      unit_concept_id: 'unit_concept_id',
+      type_concept_id: 'measurement_type_concept_id'
+    }
+  },
+  observation: {
+    alias: 'o',
+    columns: {
+      event_id: 'observation_id',
+      concept_id: 'observation_concept_id',
+      source_concept_id: 'observation_source_concept_id',
+      start_date: 'observation_date',
+      end_date: 'observation_date',
+      start_datetime: 'observation_datetime',
+      end_datetime: 'observation_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      value_as_number: 'value_as_number',
+      value_as_concept_id: 'value_as_concept_id',
+      unit_concept_id: 'unit_concept_id',
+      type_concept_id: 'observation_type_concept_id'
+    }
+  },
+  drug_exposure: {
+    alias: 'de',
+    columns: {
+      event_id: 'drug_exposure_id',
+      concept_id: 'drug_concept_id',
+      source_concept_id: 'drug_source_concept_id',
+      start_date: 'drug_exposure_start_date',
+      end_date: 'drug_exposure_end_date',
+      start_datetime: 'drug_exposure_start_datetime',
+      end_datetime: 'drug_exposure_end_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      type_concept_id: 'drug_type_concept_id',
+      stop_reason: 'stop_reason'
+    }
+  },
+  device_exposure: {
+    alias: 'dv',
+    columns: {
+      event_id: 'device_exposure_id',
+      concept_id: 'device_concept_id',
+      source_concept_id: 'device_source_concept_id',
+      start_date: 'device_exposure_start_date',
+      end_date: 'device_exposure_end_date',
+      start_datetime: 'device_exposure_start_datetime',
+      end_datetime: 'device_exposure_end_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      type_concept_id: 'device_type_concept_id'
+    }
+  },
+  payer_plan_period: {
+    alias: 'ppp',
+    columns: {
+      event_id: 'payer_plan_period_id',
+      concept_id: 'payer_concept_id',
+      source_concept_id: 'payer_source_concept_id',
+      start_date: 'payer_plan_period_start_date',
+      end_date: 'payer_plan_period_end_date'
+    }
+  },
+  person_sex: {
+    table: 'person',
+    alias: 'ps',
+    columns: { event_id: 'person_id', concept_id: 'gender_concept_id', source_concept_id: 'gender_source_concept_id' }
+  },
+  person_race: {
+    table: 'person',
+    alias: 'pr',
+    columns: { event_id: 'person_id', concept_id: 'race_concept_id', source_concept_id: 'race_source_concept_id' }
+  },
+  person_ethnicity: {
+    table: 'person',
+    alias: 'pe',
+    columns: { event_id: 'person_id', concept_id: 'ethnicity_concept_id', source_concept_id: 'ethnicity_source_concept_id' }
+  },
+  visit_occurrence: {
+    alias: 'vo',
+    columns: {
+      event_id: 'visit_occurrence_id',
+      concept_id: 'visit_concept_id',
+      source_concept_id: 'visit_source_concept_id',
+      start_date: 'visit_start_date',
+      end_date: 'visit_end_date',
+      start_datetime: 'visit_start_datetime',
+      end_datetime: 'visit_end_datetime',
+      visit_occurrence_id: 'visit_occurrence_id',
+      type_concept_id: 'visit_type_concept_id'
+    }
+  }
+};
+
+/**
+ * Event columns behind the FHIR and QDM attributes a query can test. Point
+ * attributes map to one date; period attributes to the start/end pair. Each
+ * has a date column and the datetime column used below day precision.
+ */
+const PERIOD = { type: 'interval', start: 'start_date', end: 'end_date', startDatetime: 'start_datetime', endDatetime: 'end_datetime' };
+const START = { type: 'date', column: 'start_date', datetimeColumn: 'start_datetime' };
+const END = { type: 'date', column: 'end_date', datetimeColumn: 'end_datetime' };
+
+const PROPERTY_COLUMNS = {
+  // Codes the retrieve filtered on
+  code: { type: 'concept', column: 'concept_id' },
+  type: { type: 'concept', column: 'concept_id' },
+  medication: { type: 'concept', column: 'concept_id' },
+  vaccineCode: { type: 'concept', column: 'concept_id' },
+  // Results
+  value: { type: 'number', column: 'value_as_number' },
+  result: { type: 'number', column: 'value_as_number' },
+  // Periods
+  period: PERIOD,
+  relevantPeriod: PERIOD,
+  prevalencePeriod: PERIOD,
+  participationPeriod: PERIOD,
+  effective: PERIOD,
+  performed: PERIOD,
+  // Points in time
+  onset: START,
+  abatement: END,
+  recordedDate: START,
+  authoredOn: START,
+  issued: START,
+  occurrence: START,
+  relevantDatetime: START,
+  authorDatetime: START,
+  resultDatetime: START,
+  // Row identity
+  id: { type: 'number', column: 'event_id' }
+};
+
+/**
+ * Event column(s) behind a property of a retrieved resource
+ * @param {string} path - Property name (FHIR element or QDM attribute)
+ * @returns {Object|null} { type, column, datetimeColumn? } or { type: 'interval', start, end, ... }; null when unmapped
+ */
+export function propertyColumns(path) {
+  return PROPERTY_COLUMNS[path] || null;
+}
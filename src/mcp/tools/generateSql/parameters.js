@@ -0,0 +1,216 @@
+// src/mcp/tools/generateSql/parameters.js
+
+import { parseCql } from "../parseNlToCql/cqlParser.js";
+import { buildLibraryUnits } from "../parseNlToCql/extractors.js";
+import { mappingPipeline } from "./conceptSets.js";
+import { SqlGenerationError } from "../../../utils/sqlGenerationErrors.js";
+
+/**
+ * How parameter references are written into the SQL:
+ * - named: bind parameters in the dialect's syntax (:measurement_period_start,
+ *   @measurement_period_start on SQL Server and BigQuery, $measurement_period_start on DuckDB)
+ * - sqlrender: OHDSI SqlRender placeholders (@measurement_period_start)
+ * - inline: the parameter values as literals
+ */
+export const PARAMETER_STYLES = ['named', 'sqlrender', 'inline'];
+
+const POINT_TYPES = {
+  DateTime: 'datetime', Date: 'date', Integer: 'number', Long: 'number', Decimal: 'number',
+  String: 'string', Boolean: 'boolean'
+};
+
+const SQL_TYPES = { datetime: 'TIMESTAMP', date: 'DATE' };
+
+function typeName(specifier) {
+  switch (specifier?.type) {
+    case 'NamedTypeSpecifier':
+      return specifier.name.replace(/^System\./, '');
+    case 'IntervalTypeSpecifier':
+      return `Interval<${typeName(specifier.pointType)}>`;
+    case 'ListTypeSpecifier':
+      return `List<${typeName(specifier.elementType)}>`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Value of a literal expression, or undefined when it is not a literal
+ */
+function literalValue(node) {
+  switch (node?.type) {
+    case 'Parenthesized':
+      return literalValue(node.expression);
+    case 'Literal':
+      return { value: node.value, type: node.valueType === 'Null' ? null : POINT_TYPES[node.valueType] ?? null };
+    case 'UnaryExpression': {
+      const operand = node.operator === 'negate' ? literalValue(node.operand) : undefined;
+      return operand?.type === 'number' ? { value: -operand.value, type: 'number' } : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Value of a default expression: { value } for a literal, { start, end, lowClosed,
+ * highClosed } for an interval of literals; null when it cannot be known before running
+ */
+function staticValue(node) {
+  if (node?.type === 'IntervalSelector') {
+    const low = literalValue(node.low);
+    const high = literalValue(node.high);
+    if (!low || !high) {
+      return null;
+    }
+    return {
+      start: low.value,
+      end: high.value,
+      lowClosed: node.lowClosed,
+      highClosed: node.highClosed,
+      pointType: low.type || high.type
+    };
+  }
+  const literal = literalValue(node);
+  return literal ? { value: literal.value, pointType: literal.type } : null;
+}
+
+/**
+ * List the parameters a library and its includes declare. Parameters are
+ * matched by name across libraries, as an evaluation engine passes them.
+ * @param {Object} library - Root library AST
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Array<Object>} { name, type, kind: 'interval'|'value', pointType, default, libraries, line, column }
+ */
+export function describeParameters(library, includedLibraries = []) {
+  const parameters = new Map();
+
+  for (const unit of buildLibraryUnits(library, includedLibraries)) {
+    for (const declaration of unit.library.parameters) {
+      if (parameters.has(declaration.name)) {
+        parameters.get(declaration.name).libraries.push(unit.name);
+        continue;
+      }
+      const type = typeName(declaration.parameterType);
+      const defaultValue = staticValue(declaration.default);
+      const interval = type ? type.startsWith('Interval<') : declaration.default?.type === 'IntervalSelector';
+      parameters.set(declaration.name, {
+        name: declaration.name,
+        type,
+        kind: interval ? 'interval' : 'value',
+        pointType: POINT_TYPES[interval ? type?.slice(9, -1) : type] ?? defaultValue?.pointType ?? null,
+        default: defaultValue,
+        hasDefault: !!declaration.default,
+        libraries: [unit.name],
+        line: declaration.loc?.start.line ?? null,
+        column: declaration.loc?.start.column ?? null
+      });
+    }
+  }
+
+  return Array.from(parameters.values());
+}
+
+/**
+ * Give each declared parameter its value: the tool input, else the declared default
+ * @param {Object} library - Root library AST
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @param {Object} values - Tool input by parameter name
+ * @returns {{ parameters: Array<Object>, ignored: Array<string> }} Parameters with
+ *          { value, source: 'input'|'default'|null }, and input names no library declares
+ */
+export function resolveParameters(library, includedLibraries = [], values = {}) {
+  const parameters = new Map(describeParameters(library, includedLibraries).map(parameter => [parameter.name, {
+    ...parameter,
+    value: parameter.default,
+    source: parameter.default ? 'default' : null
+  }]));
+  const ignored = [];
+
+  for (const [name, input] of Object.entries(values || {})) {
+    const parameter = parameters.get(name);
+    if (!parameter) {
+      ignored.push(name);
+      continue;
+    }
+    parameter.value = parseParameterValue(parameter, input);
+    parameter.source = 'input';
+  }
+  return { parameters: Array.from(parameters.values()), ignored };
+}
+
+/**
+ * Parameter values given to map-vsac-to-omop, read back from its result
+ * (step1_extraction.parameters) so generate-sql uses the same reporting period
+ */
+export function pipelineParameterValues(conceptMappings) {
+  const source = mappingPipeline(conceptMappings);
+  const parameters = source.step1_extraction?.parameters;
+  if (!Array.isArray(parameters)) {
+    return {};
+  }
+  return Object.fromEntries(parameters
+    .filter(parameter => parameter.source === 'input' && parameter.value)
+    .map(parameter => [parameter.name, parameter.value.start !== undefined ? parameter.value : parameter.value.value]));
+}
+
+const stripAt = value => (typeof value === 'string' ? value.replace(/^@/, '') : value);
+
+/**
+ * Read a tool input value for a parameter. Intervals are given as CQL text
+ * ("Interval[@2024-01-01T00:00:00.0, @2025-01-01T00:00:00.0)"), as [start, end]
+ * or as { start, end, lowClosed, highClosed }; other parameters as a plain value.
+ * @returns {Object} { value } or { start, end, lowClosed, highClosed }
+ */
+export function parseParameterValue(parameter, input) {
+  const invalid = reason => new SqlGenerationError(
+    `Invalid value for parameter "${parameter.name}": ${reason}`,
+    'INVALID_PARAMETER_VALUE',
+    { parameter: parameter.name, type: parameter.type, value: input }
+  );
+
+  if (typeof input === 'string' && /^\s*Interval\s*[[(]/.test(input)) {
+    const parsed = parseCql(`define "Value": ${input}`);
+    const value = parsed.errors.length === 0 ? staticValue(parsed.statements[0]?.expression) : null;
+    if (!value || value.start === undefined) {
+      throw invalid('expected an interval of literals');
+    }
+    return value;
+  }
+
+  if (parameter.kind === 'interval') {
+    if (Array.isArray(input) && input.length === 2) {
+      return { start: stripAt(input[0]), end: stripAt(input[1]), lowClosed: true, highClosed: true };
+    }
+    if (input && typeof input === 'object' && ('start' in input || 'end' in input)) {
+      return {
+        start: stripAt(input.start ?? null),
+        end: stripAt(input.end ?? null),
+        lowClosed: input.lowClosed ?? true,
+        highClosed: input.highClosed ?? true
+      };
+    }
+    throw invalid('expected CQL interval text, [start, end] or { start, end }');
+  }
+
+  if (input !== null && typeof input === 'object') {
+    throw invalid('expected a single value');
+  }
+  return { value: stripAt(input) };
+}
+
+/**
+ * SQL for a placeholder of a parameter value
+ * @param {string} bindName - snake_case name (measurement_period_start)
+ * @param {string|null} pointType - 'datetime', 'date', 'number', 'string' or 'boolean'
+ * @param {'named'|'sqlrender'} style
+ * @param {Object} dialect - From getDialect
+ */
+export function placeholderSql(bindName, pointType, style, dialect) {
+  const placeholder = style === 'sqlrender' ? `@${bindName}` : dialect.bindParameter(bindName);
+  if (SQL_TYPES[pointType]) {
+    // SqlRender substitutes text, so dates are passed as quoted strings
+    return dialect.parameterCast(style === 'sqlrender' ? `'${placeholder}'` : placeholder, SQL_TYPES[pointType]);
+  }
+  return style === 'sqlrender' && pointType === 'string' ? `'${placeholder}'` : placeholder;
+}
@@ -0,0 +1,1799 @@
+// src/mcp/tools/generateSql/sqlGenerator.js
+
+import { buildLibraryUnits, toCqlLibrary } from "../parseNlToCql/extractors.js";
+import { retrieveModel, describeTerminology, factTablesForDataType } from "../parseNlToCql/retrieves.js";
+import { EVENT_COLUMNS, FACT_TABLES, propertyColumns } from "./omopTables.js";
+import { normalizeConceptMappings, findConceptSet } from "./conceptSets.js";
+import { resolveParameters, placeholderSql } from "./parameters.js";
+import { BIRTH_DATES_CTE, ageFunction, ageSql, birthDateSql, genderConcept, personTable, supplementalDataTable } from "./demographics.js";
+import { getDialect } from "./dialects.js";
+import { DEFAULT_CDM_VERSION } from "./omopCdmSchema.js";
+import { validateQueries } from "./sqlValidator.js";
+import { POPULATION_FLAGS_CTE, findPopulationDefines, measureCountsSql, populationFlagsSql } from "./measurePopulations.js";
+import { findAnalyte, unitConversions, valueInUnitSql } from "./units.js";
+import { STATUS_ELEMENTS, isNegationDataType, statusCondition } from "./statusFilters.js";
+import { drugExpansionPaths, drugExpansionSql } from "./drugExpansion.js";
+import { ENCOUNTER_SOURCES, encounterCondition, normalizeVisitRules, visitRuleMatches } from "./encounters.js";
+import { AGGREGATE_FUNCTIONS, SINGLETON_FUNCTIONS, aggregateAccepts, aggregateSql, firstRowSql, rankOrder } from "./aggregates.js";
+import { TIME_PRECISIONS, adjacentPoint, comparePoints, durationUnit, shiftPoint, timingCondition } from "./temporal.js";
+import { SqlGenerationError } from "../../../utils/sqlGenerationErrors.js";
+
+// Identifiers that cannot be used unquoted as a CTE name or table alias
+const SQL_RESERVED = new Set([
+  'all', 'and', 'any', 'as', 'asc', 'between', 'by', 'case', 'codesets', 'cross', 'desc', 'distinct',
+  'do', 'else', 'end', 'except', 'exists', 'from', 'full', 'group', 'having', 'if', 'in', 'inner',
+  'intersect', 'is', 'join', 'left', 'like', 'limit', 'not', 'null', 'of', 'on', 'or', 'order', 'outer',
+  'over', 'p', 'right', 'select', 'table', 'then', 'to', 'union', 'user', 'using', 'when', 'where', 'with'
+]);
+
+// Concept ids of the codesets before drug expansion
+const CODESET_SEEDS_CTE = 'codeset_seeds';
+
+// FHIRHelpers / System conversions that do not change the OMOP column they wrap
+export const CONVERSION_FUNCTIONS = new Set([
+  'ToBoolean', 'ToCode', 'ToConcept', 'ToDate', 'ToDateTime', 'ToDecimal', 'ToInteger',
+  'ToInterval', 'ToQuantity', 'ToString'
+]);
+
+const COMPARISON_OPERATORS = { '=': '=', '~': '=', '!=': '<>', '!~': '<>', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+
+/**
+ * Error for CQL the generator cannot express in SQL; the define holding it
+ * is reported as untranslated
+ */
+function unsupported(node, message) {
+  return new SqlGenerationError(message, 'UNSUPPORTED_EXPRESSION', {
+    nodeType: node?.type ?? null,
+    line: node?.loc?.start.line ?? null,
+    column: node?.loc?.start.column ?? null
+  });
+}
+
+/**
+ * Short description of an AST node for messages
+ */
+function describeNode(node) {
+  if (node.type === 'FunctionCall') {
+    return `${node.libraryName ? `${node.libraryName}.` : ''}${node.name}()`;
+  }
+  if (node.type === 'Identifier') {
+    return `"${node.name}"`;
+  }
+  return node.operator ? `${node.type} '${node.operator}'` : node.type;
+}
+
+function indent(sql, depth = 1) {
+  const pad = '  '.repeat(depth);
+  return sql.split('\n').map(line => (line ? pad + line : line)).join('\n');
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * snake_case SQL name for a define or library name
+ */
+function toSqlName(name) {
+  const snake = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return !snake || /^\d/.test(snake) ? `d_${snake}` : snake;
+}
+
+/**
+ * First(...) or Last(...): one row per person (see aggregates.js)
+ */
+function isSingletonCall(node) {
+  return node?.type === 'FunctionCall' && !node.libraryName && SINGLETON_FUNCTIONS.has(node.name);
+}
+
+function unparenthesized(node) {
+  return node?.type === 'Parenthesized' ? unparenthesized(node.expression) : node;
+}
+
+/**
+ * A query whose return clause is its source alias, or that has none
+ */
+function returnsSource(query) {
+  const returned = query.return?.expression;
+  return !returned || (returned.type === 'Identifier' && !returned.libraryName && returned.name === query.sources[0]?.alias);
+}
+
+/**
+ * A sort item with the bare element names it sorts on (effective, start of
+ * period) read as properties of the query alias
+ */
+function onSourceAlias(node, alias) {
+  if (Array.isArray(node)) {
+    return node.map(item => onSourceAlias(item, alias));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  if (node.type === 'Identifier' && !node.libraryName && node.name !== alias && propertyColumns(node.name)) {
+    return { type: 'Property', source: { type: 'Identifier', name: alias, libraryName: null, loc: node.loc }, path: node.name, loc: node.loc };
+  }
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, key === 'loc' ? value : onSourceAlias(value, alias)]));
+}
+
+/**
+ * Translates the Patient-context defines of a CQL library into OMOP CDM SQL.
+ *
+ * Each define becomes one CTE of one of two shapes:
+ * - events: list-valued defines (retrieves, queries, unions) as rows of
+ *   EVENT_COLUMNS, one per fact-table record
+ * - persons: boolean defines as the person_ids for whom they are true
+ *
+ * Boolean expressions are translated to predicates over a person id, so the
+ * same translation serves a define body (person p) and a where clause (the
+ * person of the current row). A define that uses CQL the generator cannot
+ * express becomes an empty CTE of the right shape and is reported with the
+ * reason, so the defines that depend on it still compile.
+ */
+export class SqlGenerator {
+  /**
+   * @param {Object} library - Library AST
+   * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+   * @param {Object} conceptMappings - map-vsac-to-omop result or concept set ids (see normalizeConceptMappings)
+   * @param {{ cdmSchema:string, parameters?:Object, parameterStyle?:string, birthDatePolicy?:string, missingUnitPolicy?:string,
+   *          drugExpansion?:string, encounterSources?:string[], visitRules?:Array<Object>, targetDialect?:string,
+   *          cdmVersion?:string }} options -
+   *        parameters holds values by parameter name; parameterStyle is 'named', 'sqlrender' or 'inline';
+   *        birthDatePolicy is one of BIRTH_DATE_POLICIES; missingUnitPolicy one of MISSING_UNIT_POLICIES;
+   *        drugExpansion one of DRUG_EXPANSIONS, for the codesets drug_exposure is filtered on;
+   *        encounterSources the ENCOUNTER_SOURCES visits match encounter codesets through, visitRules
+   *        the site's visit concepts for them (see normalizeVisitRules);
+   *        targetDialect one of DIALECT_NAMES; cdmVersion the CDM_VERSIONS schema the SQL is validated against
+   */
+  constructor(library, includedLibraries, conceptMappings, options) {
+    this.units = buildLibraryUnits(library, includedLibraries);
+    this.root = this.units[0];
+    this.mappings = normalizeConceptMappings(conceptMappings);
+    this.cdmSchema = options.cdmSchema;
+    this.dialect = getDialect(options.targetDialect);
+    this.cdmVersion = options.cdmVersion || DEFAULT_CDM_VERSION;
+    this.defines = new Map(); // library|define -> translated define
+    this.ordered = []; // translated defines, dependencies first
+    this.inProgress = new Set();
+    this.cteNames = new Set(['codesets', CODESET_SEEDS_CTE, BIRTH_DATES_CTE, POPULATION_FLAGS_CTE]);
+    this.codesets = new Map(); // concept set key -> codeset
+    this.warnings = [];
+    this.aliases = new Set(); // SQL aliases used in the define being translated
+    this.parameterStyle = options.parameterStyle || 'named';
+    this.bindings = {}; // placeholder -> value
+    this.parameters = this.resolveParameters(library, includedLibraries, options.parameters || {});
+    this.birthDatePolicy = options.birthDatePolicy || 'mid-year';
+    this.usesBirthDates = false;
+    this.missingUnitPolicy = options.missingUnitPolicy || 'exclude';
+    this.quantityUnits = new Map(); // unit|analyte -> quantity unit the values are compared in
+    this.statusFilters = [];
+    this.currentDefine = null;
+    this.drugExpansion = options.drugExpansion || 'none';
+    this.encounterSources = options.encounterSources || ENCOUNTER_SOURCES;
+    this.visitRules = normalizeVisitRules(options.visitRules);
+  }
+
+  /**
+   * Declared parameters with their values, and the placeholders they are written as
+   */
+  resolveParameters(library, includedLibraries, values) {
+    const { parameters, ignored } = resolveParameters(library, includedLibraries, values);
+    ignored.forEach(name => this.warn(`Parameter "${name}" is not declared by the library; its value is ignored`));
+    return new Map(parameters.map(parameter => [parameter.name, { ...parameter, placeholders: [], referenced: false }]));
+  }
+
+  /**
+   * Translate every define of the root library (and the included defines they use)
+   * @param {string|null} target - Define the final SELECT reads; defaults to
+   *        "Initial Population", else the last define
+   * @returns {Object} { sql, target, validation, defines, provenance, codesets, untranslated, parameters, units, statusFilters, bindings,
+   *          targetDialect, warnings }
+   */
+  generate(target = null) {
+    const rootDefines = this.translateLibrary();
+    const targetEntry = target
+      ? this.rootDefine(target)
+      : rootDefines.find(entry => entry.name === 'Initial Population') || rootDefines[rootDefines.length - 1];
+    const sql = this.assemble(targetEntry.resultType === 'events'
+      ? `SELECT *\nFROM ${targetEntry.cte}`
+      : `SELECT person_id\nFROM ${targetEntry.cte}`);
+
+    return {
+      sql,
+      target: targetEntry.name,
+      validation: this.validate({ sql }),
+      ...this.report()
+    };
+  }
+
+  /**
+   * Translate every define and score the populations of a proportion measure
+   * @param {Array<{ code:string, column:string, define:string }>} populations - From findPopulationDefines
+   * @returns {Object} { personSql, countsSql, populations, validation, ...the generate() report }; personSql
+   *          returns a 0/1 flag per population for each initial population person, countsSql
+   *          the population counts and performance rate
+   */
+  measure(populations) {
+    this.translateLibrary();
+    const scored = populations.map(population => {
+      const entry = this.rootDefine(population.define);
+      if (entry.resultType === 'events') {
+        this.warn(`Population "${entry.name}" is a list; a person is counted once whatever the number of its items`);
+      }
+      // A population built on an untranslated define's stub is not scored correctly either
+      return {
+        ...population,
+        cte: entry.cte,
+        status: entry.status === 'translated' ? 'translated' : 'untranslated',
+        untranslatedDependencies: entry.status === 'partial' ? entry.untranslatedDependencies : []
+      };
+    });
+
+    const flags = `${POPULATION_FLAGS_CTE} AS (\n${indent(populationFlagsSql(scored))}\n)`;
+    const personSql = this.assemble(`SELECT *\nFROM ${POPULATION_FLAGS_CTE}\nORDER BY person_id`, [flags]);
+    const countsSql = this.assemble(measureCountsSql(), [flags]);
+    return {
+      personSql,
+      countsSql,
+      populations: scored,
+      validation: this.validate({ personSql, countsSql }),
+      ...this.report()
+    };
+  }
+
+  /**
+   * Translate the defines of the root library (and the included defines they use)
+   * @returns {Array<Object>} Translated root library defines
+   */
+  translateLibrary() {
+    for (const statement of this.root.library.statements) {
+      if (statement.type === 'ExpressionDef') {
+        this.define(statement, this.root);
+      }
+    }
+    const rootDefines = this.ordered.filter(entry => entry.unit === this.root);
+    if (rootDefines.length === 0) {
+      throw new SqlGenerationError('The library has no defines to translate', 'NO_DEFINES');
+    }
+    const encounterCodesets = Array.from(this.codesets.values()).filter(codeset => codeset.encounterSources);
+    for (const rule of this.visitRules) {
+      if (!encounterCodesets.some(codeset => visitRuleMatches(rule, codeset))) {
+        this.warn(`Visit rule for "${rule.valueSet}" matches no value set an Encounter is retrieved with; it is not used`);
+      }
+    }
+    return rootDefines;
+  }
+
+  /**
+   * Translated root library define by name
+   * @throws {SqlGenerationError} UNKNOWN_DEFINE
+   */
+  rootDefine(name) {
+    const rootDefines = this.ordered.filter(entry => entry.unit === this.root);
+    const entry = rootDefines.find(item => item.name === name);
+    if (!entry) {
+      throw new SqlGenerationError(`Define "${name}" is not in ${this.root.name || 'the library'}`, 'UNKNOWN_DEFINE', {
+        define: name,
+        defines: rootDefines.map(item => item.name)
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Defines, codesets, parameters, quantity units, status filters and warnings of the translation
+   */
+  report() {
+    const defines = this.ordered.map(({ unit, sql, reads, ...entry }) => entry);
+    return {
+      defines,
+      provenance: this.provenance(),
+      codesets: Array.from(this.codesets.values()).map(({ conceptIds, ...codeset }) => ({ ...codeset, conceptCount: conceptIds.length })),
+      untranslated: defines
+        .filter(entry => entry.status === 'untranslated')
+        .map(({ name, library, reason, reasonLine, reasonColumn }) => ({ define: name, library, reason, line: reasonLine, column: reasonColumn })),
+      // Translated defines whose SQL reads an untranslated define's empty stub
+      partial: defines
+        .filter(entry => entry.status === 'partial')
+        .map(({ name, library, untranslatedDependencies }) => ({ define: name, library, untranslatedDependencies })),
+      parameters: Array.from(this.parameters.values()).map(({ default: defaultValue, hasDefault, pointType, ...parameter }) => parameter),
+      units: Array.from(this.quantityUnits.values()),
+      statusFilters: this.statusFilters,
+      bindings: this.parameterStyle === 'inline' ? {} : this.bindings,
+      targetDialect: this.dialect.name,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * CTE name -> the CQL define it translates, for tracing SQL results back to the CQL
+   * @returns {Object<string, { define:string, library:string|null, version:string|null, startLine:number|null,
+   *          startColumn:number|null, endLine:number|null, endColumn:number|null, status:string }>}
+   */
+  provenance() {
+    return Object.fromEntries(this.ordered.map(entry => [entry.cte, this.definedBy(entry)]));
+  }
+
+  definedBy(entry) {
+    return {
+      define: entry.name,
+      library: entry.library ?? null,
+      version: entry.unit.library.identifier?.version ?? null,
+      startLine: entry.line,
+      startColumn: entry.column,
+      endLine: entry.endLine,
+      endColumn: entry.endColumn,
+      status: entry.status
+    };
+  }
+
+  /**
+   * Comment heading a define's CTE: the define, its library and its source lines
+   */
+  provenanceComment(entry) {
+    const { define, library, version, startLine, endLine } = this.definedBy(entry);
+    const source = [
+      library ? `library ${library}${version ? ` version '${version}'` : ''}` : null,
+      startLine === null ? null : endLine !== null && endLine !== startLine ? `lines ${startLine}-${endLine}` : `line ${startLine}`
+    ].filter(Boolean);
+    return `-- define "${define.replace(/\s+/g, ' ')}"${source.length > 0 ? ` (${source.join(', ')})` : ''}`;
+  }
+
+  /**
+   * Parse the generated queries in the target dialect and check them against the CDM schema
+   * @param {Object<string, string>} queries - Name -> SQL
+   * @returns {Object} validateQueries result
+   */
+  validate(queries) {
+    const validation = validateQueries(queries, { dialect: this.dialect.name, cdmVersion: this.cdmVersion });
+    if (validation.valid === false) {
+      this.warn(`The generated SQL does not validate against the ${this.dialect.name} grammar and OMOP CDM ${this.cdmVersion}; see validation.diagnostics`);
+    } else if (validation.valid === null) {
+      this.warn(`The generated SQL was not validated: there is no ${this.dialect.name} grammar`);
+    }
+    return validation;
+  }
+
+  warn(message) {
+    if (!this.warnings.includes(message)) {
+      console.error(`generate-sql: ${message}`);
+      this.warnings.push(message);
+    }
+  }
+
+  table(name) {
+    return this.cdmSchema ? `${this.cdmSchema}.${name}` : name;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Defines
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a define once; the defines it references are translated first.
+   * A define that reads an untranslated define, directly or through others, is
+   * 'partial': its SQL reads the empty stub, so its rows are wrong too.
+   * @returns {Object} Translated define { name, library, cte, resultType, status, reason, sql, ... }
+   */
+  define(statement, unit) {
+    const key = `${unit.name ?? ''}|${statement.name}`;
+    if (this.defines.has(key)) {
+      const translated = this.defines.get(key);
+      this.currentDefine?.reads.add(translated);
+      return translated;
+    }
+    if (this.inProgress.has(key)) {
+      throw unsupported(statement, `"${statement.name}" refers to itself`);
+    }
+
+    this.inProgress.add(key);
+    const outerAliases = this.aliases;
+    const outerDefine = this.currentDefine;
+    this.aliases = new Set();
+
+    const entry = {
+      name: statement.name,
+      library: unit.name,
+      unit,
+      cte: this.cteName(statement.name, unit),
+      resultType: null,
+      status: 'translated',
+      reason: null,
+      reads: new Set(), // defines the SQL reads
+      untranslatedDependencies: [],
+      supplementalData: supplementalDataTable(statement.name),
+      line: statement.loc?.start.line ?? null,
+      column: statement.loc?.start.column ?? null,
+      endLine: statement.loc?.end.line ?? null,
+      endColumn: statement.loc?.end.column ?? null
+    };
+    this.currentDefine = entry;
+
+    try {
+      if (statement.context && statement.context !== 'Patient') {
+        throw unsupported(statement, `${statement.context} context defines are not translated`);
+      }
+      Object.assign(entry, entry.supplementalData
+        ? { resultType: 'events', sql: this.factTableSelect(entry.supplementalData, null) }
+        : this.translateDefineBody(statement.expression, unit));
+    } catch (error) {
+      if (!(error instanceof SqlGenerationError)) {
+        throw error;
+      }
+      entry.status = 'untranslated';
+      entry.reason = error.message;
+      entry.reasonLine = error.details.line ?? entry.line;
+      entry.reasonColumn = error.details.column ?? entry.column;
+      entry.resultType = this.inferResultType(statement.expression, unit) || 'persons';
+      entry.sql = this.emptyResult(entry.resultType, error.message);
+      console.error(`generate-sql: "${statement.name}" not translated: ${error.message}`);
+    }
+    if (entry.status === 'translated') {
+      this.markPartial(entry);
+    }
+
+    this.aliases = outerAliases;
+    this.currentDefine = outerDefine;
+    this.inProgress.delete(key);
+    this.defines.set(key, entry);
+    this.ordered.push(entry);
+    outerDefine?.reads.add(entry);
+    return entry;
+  }
+
+  /**
+   * Mark a translated define that reads untranslated defines as partial,
+   * naming the untranslated defines its result depends on
+   */
+  markPartial(entry) {
+    const dependencies = new Map();
+    for (const read of entry.reads) {
+      const causes = read.status === 'untranslated'
+        ? [{ define: read.name, library: read.library }]
+        : read.untranslatedDependencies;
+      causes.forEach(cause => dependencies.set(`${cause.library}|${cause.define}`, cause));
+    }
+    if (dependencies.size === 0) {
+      return;
+    }
+    entry.status = 'partial';
+    entry.untranslatedDependencies = Array.from(dependencies.values());
+    const names = entry.untranslatedDependencies.map(cause => `"${cause.define}"`).join(', ');
+    entry.reason = `Reads ${names}, which ${dependencies.size === 1 ? 'is' : 'are'} not translated`;
+    console.error(`generate-sql: "${entry.name}" is partial: ${entry.reason}`);
+  }
+
+  cteName(name, unit) {
+    const base = unit === this.root ? toSqlName(name) : `${toSqlName(unit.name)}_${toSqlName(name)}`;
+    let cte = SQL_RESERVED.has(base) ? `${base}_define` : base;
+    for (let suffix = 2; this.cteNames.has(cte); suffix++) {
+      cte = `${base}_${suffix}`;
+    }
+    this.cteNames.add(cte);
+    return cte;
+  }
+
+  translateDefineBody(expression, unit) {
+    // personAlias names the person row the person ids come from, when there is one
+    const scope = { unit, aliases: new Map(), personRef: 'p.person_id', personAlias: 'p' };
+    const resultType = this.inferResultType(expression, unit);
+
+    if (resultType === 'events') {
+      return { resultType, sql: this.relation(expression, scope).sql };
+    }
+    if (resultType === 'persons') {
+      return {
+        resultType,
+        sql: `SELECT p.person_id\nFROM ${this.table('person')} p\nWHERE ${this.predicate(expression, scope)}`
+      };
+    }
+    throw unsupported(expression, `${describeNode(expression)} is neither a list of events nor a patient-level condition`);
+  }
+
+  /**
+   * Rows of the right shape for a define that could not be translated, or a
+   * retrieve OMOP holds no rows for (note)
+   */
+  emptyResult(resultType, reason, note = 'Not translated') {
+    const columns = resultType === 'events'
+      ? ['p.person_id', ...EVENT_COLUMNS.slice(1).map(column => `${this.dialect.cast('NULL', column.type)} AS ${column.name}`)]
+      : ['p.person_id'];
+    return `-- ${note}: ${reason.replace(/\n/g, ' ')}\nSELECT ${columns.join(',\n       ')}\nFROM ${this.table('person')} p\nWHERE 1 = 0`;
+  }
+
+  /**
+   * Whether an expression is list-valued ('events') or boolean ('persons');
+   * null for anything else
+   */
+  inferResultType(node, unit, seen = new Set()) {
+    switch (node?.type) {
+      case 'Parenthesized':
+        return this.inferResultType(node.expression, unit, seen);
+      case 'Retrieve':
+        return 'events';
+      case 'Query':
+        return node.aggregate ? null : 'events';
+      case 'BinaryExpression':
+        return ['union', 'intersect', 'except'].includes(node.operator)
+          ? this.inferResultType(node.left, unit, seen)
+          : 'persons';
+      case 'UnaryExpression':
+        return ['not', 'exists'].includes(node.operator) ? 'persons' : null;
+      case 'BooleanTest':
+      case 'Between':
+      case 'TimingExpression':
+        return 'persons';
+      case 'Literal':
+        return node.valueType === 'Boolean' ? 'persons' : null;
+      case 'FunctionCall':
+        return isSingletonCall(node) ? 'events' : null;
+      case 'Identifier': {
+        const target = this.lookupDefine(node, unit);
+        if (!target || seen.has(target.statement)) {
+          return null;
+        }
+        if (supplementalDataTable(target.statement.name)) {
+          return 'events';
+        }
+        seen.add(target.statement);
+        return this.inferResultType(target.statement.expression, target.unit, seen);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find the define an identifier names, following library-qualified names into includes
+   * @returns {{ statement:Object, unit:Object }|null}
+   */
+  lookupDefine(identifier, unit) {
+    const owner = identifier.libraryName ? unit.includes.get(identifier.libraryName) : unit;
+    const statement = owner?.library.statements.find(item => item.type === 'ExpressionDef' && item.name === identifier.name);
+    return statement ? { statement, unit: owner } : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lists of events
+  // ---------------------------------------------------------------------------
+
+  sqlAlias(name) {
+    const base = (name || '').toLowerCase().replace(/[^a-z0-9_]/g, '');
+    const safe = !base || /^\d/.test(base) || SQL_RESERVED.has(base) ? `${base || 'q'}_` : base;
+    let alias = safe;
+    for (let suffix = 2; this.aliases.has(alias); suffix++) {
+      alias = `${safe}${suffix}`;
+    }
+    this.aliases.add(alias);
+    return alias;
+  }
+
+  fromItem(relation, alias) {
+    return relation.cte ? `${relation.cte} ${alias}` : `(\n${indent(relation.sql)}\n) ${alias}`;
+  }
+
+  /**
+   * Translate a list-valued expression
+   * @returns {{ sql:string, cte?:string, compound?:boolean }}
+   */
+  relation(node, scope) {
+    switch (node.type) {
+      case 'Parenthesized':
+        return this.relation(node.expression, scope);
+      case 'Retrieve':
+        return this.retrieve(node, scope.unit);
+      case 'Query':
+        return { sql: this.query(node, scope) };
+      case 'FunctionCall':
+        if (isSingletonCall(node)) {
+          return { sql: this.singleton(node, scope) };
+        }
+        break;
+      case 'Identifier': {
+        const target = this.lookupDefine(node, scope.unit);
+        if (!target) {
+          throw unsupported(node, `${describeNode(node)} is not a define`);
+        }
+        const entry = this.define(target.statement, target.unit);
+        if (entry.resultType !== 'events') {
+          throw unsupported(node, `${describeNode(node)} is not a list`);
+        }
+        return { cte: entry.cte, sql: `SELECT *\nFROM ${entry.cte}` };
+      }
+      case 'BinaryExpression': {
+        const operator = { union: 'UNION', intersect: 'INTERSECT', except: 'EXCEPT' }[node.operator];
+        if (operator) {
+          const operand = side => {
+            const relation = this.relation(side, scope);
+            return relation.compound ? `SELECT *\nFROM ${this.fromItem(relation, this.sqlAlias('u'))}` : relation.sql;
+          };
+          return { sql: `${operand(node.left)}\n${this.dialect.setOperator(operator)}\n${operand(node.right)}`, compound: true };
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    throw unsupported(node, `${describeNode(node)} cannot be translated as a list of events`);
+  }
+
+  /**
+   * SELECT the rows of a retrieve from each fact table its data type maps to
+   */
+  retrieve(node, unit) {
+    const model = retrieveModel(node, unit.library);
+    if (isNegationDataType(node.dataType, model)) {
+      const reason = 'OMOP records no actions that were not performed; the retrieve selects no rows';
+      this.statusFilters.push({
+        ...this.filterLocation(node),
+        element: null,
+        operator: null,
+        codes: [],
+        resources: [node.dataType],
+        condition: null,
+        reason
+      });
+      this.warn(`${this.filterPrefix()}[${node.dataType}] is not representable in OMOP: ${reason}`);
+      return { sql: this.emptyResult('events', reason, 'Not representable') };
+    }
+    // The person table answers sex, race and ethnicity, each from its own column
+    const tables = factTablesForDataType(node.dataType, model).map(table => (table === 'person' && personTable(node.dataType)) || table);
+    const supported = tables.filter(table => FACT_TABLES[table]);
+    if (supported.length === 0) {
+      throw unsupported(node, tables.length > 0
+        ? `[${node.dataType}] reads ${tables.join(', ')}, which generate-sql does not translate`
+        : `No OMOP fact table is known for [${node.dataType}]`);
+    }
+    if (node.codePath && node.terminology) {
+      this.warn(`[${node.dataType}: ${node.codePath}] filters on ${node.codePath}; the fact table's concept column is used`);
+    }
+
+    const codesetId = node.terminology ? this.codeset(node.terminology, unit, node) : null;
+    if (codesetId !== null && supported.includes('drug_exposure') && this.drugExpansion !== 'none') {
+      this.codesetById(codesetId).drugExpansion = this.drugExpansion;
+    }
+    const selects = supported.map(table => this.factTableSelect(table, codesetId));
+    return { sql: selects.join('\nUNION ALL\n'), compound: selects.length > 1 };
+  }
+
+  factTableSelect(table, codesetId) {
+    const { alias, columns, table: source = table } = FACT_TABLES[table];
+    const list = EVENT_COLUMNS.map(column => {
+      if (column.name === 'domain') {
+        return `${this.dialect.cast(sqlString(table), column.type)} AS domain`;
+      }
+      const source = columns[column.name] || (column.name === 'person_id' ? 'person_id' : null);
+      if (!source) {
+        return `${this.dialect.cast('NULL', column.type)} AS ${column.name}`;
+      }
+      return source === column.name ? `${alias}.${source}` : `${alias}.${source} AS ${column.name}`;
+    });
+
+    let sql = `SELECT ${list.join(',\n       ')}\nFROM ${this.table(source)} ${alias}`;
+    if (codesetId !== null) {
+      const concepts = `(SELECT concept_id FROM codesets WHERE codeset_id = ${codesetId})`;
+      sql += `\nWHERE ${table === 'visit_occurrence' ? this.encounterMatch(alias, concepts, codesetId) : `${alias}.${columns.concept_id} IN ${concepts}`}`;
+    }
+    return sql;
+  }
+
+  /**
+   * Condition for the visits that are encounters of a codeset (see encounters.js)
+   */
+  encounterMatch(alias, concepts, codesetId) {
+    const codeset = this.codesetById(codesetId);
+    codeset.encounterSources = this.encounterSources;
+    codeset.visitRules = this.visitRules.filter(rule => visitRuleMatches(rule, codeset));
+    const condition = encounterCondition(alias, concepts, codeset.encounterSources, codeset.visitRules, name => this.table(name));
+    if (!condition) {
+      this.warn(`Encounters of ${codeset.type} "${codeset.name}" match through no encounter source or visit rule; they select no rows`);
+    }
+    return condition ?? '1 = 0';
+  }
+
+  /**
+   * Codeset id for a valueset, code or concept reference; the concept ids come from conceptMappings
+   */
+  codeset(terminologyNode, unit, node) {
+    const terminology = describeTerminology(terminologyNode, unit);
+    if (terminology.type === 'expression') {
+      throw unsupported(node, terminology.reason
+        ? `"${terminology.name}" is ${terminology.reason}`
+        : `Code filters of type ${terminology.expressionType} are not translated`);
+    }
+
+    const set = findConceptSet(terminology, this.mappings);
+    const key = set ? set.id : `${terminology.type}:${terminology.library ?? ''}:${terminology.name}`;
+    if (!this.codesets.has(key)) {
+      this.codesets.set(key, {
+        codesetId: this.codesets.size + 1,
+        name: terminology.name,
+        type: terminology.type,
+        library: terminology.library ?? null,
+        oid: terminology.oid ?? null,
+        conceptSetId: set?.id ?? null,
+        conceptSource: set?.conceptSource ?? null,
+        conceptIds: set?.conceptIds ?? [],
+        // Concepts map-vsac-to-omop's drug expansion added, and the expansion done in the SQL
+        addedByExpansion: set?.addedByExpansion ?? 0,
+        drugExpansion: null,
+        // What visits of an encounter codeset match through (see encounterMatch)
+        encounterSources: null,
+        visitRules: []
+      });
+      if (!set || set.conceptIds.length === 0) {
+        this.warn(`No OMOP concepts for ${terminology.type} "${terminology.name}"; rows filtered on it will be empty. Pass the map-vsac-to-omop result as conceptMappings.`);
+      }
+    }
+    return this.codesets.get(key).codesetId;
+  }
+
+  codesetById(codesetId) {
+    return Array.from(this.codesets.values()).find(codeset => codeset.codesetId === codesetId);
+  }
+
+  /**
+   * The row of each person First() or Last() picks from a list, in the order
+   * of the list's sort clause (see aggregates.js)
+   */
+  singleton(node, scope) {
+    if (node.args.length !== 1) {
+      throw unsupported(node, `${node.name}() takes one list`);
+    }
+    const [list] = node.args;
+    const relation = this.relation(list, scope);
+    const alias = this.sqlAlias('r');
+    const sorted = this.sortClause(list, scope.unit);
+    if (!sorted) {
+      this.warn(`${this.filterPrefix()}${node.name}() of a list without a sort clause picks each person's row by domain and event_id`);
+    }
+    const keys = sorted
+      ? sorted.query.sort.items.flatMap(item => this.sortKeys(item, sorted.query.sources[0], alias, { ...scope, unit: sorted.unit }))
+      : [];
+    const order = rankOrder(keys, alias, node.name === 'Last');
+    return firstRowSql(this.fromItem(relation, alias), alias, order, this.sqlAlias('ranked'), EVENT_COLUMNS.map(column => column.name));
+  }
+
+  /**
+   * The sorted query a list is, directly or through defines
+   * @returns {{ query:Object, unit:Object }|null}
+   */
+  sortClause(node, unit) {
+    const list = unparenthesized(node);
+    if (list?.type === 'Query') {
+      return list.sort && list.sources.length === 1 ? { query: list, unit } : null;
+    }
+    if (list?.type === 'Identifier') {
+      const target = this.lookupDefine(list, unit);
+      return target ? this.sortClause(target.statement.expression, target.unit) : null;
+    }
+    return null;
+  }
+
+  /**
+   * SQL keys of a sort item over the rows of a query's source, under a new alias;
+   * intervals sort by their start, then their end
+   */
+  sortKeys(item, source, alias, scope) {
+    if (!item.expression) {
+      throw unsupported(source, 'Sorting rows without a sort expression is not translated');
+    }
+    const expression = onSourceAlias(item.expression, source.alias);
+    const inner = this.withAlias(scope, source.alias, alias, source.expression);
+    const direction = item.direction || 'asc';
+    const points = value => {
+      if (value.type === 'interval') {
+        return [value.low, value.high];
+      }
+      if (!['number', 'date', 'datetime', 'string', 'concept'].includes(value.type)) {
+        throw unsupported(item.expression, `Sorting on a ${value.type} is not translated`);
+      }
+      return [value];
+    };
+    const byDate = points(this.value(expression, inner));
+    const byTime = points(this.value(expression, { ...inner, datetime: true }));
+    return byDate.flatMap((point, index) => (byTime[index].sql !== point.sql ? [point, byTime[index]] : [point]))
+      .map(point => ({ sql: point.sql, direction }));
+  }
+
+  /**
+   * The rows of a list, with the value a return clause names (Count(X return E.period))
+   * @returns {{ fromItem:string, alias:string, value:Object|null, distinct:boolean }}
+   */
+  listValues(node, scope, aliasName) {
+    const list = unparenthesized(node);
+    if (list?.type !== 'Query' || list.sources.length !== 1 || returnsSource(list)) {
+      const relation = this.relation(node, scope);
+      const alias = this.sqlAlias(aliasName);
+      return { fromItem: this.fromItem(relation, alias), alias, value: null, distinct: false };
+    }
+    const relation = this.relation({ ...list, return: null }, scope);
+    const alias = this.sqlAlias(aliasName);
+    const [source] = list.sources;
+    const value = this.value(list.return.expression, this.withAlias(scope, source.alias, alias, source.expression));
+    if (value.sql === null && value.type !== 'interval') {
+      throw unsupported(list.return.expression, `Returning a ${value.type} is not translated`);
+    }
+    return { fromItem: this.fromItem(relation, alias), alias, value, distinct: list.return.distinct };
+  }
+
+  /**
+   * Count, Min, Max, Sum or Avg of a person's rows, or of the values a return clause names
+   */
+  aggregate(node, scope) {
+    if (node.args.length !== 1) {
+      throw unsupported(node, `${node.name}() takes one list`);
+    }
+    const values = this.listValues(node.args[0], scope, 'g');
+    if (!values.value && node.name !== 'Count') {
+      throw unsupported(node, `${node.name}() of rows needs a return clause naming the value`);
+    }
+    const { value } = values;
+    if (value && !aggregateAccepts(node.name, value.type)) {
+      throw unsupported(node, `${node.name}() of a ${value.type} is not translated`);
+    }
+    // An interval is counted by its start and end
+    const aggregated = value && (value.type === 'interval' ? [value.low.sql, value.high.sql] : [value.sql]);
+    const sql = aggregateSql(node.name, aggregated, values.distinct, values.fromItem, values.alias, scope.personRef, this.sqlAlias('d'));
+    return node.name === 'Count'
+      ? { sql, type: 'number', integer: true }
+      : { sql, type: node.name === 'Avg' ? 'number' : values.value.type };
+  }
+
+  /**
+   * Translate a single-source query: where, with and without clauses
+   */
+  query(node, scope) {
+    if (node.sources.length !== 1) {
+      throw unsupported(node, 'Multi-source queries are not translated');
+    }
+    if (node.let.length > 0) {
+      throw unsupported(node, 'let clauses are not translated');
+    }
+    if (node.aggregate) {
+      throw unsupported(node, 'aggregate clauses are not translated');
+    }
+    const [source] = node.sources;
+    if (!returnsSource(node)) {
+      throw unsupported(node.return.expression, 'return clauses other than the source alias are only translated in exists and aggregates');
+    }
+
+    const relation = this.relation(source.expression, scope);
+    const alias = this.sqlAlias(source.alias);
+    const inner = this.withAlias(scope, source.alias, alias, source.expression);
+    const conditions = [];
+
+    for (const relationship of node.relationships) {
+      const related = this.relation(relationship.expression, scope);
+      const relatedAlias = this.sqlAlias(relationship.alias);
+      const suchThat = this.predicate(relationship.suchThat, this.withAlias(inner, relationship.alias, relatedAlias, relationship.expression));
+      const test = `EXISTS (\n  SELECT 1\n  FROM ${indent(this.fromItem(related, relatedAlias)).trimStart()}\n  WHERE ${relatedAlias}.person_id = ${alias}.person_id\n    AND ${suchThat.replace(/\n/g, '\n    ')}\n)`;
+      conditions.push(relationship.type === 'With' ? test : `NOT ${test}`);
+    }
+    if (node.where) {
+      conditions.push(this.predicate(node.where, inner));
+    }
+
+    let sql = `SELECT ${alias}.*\nFROM ${this.fromItem(relation, alias)}`;
+    if (conditions.length > 0) {
+      sql += `\nWHERE ${conditions.map(condition => condition.replace(/\n/g, '\n  ')).join('\n  AND ')}`;
+    }
+    return sql;
+  }
+
+  /**
+   * Scope of a query alias; source is the expression it ranges over
+   */
+  withAlias(scope, name, sqlAlias, source = null) {
+    return {
+      ...scope,
+      aliases: new Map(scope.aliases).set(name, sqlAlias),
+      sources: new Map(scope.sources).set(name, source),
+      personRef: `${sqlAlias}.person_id`,
+      personAlias: null
+    };
+  }
+
+  /**
+   * Retrieves the rows of a list expression come from, each with the library unit holding it
+   * @returns {Array<{ node:Object, unit:Object }>}
+   */
+  sourceRetrieves(node, unit, seen = new Set()) {
+    switch (node?.type) {
+      case 'Parenthesized':
+        return this.sourceRetrieves(node.expression, unit, seen);
+      case 'Retrieve':
+        return [{ node, unit }];
+      case 'Query':
+        return node.sources.flatMap(source => this.sourceRetrieves(source.expression, unit, seen));
+      case 'BinaryExpression':
+        return [...this.sourceRetrieves(node.left, unit, seen), ...this.sourceRetrieves(node.right, unit, seen)];
+      case 'FunctionCall':
+        return isSingletonCall(node) ? this.sourceRetrieves(node.args[0], unit, seen) : [];
+      case 'Identifier': {
+        const target = this.lookupDefine(node, unit);
+        if (!target || seen.has(target.statement)) {
+          return [];
+        }
+        seen.add(target.statement);
+        return this.sourceRetrieves(target.statement.expression, target.unit, seen);
+      }
+      default:
+        return [];
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Conditions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a boolean expression to a SQL condition for scope.personRef
+   * (or for the rows of the query aliases in scope)
+   */
+  predicate(node, scope) {
+    switch (node.type) {
+      case 'Parenthesized':
+        return `(${this.predicate(node.expression, scope)})`;
+      case 'Literal':
+        if (node.valueType === 'Boolean') {
+          return node.value ? '1 = 1' : '1 = 0';
+        }
+        if (node.valueType === 'Null') {
+          return '1 = 0';
+        }
+        break;
+      case 'BinaryExpression': {
+        if (node.operator === 'and' || node.operator === 'or') {
+          const operand = side => {
+            const sql = this.predicate(side, scope);
+            return side.type === 'BinaryExpression' && ['and', 'or'].includes(side.operator) && side.operator !== node.operator
+              ? `(${sql})`
+              : sql;
+          };
+          return `${operand(node.left)}\n${node.operator.toUpperCase()} ${operand(node.right)}`;
+        }
+        if (node.operator === 'implies') {
+          return `(NOT (${this.predicate(node.left, scope)}) OR (${this.predicate(node.right, scope)}))`;
+        }
+        if (COMPARISON_OPERATORS[node.operator] || node.operator === 'in' || node.operator === 'contains') {
+          return this.overSingletons(node, scope, inner => this.comparison(node, inner));
+        }
+        break;
+      }
+      case 'UnaryExpression':
+        if (node.operator === 'not') {
+          return `NOT (${this.predicate(node.operand, scope)})`;
+        }
+        if (node.operator === 'exists') {
+          return this.exists(node.operand, scope);
+        }
+        break;
+      case 'BooleanTest':
+        return node.test === 'null' ? this.nullTest(node, scope) : this.booleanTest(node, scope);
+      case 'Between':
+        return this.overSingletons(node, scope, inner => this.between(node, inner));
+      case 'Identifier': {
+        const target = !scope.aliases.has(node.name) && this.lookupDefine(node, scope.unit);
+        if (target) {
+          const entry = this.define(target.statement, target.unit);
+          return entry.resultType === 'events'
+            ? this.exists(node, scope)
+            : `${scope.personRef} IN (SELECT person_id FROM ${entry.cte})`;
+        }
+        break;
+      }
+      case 'TimingExpression':
+        return this.overSingletons(node, scope, inner => this.timing(node, inner));
+      default:
+        break;
+    }
+    throw unsupported(node, `${describeNode(node)} cannot be translated as a condition`);
+  }
+
+  /**
+   * A condition on the row First() or Last() picks (Last(X).value > 9), as a
+   * condition on that row of the person; false when the person has none
+   * @param {function(Object):string} translate - Condition in a scope that knows the picked rows
+   */
+  overSingletons(node, scope, translate) {
+    const sources = this.singletonSources(node, scope);
+    if (sources.length === 0) {
+      return translate(scope);
+    }
+    const singletons = new Map(scope.singletons);
+    const rows = sources.map(source => {
+      const alias = this.sqlAlias('s');
+      singletons.set(source, alias);
+      return { fromItem: this.fromItem(this.relation(source, scope), alias), alias };
+    });
+    const condition = translate({ ...scope, singletons });
+    const [first, ...others] = rows;
+    const joins = others.map(row => `\n  INNER JOIN ${indent(row.fromItem).trimStart()}\n    ON ${row.alias}.person_id = ${first.alias}.person_id`);
+    return `EXISTS (\n  SELECT 1\n  FROM ${indent(first.fromItem).trimStart()}${joins.join('')}\n` +
+      `  WHERE ${first.alias}.person_id = ${scope.personRef}\n    AND ${condition.replace(/\n/g, '\n    ')}\n)`;
+  }
+
+  /**
+   * X is [not] null where X is a First() or Last() row, or reads a property of
+   * one: a person without the row has a null X, so is null holds for them
+   */
+  nullTest(node, scope) {
+    if (this.isSingleton(node.operand, scope)) {
+      const alias = this.sqlAlias('s');
+      const fromItem = this.fromItem(this.relation(unparenthesized(node.operand), scope), alias);
+      const row = `EXISTS (\n  SELECT 1\n  FROM ${indent(fromItem).trimStart()}\n  WHERE ${alias}.person_id = ${scope.personRef}\n)`;
+      return node.negated ? row : `NOT ${row}`;
+    }
+    if (node.negated || this.singletonSources(node, scope).length === 0) {
+      return this.overSingletons(node, scope, inner => this.booleanTest(node, inner));
+    }
+    const notNull = { ...node, negated: true };
+    return `NOT ${this.overSingletons(notNull, scope, inner => this.booleanTest(notNull, inner))}`;
+  }
+
+  /**
+   * Sources of the properties a condition reads from a First() or Last() row,
+   * directly or through a define holding one; nested queries test their own rows
+   */
+  singletonSources(node, scope, found = []) {
+    if (Array.isArray(node)) {
+      node.forEach(item => this.singletonSources(item, scope, found));
+      return found;
+    }
+    if (!node || typeof node !== 'object' || node.type === 'Query' || isSingletonCall(node) ||
+        (node.type === 'FunctionCall' && AGGREGATE_FUNCTIONS[node.name])) {
+      return found;
+    }
+    if (node.type === 'Property' && !scope.singletons?.has(node.source) && this.isSingleton(node.source, scope)) {
+      found.push(node.source);
+      return found;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc') {
+        this.singletonSources(value, scope, found);
+      }
+    }
+    return found;
+  }
+
+  isSingleton(node, scope) {
+    const source = unparenthesized(node);
+    if (isSingletonCall(source)) {
+      return true;
+    }
+    if (source?.type !== 'Identifier' || (!source.libraryName && scope.aliases.has(source.name))) {
+      return false;
+    }
+    return isSingletonCall(unparenthesized(this.lookupDefine(source, scope.unit)?.statement.expression));
+  }
+
+  /**
+   * Translate a timing phrase (during, overlaps, starts 30 days or less after end of, ...)
+   */
+  timing(node, scope) {
+    if (node.offset && !durationUnit(node.offset.quantity)) {
+      throw unsupported(node, `Offset unit '${node.offset.quantity.unit}' is not a duration`);
+    }
+    // The *_date columns only answer phrases at day precision or coarser
+    const timed = TIME_PRECISIONS.has(node.precision) || TIME_PRECISIONS.has(durationUnit(node.offset?.quantity));
+    const operandScope = timed ? { ...scope, datetime: true } : scope;
+    const condition = timingCondition(node, this.temporalOperand(node.left, operandScope), this.temporalOperand(node.right, operandScope), this.dialect);
+    if (!condition) {
+      throw unsupported(node, `Timing phrase '${node.operator}' is not translated`);
+    }
+    return condition;
+  }
+
+  /**
+   * A value as a { low, high, point } interval for timing comparisons
+   */
+  temporalOperand(node, scope) {
+    const value = this.value(node, scope);
+    if (value.type === 'interval') {
+      return { low: value.low, high: value.high, point: false };
+    }
+    if (['date', 'datetime', 'number'].includes(value.type)) {
+      return { low: value, high: value, point: true };
+    }
+    throw unsupported(node, `${describeNode(node)} is not a date or an interval`);
+  }
+
+  /**
+   * Whether the person has rows; with a return clause, a row with a value
+   */
+  exists(operand, scope) {
+    const { fromItem, alias, value } = this.listValues(operand, scope, 'e');
+    // Intervals are never null, whatever their boundaries
+    const valued = value?.sql ? `\n    AND ${value.sql} IS NOT NULL` : '';
+    return `EXISTS (\n  SELECT 1\n  FROM ${indent(fromItem).trimStart()}\n  WHERE ${alias}.person_id = ${scope.personRef}${valued}\n)`;
+  }
+
+  comparison(node, scope) {
+    const status = this.statusFilter(node, scope);
+    if (status !== null) {
+      return status;
+    }
+    if (node.operator === 'in' || node.operator === 'contains') {
+      const [item, collection] = node.operator === 'in' ? [node.left, node.right] : [node.right, node.left];
+      const value = this.value(item, scope);
+      if (collection.type === 'ListSelector' && value.type !== 'interval') {
+        const elements = collection.elements.map(element => (value.administrativeGender
+          ? this.genderValue(element, scope)
+          : this.value(element, scope)).sql);
+        return elements.length > 0 ? `${value.sql} IN (${elements.join(', ')})` : '1 = 0';
+      }
+      const target = this.value(collection, scope);
+      if (target.type === 'codeset' && value.type === 'concept') {
+        return this.membership(value, target, false);
+      }
+      if (target.type === 'interval') {
+        const phrase = { operator: 'includedIn', precision: node.precision ?? null };
+        const condition = timingCondition(phrase, this.temporalOperand(item, scope), this.temporalOperand(collection, scope), this.dialect);
+        if (condition) {
+          return condition;
+        }
+      }
+      throw unsupported(node, `'${node.operator}' between ${value.type} and ${target.type} is not translated`);
+    }
+
+    let left = this.value(node.left, scope);
+    let right = this.value(node.right, scope);
+    if (left.administrativeGender) {
+      right = this.genderValue(node.right, scope);
+    } else if (right.administrativeGender) {
+      left = this.genderValue(node.left, scope);
+    }
+    const operator = COMPARISON_OPERATORS[node.operator];
+    const negated = operator === '<>';
+
+    const codeset = [left, right].find(side => side.type === 'codeset');
+    if (codeset) {
+      const concept = codeset === left ? right : left;
+      if (concept.type !== 'concept' || !['=', '<>'].includes(operator)) {
+        throw unsupported(node, `'${node.operator}' against a ${codeset.terminologyType} is not translated`);
+      }
+      return this.membership(concept, codeset, negated);
+    }
+    if (left.type === 'interval' || right.type === 'interval') {
+      throw unsupported(node, 'Comparing intervals is not translated');
+    }
+    [left, right] = this.inSameUnit(left, right);
+    return comparePoints(left, operator, right, node.precision ?? null, this.dialect);
+  }
+
+  /**
+   * A status, intent, verification or category element compared with codes,
+   * as a condition on the event columns (see statusFilters.js). A filter OMOP
+   * cannot express is dropped, leaving the rows unfiltered, and reported.
+   * @returns {string|null} null when neither side is such an element
+   */
+  statusFilter(node, scope) {
+    if (!['=', '~', '!=', '!~', 'in', 'contains'].includes(node.operator)) {
+      return null;
+    }
+    // [element, codes]: either side of an equality, the item of a membership test
+    const sides = { in: [[node.left, node.right]], contains: [[node.right, node.left]] }[node.operator]
+      || [[node.left, node.right], [node.right, node.left]];
+    const match = sides
+      .map(([side, other]) => ({ element: this.statusElement(side, scope), other }))
+      .find(entry => entry.element);
+    if (!match) {
+      return null;
+    }
+    const { element, other } = match;
+
+    const codes = this.statusCodes(other, scope.unit);
+    const resources = [...new Set(this.sourceRetrieves(scope.sources?.get(element.alias), scope.unit)
+      .map(retrieve => retrieve.node.dataType))];
+    let result;
+    if (!codes) {
+      result = { reason: `${describeNode(other)} is not a list of codes` };
+    } else if (resources.length === 0) {
+      result = { reason: `the rows of ${element.alias} do not come from a retrieve` };
+    } else {
+      const conditions = resources.map(resource => statusCondition(resource, element.path, codes, element.sqlAlias));
+      const unrepresentable = conditions.find(condition => condition.reason);
+      result = unrepresentable
+        || (new Set(conditions.map(condition => condition.sql)).size === 1
+          ? conditions[0]
+          : { reason: `${resources.join(' and ')} rows are filtered differently` });
+    }
+
+    const condition = result.sql && (['!=', '!~'].includes(node.operator) ? `NOT (${result.sql})` : result.sql);
+    this.statusFilters.push({
+      ...this.filterLocation(node),
+      element: `${element.alias}.${element.path}`,
+      operator: node.operator,
+      codes: codes ?? [],
+      resources,
+      condition: condition ?? null,
+      reason: result.reason ?? null
+    });
+    if (result.reason) {
+      const quoted = codes?.map(code => `'${code}'`).join(', ');
+      const compared = !codes ? describeNode(other) : other.type === 'ListSelector' ? `{ ${quoted} }` : quoted;
+      this.warn(`${this.filterPrefix()}${element.alias}.${element.path} ${node.operator} ${compared} ` +
+        `is not representable in OMOP: ${result.reason}; the filter is dropped`);
+      return '1 = 1';
+    }
+    return condition;
+  }
+
+  /**
+   * The query alias and element of a status element reference (C.clinicalStatus,
+   * E.status.value, FHIRHelpers.ToString(M.intent)), or null
+   */
+  statusElement(node, scope) {
+    switch (node?.type) {
+      case 'Parenthesized':
+        return this.statusElement(node.expression, scope);
+      case 'As':
+        return this.statusElement(node.operand, scope);
+      case 'FunctionCall':
+        return CONVERSION_FUNCTIONS.has(node.name) && node.args.length === 1 ? this.statusElement(node.args[0], scope) : null;
+      case 'Property': {
+        if (node.path === 'value') {
+          return this.statusElement(node.source, scope);
+        }
+        const { source } = node;
+        if (!STATUS_ELEMENTS.has(node.path) || source.type !== 'Identifier' || source.libraryName || !scope.aliases.has(source.name)) {
+          return null;
+        }
+        return { alias: source.name, sqlAlias: scope.aliases.get(source.name), path: node.path };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Codes of a string, code declaration or list of them, or null
+   */
+  statusCodes(node, unit) {
+    switch (node?.type) {
+      case 'Parenthesized':
+        return this.statusCodes(node.expression, unit);
+      case 'Literal':
+        return node.valueType === 'String' ? [node.value] : null;
+      case 'Identifier': {
+        const terminology = describeTerminology(node, unit);
+        return terminology.type === 'code' ? [terminology.code] : null;
+      }
+      case 'FunctionCall':
+        return CONVERSION_FUNCTIONS.has(node.name) && node.args.length === 1 ? this.statusCodes(node.args[0], unit) : null;
+      case 'ListSelector': {
+        const codes = node.elements.map(element => this.statusCodes(element, unit));
+        return codes.every(Boolean) ? codes.flat() : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Define and source position of a status filter, for the report
+   */
+  filterLocation(node) {
+    return {
+      define: this.currentDefine?.name ?? null,
+      library: this.currentDefine?.library ?? null,
+      line: node.loc?.start.line ?? null,
+      column: node.loc?.start.column ?? null
+    };
+  }
+
+  filterPrefix() {
+    return this.currentDefine ? `"${this.currentDefine.name}": ` : '';
+  }
+
+  /**
+   * A value column compared with a quantity, brought to the quantity's unit
+   * on the rows whose unit converts to it (see units.js)
+   * @returns {Array<Object>} [left, right]; unchanged unless one side is a quantity with a unit
+   */
+  inSameUnit(left, right) {
+    const quantity = [left, right].find(side => side.type === 'quantity' && side.unit && side.unit !== '1');
+    if (!quantity) {
+      return [left, right];
+    }
+    const measured = quantity === left ? right : left;
+    if (!measured.unitSql) {
+      this.warn(`Unit '${quantity.unit}' is not checked; ${quantity.sql} '${quantity.unit}' is compared with ${measured.sql} as is`);
+      return [left, right];
+    }
+    const analyte = findAnalyte(measured.terminologies);
+    const conversions = unitConversions(quantity.unit, analyte);
+    if (!conversions) {
+      this.warn(`Unit '${quantity.unit}' has no OMOP unit concept; ${quantity.sql} '${quantity.unit}' is compared with ${measured.sql} whatever its unit`);
+      return [left, right];
+    }
+    this.quantityUnits.set(`${quantity.unit}|${analyte?.name ?? ''}`, {
+      unit: quantity.unit,
+      unitConceptId: conversions[0].conceptId,
+      analyte: analyte?.name ?? null,
+      convertedFrom: conversions.slice(1).map(conversion => conversion.unit),
+      missingUnitPolicy: this.missingUnitPolicy
+    });
+    const converted = { sql: valueInUnitSql(measured.sql, measured.unitSql, conversions, this.missingUnitPolicy), type: 'number' };
+    const number = { sql: quantity.sql, type: 'number' };
+    return quantity === left ? [number, converted] : [converted, number];
+  }
+
+  /**
+   * A FHIR administrative gender code ('female') compared with Patient.gender, as its OMOP concept
+   */
+  genderValue(node, scope) {
+    const literal = node.type === 'Parenthesized' ? node.expression : node;
+    if (literal.type !== 'Literal' || literal.valueType !== 'String') {
+      return this.value(node, scope);
+    }
+    const conceptId = genderConcept(literal.value);
+    if (conceptId === null) {
+      throw unsupported(node, `'${literal.value}' is not an administrative gender code`);
+    }
+    return { sql: String(conceptId), type: 'concept' };
+  }
+
+  membership(concept, codeset, negated) {
+    return `${concept.sql} ${negated ? 'NOT IN' : 'IN'} (SELECT concept_id FROM codesets WHERE codeset_id = ${codeset.codesetId})`;
+  }
+
+  booleanTest(node, scope) {
+    if (node.test === 'null') {
+      const value = this.value(node.operand, scope);
+      const column = value.type === 'interval' ? value.low.sql : value.sql;
+      return `${column} IS ${node.negated ? 'NOT ' : ''}NULL`;
+    }
+    // is true / is false: a null condition is neither
+    const condition = this.predicate(node.operand, scope);
+    const wantTrue = (node.test === 'true') !== node.negated;
+    return wantTrue ? `(${condition})` : `NOT (${condition})`;
+  }
+
+  between(node, scope) {
+    const value = this.value(node.operand, scope);
+    const low = this.value(node.low, scope);
+    const high = this.value(node.high, scope);
+    if ([value, low, high].some(item => item.type === 'interval')) {
+      throw unsupported(node, 'between on intervals is not translated');
+    }
+    const [aboveLow, lowValue] = this.inSameUnit(value, low);
+    const [belowHigh, highValue] = this.inSameUnit(value, high);
+    return node.properly
+      ? `${comparePoints(aboveLow, '>', lowValue, null, this.dialect)} AND ${comparePoints(belowHigh, '<', highValue, null, this.dialect)}`
+      : `${comparePoints(aboveLow, '>=', lowValue, null, this.dialect)} AND ${comparePoints(belowHigh, '<=', highValue, null, this.dialect)}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Values
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a scalar expression
+   * @returns {{ sql:string|null, type:string, nullAs?:string, low?:Object, high?:Object, unit?:string, codesetId?:number }}
+   *          Intervals have sql null and closed low/high points
+   */
+  value(node, scope) {
+    switch (node.type) {
+      case 'Parenthesized': {
+        const inner = this.value(node.expression, scope);
+        return inner.sql ? { ...inner, sql: `(${inner.sql})` } : inner;
+      }
+      case 'Literal':
+        switch (node.valueType) {
+          case 'Integer':
+          case 'Long':
+            return { sql: String(node.value), type: 'number', integer: true };
+          case 'Decimal':
+            return { sql: String(node.value), type: 'number' };
+          case 'String':
+            return { sql: sqlString(node.value), type: 'string' };
+          case 'Boolean':
+            return { sql: this.dialect.booleanLiteral(node.value), type: 'boolean' };
+          case 'Null':
+            return { sql: 'NULL', type: 'null' };
+          case 'Date':
+            return { sql: this.dialect.dateLiteral(node.value), type: 'date' };
+          case 'DateTime':
+            return { sql: this.dialect.timestampLiteral(node.value.replace(/(Z|[+-]\d{2}:\d{2})$/, '')), type: 'datetime' };
+          default:
+            break;
+        }
+        break;
+      case 'Quantity':
+        return { sql: String(node.value), type: node.temporal ? 'duration' : 'quantity', unit: node.unit };
+      case 'UnaryExpression':
+        if (node.operator === 'negate') {
+          const operand = this.value(node.operand, scope);
+          return { ...operand, sql: `-${operand.sql}` };
+        }
+        break;
+      case 'BinaryExpression':
+        if (['+', '-', '*', '/'].includes(node.operator)) {
+          const left = this.value(node.left, scope);
+          const right = this.value(node.right, scope);
+          if (left.type === 'number' && right.type === 'number') {
+            return { sql: `${left.sql} ${node.operator} ${right.sql}`, type: 'number' };
+          }
+          if (['date', 'datetime'].includes(left.type) && ['+', '-'].includes(node.operator) && durationUnit(node.right)) {
+            return shiftPoint(left, node.right, node.operator === '-' ? -1 : 1, this.dialect);
+          }
+        }
+        break;
+      case 'TimeBoundary': {
+        const operand = this.value(node.operand, scope);
+        if (operand.type === 'interval') {
+          return node.boundary === 'start' ? operand.low : operand.high;
+        }
+        break;
+      }
+      case 'DateTimeComponentFrom': {
+        const operand = this.value(node.operand, scope);
+        if (['date', 'datetime'].includes(operand.type)) {
+          if (node.component === 'date') {
+            return operand.type === 'datetime' ? { ...operand, sql: this.dialect.toDate(operand.sql), type: 'date' } : operand;
+          }
+          if (['year', 'month', 'day'].includes(node.component)) {
+            return { sql: this.dialect.extract(node.component, operand.sql), type: 'number', integer: true };
+          }
+        }
+        break;
+      }
+      case 'IntervalSelector':
+        return this.interval(node, scope);
+      case 'As':
+        return this.value(node.operand, scope);
+      case 'FunctionCall':
+        if (CONVERSION_FUNCTIONS.has(node.name) && node.args.length === 1 &&
+          (!node.libraryName || node.libraryName === 'FHIRHelpers')) {
+          return this.value(node.args[0], scope);
+        }
+        if (ageFunction(node.name) && !node.libraryName) {
+          return this.age(node, scope);
+        }
+        if (AGGREGATE_FUNCTIONS[node.name] && !node.libraryName) {
+          return this.aggregate(node, scope);
+        }
+        break;
+      case 'Property':
+        return this.property(node, scope);
+      case 'Identifier':
+        return this.identifierValue(node, scope);
+      default:
+        break;
+    }
+    throw unsupported(node, `${describeNode(node)} cannot be translated as a value`);
+  }
+
+  property(node, scope) {
+    const source = node.source;
+    if (source.type === 'Identifier' && !source.libraryName && source.name === 'Patient' && !scope.aliases.has('Patient')) {
+      return this.patientProperty(node, scope);
+    }
+    // The row First() or Last() picked (see overSingletons)
+    const singleton = scope.singletons?.get(source);
+    if (!singleton && (source.type !== 'Identifier' || source.libraryName || !scope.aliases.has(source.name))) {
+      throw unsupported(node, `Property ${node.path} is only translated on a query alias or a First()/Last() row`);
+    }
+    const alias = singleton ?? scope.aliases.get(source.name);
+    const mapping = propertyColumns(node.path);
+    if (!mapping) {
+      throw unsupported(node, `${singleton ? describeNode(unparenthesized(source)) : source.name}.${node.path} has no OMOP column`);
+    }
+    if (mapping.type === 'interval') {
+      // The period is closed, so a missing end date is an ongoing period
+      const [start, end, type] = scope.datetime
+        ? [mapping.startDatetime, mapping.endDatetime, 'datetime']
+        : [mapping.start, mapping.end, 'date'];
+      return {
+        sql: null,
+        type: 'interval',
+        low: { sql: `${alias}.${start}`, type },
+        high: { sql: `${alias}.${end}`, type, nullAs: 'max' }
+      };
+    }
+    if (mapping.column === 'value_as_number') {
+      // Compared with quantities in the unit of unit_concept_id
+      return {
+        sql: `${alias}.value_as_number`,
+        type: 'number',
+        unitSql: `${alias}.unit_concept_id`,
+        terminologies: this.sourceRetrieves(singleton ? source : scope.sources?.get(source.name), scope.unit)
+          .filter(retrieve => retrieve.node.terminology)
+          .map(retrieve => describeTerminology(retrieve.node.terminology, retrieve.unit).name)
+      };
+    }
+    return scope.datetime && mapping.datetimeColumn
+      ? { sql: `${alias}.${mapping.datetimeColumn}`, type: 'datetime' }
+      : { sql: `${alias}.${mapping.column}`, type: mapping.type };
+  }
+
+  /**
+   * Patient.birthDate (birthDatetime in QDM) and Patient.gender, read from person
+   */
+  patientProperty(node, scope) {
+    switch (node.path) {
+      case 'birthDate':
+        return { sql: this.birthDateLookup(scope, alias => `${alias}.birth_date`), type: 'date' };
+      case 'birthDatetime':
+        return { sql: this.birthDateLookup(scope, alias => `${alias}.birth_datetime`), type: 'datetime' };
+      case 'gender':
+        return { sql: this.personColumn('gender_concept_id', scope), type: 'concept', administrativeGender: true };
+      default:
+        throw unsupported(node, `Patient.${node.path} has no OMOP column`);
+    }
+  }
+
+  /**
+   * A column of the person row for scope.personRef
+   */
+  personColumn(column, scope) {
+    if (scope.personAlias) {
+      return `${scope.personAlias}.${column}`;
+    }
+    const alias = this.sqlAlias('pt');
+    return `(SELECT ${alias}.${column} FROM ${this.table('person')} ${alias} WHERE ${alias}.person_id = ${scope.personRef})`;
+  }
+
+  /**
+   * An expression over the birth_dates row for scope.personRef
+   * @param {Function} select - Alias of birth_dates -> SQL expression
+   */
+  birthDateLookup(scope, select) {
+    this.usesBirthDates = true;
+    const alias = this.sqlAlias('bd');
+    return `(SELECT ${select(alias)} FROM ${BIRTH_DATES_CTE} ${alias} WHERE ${alias}.person_id = ${scope.personRef})`;
+  }
+
+  /**
+   * AgeInYears(), AgeInYearsAt(date), CalculateAgeInYearsAt(birthDate, date)
+   * and their month, week and day forms. AgeInYears() counts to the current date.
+   */
+  age(node, scope) {
+    const { unit, at, birthDateArgument } = ageFunction(node.name);
+    if (['hour', 'minute', 'second'].includes(unit)) {
+      throw unsupported(node, `${node.name}() needs a birth time; only ages in years, months, weeks and days are translated`);
+    }
+    if (node.args.length !== Number(at) + Number(birthDateArgument)) {
+      throw unsupported(node, `${node.name}() expects ${Number(at) + Number(birthDateArgument)} argument(s)`);
+    }
+
+    const date = (expression, value) => {
+      if (!['date', 'datetime'].includes(value.type)) {
+        throw unsupported(expression, `${describeNode(expression)} is not a date`);
+      }
+      return value.type === 'datetime' ? this.dialect.toDate(value.sql) : value.sql;
+    };
+    const asOfNode = at ? node.args[node.args.length - 1] : null;
+    const asOf = asOfNode ? date(asOfNode, this.value(asOfNode, scope)) : this.dialect.currentDate();
+
+    const birthNode = birthDateArgument ? node.args[0] : null;
+    const patientBirthDate = !birthNode || (birthNode.type === 'Property' && birthNode.source.type === 'Identifier' &&
+      birthNode.source.name === 'Patient' && !birthNode.source.libraryName && !scope.aliases.has('Patient') &&
+      ['birthDate', 'birthDatetime'].includes(birthNode.path));
+    if (!patientBirthDate) {
+      return { sql: `(${ageSql(date(birthNode, this.value(birthNode, scope)), asOf, unit, this.dialect)})`, type: 'number', integer: true };
+    }
+    return { sql: this.birthDateLookup(scope, alias => ageSql(`${alias}.birth_date`, asOf, unit, this.dialect)), type: 'number', integer: true };
+  }
+
+  /**
+   * Interval selector with its open boundaries made closed (the start of
+   * Interval(a, b] is the successor of a) and its null boundaries marked:
+   * a closed null is the minimum/maximum value, an open null is unknown
+   */
+  interval(node, scope) {
+    const boundary = (expression, closed, side) => {
+      const value = this.value(expression, scope);
+      if (!['date', 'datetime', 'number', 'null'].includes(value.type)) {
+        throw unsupported(expression, `Interval boundary ${describeNode(expression)} is not a date or a number`);
+      }
+      if (value.sql === 'NULL') {
+        return closed ? { ...value, nullAs: side < 0 ? 'min' : 'max' } : value;
+      }
+      return closed ? value : adjacentPoint(value, -side, null, this.dialect);
+    };
+    const low = boundary(node.low, node.lowClosed, -1);
+    const high = boundary(node.high, node.highClosed, 1);
+    // A null boundary takes the type of the other one
+    const type = [low.type, high.type].find(item => item !== 'null') || 'date';
+    return {
+      sql: null,
+      type: 'interval',
+      low: low.type === 'null' ? { ...low, type } : low,
+      high: high.type === 'null' ? { ...high, type } : high
+    };
+  }
+
+  identifierValue(node, scope) {
+    if (!node.libraryName && scope.aliases.has(node.name)) {
+      throw unsupported(node, `Alias ${node.name} cannot be used as a value`);
+    }
+    const terminology = describeTerminology(node, scope.unit);
+    if (terminology.type !== 'expression') {
+      return { sql: null, type: 'codeset', terminologyType: terminology.type, codesetId: this.codeset(node, scope.unit, node) };
+    }
+    const owner = node.libraryName ? scope.unit.includes.get(node.libraryName) : scope.unit;
+    if (owner?.library.parameters.some(parameter => parameter.name === node.name)) {
+      return this.parameterValue(node);
+    }
+    throw unsupported(node, `${describeNode(node)} cannot be translated as a value`);
+  }
+
+  /**
+   * A parameter reference as placeholders (or literals, for parameterStyle 'inline').
+   * Interval boundaries get their own placeholders, <name>_start and <name>_end;
+   * the closedness of the value is written into the SQL, so the same query can
+   * be run with other dates.
+   */
+  parameterValue(node) {
+    const parameter = this.parameters.get(node.name);
+    const { value } = parameter;
+    const bindName = toSqlName(parameter.name);
+    parameter.referenced = true;
+
+    if (parameter.kind !== 'interval') {
+      return this.parameterPoint(parameter, bindName, value ? value.value : undefined, node);
+    }
+    if (!value) {
+      this.warn(`Parameter "${parameter.name}" has no value or default; its placeholders are read as a closed interval`);
+    }
+    const boundary = (suffix, raw, closed, side) => {
+      const point = this.parameterPoint(parameter, `${bindName}_${suffix}`, raw, node);
+      if (raw === null) {
+        return closed ? { ...point, nullAs: side < 0 ? 'min' : 'max' } : point;
+      }
+      return closed === false ? adjacentPoint(point, -side, null, this.dialect) : point;
+    };
+    return {
+      sql: null,
+      type: 'interval',
+      low: boundary('start', value?.start, value?.lowClosed, -1),
+      high: boundary('end', value?.end, value?.highClosed, 1)
+    };
+  }
+
+  parameterPoint(parameter, bindName, raw, node) {
+    const type = parameter.pointType || 'datetime';
+    if (this.parameterStyle === 'inline') {
+      if (raw === undefined) {
+        throw unsupported(node, `Parameter "${parameter.name}" has no value to inline; pass it in parameters`);
+      }
+      if (raw === null) {
+        return { sql: 'NULL', type };
+      }
+      const literal = type === 'number'
+        ? { valueType: Number.isInteger(Number(raw)) ? 'Integer' : 'Decimal', value: Number(raw) }
+        : { valueType: { datetime: 'DateTime', date: 'Date', string: 'String', boolean: 'Boolean' }[type], value: raw };
+      return this.value({ type: 'Literal', ...literal }, null);
+    }
+    if (!parameter.placeholders.includes(bindName)) {
+      parameter.placeholders.push(bindName);
+      this.bindings[bindName] = raw === undefined || raw === null ? null : this.dialect.bindingValue(raw, type);
+    }
+    return { sql: placeholderSql(bindName, type, this.parameterStyle, this.dialect), type };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Output
+  // ---------------------------------------------------------------------------
+
+  codesetsCte() {
+    const codesets = Array.from(this.codesets.values());
+    const rows = codesets.flatMap(codeset => codeset.conceptIds.map(conceptId => [codeset.codesetId, conceptId]));
+    const legend = codesets.map(codeset =>
+      `-- ${codeset.codesetId}: ${codeset.type} "${codeset.name}"${codeset.oid ? ` (${codeset.oid})` : ''}, ${codeset.conceptIds.length} concept(s)` +
+      (codeset.drugExpansion ? `, expanded to ${codeset.drugExpansion}` : ''));
+    const empty = this.dialect.cast('NULL', 'INTEGER');
+    const body = rows.length > 0
+      ? this.dialect.valuesTable(rows, ['codeset_id', 'concept_id'])
+      : `SELECT ${empty} AS codeset_id, ${empty} AS concept_id\nFROM ${this.table('person')} p\nWHERE 1 = 0`;
+
+    const expanded = codesets.filter(codeset => codeset.drugExpansion && codeset.conceptIds.length > 0);
+    if (expanded.length === 0) {
+      return `codesets AS (\n${indent([...legend, body].join('\n'))}\n)`;
+    }
+    // Drug codesets also hold the concepts their concepts expand to (see drugExpansion.js)
+    const seeds = { columns: ['s.codeset_id', 's.concept_id'], from: `${CODESET_SEEDS_CTE} s` };
+    const expansions = drugExpansionSql({
+      columns: ['s.codeset_id', 'ca.descendant_concept_id AS concept_id'],
+      from: `${CODESET_SEEDS_CTE} s`,
+      where: [`s.codeset_id IN (${expanded.map(codeset => codeset.codesetId).join(', ')})`]
+    }, drugExpansionPaths(this.cdmSchema, 's.concept_id', this.drugExpansion), this.dialect);
+    return [
+      `${CODESET_SEEDS_CTE} AS (\n${indent([...legend, body].join('\n'))}\n)`,
+      `codesets AS (\n${indent(`${this.dialect.select(seeds)}\n${this.dialect.setOperator('UNION')}\n${expansions}`)}\n)`
+    ].join(',\n');
+  }
+
+  /**
+   * Each person's birth date, with partial birth dates completed by the birth date policy
+   */
+  birthDatesCte() {
+    const body = [
+      `-- Birth dates; partial ones follow the '${this.birthDatePolicy}' policy`,
+      `SELECT b.person_id, b.birth_date, COALESCE(b.birth_datetime, ${this.dialect.toTimestamp('b.birth_date')}) AS birth_datetime`,
+      'FROM (',
+      `  SELECT p.person_id, p.birth_datetime, ${birthDateSql('p', this.birthDatePolicy, this.dialect)} AS birth_date`,
+      `  FROM ${this.table('person')} p`,
+      ') b'
+    ];
+    return `${BIRTH_DATES_CTE} AS (\n${indent(body.join('\n'))}\n)`;
+  }
+
+  /**
+   * The CTEs of every define followed by a final SELECT
+   * @param {string} select - Final SELECT
+   * @param {Array<string>} extraCtes - CTEs after the defines' ("name AS (...)")
+   */
+  assemble(select, extraCtes = []) {
+    const library = this.root.library.identifier;
+    const header = [
+      `-- OMOP CDM SQL for CQL library ${library?.name || '(unnamed)'}${library?.version ? ` version '${library.version}'` : ''}`,
+      `-- One CTE per define, headed by the define and its CQL lines; boolean defines hold the person_ids they are true for`,
+      `-- Dialect: ${this.dialect.name}`
+    ];
+    const ctes = [
+      this.codesetsCte(),
+      ...(this.usesBirthDates ? [this.birthDatesCte()] : []),
+      ...this.ordered.map(entry => `${entry.cte} AS (\n${indent(`${this.provenanceComment(entry)}\n${entry.sql}`)}\n)`),
+      ...extraCtes
+    ];
+    return `${header.join('\n')}\nWITH ${ctes.join(',\n')}\n${select};`;
+  }
+}
+
+/**
+ * Translate a CQL library to OMOP CDM SQL
+ * @param {string|Object} cqlQuery - CQL text or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @param {Object} conceptMappings - map-vsac-to-omop result or concept set ids
+ * @param {{ cdmSchema?:string, target?:string, parameters?:Object, parameterStyle?:string, birthDatePolicy?:string,
+ *          missingUnitPolicy?:string, drugExpansion?:string, encounterSources?:string[], visitRules?:Array<Object>,
+ *          targetDialect?:string, cdmVersion?:string }} options
+ * @returns {Object} { sql, target, validation, defines, provenance, codesets, untranslated, parameters, units, statusFilters, bindings,
+ *          targetDialect, warnings }
+ */
+export function generateOmopSql(cqlQuery, includedLibraries = [], conceptMappings = {}, options = {}) {
+  const generator = new SqlGenerator(toCqlLibrary(cqlQuery), includedLibraries, conceptMappings, {
+    cdmSchema: options.cdmSchema ?? '',
+    parameters: options.parameters,
+    parameterStyle: options.parameterStyle,
+    birthDatePolicy: options.birthDatePolicy,
+    missingUnitPolicy: options.missingUnitPolicy,
+    drugExpansion: options.drugExpansion,
+    encounterSources: options.encounterSources,
+    visitRules: options.visitRules,
+    targetDialect: options.targetDialect,
+    cdmVersion: options.cdmVersion
+  });
+  return generator.generate(options.target || null);
+}
+
+/**
+ * Translate a proportion measure's library to person-level population flags and counts
+ * @param {string|Object} cqlQuery - CQL text or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @param {Object} conceptMappings - map-vsac-to-omop result or concept set ids
+ * @param {Object} options - generateOmopSql options, plus measure (FHIR Measure resource) and group
+ * @returns {Object} { personSql, countsSql, populations, populationSource, group, defines, codesets, ... }
+ */
+export function generateMeasureSql(cqlQuery, includedLibraries = [], conceptMappings = {}, options = {}) {
+  const library = toCqlLibrary(cqlQuery);
+  const generator = new SqlGenerator(library, includedLibraries, conceptMappings, {
+    cdmSchema: options.cdmSchema ?? '',
+    parameters: options.parameters,
+    parameterStyle: options.parameterStyle,
+    birthDatePolicy: options.birthDatePolicy,
+    missingUnitPolicy: options.missingUnitPolicy,
+    drugExpansion: options.drugExpansion,
+    encounterSources: options.encounterSources,
+    visitRules: options.visitRules,
+    targetDialect: options.targetDialect,
+    cdmVersion: options.cdmVersion
+  });
+  const defineNames = library.statements.filter(statement => statement.type === 'ExpressionDef').map(statement => statement.name);
+  const found = findPopulationDefines(defineNames, options.measure ?? null, options.group ?? null);
+  found.warnings.forEach(warning => generator.warn(warning));
+  return { populationSource: found.source, group: found.group, ...generator.measure(found.populations) };
+}
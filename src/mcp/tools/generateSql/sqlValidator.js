@@ -0,0 +1,411 @@
+// src/mcp/tools/generateSql/sqlValidator.js
+
+import sqlParser from "node-sql-parser";
+import { CDM_VERSIONS, DEFAULT_CDM_VERSION, cdmTables } from "./omopCdmSchema.js";
+import { DEFAULT_DIALECT, getDialect } from "./dialects.js";
+import { SqlValidationError } from "../../../utils/sqlValidationErrors.js";
+
+const { Parser } = sqlParser;
+
+/**
+ * node-sql-parser grammar each dialect is parsed with. DuckDB follows the
+ * PostgreSQL grammar and Spark SQL the Hive/Presto one Athena uses. prepare
+ * blanks out or swaps constructs the dialect has and its grammar lacks, with
+ * text of the same length so diagnostics keep their offsets. There is no
+ * Oracle grammar: Oracle SQL is reported as not validated (valid: null).
+ */
+const GRAMMARS = {
+  'postgresql': { database: 'PostgresQL' },
+  'sql server': { database: 'TransactSQL' },
+  'oracle': null,
+  'bigquery': { database: 'BigQuery', prepare: sql => sameLength(sql, /\bMILLISECOND\b/gi, 'SECOND') },
+  'snowflake': { database: 'Snowflake' },
+  // Neither the table provider clause of Spark DDL nor millisecond intervals are in the Athena grammar
+  'spark': { database: 'Athena', prepare: sql => sameLength(sameLength(sql, /\bUSING\s+\w+(?=\s*;?\s*$)/gi, ''), /\bMILLISECOND\b/gi, 'SECOND') },
+  'duckdb': { database: 'PostgresQL' }
+};
+
+function sameLength(sql, pattern, replacement) {
+  return sql.replace(pattern, match => replacement.padEnd(match.length));
+}
+
+// INTERSECT, EXCEPT and MINUS with their quantifier; several grammars only know UNION
+const SET_OPERATOR_PATTERN = /\b(?:INTERSECT|EXCEPT|MINUS)\b(\s+(?:ALL|DISTINCT)\b)?/gi;
+
+/**
+ * The SQL with its INTERSECT, EXCEPT and MINUS operators swapped for UNION,
+ * offsets unchanged. The branches keep their shape, so their tables and
+ * columns are still checked.
+ * @returns {string|null} null when the SQL has no such operator
+ */
+function asUnion(sql) {
+  const masked = maskLiterals(sql);
+  let swapped = sql;
+  let found = false;
+  for (const match of masked.matchAll(SET_OPERATOR_PATTERN)) {
+    const quantifier = match[1] ? ` ${match[1].trim()}` : '';
+    swapped = swapped.slice(0, match.index) + `UNION${quantifier}`.padEnd(match[0].length) + swapped.slice(match.index + match[0].length);
+    found = true;
+  }
+  return found ? swapped : null;
+}
+
+// Date part keywords some grammars read as bare column references (DATEADD(day, ...))
+const DATE_PARTS = new Set([
+  'year', 'yy', 'yyyy', 'quarter', 'qq', 'month', 'mm', 'week', 'wk', 'day', 'dd', 'dayofyear', 'dy',
+  'hour', 'hh', 'minute', 'mi', 'second', 'ss', 'millisecond', 'ms'
+]);
+
+// Clause keywords, for naming the clause a diagnostic falls in
+const CLAUSE_PATTERN = /\b(WITH|SELECT|FROM|(?:(?:LEFT|RIGHT|FULL|INNER|CROSS)\s+(?:OUTER\s+)?)?JOIN|ON|WHERE|GROUP\s+BY|HAVING|ORDER\s+BY|UNION(?:\s+ALL)?|INTERSECT|EXCEPT|MINUS|CREATE|INSERT\s+INTO|VALUES)\b/gi;
+
+let parser = null;
+
+function getParser() {
+  parser = parser || new Parser();
+  return parser;
+}
+
+/**
+ * The SQL with string literals and comments blanked out, offsets unchanged
+ */
+function maskLiterals(sql) {
+  return sql.replace(/'(?:[^']|'')*'|--[^\n]*|\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function identifier(name) {
+  if (name == null) {
+    return null;
+  }
+  if (typeof name === 'string') {
+    return name;
+  }
+  return name.expr?.value ?? name.value ?? null;
+}
+
+/**
+ * Alias of a FROM item, without a derived table's column list ("v(a, b)")
+ */
+function aliasOf(item) {
+  const alias = identifier(item.as);
+  return alias ? alias.replace(/\s*\(.*$/, '') : null;
+}
+
+/**
+ * Validates SQL against the grammar of its dialect and the OMOP CDM tables.
+ *
+ * The statement is parsed to an AST, then walked select by select with the
+ * tables, CTEs and aliases in scope: table references must name a CDM table,
+ * a CTE or one of the extra tables; qualified column references must name a
+ * column of the table their alias stands for. Columns of CTEs and derived
+ * tables are not checked.
+ */
+class SqlValidator {
+  /**
+   * @param {string} sql
+   * @param {{ dialect?:string, cdmVersion?:string, tables?:Object }} options - tables holds
+   *        non-CDM tables the SQL may read, as the CDM table whose columns they have or a column list
+   */
+  constructor(sql, options = {}) {
+    this.sql = sql;
+    this.masked = maskLiterals(sql);
+    this.dialect = getDialect(options.dialect || DEFAULT_DIALECT);
+    this.cdmVersion = String(options.cdmVersion || DEFAULT_CDM_VERSION);
+    this.tables = cdmTables(this.cdmVersion);
+    this.otherVersion = CDM_VERSIONS.filter(version => version !== this.cdmVersion).map(version => ({ version, tables: cdmTables(version) }));
+    this.extraTables = new Map(Object.entries(options.tables || {}).map(([name, columns]) => [
+      name.toLowerCase(),
+      typeof columns === 'string' ? this.tables.get(columns.toLowerCase()) ?? null : new Set(columns.map(column => column.toLowerCase()))
+    ]));
+    this.grammar = GRAMMARS[this.dialect.name];
+    this.diagnostics = [];
+    this.reported = new Set();
+  }
+
+  validate() {
+    if (!this.grammar) {
+      this.report('warning', 'PARSER_UNAVAILABLE', `No ${this.dialect.name} grammar is available; the SQL was not parsed or checked`, { offset: null });
+    } else {
+      const ast = this.parse(this.grammar.prepare ? this.grammar.prepare(this.sql) : this.sql);
+      if (ast) {
+        (Array.isArray(ast) ? ast : [ast]).forEach(statement => this.statement(statement));
+      }
+    }
+
+    return {
+      // null: not validated, as there is no grammar for the dialect
+      valid: this.grammar ? !this.diagnostics.some(diagnostic => diagnostic.severity === 'error') : null,
+      status: this.grammar ? 'validated' : 'not validated',
+      dialect: this.dialect.name,
+      grammar: this.grammar?.database ?? null,
+      cdmVersion: this.cdmVersion,
+      diagnostics: this.diagnostics
+    };
+  }
+
+  /**
+   * Parse the prepared SQL; when the grammar fails on a set operator it
+   * lacks, parse it again with the operator swapped for UNION
+   * @returns {Object|null} The AST, null after reporting a syntax error
+   */
+  parse(prepared) {
+    const astify = sql => getParser().astify(sql, { database: this.grammar.database });
+    try {
+      return astify(prepared);
+    } catch (error) {
+      const swapped = asUnion(prepared);
+      if (swapped) {
+        try {
+          return astify(swapped);
+        } catch {
+          // The failure is elsewhere: report the original one
+        }
+      }
+      const start = error.location?.start;
+      const offset = start ? start.offset : null;
+      const found = error.found ? ` near "${error.found}"` : '';
+      this.report('error', 'SYNTAX_ERROR', `The ${this.dialect.name} grammar cannot parse the SQL${found}`, { offset });
+      return null;
+    }
+  }
+
+  statement(ast) {
+    if (ast.type === 'select') {
+      this.select(ast, [], new Set());
+    } else {
+      // DDL and DML: only the queries they hold are checked
+      this.expression(ast, null, new Set());
+    }
+  }
+
+  /**
+   * Check a select (and the selects it is combined with) against the scopes around it
+   * @param {Array<Map>} outer - Enclosing scopes, innermost first; alias -> { table, columns }
+   * @param {Set<string>} ctes - CTE names visible to the select
+   */
+  select(ast, outer, ctes) {
+    const visible = new Set(ctes);
+    const withs = ast.with || [];
+    withs.forEach(cte => visible.add(identifier(cte.name).toLowerCase()));
+    withs.forEach(cte => this.select(cte.stmt?.ast ?? cte.stmt, outer, visible));
+
+    const scope = new Map();
+    for (const item of ast.from || []) {
+      if (typeof item.table === 'string') {
+        const resolved = this.resolveTable(item, visible);
+        scope.set((aliasOf(item) || resolved.name).toLowerCase(), resolved);
+      } else if (item.expr) {
+        this.expression(item.expr, outer, visible);
+        const alias = aliasOf(item);
+        if (alias) {
+          scope.set(alias.toLowerCase(), { name: alias, columns: null });
+        }
+      }
+    }
+
+    const scopes = [scope, ...outer];
+    const selected = new Set((ast.columns || []).map(column => identifier(column.as)?.toLowerCase()).filter(Boolean));
+    for (const key of ['columns', 'where', 'groupby', 'having', 'orderby', 'window']) {
+      this.expression(ast[key], scopes, visible, { scope, selected });
+    }
+    for (const item of ast.from || []) {
+      this.expression(item.on, scopes, visible, { scope, selected });
+    }
+
+    if (ast._next) {
+      this.select(ast._next, outer, visible);
+    }
+  }
+
+  /**
+   * Walk an expression, checking column references and the subqueries it holds
+   * @param {Array<Map>|null} scopes - null outside of a select; column references are not checked
+   */
+  expression(node, scopes, ctes, local = null) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(item => this.expression(item, scopes, ctes, local));
+      return;
+    }
+    if (node.type === 'select') {
+      this.select(node, scopes || [], ctes);
+      return;
+    }
+    if (node.ast) {
+      this.expression(node.ast, scopes, ctes, local);
+      return;
+    }
+    if (node.type === 'column_ref') {
+      if (scopes) {
+        this.column(node, scopes, local);
+      }
+      return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && key !== 'tableList' && key !== 'columnList') {
+        this.expression(value, scopes, ctes, local);
+      }
+    }
+  }
+
+  /**
+   * What a FROM item's table stands for: a CTE, an extra table or a CDM table
+   * @returns {{ name:string, columns:Set<string>|null }}
+   */
+  resolveTable(item, ctes) {
+    const name = item.table.replace(/^#+/, '');
+    const key = name.toLowerCase();
+    if (!item.db && ctes.has(key)) {
+      return { name, columns: null };
+    }
+    if (this.extraTables.has(key)) {
+      return { name, columns: this.extraTables.get(key) };
+    }
+    if (this.tables.has(key)) {
+      return { name, columns: this.tables.get(key) };
+    }
+
+    const other = this.otherVersion.find(entry => entry.tables.has(key));
+    const reference = item.db ? `${item.db}.${item.table}` : item.table;
+    this.report('error', 'UNKNOWN_TABLE',
+      `Table "${reference}" is not in the OMOP CDM ${this.cdmVersion} schema${other ? `; it is a CDM ${other.version} table` : ''}`,
+      { pattern: `(?<![\\w$#.])${escapeRegExp(reference)}(?![\\w$])`, table: name });
+    return { name, columns: null };
+  }
+
+  column(node, scopes, local) {
+    const column = identifier(node.column);
+    if (!column || column === '*') {
+      return;
+    }
+    const key = column.toLowerCase();
+    const qualifier = identifier(node.table);
+
+    if (!qualifier) {
+      // An unqualified column is checked only when a single table is in scope
+      if (!local || local.scope.size !== 1 || local.selected.has(key) || DATE_PARTS.has(key)) {
+        return;
+      }
+      const [table] = local.scope.values();
+      this.checkColumn(table, column, `(?<![\\w$.])${escapeRegExp(column)}(?![\\w$])`);
+      return;
+    }
+
+    const table = scopes.map(scope => scope.get(qualifier.toLowerCase())).find(Boolean);
+    const pattern = `(?<![\\w$.])${escapeRegExp(qualifier)}\\s*\\.\\s*${escapeRegExp(column)}(?![\\w$])`;
+    if (!table) {
+      this.report('error', 'UNKNOWN_ALIAS', `"${qualifier}.${column}" refers to no table or alias in scope`, { pattern, alias: qualifier, columnName: column });
+      return;
+    }
+    this.checkColumn(table, column, pattern);
+  }
+
+  checkColumn(table, column, pattern) {
+    if (!table.columns || table.columns.has(column.toLowerCase())) {
+      return;
+    }
+    const key = table.name.toLowerCase();
+    const other = this.otherVersion.find(entry => entry.tables.get(key)?.has(column.toLowerCase()));
+    this.report('error', 'UNKNOWN_COLUMN',
+      `Column "${column}" is not in ${this.tables.has(key) ? `CDM ${this.cdmVersion} ` : ''}${table.name}${other ? `; it is a CDM ${other.version} column` : ''}`,
+      { pattern, table: table.name, columnName: column });
+  }
+
+  /**
+   * Record a diagnostic once, located at the offset given or the first match of pattern
+   */
+  report(severity, code, message, { offset = null, pattern = null, ...reference }) {
+    const key = [code, ...Object.values(reference)].join('|').toLowerCase();
+    if (this.reported.has(key)) {
+      return;
+    }
+    this.reported.add(key);
+
+    let at = offset;
+    if (at === null && pattern) {
+      const match = new RegExp(pattern, 'i').exec(this.masked);
+      at = match ? match.index : null;
+    }
+    this.diagnostics.push({ severity, code, message, ...this.locate(at), ...reference });
+  }
+
+  /**
+   * Line, column, enclosing clause and source line of an offset
+   */
+  locate(offset) {
+    if (offset === null || offset === undefined) {
+      return { clause: null, line: null, column: null, text: null };
+    }
+    const before = this.sql.slice(0, offset);
+    const line = before.split('\n').length;
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const lineEnd = this.sql.indexOf('\n', offset);
+
+    let clause = null;
+    for (const match of this.masked.slice(0, offset + 1).matchAll(CLAUSE_PATTERN)) {
+      clause = match[1].toUpperCase().replace(/\s+/g, ' ');
+    }
+    return {
+      clause,
+      line,
+      column: offset - lineStart + 1,
+      text: this.sql.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim()
+    };
+  }
+}
+
+/**
+ * Validate one SQL statement (or script)
+ * @param {string} sql
+ * @param {{ dialect?:string, cdmVersion?:string, tables?:Object }} options - See SqlValidator
+ * @returns {{ valid:boolean|null, status:string, dialect:string, grammar:string|null, cdmVersion:string, diagnostics:Array<Object> }}
+ *          valid is null and status 'not validated' for a dialect without a grammar; diagnostics are { severity, code, message, clause, line, column, text, table?, columnName?, alias? }
+ */
+export function validateSql(sql, options = {}) {
+  return new SqlValidator(sql, options).validate();
+}
+
+/**
+ * Validate several named queries; each diagnostic carries the name of its query
+ * @param {Object<string, string>} queries - Name -> SQL; empty entries are skipped
+ * @returns {Object} The validateSql result over all the queries
+ */
+export function validateQueries(queries, options = {}) {
+  const results = Object.entries(queries)
+    .filter(([, sql]) => sql)
+    .map(([query, sql]) => ({ query, ...validateSql(sql, options) }));
+  const dialect = getDialect(options.dialect || DEFAULT_DIALECT);
+  const grammar = GRAMMARS[dialect.name]?.database ?? null;
+  return {
+    valid: grammar ? results.every(result => result.valid) : null,
+    status: grammar ? 'validated' : 'not validated',
+    dialect: dialect.name,
+    grammar,
+    cdmVersion: String(options.cdmVersion || DEFAULT_CDM_VERSION),
+    diagnostics: results.flatMap(result => result.diagnostics.map(diagnostic => ({ query: result.query, ...diagnostic })))
+  };
+}
+
+/**
+ * Validate SQL that is about to be executed. SQL of a dialect without a
+ * grammar is not validated and runs as it is.
+ * @throws {SqlValidationError} INVALID_SQL with the diagnostics when it does not validate
+ */
+export function assertValidSql(sql, options = {}) {
+  const result = validateSql(sql, options);
+  if (result.valid === false) {
+    const [first] = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    throw new SqlValidationError(
+      `Refusing to execute SQL that fails ${result.dialect} validation: ${first.message}${first.line ? ` (line ${first.line})` : ''}`,
+      'INVALID_SQL',
+      { dialect: result.dialect, cdmVersion: result.cdmVersion, diagnostics: result.diagnostics }
+    );
+  }
+  return result;
+}
@@ -0,0 +1,131 @@
+// src/mcp/tools/generateSql/statusFilters.js
+
+/**
+ * Status, intent, verification and category filters of FHIR resources as
+ * conditions on event columns.
+ *
+ * OMOP records what happened, not the workflow state of a resource, so each
+ * code of an element is one of:
+ * - a condition on the row's end date, type_concept_id, status_concept_id or stop_reason
+ * - ALL: every OMOP row has it, e.g. a finished encounter or a final result
+ * - NONE: OMOP holds no such records, e.g. cancelled or entered-in-error
+ * Codes an element does not list are not representable: the filter is
+ * dropped and reported.
+ */
+const ALL = '1 = 1';
+const NONE = '1 = 0';
+
+// Type Concept vocabulary
+const PRESCRIPTION_TYPES = [
+  32833, // EHR order
+  32838, // EHR prescription
+  38000177 // Prescription written
+];
+const PROBLEM_LIST_TYPES = [
+  32840, // EHR problem list
+  38000245 // EHR problem list entry
+];
+
+// Condition Status vocabulary
+const PRELIMINARY_DIAGNOSIS = 32899;
+
+const inList = ids => ids.join(', ');
+
+// Conditions over the event alias `a`
+const ONGOING = a => `${a}.end_date IS NULL`;
+const ENDED = a => `${a}.end_date IS NOT NULL`;
+const PRESCRIBED = a => `${a}.type_concept_id IN (${inList(PRESCRIPTION_TYPES)})`;
+const PROBLEM_LIST = a => `${a}.type_concept_id IN (${inList(PROBLEM_LIST_TYPES)})`;
+const NOT_PROBLEM_LIST = a => `(${a}.type_concept_id IS NULL OR ${a}.type_concept_id NOT IN (${inList(PROBLEM_LIST_TYPES)}))`;
+const PRELIMINARY = a => `${a}.status_concept_id = ${PRELIMINARY_DIAGNOSIS}`;
+const NOT_PRELIMINARY = a => `(${a}.status_concept_id IS NULL OR ${a}.status_concept_id <> ${PRELIMINARY_DIAGNOSIS})`;
+const NOT_STOPPED = a => `${a}.stop_reason IS NULL`;
+const STOPPED = a => `${a}.stop_reason IS NOT NULL`;
+
+// Events that took place are the only ones OMOP records
+const PERFORMED = { completed: ALL, 'not-done': NONE, 'entered-in-error': NONE };
+
+/**
+ * Codes of each filterable element by FHIR resource; element -> code -> condition
+ */
+const STATUS_FILTERS = {
+  Condition: {
+    // An abated condition is never active (FHIR invariant con-4)
+    clinicalStatus: { active: ONGOING, recurrence: ONGOING, relapse: ONGOING, inactive: ENDED, remission: ENDED, resolved: ENDED },
+    verificationStatus: {
+      confirmed: NOT_PRELIMINARY,
+      unconfirmed: PRELIMINARY,
+      provisional: PRELIMINARY,
+      differential: PRELIMINARY,
+      refuted: NONE,
+      'entered-in-error': NONE
+    },
+    category: { 'problem-list-item': PROBLEM_LIST, 'encounter-diagnosis': NOT_PROBLEM_LIST }
+  },
+  Encounter: {
+    status: { finished: ALL, planned: NONE, cancelled: NONE, 'entered-in-error': NONE }
+  },
+  Immunization: { status: PERFORMED },
+  MedicationAdministration: { status: PERFORMED },
+  MedicationDispense: { status: { ...PERFORMED, cancelled: NONE, declined: NONE } },
+  MedicationRequest: {
+    // stop_reason is only recorded for exposures stopped before their end
+    status: { active: NOT_STOPPED, completed: NOT_STOPPED, stopped: STOPPED, cancelled: NONE, 'entered-in-error': NONE },
+    intent: {
+      order: PRESCRIBED,
+      'original-order': PRESCRIBED,
+      'reflex-order': PRESCRIBED,
+      'filler-order': PRESCRIBED,
+      'instance-order': PRESCRIBED
+    }
+  },
+  Observation: {
+    // OMOP keeps results, not their status, so every result is taken to be final
+    status: { final: ALL, amended: ALL, corrected: ALL, cancelled: NONE, 'entered-in-error': NONE }
+  },
+  Procedure: { status: PERFORMED }
+};
+
+/**
+ * Elements a filter can be written on, whatever the resource
+ */
+export const STATUS_ELEMENTS = new Set(['status', 'clinicalStatus', 'verificationStatus', 'intent', 'category']);
+
+/**
+ * Condition for the rows of one resource whose element has one of the codes
+ * @param {string} resource - FHIR resource type of the rows
+ * @param {string} element - One of STATUS_ELEMENTS
+ * @param {string[]} codes - Codes the element is compared with
+ * @param {string} alias - SQL alias of the event rows
+ * @returns {{ sql:string }|{ reason:string }} The condition, or why OMOP cannot express it
+ */
+export function statusCondition(resource, element, codes, alias) {
+  const conditions = STATUS_FILTERS[resource]?.[element];
+  if (!conditions) {
+    return { reason: `OMOP has no column for ${resource}.${element}` };
+  }
+  const unmapped = codes.filter(code => !Object.hasOwn(conditions, code));
+  if (unmapped.length > 0) {
+    return { reason: `OMOP cannot tell ${resource} rows with ${element} ${unmapped.map(code => `'${code}'`).join(', ')}` };
+  }
+  const sql = [...new Set(codes.map(code => {
+    const condition = conditions[code];
+    return typeof condition === 'function' ? condition(alias) : condition;
+  }))];
+  if (sql.includes(ALL)) {
+    return { sql: ALL };
+  }
+  const matching = sql.filter(condition => condition !== NONE);
+  if (matching.length === 0) {
+    return { sql: NONE };
+  }
+  return { sql: matching.length === 1 ? matching[0] : `(${matching.join(' OR ')})` };
+}
+
+/**
+ * Whether a QDM data type records an action that was not performed
+ * ("Medication, Not Ordered"); OMOP holds no such records
+ */
+export function isNegationDataType(dataType, model) {
+  return model === 'QDM' && /,\s*Not\s/.test(dataType);
+}
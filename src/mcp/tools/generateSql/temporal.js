@@ -0,0 +1,257 @@
+// src/mcp/tools/generateSql/temporal.js
+
+/**
+ * Date predicates for CQL timing phrases.
+ *
+ * Operands are intervals { low, high, point } whose boundaries are points
+ * { sql, type, nullAs? }; a point operand has low === high. Open interval
+ * boundaries are converted to closed ones before they get here (the start of
+ * Interval(a, b] is the day after a), so every comparison is on closed
+ * boundaries.
+ *
+ * CQL gives a null boundary two meanings: the null end of a closed interval
+ * (an ongoing condition, a visit without a discharge date) is the maximum
+ * date, while any other null is unknown. Boundaries with nullAs 'max' or
+ * 'min' are compared with that substitution written out, so the predicate
+ * stays correct under NOT; unknown nulls are left to SQL three-valued logic,
+ * which matches CQL's.
+ *
+ * The SQL is written in a dialect (see dialects.js); PostgreSQL unless given.
+ */
+
+import { getDialect } from "./dialects.js";
+
+// Units a quantity offset can be given in (CQL keywords and UCUM codes)
+const DURATION_UNITS = {
+  year: 'year', month: 'month', week: 'week', day: 'day',
+  hour: 'hour', minute: 'minute', second: 'second', millisecond: 'millisecond',
+  a: 'year', mo: 'month', wk: 'week', d: 'day', h: 'hour', min: 'minute', s: 'second', ms: 'millisecond'
+};
+
+// Precisions the *_date columns cannot answer
+export const TIME_PRECISIONS = new Set(['hour', 'minute', 'second', 'millisecond']);
+
+const RANK = { min: 0, finite: 1, max: 2 };
+
+const POSTGRESQL = getDialect('postgresql');
+
+/**
+ * Date unit of a temporal quantity ("30 days", 30 'd'), or null if it is not a duration
+ */
+export function durationUnit(quantity) {
+  return quantity?.type === 'Quantity' ? DURATION_UNITS[quantity.unit] || null : null;
+}
+
+/**
+ * Move a point by a duration; the unbounded null of an interval boundary stays unbounded
+ * @param {Object} point - { sql, type, nullAs? }
+ * @param {{ value:number, unit:string }} quantity - Quantity with a duration unit
+ * @param {number} sign - 1 to add, -1 to subtract
+ * @param {Object} dialect - From getDialect
+ */
+export function shiftPoint(point, quantity, sign, dialect = POSTGRESQL) {
+  const unit = durationUnit(quantity);
+  if (point.sql === 'NULL') {
+    return point;
+  }
+  return {
+    ...point,
+    // Shifting keeps nulls, so null tests can stay on the column
+    nullSql: point.nullSql ?? point.sql,
+    sql: dialect.addInterval(point.sql, sign * quantity.value, unit, point.type),
+    type: TIME_PRECISIONS.has(unit) ? 'datetime' : point.type
+  };
+}
+
+/**
+ * The next (sign 1) or previous (sign -1) value of a point: a day for dates,
+ * a millisecond for datetimes, 1 for integers and 10^-8 for decimals
+ */
+export function adjacentPoint(point, sign, precision = null, dialect = POSTGRESQL) {
+  if (point.sql === 'NULL') {
+    return point;
+  }
+  if (point.type === 'number') {
+    return { ...point, sql: `(${point.sql} ${sign < 0 ? '-' : '+'} ${point.integer ? 1 : 0.00000001})` };
+  }
+  const unit = precision || (point.type === 'datetime' ? 'millisecond' : 'day');
+  return shiftPoint(point, { type: 'Quantity', value: 1, unit }, sign, dialect);
+}
+
+function truncatePoint(point, precision, dialect) {
+  if (!precision || point.sql === 'NULL' || point.type === 'number') {
+    return point.sql;
+  }
+  if (precision === 'day') {
+    return point.type === 'datetime' ? dialect.toDate(point.sql) : point.sql;
+  }
+  if (precision === 'millisecond' || (TIME_PRECISIONS.has(precision) && point.type === 'date')) {
+    return point.sql;
+  }
+  return dialect.truncate(point.sql, precision, point.type);
+}
+
+/**
+ * Both sides of a comparison as SQL; where the dialect does not compare a
+ * date with a timestamp, the date is cast (a date is its midnight)
+ */
+function comparable(left, right, precision, dialect) {
+  const sides = [truncatePoint(left, precision, dialect), truncatePoint(right, precision, dialect)];
+  // At day precision both sides are dates already
+  const types = precision === 'day' ? [] : [left.type, right.type];
+  if (!dialect.strictDateTypes || !types.includes('date') || !types.includes('datetime')) {
+    return sides;
+  }
+  return sides.map((sql, index) => (types[index] === 'date' ? dialect.toTimestamp(sql) : sql));
+}
+
+/**
+ * Result of comparing two of 'min', 'finite' and 'max' (not two finite values)
+ */
+function rankedComparison(operator, left, right) {
+  const difference = RANK[left] - RANK[right];
+  switch (operator) {
+    case '<': return difference < 0;
+    case '<=': return difference <= 0;
+    case '>': return difference > 0;
+    case '>=': return difference >= 0;
+    case '=': return difference === 0;
+    default: return difference !== 0;
+  }
+}
+
+function whenNull(point, result, otherwise) {
+  const constant = result ? '1 = 1' : '1 = 0';
+  if (point.sql === 'NULL' || otherwise === constant) {
+    return constant;
+  }
+  const sql = point.nullSql ?? point.sql;
+  return result ? `(${sql} IS NULL OR ${otherwise})` : `(${sql} IS NOT NULL AND ${otherwise})`;
+}
+
+/**
+ * Compare two points at a precision, reading an unbounded null as the minimum or maximum date
+ * @param {Object} left - { sql, type, nullAs? }
+ * @param {string} operator - '<', '<=', '>', '>=', '=' or '<>'
+ * @param {Object} right - { sql, type, nullAs? }
+ * @param {string|null} precision - CQL precision ('year' ... 'millisecond')
+ * @param {Object} dialect - From getDialect
+ * @returns {string} SQL condition
+ */
+export function comparePoints(left, operator, right, precision = null, dialect = POSTGRESQL) {
+  const [leftSql, rightSql] = comparable(left, right, precision, dialect);
+  const test = `${leftSql} ${operator} ${rightSql}`;
+  const givenLeft = right.nullAs ? whenNull(right, rankedComparison(operator, 'finite', right.nullAs), test) : test;
+  if (!left.nullAs) {
+    return givenLeft;
+  }
+
+  // Result when the left point is null, for a known and for a null right point
+  const rightNull = right.nullAs ? rankedComparison(operator, left.nullAs, right.nullAs) : null;
+  const rightKnown = right.sql === 'NULL' && right.nullAs ? rightNull : rankedComparison(operator, left.nullAs, 'finite');
+  if (rightNull === null || rightKnown === rightNull) {
+    return whenNull(left, rightKnown, givenLeft);
+  }
+  const rightTest = `${right.nullSql ?? right.sql} IS ${rightNull ? '' : 'NOT '}NULL`;
+  return left.sql === 'NULL'
+    ? rightTest
+    : `((${left.nullSql ?? left.sql} IS NULL AND ${rightTest}) OR (${left.nullSql ?? left.sql} IS NOT NULL AND ${givenLeft}))`;
+}
+
+const all = (...conditions) => (conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`);
+const any = (...conditions) => (conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`);
+
+function boundaryOf(operand, boundary) {
+  if (!boundary) {
+    return operand;
+  }
+  const point = boundary === 'start' ? operand.low : operand.high;
+  return { low: point, high: point, point: true };
+}
+
+/**
+ * Condition for a before/after phrase, with its quantity offset:
+ * "3 days or less before" is [B - 3 days, B), "on or" closes the B end
+ */
+function offsetCondition(left, right, direction, { offset, inclusive }, compare, dialect) {
+  const beyond = direction < 0 ? (inclusive ? '<=' : '<') : (inclusive ? '>=' : '>');
+  if (!offset) {
+    return compare(left, beyond, right);
+  }
+  const shifted = shiftPoint(right, offset.quantity, direction, dialect);
+  const [towards, past] = direction < 0 ? ['>', '<'] : ['<', '>'];
+  switch (offset.qualifier) {
+    case 'or less':
+      return all(compare(left, `${towards}=`, shifted), compare(left, beyond, right));
+    case 'less than':
+      return all(compare(left, towards, shifted), compare(left, beyond, right));
+    case 'or more':
+      return compare(left, `${past}=`, shifted);
+    case 'more than':
+      return compare(left, past, shifted);
+    default:
+      return compare(left, '=', shifted);
+  }
+}
+
+/**
+ * SQL condition for a timing phrase between two temporal operands
+ * @param {Object} phrase - TimingExpression fields { operator, leftBoundary, rightBoundary,
+ *        precision, properly, inclusive, offset }
+ * @param {Object} left - { low, high, point }
+ * @param {Object} right - { low, high, point }
+ * @param {Object} dialect - From getDialect
+ * @returns {string|null} SQL condition, or null for an operator this does not know
+ */
+export function timingCondition(phrase, left, right, dialect = POSTGRESQL) {
+  const a = boundaryOf(left, phrase.leftBoundary);
+  const b = boundaryOf(right, phrase.rightBoundary);
+  const compare = (x, operator, y) => comparePoints(x, operator, y, phrase.precision, dialect);
+  const next = point => adjacentPoint(point, 1, phrase.precision, dialect);
+
+  switch (phrase.operator) {
+    case 'before':
+      return offsetCondition(a.high, b.low, -1, phrase, compare, dialect);
+    case 'after':
+      return offsetCondition(a.low, b.high, 1, phrase, compare, dialect);
+    case 'sameAs':
+      return a.point && b.point
+        ? compare(a.low, '=', b.low)
+        : all(compare(a.low, '=', b.low), compare(a.high, '=', b.high));
+    case 'sameOrBefore':
+      return compare(a.high, '<=', b.low);
+    case 'sameOrAfter':
+      return compare(a.low, '>=', b.high);
+    case 'within':
+      return all(
+        compare(a.low, '>=', shiftPoint(b.low, phrase.offset.quantity, -1, dialect)),
+        compare(a.high, '<=', shiftPoint(b.high, phrase.offset.quantity, 1, dialect))
+      );
+    case 'includedIn':
+    case 'includes': {
+      const [inner, outer] = phrase.operator === 'includedIn' ? [a, b] : [b, a];
+      const included = [compare(inner.low, '>=', outer.low), compare(inner.high, '<=', outer.high)];
+      return phrase.properly
+        ? all(...included, any(compare(inner.low, '>', outer.low), compare(inner.high, '<', outer.high)))
+        : all(...included);
+    }
+    case 'overlaps':
+      return all(compare(a.low, '<=', b.high), compare(a.high, '>=', b.low));
+    case 'overlapsBefore':
+      return all(compare(a.low, '<', b.low), compare(a.high, '>=', b.low));
+    case 'overlapsAfter':
+      return all(compare(a.high, '>', b.high), compare(a.low, '<=', b.high));
+    case 'meets':
+      return any(compare(next(a.high), '=', b.low), compare(a.low, '=', next(b.high)));
+    case 'meetsBefore':
+      return compare(next(a.high), '=', b.low);
+    case 'meetsAfter':
+      return compare(a.low, '=', next(b.high));
+    case 'starts':
+      return all(compare(a.low, '=', b.low), compare(a.high, '<=', b.high));
+    case 'ends':
+      return all(compare(a.high, '=', b.high), compare(a.low, '>=', b.low));
+    default:
+      return null;
+  }
+}
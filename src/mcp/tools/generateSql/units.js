@@ -0,0 +1,145 @@
+// src/mcp/tools/generateSql/units.js
+
+/**
+ * Quantity comparisons over measurement and observation values.
+ *
+ * A CQL quantity ('9 '%'', '140 'mm[Hg]'') is compared with value_as_number
+ * only on rows whose unit_concept_id is the OMOP UCUM concept of its unit, or
+ * of a unit that converts to it; converted rows are brought to the quantity's
+ * unit first. Rows in any other unit are never compared. What rows without a
+ * unit mean is the missing unit policy:
+ * - exclude: the unit is unknown, so the row meets no quantity comparison
+ * - assume: the value is taken to be in the unit of the quantity
+ * A missing unit is a NULL unit_concept_id or 0 (No matching concept).
+ */
+export const MISSING_UNIT_POLICIES = ['exclude', 'assume'];
+
+/**
+ * UCUM units with their OMOP unit concept (vocabulary UCUM). Units of one
+ * dimension convert through its base unit: base = value * factor + offset.
+ */
+const UNITS = {
+  '%': { conceptId: 8554, dimension: 'fraction', factor: 1 },
+  'mmol/mol': { conceptId: 9579, dimension: 'substance fraction', factor: 1 },
+  'g/L': { conceptId: 8636, dimension: 'mass concentration', factor: 1 },
+  'g/dL': { conceptId: 8713, dimension: 'mass concentration', factor: 10 },
+  'mg/dL': { conceptId: 8840, dimension: 'mass concentration', factor: 0.01 },
+  'mg/L': { conceptId: 8751, dimension: 'mass concentration', factor: 0.001 },
+  'ng/mL': { conceptId: 8842, dimension: 'mass concentration', factor: 0.000001 },
+  'mmol/L': { conceptId: 8753, dimension: 'substance concentration', factor: 0.001 },
+  'umol/L': { conceptId: 8749, dimension: 'substance concentration', factor: 0.000001 },
+  'mEq/L': { conceptId: 9557, dimension: 'equivalent concentration', factor: 1 },
+  'U/L': { conceptId: 8645, dimension: 'catalytic concentration', factor: 1 },
+  '10*3/uL': { conceptId: 8848, dimension: 'number concentration', factor: 1 },
+  'mm[Hg]': { conceptId: 8876, dimension: 'pressure', factor: 1 },
+  'g': { conceptId: 8504, dimension: 'mass', factor: 1 },
+  'kg': { conceptId: 9529, dimension: 'mass', factor: 1000 },
+  '[lb_av]': { conceptId: 8739, dimension: 'mass', factor: 453.59237 },
+  'm': { conceptId: 9546, dimension: 'length', factor: 1 },
+  'cm': { conceptId: 8582, dimension: 'length', factor: 0.01 },
+  '[in_i]': { conceptId: 9330, dimension: 'length', factor: 0.0254 },
+  'kg/m2': { conceptId: 9531, dimension: 'area density', factor: 1 },
+  'L': { conceptId: 8519, dimension: 'volume', factor: 1 },
+  'mL': { conceptId: 8587, dimension: 'volume', factor: 0.001 },
+  '/min': { conceptId: 8541, dimension: 'frequency', factor: 1 },
+  'Cel': { conceptId: 586323, dimension: 'temperature', factor: 1 },
+  '[degF]': { conceptId: 9289, dimension: 'temperature', factor: 5 / 9, offset: -160 / 9 }
+};
+
+/**
+ * Analytes whose mass and substance concentrations convert through their
+ * molar mass (g/mol), recognised by the value set or code the rows were
+ * retrieved with
+ */
+const ANALYTES = [
+  { name: 'glucose', pattern: /glucose/i, molarMass: 180.156 },
+  { name: 'cholesterol', pattern: /cholesterol|\b[HL]DL\b/i, molarMass: 386.654 },
+  { name: 'creatinine', pattern: /creatinine/i, molarMass: 113.118 }
+];
+
+/**
+ * OMOP unit concept id of a UCUM unit, or null
+ */
+export function unitConcept(unit) {
+  return UNITS[unit]?.conceptId ?? null;
+}
+
+/**
+ * Analyte of a value set or code name, or null
+ */
+export function findAnalyte(names) {
+  return ANALYTES.find(analyte => names.some(name => analyte.pattern.test(name || ''))) ?? null;
+}
+
+/**
+ * Factor from the base unit of one dimension to the base unit of another, or null
+ */
+function dimensionFactor(from, to, analyte) {
+  if (from === to) {
+    return 1;
+  }
+  if (!analyte) {
+    return null;
+  }
+  // g/L <-> mol/L
+  if (from === 'mass concentration' && to === 'substance concentration') {
+    return 1 / analyte.molarMass;
+  }
+  if (from === 'substance concentration' && to === 'mass concentration') {
+    return analyte.molarMass;
+  }
+  return null;
+}
+
+/**
+ * Units whose values convert to a target unit, with value_in_target = value * factor + offset
+ * @param {string} unit - UCUM unit of the quantity
+ * @param {Object|null} analyte - From findAnalyte; enables mass <-> substance concentration
+ * @returns {Array<{ unit:string, conceptId:number, factor:number, offset:number }>|null} The target unit
+ *          first; null when the unit has no OMOP concept
+ */
+export function unitConversions(unit, analyte = null) {
+  const target = UNITS[unit];
+  if (!target) {
+    return null;
+  }
+  const conversions = [];
+  for (const [source, definition] of Object.entries(UNITS)) {
+    const between = dimensionFactor(definition.dimension, target.dimension, analyte);
+    if (between === null) {
+      continue;
+    }
+    // value -> source base -> target base -> target unit
+    const factor = (definition.factor * between) / target.factor;
+    const offset = ((definition.offset ?? 0) * between - (target.offset ?? 0)) / target.factor;
+    conversions.push({ unit: source, conceptId: definition.conceptId, factor, offset });
+  }
+  return conversions.sort((a, b) => Number(b.unit === unit) - Number(a.unit === unit));
+}
+
+// Plain decimals; exponent literals are not numeric in every dialect
+function sqlNumber(value) {
+  const rounded = Number(value.toPrecision(10));
+  return String(rounded).includes('e') ? rounded.toFixed(20).replace(/0+$/, '') : String(rounded);
+}
+
+/**
+ * A value column brought to the unit of the first conversion, NULL on rows it cannot be
+ * @param {string} valueSql - value_as_number column
+ * @param {string} unitSql - unit_concept_id column
+ * @param {Array<Object>} conversions - From unitConversions
+ * @param {string} missingUnitPolicy - One of MISSING_UNIT_POLICIES
+ */
+export function valueInUnitSql(valueSql, unitSql, conversions, missingUnitPolicy) {
+  const branches = conversions.map(({ conceptId, factor, offset }) => {
+    let converted = factor === 1 ? valueSql : `${valueSql} * ${sqlNumber(factor)}`;
+    if (offset !== 0) {
+      converted = `${converted} ${offset < 0 ? '-' : '+'} ${sqlNumber(Math.abs(offset))}`;
+    }
+    return `WHEN ${unitSql} = ${conceptId} THEN ${converted}`;
+  });
+  if (missingUnitPolicy === 'assume') {
+    branches.push(`WHEN ${unitSql} IS NULL OR ${unitSql} = 0 THEN ${valueSql}`);
+  }
+  return `CASE ${branches.join(' ')} ELSE NULL END`;
+}
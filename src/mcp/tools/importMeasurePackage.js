@@ -0,0 +1,64 @@
+// src/mcp/tools/importMeasurePackage.js
+import { z } from "zod";
+import measurePackageService from "../../services/measurePackageService.js";
+
+/**
+ * Measure package import tool
+ * Reads a published eCQM package (zip or FHIR Bundle JSON): the primary and
+ * included libraries, the Measure population criteria and the bundled value
+ * set expansions. The package is kept so map-vsac-to-omop can run from it
+ * without contacting VSAC.
+ */
+export function importMeasurePackageTool(server) {
+  server.tool(
+    "import-measure-package",
+    {
+      // Local .zip package or .json Bundle file
+      packagePath: z.string().optional(),
+      // FHIR Bundle (JSON text or object) with Measure, Library and ValueSet resources
+      bundle: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Directory (or path-delimited list) of .cql files for includes the package does not ship
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || '')
+    },
+    async ({ packagePath, bundle, cqlLibraryPath }) => {
+      try {
+        console.error("Importing measure package...");
+
+        const imported = measurePackageService.importPackage({ packagePath, bundle }, cqlLibraryPath);
+        const summary = await measurePackageService.describePackage(imported);
+        const readyForMapping = summary.coverage.missing.length === 0;
+
+        const result = {
+          success: true,
+          ...summary,
+          readyForMapping,
+          nextStep: readyForMapping
+            ? `Call map-vsac-to-omop with measurePackageId "${imported.id}"; no VSAC credentials are needed`
+            : `Call map-vsac-to-omop with measurePackageId "${imported.id}" and VSAC credentials to fetch the ${summary.coverage.missing.length} value set(s) the package does not expand`
+        };
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+
+      } catch (error) {
+        console.error("Measure package import error:", error);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && Object.keys(error.details).length > 0 && { details: error.details })
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
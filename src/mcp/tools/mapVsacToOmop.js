@@ -11,8 +11,17 @@ process.on('uncaughtException', err => {
 });
 
 import { z } from "zod";
-import { extractValueSetIdentifiersFromCQL, validateExtractedOids, extractIndividualCodesFromCQL } from "./parseNlToCql/extractors.js";
+import { extractValueSetIdentifiersFromCQL, validateExtractedOids, extractIndividualCodesFromCQL, extractConceptDeclarationsFromCQL, mergeRejectedCandidates } from "./parseNlToCql/extractors.js";
+import { parseCql } from "./parseNlToCql/cqlParser.js";
+import { extractRetrievesFromCQL } from "./parseNlToCql/retrieves.js";
+import { resolveParameters } from "./generateSql/parameters.js";
+import { DIALECT_NAMES, DEFAULT_DIALECT, getDialect } from "./generateSql/dialects.js";
+import { CDM_VERSIONS, DEFAULT_CDM_VERSION } from "./generateSql/omopCdmSchema.js";
+import { assertValidSql, validateQueries } from "./generateSql/sqlValidator.js";
+import { DRUG_EXPANSIONS, drugExpansionPaths, drugExpansionSql } from "./generateSql/drugExpansion.js";
 import vsacService from "../../services/vsacService.js";
+import measurePackageService from "../../services/measurePackageService.js";
+import { MeasurePackageError } from "../../utils/measurePackageErrors.js";
 import e from "express";
 
 /**
@@ -55,6 +64,10 @@ function prepareConceptsAndSummary(vsacResults, valuesets) {
     const codeSystemsFound = [...new Set(concepts.map(c => c.codeSystemName))];
     valueSetSummary[oid]   = {
       name           : valueSetName,
+      library        : vsInfo?.library ?? null,
+      requestedVersion : vsacSet.metadata?.requestedVersion ?? null,
+      version        : vsacSet.metadata?.version ?? null,
+      source         : vsacSet.metadata?.source ?? 'VSAC',
       conceptCount   : concepts.length,
       codeSystemsFound,
       status         : 'success',
@@ -82,6 +95,162 @@ function prepareConceptsAndSummary(vsacResults, valuesets) {
   return { conceptsForMapping, valueSetSummary };
 }
 
+/**
+ * Turn direct-reference codes into concept sets for OMOP mapping.
+ * Each stand-alone code declaration becomes a single-code set (PLACEHOLDER_*),
+ * and each concept declaration becomes one set (CONCEPT_<LIBRARY>_<NAME>) holding
+ * its member codes. Concepts whose library and name give the same id ("A-B" and
+ * "A B") get a numbered id each, so their codes stay apart.
+ * The vocabulary comes from the declared codesystem URL/OID; the alias text is
+ * only a fallback for aliases without a declaration.
+ *
+ * @param {Array} individualCodes     – Array from extractIndividualCodesFromCQL
+ * @param {Array} conceptDeclarations – Array from extractConceptDeclarationsFromCQL
+ * @returns {{ directReferenceConcepts:Array, individualCodeMappings:Array }}
+ */
+export function prepareDirectReferenceConceptSets(individualCodes, conceptDeclarations) {
+  const directReferenceConcepts = [];
+  const individualCodeMappings  = [];
+
+  const toConceptRow = (code, conceptSetId, conceptSetName) => ({
+    concept_set_id      : conceptSetId,
+    concept_set_name    : conceptSetName,
+    concept_code        : code.code,
+    vocabulary_id       : vocabularyForCode(code),
+    original_vocabulary : code.system,
+    display_name        : code.name,
+    code_system         : code.codeSystem?.oid || code.codeSystem?.uri || code.system,
+    code_system_version : code.codeSystem?.version || null,
+    is_individual_code  : true
+  });
+
+  const toCodeSummary = code => ({
+    code          : code.code,
+    name          : code.name,
+    system        : code.system,
+    systemUri     : code.codeSystem?.uri || null,
+    systemOid     : code.codeSystem?.oid || null,
+    systemVersion : code.codeSystem?.version || null,
+    vocabularyId  : vocabularyForCode(code),
+    library       : code.library ?? null
+  });
+
+  for (const code of individualCodes) {
+    const cleanCode       = code.code.replace('-', '_').replace('.', '_');
+    const placeholderName = `PLACEHOLDER_${vocabularyForCode(code).toUpperCase()}_${cleanCode}`;
+
+    directReferenceConcepts.push(toConceptRow(code, placeholderName, code.name));
+    individualCodeMappings.push({
+      type         : 'code',
+      ...toCodeSummary(code),
+      conceptSetId : placeholderName,
+      placeholder  : placeholderName
+    });
+  }
+
+  const idPart = text => text.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const conceptSetIds = new Map(); // id -> library and name of the concept it was given to
+  for (const concept of conceptDeclarations) {
+    const owner = `${concept.library ?? ''}|${concept.name}`;
+    const baseId = ['CONCEPT', concept.library, concept.name].filter(Boolean).map(idPart).join('_');
+    let conceptSetId = baseId;
+    for (let suffix = 2; conceptSetIds.has(conceptSetId) && conceptSetIds.get(conceptSetId) !== owner; suffix++) {
+      conceptSetId = `${baseId}_${suffix}`;
+    }
+    if (conceptSetId !== baseId) {
+      console.error(`Concept "${concept.name}"${concept.library ? ` of ${concept.library}` : ''} would share concept set ${baseId} with "${conceptSetIds.get(baseId).split('|')[1]}"; using ${conceptSetId}`);
+    }
+    conceptSetIds.set(conceptSetId, owner);
+
+    concept.codes.forEach(code => {
+      directReferenceConcepts.push(toConceptRow(code, conceptSetId, concept.name));
+    });
+    individualCodeMappings.push({
+      type            : 'concept',
+      name            : concept.name,
+      display         : concept.display,
+      conceptSetId,
+      library         : concept.library ?? null,
+      codes           : concept.codes.map(toCodeSummary),
+      unresolvedCodes : concept.unresolvedCodes
+    });
+  }
+
+  return { directReferenceConcepts, individualCodeMappings };
+}
+
+/**
+ * Choose the OMOP fact tables for each concept set from the retrieves that use it.
+ * "Office Visit" retrieved as [Encounter, Performed] targets visit_occurrence,
+ * "Diabetes" retrieved as [Diagnosis] targets condition_occurrence. Concept sets
+ * that no retrieve uses (or only with unknown data types) fall back to defaultFactTables.
+ *
+ * @param {Array} retrieves             – Array from extractRetrievesFromCQL
+ * @param {Array} valuesets             – Array from extractValueSetIdentifiersFromCQL
+ * @param {Array} individualCodeMappings – Array from prepareDirectReferenceConceptSets
+ * @param {Array} defaultFactTables     – The targetFactTables tool input
+ * @returns {Object} Concept set ID -> { name, factTables, source, dataTypes, defines }
+ */
+function assignConceptSetFactTables(retrieves, valuesets, individualCodeMappings, defaultFactTables) {
+  const conceptSetFactTables = {};
+
+  const target = (conceptSetId, name) => {
+    if (!conceptSetFactTables[conceptSetId]) {
+      conceptSetFactTables[conceptSetId] = { name, factTables: [], source: 'default', dataTypes: [], defines: [] };
+    }
+    return conceptSetFactTables[conceptSetId];
+  };
+  const addUnique = (list, values) => values.forEach(value => {
+    if (!list.includes(value)) list.push(value);
+  });
+
+  valuesets.forEach(vs => target(vs.oid, vs.name));
+  individualCodeMappings.forEach(entry => target(entry.conceptSetId, entry.name));
+
+  for (const retrieve of retrieves) {
+    const terminology = retrieve.terminology;
+    let conceptSetId = null;
+    if (terminology?.type === 'valueset') {
+      conceptSetId = terminology.oid;
+    } else if (terminology?.type === 'code' || terminology?.type === 'concept') {
+      conceptSetId = individualCodeMappings.find(entry =>
+        entry.type === terminology.type &&
+        entry.name === terminology.name &&
+        (entry.library ?? null) === terminology.library
+      )?.conceptSetId;
+    }
+    if (!conceptSetId || retrieve.factTables.length === 0) {
+      continue;
+    }
+
+    const entry = target(conceptSetId, terminology.name);
+    if (entry.source === 'default') {
+      entry.source = 'retrieve';
+      entry.factTables = [];
+    }
+    addUnique(entry.factTables, retrieve.factTables);
+    addUnique(entry.dataTypes, [retrieve.dataType]);
+    addUnique(entry.defines, [retrieve.define]);
+  }
+
+  for (const entry of Object.values(conceptSetFactTables)) {
+    if (entry.source === 'default') {
+      entry.factTables = [...defaultFactTables];
+    }
+  }
+
+  return conceptSetFactTables;
+}
+
+/**
+ * OMOP vocabulary for a direct-reference code
+ * @param {Object} code - Code from extractIndividualCodesFromCQL
+ * @returns {string} OMOP vocabulary_id
+ */
+function vocabularyForCode(code) {
+  return code.codeSystem?.vocabularyId || mapVsacToOmopVocabulary(code.system);
+}
+
 /**
  * Build a concise diagnostic object for the VSAC-fetch step in the debug tool.
  * Drops in for the block that calculated totalConceptsRetrieved / detailedSummary
@@ -123,6 +292,43 @@ function summariseVsacFetch(vsacResults) {
   return summary;
 }
 
+/**
+ * Value set concepts for the pipeline. With a measure package the bundled
+ * expansions are used and only the value sets it lacks go to VSAC.
+ *
+ * @param {string[]} oids     – Value set OIDs from the CQL
+ * @param {Object}   versions – OID -> pinned version
+ * @param {Object|null} measurePackage – Package from measurePackageService.getPackage
+ * @param {{vsacUsername:string, vsacPassword:string}} credentials
+ * @returns {Promise<Object>} Same shape as retrieveMultipleValueSets
+ * @throws {MeasurePackageError} EXPANSIONS_MISSING when the package lacks expansions and there are no VSAC credentials
+ */
+async function fetchValueSetConcepts(oids, versions, measurePackage, { vsacUsername, vsacPassword }) {
+  if (!measurePackage) {
+    return vsacService.retrieveMultipleValueSets(oids, vsacUsername, vsacPassword, versions);
+  }
+
+  const { results, missing } = measurePackageService.getValueSetExpansions(measurePackage, oids, versions);
+  console.error(`Using ${Object.keys(results).length} value set expansion(s) from measure package ${measurePackage.id}`);
+  if (missing.length === 0) {
+    return results;
+  }
+  if (!vsacUsername || !vsacPassword) {
+    throw new MeasurePackageError(
+      `Measure package ${measurePackage.id} has no expansion for ${missing.length} value set(s) and no VSAC credentials were given: ${missing.join(', ')}`,
+      'EXPANSIONS_MISSING',
+      { missing }
+    );
+  }
+
+  const missingVersions = Object.fromEntries(missing.filter(oid => versions[oid]).map(oid => [oid, versions[oid]]));
+  console.error(`Fetching ${missing.length} value set(s) missing from the package from VSAC...`);
+  return {
+    ...results,
+    ...await vsacService.retrieveMultipleValueSets(missing, vsacUsername, vsacPassword, missingVersions)
+  };
+}
+
 /**
  * Complete VSAC to OMOP mapping pipeline tool
  * Extracts ValueSets from CQL, fetches concepts from VSAC, and maps to OMOP
@@ -131,7 +337,13 @@ export function mapVsacToOmopTool(server) {
   server.tool(
     "map-vsac-to-omop",
     {
-      cqlQuery: z.string(),
+      cqlQuery: z.string().optional(),
+      // Translated ELM (JSON or XML); value sets, codes and retrieves then come from the ELM tree
+      elm: z.union([z.string(), z.object({}).passthrough()]).optional(),
+      // Package id from import-measure-package; its libraries and bundled expansions replace cqlQuery/elm and VSAC
+      measurePackageId: z.string().optional(),
+      // Directory (or path-delimited list) of .cql files used to resolve include statements
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || ''),
       vsacUsername: z.string().optional().default(process.env.VSAC_USERNAME || ''),
       vsacPassword: z.string().optional().default(process.env.VSAC_PASSWORD || ''),
       // Database connection parameters
@@ -140,11 +352,22 @@ export function mapVsacToOmopTool(server) {
       databaseName: z.string().optional().default(process.env.DATABASE_NAME || 'tufts'),
       databasePassword: z.string().optional().default(process.env.DATABASE_PASSWORD || ''),
       omopDatabaseSchema: z.string().optional().default(process.env.OMOP_DATABASE_SCHEMA || 'dbo'),
+      // CQL parameter values by name (e.g. "Measurement Period"); reported with the
+      // extraction and picked up by generate-sql when this result is its conceptMappings
+      parameters: z.record(z.any()).optional().default({}),
       // Mapping options
       includeVerbatim: z.boolean().optional().default(true),
       includeStandard: z.boolean().optional().default(true),
       includeMapped: z.boolean().optional().default(true),
-      // Target OMOP fact tables
+      // Drug concepts also match exposures recorded at other RxNorm levels: their
+      // concept_ancestor descendants, or every drug with one of their ingredients
+      drugExpansion: z.enum(DRUG_EXPANSIONS).optional().default("none"),
+      // SqlRender dialect name the returned sql_queries are written in (they run on PostgreSQL)
+      targetDialect: z.enum(DIALECT_NAMES).optional().default(DEFAULT_DIALECT),
+      // OMOP CDM version the queries are validated against before they run
+      cdmVersion: z.enum(CDM_VERSIONS).optional().default(DEFAULT_CDM_VERSION),
+      // Default OMOP fact tables for concept sets that no retrieve uses;
+      // concept sets used in retrieves get the tables of their data types
       targetFactTables: z.array(z.enum([
         "visit_occurrence", 
         "condition_occurrence", 
@@ -160,6 +383,9 @@ export function mapVsacToOmopTool(server) {
     },
     async ({ 
       cqlQuery, 
+      elm,
+      measurePackageId,
+      cqlLibraryPath,
       vsacUsername, 
       vsacPassword, 
       databaseUser,
@@ -167,14 +393,18 @@ export function mapVsacToOmopTool(server) {
       databaseName,
       databasePassword,
       omopDatabaseSchema, 
+      parameters,
       includeVerbatim, 
       includeStandard, 
       includeMapped,
+      drugExpansion,
+      targetDialect,
+      cdmVersion,
       targetFactTables
     }) => {
       try {
-        // Validate required credentials
-        if (!vsacUsername || !vsacPassword) {
+        // Validate required credentials; a measure package brings its own expansions
+        if (!measurePackageId && (!vsacUsername || !vsacPassword)) {
           return {
             content: [{
               type: "text",
@@ -209,20 +439,46 @@ export function mapVsacToOmopTool(server) {
           };
         }
         console.error("Starting VSAC to OMOP mapping pipeline with environment variable defaults...");
-        console.error(`Using VSAC username: ${vsacUsername}`);
+        console.error(`Using VSAC username: ${vsacUsername || 'none (measure package expansions only)'}`);
         console.error(`Using database: ${databaseEndpoint}/${databaseName}`);
         // Step 1: Extract ValueSet OIDs and individual codes from CQL
         console.error("Step 1: Extracting ValueSet OIDs and individual codes from CQL...");
-        const extractionResult = await extractValueSetIdentifiersFromCQL(cqlQuery);
+        // Included libraries contribute their declarations too
+        const { measurePackage, library, includedLibraries, includes } = measurePackageService.loadMeasureLogic(
+          { cqlQuery, elm, measurePackageId }, cqlLibraryPath
+        );
+        if (library.errors.length > 0) {
+          console.error(`CQL parsed with ${library.errors.length} error(s):`, library.errors);
+        }
+        
+        const extractionResult = await extractValueSetIdentifiersFromCQL(library, includedLibraries);
         const extractedOids = extractionResult.oids;
         const valuesets = extractionResult.valuesets;
         
         // Also extract individual codes
-        const codeExtractionResult = await extractIndividualCodesFromCQL(cqlQuery);
+        const codeExtractionResult = await extractIndividualCodesFromCQL(library, includedLibraries);
         const individualCodes = codeExtractionResult.codes || [];
         console.error(`Found ${individualCodes.length} individual codes`);
         
-        if (extractedOids.length === 0 && individualCodes.length === 0) {
+        const conceptExtractionResult = await extractConceptDeclarationsFromCQL(library, includedLibraries);
+        const conceptDeclarations = conceptExtractionResult.concepts || [];
+        console.error(`Found ${conceptDeclarations.length} concept declarations`);
+        
+        // Retrieves tell which data type (and so which fact table) each concept set is used as
+        const retrieves = extractRetrievesFromCQL(library, includedLibraries);
+        
+        const resolvedParameters = resolveParameters(library, includedLibraries, parameters);
+        if (resolvedParameters.ignored.length > 0) {
+          console.error(`Ignoring values for undeclared parameters: ${resolvedParameters.ignored.join(', ')}`);
+        }
+        
+        const rejected = mergeRejectedCandidates(
+          extractionResult.rejected,
+          codeExtractionResult.rejected,
+          conceptExtractionResult.rejected
+        );
+        
+        if (extractedOids.length === 0 && individualCodes.length === 0 && conceptDeclarations.length === 0) {
           return {
             content: [{
               type: "text",
@@ -232,7 +488,11 @@ export function mapVsacToOmopTool(server) {
                 cqlQuery,
                 extractedOids: [],
                 valuesets: [],
-                individualCodes: []
+                individualCodes: [],
+                concepts: [],
+                rejected,
+                includes,
+                parseErrors: library.errors
               }, null, 2)
             }]
           };
@@ -240,12 +500,13 @@ export function mapVsacToOmopTool(server) {
         
         console.error(`Found ${extractedOids.length} unique ValueSet OIDs`);
         
-        // Step 2: Fetch concepts from VSAC for all ValueSets
+        // Step 2: Fetch concepts from VSAC for all ValueSets (bundled expansions first for a measure package)
         console.error("Step 2: Fetching concepts from VSAC...");
-        const vsacResults = await vsacService.retrieveMultipleValueSets(
+        const vsacResults = await fetchValueSetConcepts(
           extractedOids,
-          vsacUsername,
-          vsacPassword
+          extractionResult.versions,
+          measurePackage,
+          { vsacUsername, vsacPassword }
         );
         
         // Step 3: Prepare concept data for OMOP mapping
@@ -253,32 +514,19 @@ export function mapVsacToOmopTool(server) {
             const { conceptsForMapping, valueSetSummary } =
                 prepareConceptsAndSummary(vsacResults, valuesets);
         
-        // Add individual codes to conceptsForMapping
-        const individualCodeMappings = [];
-        for (const code of individualCodes) {
-          const cleanCode = code.code.replace('-', '_').replace('.', '_');
-          const placeholderName = `PLACEHOLDER_${code.system.toUpperCase()}_${cleanCode}`;
-          
-          conceptsForMapping.push({
-            concept_set_id: placeholderName,
-            concept_set_name: code.name,
-            concept_code: code.code,
-            vocabulary_id: mapVsacToOmopVocabulary(code.system),
-            original_vocabulary: code.system,
-            display_name: code.name,
-            code_system: code.system,
-            is_individual_code: true
-          });
-          
-          individualCodeMappings.push({
-            code: code.code,
-            name: code.name,
-            system: code.system,
-            placeholder: placeholderName
-          });
-        }
+        // Add individual codes and concept declarations to conceptsForMapping
+        const { directReferenceConcepts, individualCodeMappings } =
+            prepareDirectReferenceConceptSets(individualCodes, conceptDeclarations);
+        conceptsForMapping.push(...directReferenceConcepts);
+        
+        const conceptSetFactTables = assignConceptSetFactTables(
+          retrieves,
+          valuesets,
+          individualCodeMappings,
+          targetFactTables
+        );
         
-        console.error(`Prepared ${conceptsForMapping.length} concepts for OMOP mapping (including ${individualCodes.length} individual codes)`);
+        console.error(`Prepared ${conceptsForMapping.length} concepts for OMOP mapping (including ${individualCodes.length} individual codes and ${conceptDeclarations.length} concept declarations)`);
         
         // Step 4: Map to OMOP concepts using real database
         console.error("Step 4: Mapping to OMOP concepts using Tufts database...");
@@ -295,8 +543,8 @@ export function mapVsacToOmopTool(server) {
           conceptsForMapping,
           omopDatabaseSchema,
           dbConfig,
-          { includeVerbatim, includeStandard, includeMapped },
-          targetFactTables
+          { includeVerbatim, includeStandard, includeMapped, drugExpansion, targetDialect, cdmVersion },
+          conceptSetFactTables
         );
         
         // Step 5: Generate summary and statistics
@@ -316,6 +564,7 @@ export function mapVsacToOmopTool(server) {
               message: "VSAC to OMOP mapping completed successfully using environment variables",
               credentialsUsed: {
                 vsacUsername: vsacUsername,
+                measurePackageId: measurePackage?.id ?? null,
                 databaseEndpoint: databaseEndpoint,
                 databaseName: databaseName,
                 omopSchema: omopDatabaseSchema
@@ -327,8 +576,16 @@ export function mapVsacToOmopTool(server) {
                   valuesets,
                   codes: individualCodes,  // Changed from individualCodes to codes to match Python client expectation
                   totalValueSets: extractedOids.length,
-                  totalIndividualCodes: individualCodes.length
+                  concepts: conceptDeclarations,
+                  totalIndividualCodes: individualCodes.length,
+                  totalConcepts: conceptDeclarations.length,
+                  retrieves,
+                  parameters: resolvedParameters.parameters,
+                  rejected,
+                  includes,
+                  parseErrors: library.errors
                 },
+                conceptSetFactTables,
                 step2_vsac_fetch: {
                   valueSetSummary,
                   totalConceptsFromVsac: conceptsForMapping.length
@@ -337,7 +594,8 @@ export function mapVsacToOmopTool(server) {
                 step4_final_concept_sets: {
                   verbatim: omopMappingResults.verbatim || [],
                   standard: omopMappingResults.standard || [],
-                  mapped: omopMappingResults.mapped || []
+                  mapped: omopMappingResults.mapped || [],
+                  expanded: omopMappingResults.expanded || []
                 },
                 step5_individual_code_mappings: individualCodeMappings
               },
@@ -348,7 +606,8 @@ export function mapVsacToOmopTool(server) {
                 totalOmopMappings: {
                   verbatim: omopMappingResults.verbatim?.length || 0,
                   standard: omopMappingResults.standard?.length || 0,
-                  mapped: omopMappingResults.mapped?.length || 0
+                  mapped: omopMappingResults.mapped?.length || 0,
+                  expanded: omopMappingResults.expanded?.length || 0
                 }
               }
             }, null, 2)
@@ -363,6 +622,8 @@ export function mapVsacToOmopTool(server) {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              ...(error.code && { errorCode: error.code }),
+              ...(error.details && { details: error.details }),
               step: "Pipeline execution failed",
               credentialsChecked: {
                 vsacUsername: vsacUsername ? "PROVIDED" : "MISSING",
@@ -415,12 +676,24 @@ export function mapVsacToOmopTool(server) {
         
         if (step === "extract" || step === "all") {
           console.error("Testing extraction step...");
-          const extractionResult = await extractValueSetIdentifiersFromCQL(cqlQuery);
+          const library = parseCql(cqlQuery);
+          const extractionResult = await extractValueSetIdentifiersFromCQL(library);
+          const codeExtractionResult = await extractIndividualCodesFromCQL(library);
+          const conceptExtractionResult = await extractConceptDeclarationsFromCQL(library);
           results.extraction = {
             extractedOids: extractionResult.oids,
             valuesets: extractionResult.valuesets,
+            codes: codeExtractionResult.codes,
+            concepts: conceptExtractionResult.concepts,
+            rejected: mergeRejectedCandidates(
+              extractionResult.rejected,
+              codeExtractionResult.rejected,
+              conceptExtractionResult.rejected
+            ),
+            versions: extractionResult.versions,
             validation: validateExtractedOids(extractionResult.oids),
             arrayAsStr: JSON.stringify(extractionResult.oids),
+            parseErrors: library.errors,
           };
         }
         
@@ -446,7 +719,8 @@ export function mapVsacToOmopTool(server) {
             const vsacResults = await vsacService.retrieveMultipleValueSets(
               oidsToTest,
               vsacUsername,
-              vsacPassword
+              vsacPassword,
+              results.extraction?.versions || {}
             );
             const stats       = summariseVsacFetch(vsacResults);
             results.vsacFetch = stats;
@@ -643,14 +917,16 @@ function mapVsacToOmopVocabulary(vsacCodeSystemName) {
  * @param {Array} concepts - Array of concept objects from VSAC
  * @param {string} cdmDatabaseSchema - OMOP CDM schema name
  * @param {Object} dbConfig - Database connection configuration
- * @param {Object} options - Mapping options
- * @param {Array} targetFactTables - OMOP fact tables to consider for domain mapping
+ * @param {Object} options - Mapping options { includeVerbatim, includeStandard, includeMapped, drugExpansion, targetDialect, cdmVersion }
+ * @param {Object} conceptSetFactTables - Concept set ID -> { factTables, ... } from assignConceptSetFactTables
  * @returns {Promise<Object>} Mapping results with actual OMOP concept_ids
  */
-async function mapConceptsToOmopDatabase(concepts, cdmDatabaseSchema, dbConfig, options, targetFactTables) {
+async function mapConceptsToOmopDatabase(concepts, cdmDatabaseSchema, dbConfig, options, conceptSetFactTables) {
   console.error(`Mapping ${concepts.length} concepts to OMOP using Tufts database...`);
   console.error(`Database: ${dbConfig.host}/${dbConfig.database}, Schema: ${cdmDatabaseSchema}`);
-  console.error(`Target fact tables: ${targetFactTables.join(', ')}`);
+  for (const [conceptSetId, target] of Object.entries(conceptSetFactTables)) {
+    console.error(`Target fact tables for ${conceptSetId}: ${target.factTables.join(', ')} (${target.source})`);
+  }
   
   // Import pg dynamically
   const { Pool } = await import('pg');
@@ -736,16 +1012,12 @@ async function mapConceptsToOmopDatabase(concepts, cdmDatabaseSchema, dbConfig,
     const tempTableName = `temp_concepts_${Date.now()}`;
     console.error(`Creating temporary table: ${tempTableName}`);
     
-    await client.query(`
-      CREATE TEMPORARY TABLE ${tempTableName} (
-        concept_set_id varchar(255),
-        concept_set_name varchar(255),
-        concept_code varchar(50),
-        vocabulary_id varchar(50),
-        original_vocabulary varchar(50),
-        display_name text
-      )
-    `);
+    // The queries run on PostgreSQL; sql_queries below renders them in the target dialect
+    const executionDialect = getDialect('postgresql');
+    const validationOptions = { cdmVersion: options.cdmVersion, tables: mappingTables(tempTableName) };
+    const createTempTable = executionDialect.createTempTable(tempTableName, CONCEPT_LIST_COLUMNS);
+    assertValidSql(createTempTable, validationOptions);
+    await client.query(createTempTable);
     
     console.error(`Temporary table created, inserting ${concepts.length} concepts...`);
     
@@ -809,10 +1081,13 @@ async function mapConceptsToOmopDatabase(concepts, cdmDatabaseSchema, dbConfig,
     if (options.includeVerbatim) {
       console.error("Executing verbatim matching query...");
       try {
-        results.verbatim = await executeVerbatimQueryReal(client, tempTableName, cdmDatabaseSchema);
+        results.verbatim = await executeVerbatimQueryReal(client, tempTableName, cdmDatabaseSchema, validationOptions);
       } catch (verbatimError) {
         console.error("Verbatim query failed:", verbatimError.message);
         results.verbatimError = verbatimError.message;
+        if (verbatimError.code === 'INVALID_SQL') {
+          results.verbatimDiagnostics = verbatimError.details.diagnostics;
+        }
         results.verbatim = [];
       }
     } else {
@@ -822,10 +1097,13 @@ async function mapConceptsToOmopDatabase(concepts, cdmDatabaseSchema, dbConfig,
     if (options.includeStandard) {
       console.error("Executing standard concept query...");
       try {
-        results.standard = await executeStandardQueryReal(client, tempTableName, cdmDatabaseSchema);
+        results.standard = await executeStandardQueryReal(client, tempTableName, cdmDatabaseSchema, validationOptions);
       } catch (standardError) {
         console.error("Standard query failed:", standardError.message);
         results.standardError = standardError.message;
+        if (standardError.code === 'INVALID_SQL') {
+          results.standardDiagnostics = standardError.details.diagnostics;
+        }
         results.standard = [];
       }
     } else {
@@ -835,24 +1113,61 @@ async function mapConceptsToOmopDatabase(concepts, cdmDatabaseSchema, dbConfig,
     if (options.includeMapped) {
       console.error("Executing mapped concept query...");
       try {
-        results.mapped = await executeMappedQueryReal(client, tempTableName, cdmDatabaseSchema);
+        results.mapped = await executeMappedQueryReal(client, tempTableName, cdmDatabaseSchema, validationOptions);
       } catch (mappedError) {
         console.error("Mapped query failed:", mappedError.message);
         results.mappedError = mappedError.message;
+        if (mappedError.code === 'INVALID_SQL') {
+          results.mappedDiagnostics = mappedError.details.diagnostics;
+        }
         results.mapped = [];
       }
     } else {
       results.mapped = [];
     }
     
+    results.expanded = [];
+    if (options.drugExpansion !== 'none') {
+      console.error(`Executing drug expansion query (${options.drugExpansion})...`);
+      try {
+        const rows = await executeDrugExpansionQueryReal(client, tempTableName, cdmDatabaseSchema, validationOptions, options.drugExpansion);
+        results.expanded = addedByExpansion(rows, [...results.standard, ...results.mapped]);
+      } catch (expansionError) {
+        console.error("Drug expansion query failed:", expansionError.message);
+        results.expandedError = expansionError.message;
+        if (expansionError.code === 'INVALID_SQL') {
+          results.expandedDiagnostics = expansionError.details.diagnostics;
+        }
+      }
+      results.drugExpansion = summariseDrugExpansion(options.drugExpansion, results);
+    }
+    
+    // Tag each mapped concept with the fact tables its concept set is retrieved from
+    for (const mappingType of ['verbatim', 'standard', 'mapped', 'expanded']) {
+      results[mappingType] = results[mappingType].map(row => ({
+        ...row,
+        target_fact_tables: conceptSetFactTables[row.concept_set_id]?.factTables || []
+      }));
+    }
+    
     // Generate comprehensive summary based on actual results
     results.mappingSummary = generateOmopMappingSummary(results, concepts);
     
-    // Generate the actual SQL queries used
+    // Generate the SQL queries used, in the target dialect
+    const targetDialect = getDialect(options.targetDialect);
+    const queries = {
+      createTempTable: targetDialect.createTempTable(tempTableName, CONCEPT_LIST_COLUMNS),
+      verbatim: generateVerbatimSQL(cdmDatabaseSchema, tempTableName, targetDialect),
+      standard: generateStandardSQL(cdmDatabaseSchema, tempTableName, targetDialect),
+      mapped: generateMappedSQL(cdmDatabaseSchema, tempTableName, targetDialect),
+      ...(options.drugExpansion !== 'none' && {
+        drugExpansion: generateDrugExpansionSQL(cdmDatabaseSchema, tempTableName, targetDialect, options.drugExpansion)
+      })
+    };
     results.sql_queries = {
-      verbatim: generateVerbatimSQL(cdmDatabaseSchema, tempTableName),
-      standard: generateStandardSQL(cdmDatabaseSchema, tempTableName),
-      mapped: generateMappedSQL(cdmDatabaseSchema, tempTableName)
+      dialect: targetDialect.name,
+      ...queries,
+      validation: validateQueries(queries, { ...validationOptions, dialect: targetDialect.name })
     };
     
     // Clean up temporary table
@@ -1011,18 +1326,11 @@ async function mapConceptsToFactTables(client, tempTableName, cdmSchema, factTab
  * @param {Object} client - Database client
  * @param {string} tempTableName - Temporary table name
  * @param {string} cdmSchema - OMOP CDM schema
+ * @param {Object} validationOptions - assertValidSql options; the query is not run unless it validates
  */
-async function executeVerbatimQueryReal(client, tempTableName, cdmSchema) {
-  const verbatimQuery = `
-    SELECT t.concept_set_id, c.concept_id, c.concept_code, c.vocabulary_id, 
-           c.domain_id, c.concept_class_id, c.concept_name,
-           t.concept_set_name, t.original_vocabulary
-    FROM ${cdmSchema}.concept c 
-    INNER JOIN ${tempTableName} t
-    ON c.concept_code = t.concept_code
-    AND c.vocabulary_id = t.vocabulary_id
-    ORDER BY t.concept_set_id, c.concept_id
-  `;
+async function executeVerbatimQueryReal(client, tempTableName, cdmSchema, validationOptions) {
+  const verbatimQuery = generateVerbatimSQL(cdmSchema, tempTableName, getDialect('postgresql'));
+  assertValidSql(verbatimQuery, validationOptions);
   
   const result = await client.query(verbatimQuery);
   console.error(`Verbatim query returned ${result.rows.length} matches`);
@@ -1046,19 +1354,11 @@ async function executeVerbatimQueryReal(client, tempTableName, cdmSchema) {
  * @param {Object} client - Database client
  * @param {string} tempTableName - Temporary table name
  * @param {string} cdmSchema - OMOP CDM schema
+ * @param {Object} validationOptions - assertValidSql options; the query is not run unless it validates
  */
-async function executeStandardQueryReal(client, tempTableName, cdmSchema) {
-  const standardQuery = `
-    SELECT t.concept_set_id, c.concept_id, c.concept_code, c.vocabulary_id,
-           c.domain_id, c.concept_class_id, c.concept_name, c.standard_concept,
-           t.concept_set_name, t.original_vocabulary
-    FROM ${cdmSchema}.concept c 
-    INNER JOIN ${tempTableName} t
-    ON c.concept_code = t.concept_code
-    AND c.vocabulary_id = t.vocabulary_id
-    AND c.standard_concept = 'S'
-    ORDER BY t.concept_set_id, c.concept_id
-  `;
+async function executeStandardQueryReal(client, tempTableName, cdmSchema, validationOptions) {
+  const standardQuery = generateStandardSQL(cdmSchema, tempTableName, getDialect('postgresql'));
+  assertValidSql(standardQuery, validationOptions);
   
   const result = await client.query(standardQuery);
   console.error(`Standard query returned ${result.rows.length} matches`);
@@ -1083,24 +1383,11 @@ async function executeStandardQueryReal(client, tempTableName, cdmSchema) {
  * @param {Object} client - Database client
  * @param {string} tempTableName - Temporary table name  
  * @param {string} cdmSchema - OMOP CDM schema
+ * @param {Object} validationOptions - assertValidSql options; the query is not run unless it validates
  */
-async function executeMappedQueryReal(client, tempTableName, cdmSchema) {
-  const mappedQuery = `
-    SELECT t.concept_set_id, cr.concept_id_2 AS concept_id, c.concept_code, c.vocabulary_id,
-           c.concept_id as source_concept_id, cr.relationship_id,
-           target_c.concept_name, target_c.domain_id, target_c.concept_class_id, target_c.standard_concept,
-           t.concept_set_name, t.original_vocabulary
-    FROM ${cdmSchema}.concept c 
-    INNER JOIN ${tempTableName} t
-    ON c.concept_code = t.concept_code
-    AND c.vocabulary_id = t.vocabulary_id
-    INNER JOIN ${cdmSchema}.concept_relationship_new cr
-    ON c.concept_id = cr.concept_id_1
-    AND cr.relationship_id = 'Maps to'
-    INNER JOIN ${cdmSchema}.concept target_c
-    ON cr.concept_id_2 = target_c.concept_id
-    ORDER BY t.concept_set_id, cr.concept_id_2
-  `;
+async function executeMappedQueryReal(client, tempTableName, cdmSchema, validationOptions) {
+  const mappedQuery = generateMappedSQL(cdmSchema, tempTableName, getDialect('postgresql'));
+  assertValidSql(mappedQuery, validationOptions);
   
   const result = await client.query(mappedQuery);
   console.error(`Mapped query returned ${result.rows.length} matches`);
@@ -1122,6 +1409,93 @@ async function executeMappedQueryReal(client, tempTableName, cdmSchema) {
   }));
 }
 
+/**
+ * Execute the drug expansion query (concept_ancestor descendants, drug_strength ingredients)
+ * @param {Object} client - Database client
+ * @param {string} tempTableName - Temporary table name
+ * @param {string} cdmSchema - OMOP CDM schema
+ * @param {Object} validationOptions - assertValidSql options; the query is not run unless it validates
+ * @param {string} expansion - One of DRUG_EXPANSIONS other than 'none'
+ */
+async function executeDrugExpansionQueryReal(client, tempTableName, cdmSchema, validationOptions, expansion) {
+  const expansionQuery = generateDrugExpansionSQL(cdmSchema, tempTableName, getDialect('postgresql'), expansion);
+  assertValidSql(expansionQuery, validationOptions);
+  
+  const result = await client.query(expansionQuery);
+  console.error(`Drug expansion query returned ${result.rows.length} concepts`);
+  
+  return result.rows.map(row => ({
+    concept_set_id: row.concept_set_id,
+    concept_set_name: row.concept_set_name,
+    concept_id: parseInt(row.concept_id),
+    expanded_from: parseInt(row.expanded_from),
+    concept_code: row.concept_code,
+    vocabulary_id: row.vocabulary_id,
+    domain_id: row.domain_id,
+    concept_class_id: row.concept_class_id,
+    concept_name: row.concept_name,
+    standard_concept: row.standard_concept,
+    source_vocabulary: row.original_vocabulary,
+    expansion,
+    mapping_type: 'expanded'
+  }));
+}
+
+/**
+ * Expanded concepts a concept set does not already have, one row per concept
+ * @param {Array} expandedRows - From executeDrugExpansionQueryReal
+ * @param {Array} mappedRows - Standard and mapped rows of every concept set
+ * @returns {Array}
+ */
+function addedByExpansion(expandedRows, mappedRows) {
+  const seen = new Set(mappedRows.map(row => `${row.concept_set_id}|${row.concept_id}`));
+  return expandedRows.filter(row => {
+    const key = `${row.concept_set_id}|${row.concept_id}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Drug concepts of each concept set and how many concepts the expansion added to it
+ * @param {string} expansion - One of DRUG_EXPANSIONS
+ * @param {Object} results - Mapping results with standard, mapped and expanded rows
+ * @returns {Object}
+ */
+function summariseDrugExpansion(expansion, results) {
+  const conceptSets = new Map();
+  const entry = row => {
+    if (!conceptSets.has(row.concept_set_id)) {
+      conceptSets.set(row.concept_set_id, {
+        concept_set_id: row.concept_set_id,
+        concept_set_name: row.concept_set_name,
+        drugConcepts: new Set(),
+        addedConcepts: 0
+      });
+    }
+    return conceptSets.get(row.concept_set_id);
+  };
+  for (const row of [...results.standard, ...results.mapped]) {
+    if (row.domain_id === 'Drug') {
+      entry(row).drugConcepts.add(row.concept_id);
+    }
+  }
+  for (const row of results.expanded) {
+    entry(row).addedConcepts++;
+  }
+  return {
+    expansion,
+    ...(results.expandedError && { error: results.expandedError }),
+    conceptSets: Array.from(conceptSets.values()).map(({ drugConcepts, ...conceptSet }) => ({
+      ...conceptSet,
+      drugConcepts: drugConcepts.size
+    }))
+  };
+}
+
 /**
  * Group concepts by ValueSet ID for easier processing
  * @param {Array} concepts 
@@ -1413,64 +1787,127 @@ function mockOmopConceptId(conceptCode) {
   return Math.abs(hash) + 1000000; // Ensure positive and in OMOP range
 }
 
+// Columns of the temp table holding the VSAC concepts to map
+const CONCEPT_LIST_COLUMNS = [
+  { name: 'concept_set_id', type: 'VARCHAR(255)' },
+  { name: 'concept_set_name', type: 'VARCHAR(255)' },
+  { name: 'concept_code', type: 'VARCHAR(50)' },
+  { name: 'vocabulary_id', type: 'VARCHAR(50)' },
+  { name: 'original_vocabulary', type: 'VARCHAR(50)' },
+  { name: 'display_name', type: 'TEXT' }
+];
+
 /**
- * Generate SQL for verbatim concept matching (with real table name)
+ * Tables outside the CDM the mapping queries read, for the SQL validator: the
+ * concept list temp table and concept_relationship_new, which has the columns
+ * of concept_relationship
+ * @param {string} tempTableName
+ */
+function mappingTables(tempTableName) {
+  return {
+    [tempTableName]: CONCEPT_LIST_COLUMNS.map(column => column.name),
+    concept_relationship_new: 'concept_relationship'
+  };
+}
+
+/**
+ * Query model matching the concept list to OMOP concepts on concept_code and vocabulary_id
+ * @param {string} cdmDatabaseSchema
+ * @param {string} tempTableName - Name before the dialect's temp table prefix
+ * @param {Object} dialect - From getDialect
+ */
+function conceptListMatch(cdmDatabaseSchema, tempTableName, dialect) {
+  return {
+    columns: [
+      't.concept_set_id', 'c.concept_id AS concept_id', 'c.concept_code', 'c.vocabulary_id',
+      'c.domain_id', 'c.concept_class_id', 'c.concept_name', 't.concept_set_name', 't.original_vocabulary'
+    ],
+    from: `${cdmDatabaseSchema}.concept c`,
+    joins: [{
+      table: `${dialect.tempTable(tempTableName)} t`,
+      on: ['c.concept_code = t.concept_code', 'c.vocabulary_id = t.vocabulary_id']
+    }],
+    orderBy: ['t.concept_set_id', 'c.concept_id']
+  };
+}
+
+/**
+ * Generate SQL for verbatim concept matching
  * @param {string} cdmDatabaseSchema 
  * @param {string} tempTableName
+ * @param {Object} dialect - From getDialect
  * @returns {string}
  */
-function generateVerbatimSQL(cdmDatabaseSchema, tempTableName = "#temp_hee_concept_list") {
-    return `
-  SELECT t.concept_set_id, c.concept_id AS concept_id, c.concept_code, c.vocabulary_id,
-         c.domain_id, c.concept_class_id, c.concept_name
-  FROM ${cdmDatabaseSchema}.concept c 
-  INNER JOIN ${tempTableName} t
-  ON c.concept_code = t.concept_code
-  AND c.vocabulary_id = t.vocabulary_id
-  ORDER BY t.concept_set_id, c.concept_id`;
-  }
-  
-  /**
-   * Generate SQL for standard concept matching (with real table name)
-   * @param {string} cdmDatabaseSchema 
-   * @param {string} tempTableName
-   * @returns {string}
-   */
-  function generateStandardSQL(cdmDatabaseSchema, tempTableName = "#temp_hee_concept_list") {
-    return `
-  SELECT t.concept_set_id, c.concept_id AS concept_id, c.concept_code, c.vocabulary_id,
-         c.domain_id, c.concept_class_id, c.concept_name, c.standard_concept
-  FROM ${cdmDatabaseSchema}.concept c 
-  INNER JOIN ${tempTableName} t
-  ON c.concept_code = t.concept_code
-  AND c.vocabulary_id = t.vocabulary_id
-  AND c.standard_concept = 'S'
-  ORDER BY t.concept_set_id, c.concept_id`;
-  }
-  
-  /**
-   * Generate SQL for mapped concept matching (with real table name)
-   * @param {string} cdmDatabaseSchema 
-   * @param {string} tempTableName
-   * @returns {string}
-   */
-  function generateMappedSQL(cdmDatabaseSchema, tempTableName = "#temp_hee_concept_list") {
-    return `
-  SELECT t.concept_set_id, cr.concept_id_2 AS concept_id, c.concept_code, c.vocabulary_id,
-         c.concept_id as source_concept_id, cr.relationship_id,
-         target_c.concept_name, target_c.domain_id, target_c.concept_class_id, target_c.standard_concept
-  FROM ${cdmDatabaseSchema}.concept c 
-  INNER JOIN ${tempTableName} t
-  ON c.concept_code = t.concept_code
-  AND c.vocabulary_id = t.vocabulary_id
-  INNER JOIN ${cdmDatabaseSchema}.concept_relationship_new cr
-  ON c.concept_id = cr.concept_id_1
-  AND cr.relationship_id = 'Maps to'
-  INNER JOIN ${cdmDatabaseSchema}.concept target_c
-  ON cr.concept_id_2 = target_c.concept_id
-  ORDER BY t.concept_set_id, cr.concept_id_2`;
-  }
-  
+function generateVerbatimSQL(cdmDatabaseSchema, tempTableName, dialect) {
+  return dialect.select(conceptListMatch(cdmDatabaseSchema, tempTableName, dialect));
+}
+
+/**
+ * Generate SQL for standard concept matching
+ * @param {string} cdmDatabaseSchema 
+ * @param {string} tempTableName
+ * @param {Object} dialect - From getDialect
+ * @returns {string}
+ */
+function generateStandardSQL(cdmDatabaseSchema, tempTableName, dialect) {
+  const query = conceptListMatch(cdmDatabaseSchema, tempTableName, dialect);
+  query.columns.splice(7, 0, 'c.standard_concept');
+  query.joins[0].on.push("c.standard_concept = 'S'");
+  return dialect.select(query);
+}
+
+/**
+ * Generate SQL for mapped concept matching (via 'Maps to' relationships)
+ * @param {string} cdmDatabaseSchema 
+ * @param {string} tempTableName
+ * @param {Object} dialect - From getDialect
+ * @returns {string}
+ */
+function generateMappedSQL(cdmDatabaseSchema, tempTableName, dialect) {
+  const query = conceptListMatch(cdmDatabaseSchema, tempTableName, dialect);
+  query.columns = [
+    't.concept_set_id', 'cr.concept_id_2 AS concept_id', 'c.concept_code', 'c.vocabulary_id',
+    'c.concept_id AS source_concept_id', 'cr.relationship_id',
+    'target_c.concept_name', 'target_c.domain_id', 'target_c.concept_class_id', 'target_c.standard_concept',
+    't.concept_set_name', 't.original_vocabulary'
+  ];
+  query.joins.push(
+    { table: `${cdmDatabaseSchema}.concept_relationship_new cr`, on: ['c.concept_id = cr.concept_id_1', "cr.relationship_id = 'Maps to'"] },
+    { table: `${cdmDatabaseSchema}.concept target_c`, on: ['cr.concept_id_2 = target_c.concept_id'] }
+  );
+  query.orderBy = ['t.concept_set_id', 'cr.concept_id_2'];
+  return dialect.select(query);
+}
+
+/**
+ * Generate SQL for drug concept expansion: the standard drug concepts the
+ * concept list maps to, expanded through concept_ancestor (and drug_strength)
+ * @param {string} cdmDatabaseSchema
+ * @param {string} tempTableName
+ * @param {Object} dialect - From getDialect
+ * @param {string} expansion - One of DRUG_EXPANSIONS other than 'none'
+ * @returns {string}
+ */
+function generateDrugExpansionSQL(cdmDatabaseSchema, tempTableName, dialect, expansion) {
+  const query = conceptListMatch(cdmDatabaseSchema, tempTableName, dialect);
+  query.columns = [
+    't.concept_set_id', 'expanded_c.concept_id', 'expanded_c.concept_code', 'expanded_c.vocabulary_id',
+    'drug_c.concept_id AS expanded_from',
+    'expanded_c.concept_name', 'expanded_c.domain_id', 'expanded_c.concept_class_id', 'expanded_c.standard_concept',
+    't.concept_set_name', 't.original_vocabulary'
+  ];
+  // Standard concepts map to themselves
+  query.joins.push(
+    { table: `${cdmDatabaseSchema}.concept_relationship_new cr`, on: ['c.concept_id = cr.concept_id_1', "cr.relationship_id = 'Maps to'"] },
+    { table: `${cdmDatabaseSchema}.concept drug_c`, on: ['cr.concept_id_2 = drug_c.concept_id', "drug_c.domain_id = 'Drug'"] }
+  );
+  // Each path is one SELECT of a UNION, which cannot have an ORDER BY of its own
+  delete query.orderBy;
+  return drugExpansionSql(query, drugExpansionPaths(cdmDatabaseSchema, 'drug_c.concept_id', expansion), dialect, [
+    { table: `${cdmDatabaseSchema}.concept expanded_c`, on: ['ca.descendant_concept_id = expanded_c.concept_id', "expanded_c.standard_concept = 'S'"] }
+  ]);
+}
+
 /**
  * Generate comprehensive mapping summary
  * @param {Array} extractedOids 
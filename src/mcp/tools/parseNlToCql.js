@@ -1,7 +1,16 @@
 // src/mcp/tools/parseNlToCql.js
 import { z } from "zod";
 import { parseToCql } from "./parseNlToCql/parser.js";
-import { extractValueSetIdentifiersFromCQL, validateExtractedOids } from "./parseNlToCql/extractors.js";
+import {
+  extractValueSetIdentifiersFromCQL,
+  extractIndividualCodesFromCQL,
+  extractConceptDeclarationsFromCQL,
+  mergeRejectedCandidates,
+  validateExtractedOids
+} from "./parseNlToCql/extractors.js";
+import { parseCql } from "./parseNlToCql/cqlParser.js";
+import { parseLibraryInput } from "./parseNlToCql/elm.js";
+import cqlLibraryService from "../../services/cqlLibraryService.js";
 
 export function parseNlToCqlTool(server) {
   server.tool(
@@ -15,31 +24,33 @@ export function parseNlToCqlTool(server) {
         console.error("Converting natural language to CQL...");
         const cql = await parseToCql(query);
         
-        console.error("Extracting ValueSet OIDs using valueset declaration pattern...");
-        const valueSetReferences = await extractValueSetIdentifiersFromCQL(cql);
+        console.error("Parsing generated CQL and extracting ValueSet OIDs...");
+        const library = parseCql(cql);
+        const valueSetReferences = await extractValueSetIdentifiersFromCQL(library);
         
         // Validate extracted OIDs
-        const validation = validateExtractedOids(valueSetReferences);
+        const validOids = validateExtractedOids(valueSetReferences.oids);
+        const invalidOids = valueSetReferences.oids.filter(oid => !validOids.includes(oid));
         
         const result = {
-          ...(includeInput && { input: cqlQuery }),
+          ...(includeInput && { input: query }),
           valueSetReferences,
-          extractionMethod: "valueset_declaration_regex",
+          extractionMethod: "cql_parser",
+          parseErrors: library.errors,
           validation: {
-            validOids: validation.valid,
-            invalidOids: validation.invalid,
-            warnings: validation.warnings,
-            totalFound: valueSetReferences.length,
-            validCount: validation.valid.length
+            validOids,
+            invalidOids,
+            totalFound: valueSetReferences.oids.length,
+            validCount: validOids.length
           }
         };
         
         // Log validation results
-        if (validation.invalid.length > 0) {
-          console.error("Invalid OIDs found:", validation.invalid);
+        if (invalidOids.length > 0) {
+          console.error("Invalid OIDs found:", invalidOids);
         }
-        if (validation.warnings.length > 0) {
-          console.error("OID warnings:", validation.warnings);
+        if (library.errors.length > 0) {
+          console.error("CQL parse errors:", library.errors);
         }
         
         return {
@@ -68,31 +79,48 @@ export function parseNlToCqlTool(server) {
   server.tool(
     "extract-valuesets",
     { 
-      cqlQuery: z.string(),
+      cqlQuery: z.string().optional(),
+      // Translated ELM (JSON or XML) instead of, or alongside, the CQL text
+      elm: z.union([z.string(), z.object({}).passthrough()]).optional(),
       showDetails: z.boolean().optional().default(false),
-      includeInput: z.boolean().optional().default(false) // New parameter to control input echoing
+      includeInput: z.boolean().optional().default(false), // New parameter to control input echoing
+      // Directory (or path-delimited list) of .cql files used to resolve include statements
+      cqlLibraryPath: z.string().optional().default(process.env.CQL_LIBRARY_PATH || '')
     },
-    async ({ cqlQuery, showDetails, includeInput }) => {
+    async ({ cqlQuery, elm, showDetails, includeInput, cqlLibraryPath }) => {
       try {
-        console.error("Testing regex extraction patterns...");
+        console.error("Parsing CQL and extracting valueset declarations...");
         
-        const extractionResult = await extractValueSetIdentifiersFromCQL(cqlQuery);
+        const library = parseLibraryInput({ cqlQuery, elm });
+        const { libraries: includedLibraries, includes } = cqlLibraryService.loadIncludes(library, cqlLibraryPath);
+        const extractionResult = await extractValueSetIdentifiersFromCQL(library, includedLibraries);
         const extractedOids = extractionResult.oids;
         const valuesets = extractionResult.valuesets;
         
+        // Candidates that were skipped, with where they are and why; codes and
+        // concepts are included so an empty result can be explained
+        const rejected = mergeRejectedCandidates(
+          extractionResult.rejected,
+          (await extractIndividualCodesFromCQL(library, includedLibraries)).rejected,
+          (await extractConceptDeclarationsFromCQL(library, includedLibraries)).rejected
+        );
+        
         const validOids = validateExtractedOids(extractedOids);
         const invalidOids = extractedOids.filter(oid => !validOids.includes(oid));
         
         const result = {
-          ...(includeInput && { input: cqlQuery }),
+          ...(includeInput && { input: elm || cqlQuery }),
 
-          extractedValueSets: valuesets, // JSON array with name/oid pairs
+          extractedValueSets: valuesets, // JSON array with name/oid/library/line/column entries
+          rejected,
+          includes,
           validOids: validOids,
           invalidOids: invalidOids,
           summary: {
             totalFound: extractedOids.length,
             validOids: validOids.length,
-            invalidOids: invalidOids.length
+            invalidOids: invalidOids.length,
+            rejected: rejected.length
           },
           // Copy-pastable arrays
           copyPastableArrays: {
@@ -102,32 +130,21 @@ export function parseNlToCqlTool(server) {
           }
         };
         
-        // If detailed output requested, show regex test results for valueset pattern only
+        // If detailed output requested, show the parsed declarations with their positions
         if (showDetails) {
-          result.detailedRegexTests = {};
-          
-          // Test valueset declaration pattern with updated regex
-          const valuesetPattern = /(valueset\s")(.+)(":\s')(urn:oid:)((\d+\.)*\d+)(')/gi;
-          const valuesetMatches = [];
-          let match;
-          while ((match = valuesetPattern.exec(cqlQuery)) !== null) {
-            valuesetMatches.push({
-              fullMatch: match[0],
-              group1: match[1], // valueset "
-              group2: match[2], // name
-              group3: match[3], // ": '
-              group4: match[4], // urn:oid:
-              group5: match[5], // OID (what we extract)
-              group6: match[6], // '
-              index: match.index,
-              extractedName: match[2],
-              extractedOid: match[5]
-            });
-          }
-          result.detailedRegexTests.valuesetPattern = {
-            pattern: "(valueset\\s\")(.+)(\":\\s')(urn:oid:)((\\d+\\.)*\\d+)(')",
-            description: "Matches valueset declarations and extracts both name (group 2) and OID (group 5)",
-            matches: valuesetMatches
+          result.parseDetails = {
+            library: library.identifier,
+            valuesetDeclarations: library.valuesets.map(declaration => ({
+              name: declaration.name,
+              id: declaration.id,
+              version: declaration.version,
+              line: declaration.loc?.start.line ?? null,
+              column: declaration.loc?.start.column ?? null
+            })),
+            codeDeclarations: library.codes.length,
+            conceptDeclarations: library.concepts.length,
+            defines: library.statements.map(statement => statement.name),
+            parseErrors: library.errors
           };
         }
         
@@ -144,6 +161,7 @@ export function parseNlToCqlTool(server) {
             type: "text",
             text: JSON.stringify({
               error: error.message,
+              ...(error.code && { errorCode: error.code }),
               cqlQuery: cqlQuery
             }, null, 2)
           }],
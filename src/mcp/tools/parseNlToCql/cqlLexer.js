@@ -0,0 +1,191 @@
+// src/mcp/tools/parseNlToCql/cqlLexer.js
+
+/**
+ * Tokenizer for CQL (Clinical Quality Language) source text.
+ *
+ * Produces a flat token stream with 1-based line/column positions and keeps
+ * comments in a separate list so callers can report on commented-out code
+ * without the parser ever seeing it.
+ */
+
+export const TokenType = Object.freeze({
+  IDENTIFIER: 'Identifier',
+  QUOTED_IDENTIFIER: 'QuotedIdentifier',
+  STRING: 'String',
+  NUMBER: 'Number',
+  DATETIME: 'DateTime',
+  TIME: 'Time',
+  PUNCTUATION: 'Punctuation',
+  EOF: 'EOF'
+});
+
+// Longest operators first so '<=' wins over '<'
+const OPERATORS = ['<=', '>=', '!=', '!~', '->', '(', ')', '[', ']', '{', '}', ',', ':', '.', '<', '>', '=', '~', '+', '-', '*', '/', '^', '&', '|'];
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', '/': '/', '\\': '\\', "'": "'", '"': '"', '`': '`' };
+
+/**
+ * Error raised for malformed CQL. Carries the source position of the problem.
+ */
+export class CqlSyntaxError extends Error {
+  constructor(message, position = null) {
+    super(position ? `${message} (line ${position.line}, column ${position.column})` : message);
+    this.name = 'CqlSyntaxError';
+    this.code = 'CQL_SYNTAX_ERROR';
+    this.reason = message;
+    this.position = position;
+  }
+}
+
+/**
+ * Split CQL source into tokens
+ * @param {string} source - CQL source text
+ * @returns {{ tokens: Array<Object>, comments: Array<Object>, errors: Array<Object> }}
+ *          tokens always end with a single EOF token
+ */
+export function tokenizeCql(source) {
+  const text = typeof source === 'string' ? source : '';
+  const tokens = [];
+  const comments = [];
+  const errors = [];
+
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  const position = () => ({ line, column, offset });
+
+  const advance = (count = 1) => {
+    for (let i = 0; i < count && offset < text.length; i++) {
+      if (text[offset] === '\n') {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+      offset += 1;
+    }
+  };
+
+  const readDelimited = (quote, start) => {
+    let value = '';
+    advance(); // opening quote
+    while (offset < text.length && text[offset] !== quote) {
+      if (text[offset] === '\\' && offset + 1 < text.length) {
+        const next = text[offset + 1];
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(offset + 2, offset + 6))) {
+          value += String.fromCharCode(parseInt(text.slice(offset + 2, offset + 6), 16));
+          advance(6);
+          continue;
+        }
+        value += ESCAPES[next] ?? next;
+        advance(2);
+        continue;
+      }
+      value += text[offset];
+      advance();
+    }
+    if (offset >= text.length) {
+      errors.push({ message: `Unterminated ${quote === "'" ? 'string' : 'identifier'} literal`, start });
+    } else {
+      advance(); // closing quote
+    }
+    return value;
+  };
+
+  while (offset < text.length) {
+    const ch = text[offset];
+    const start = position();
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      advance();
+      continue;
+    }
+
+    // Line comment
+    if (ch === '/' && text[offset + 1] === '/') {
+      const end = text.indexOf('\n', offset);
+      const stop = end === -1 ? text.length : end;
+      const value = text.slice(offset + 2, stop);
+      advance(stop - offset);
+      comments.push({ type: 'LineComment', value, start, end: position() });
+      continue;
+    }
+
+    // Block comment
+    if (ch === '/' && text[offset + 1] === '*') {
+      const end = text.indexOf('*/', offset + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      const value = text.slice(offset + 2, end === -1 ? text.length : end);
+      advance(stop - offset);
+      if (end === -1) {
+        errors.push({ message: 'Unterminated block comment', start });
+      }
+      comments.push({ type: 'BlockComment', value, start, end: position() });
+      continue;
+    }
+
+    // String literal
+    if (ch === "'") {
+      const value = readDelimited("'", start);
+      tokens.push({ type: TokenType.STRING, value, raw: text.slice(start.offset, offset), start, end: position() });
+      continue;
+    }
+
+    // Quoted identifiers ("..." and `...`)
+    if (ch === '"' || ch === '`') {
+      const value = readDelimited(ch, start);
+      tokens.push({ type: TokenType.QUOTED_IDENTIFIER, value, raw: text.slice(start.offset, offset), start, end: position() });
+      continue;
+    }
+
+    // Date/time literals: @2024-01-01T00:00:00.000Z, @T08:00
+    if (ch === '@') {
+      const match = /^@(T?[0-9][0-9\-:.T]*(?:Z|[+-]\d{2}:\d{2})?)/.exec(text.slice(offset));
+      if (match) {
+        advance(match[0].length);
+        const value = match[1];
+        tokens.push({
+          type: value.startsWith('T') ? TokenType.TIME : TokenType.DATETIME,
+          value,
+          raw: match[0],
+          start,
+          end: position()
+        });
+        continue;
+      }
+    }
+
+    // Numbers (decimal, integer and long)
+    if (/[0-9]/.test(ch)) {
+      const match = /^[0-9]+(?:\.[0-9]+)?L?/.exec(text.slice(offset));
+      advance(match[0].length);
+      tokens.push({ type: TokenType.NUMBER, value: match[0].replace(/L$/, ''), raw: match[0], start, end: position() });
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(offset));
+      advance(match[0].length);
+      tokens.push({ type: TokenType.IDENTIFIER, value: match[0], raw: match[0], start, end: position() });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, offset));
+    if (operator) {
+      advance(operator.length);
+      tokens.push({ type: TokenType.PUNCTUATION, value: operator, raw: operator, start, end: position() });
+      continue;
+    }
+
+    errors.push({ message: `Unexpected character '${ch}'`, start });
+    advance();
+  }
+
+  const eof = position();
+  tokens.push({ type: TokenType.EOF, value: null, raw: '', start: eof, end: eof });
+
+  return { tokens, comments, errors };
+}
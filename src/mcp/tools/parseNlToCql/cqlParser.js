@@ -0,0 +1,1407 @@
+// src/mcp/tools/parseNlToCql/cqlParser.js
+
+import { tokenizeCql, TokenType, CqlSyntaxError } from './cqlLexer.js';
+
+/**
+ * Recursive-descent parser for CQL libraries.
+ *
+ * Turns CQL source into a typed AST: one node per library, using, include,
+ * codesystem, valueset, code, concept, parameter, context and define/function
+ * statement, with define bodies parsed into expression nodes. Every node
+ * carries `loc: { start, end }` where each position is `{ line, column, offset }`.
+ *
+ * The parser is tolerant: a malformed statement is recorded in `errors` and
+ * parsing resumes at the next statement, so one bad define does not hide the
+ * declarations around it.
+ *
+ * @typedef {{ line:number, column:number, offset:number }} SourcePosition
+ * @typedef {{ start:SourcePosition, end:SourcePosition }} SourceLocation
+ *
+ * @typedef {Object} CqlLibrary
+ * @property {'Library'} type
+ * @property {{ name:string, version:string|null, loc:SourceLocation }|null} identifier
+ * @property {Array<{type:'UsingDef', model:string, version:string|null, loc:SourceLocation}>} usings
+ * @property {Array<{type:'IncludeDef', path:string, version:string|null, alias:string, loc:SourceLocation}>} includes
+ * @property {Array<{type:'CodeSystemDef', name:string, id:string, version:string|null, accessLevel:string, loc:SourceLocation}>} codesystems
+ * @property {Array<{type:'ValueSetDef', name:string, id:string, version:string|null, codesystems:Array, accessLevel:string, loc:SourceLocation}>} valuesets
+ * @property {Array<{type:'CodeDef', name:string, id:string, codesystem:{name:string, libraryName:string|null}, display:string|null, accessLevel:string, loc:SourceLocation}>} codes
+ * @property {Array<{type:'ConceptDef', name:string, codes:Array<{name:string, libraryName:string|null}>, display:string|null, accessLevel:string, loc:SourceLocation}>} concepts
+ * @property {Array<{type:'ParameterDef', name:string, parameterType:Object|null, default:Object|null, accessLevel:string, loc:SourceLocation}>} parameters
+ * @property {Array<{type:'ContextDef', name:string, loc:SourceLocation}>} contexts
+ * @property {Array<Object>} statements - ExpressionDef and FunctionDef nodes in source order
+ * @property {Array<Object>} comments - Comments from the lexer (not part of the tree)
+ * @property {Array<{message:string, start:SourcePosition}>} errors - Lexer and parser errors
+ */
+
+const STATEMENT_KEYWORDS = new Set([
+  'library', 'using', 'include', 'codesystem', 'valueset', 'code', 'concept',
+  'parameter', 'context', 'define', 'public', 'private'
+]);
+
+// Words that can never be a query alias
+const RESERVED_WORDS = new Set([
+  'after', 'aggregate', 'all', 'and', 'as', 'asc', 'ascending', 'before', 'between', 'by',
+  'called', 'case', 'cast', 'code', 'codesystem', 'codesystems', 'collapse', 'concept', 'contains',
+  'context', 'convert', 'default', 'define', 'desc', 'descending', 'difference', 'display',
+  'distinct', 'div', 'duration', 'during', 'else', 'end', 'ends', 'except', 'exists', 'expand',
+  'external', 'false', 'flatten', 'fluent', 'from', 'function', 'if', 'implies', 'in', 'include',
+  'included', 'includes', 'intersect', 'is', 'less', 'let', 'library', 'maximum', 'meets',
+  'minimum', 'mod', 'more', 'not', 'null', 'occurs', 'of', 'on', 'or', 'overlaps', 'parameter',
+  'per', 'point', 'predecessor', 'private', 'properly', 'public', 'return', 'returns', 'same',
+  'singleton', 'sort', 'start', 'starts', 'successor', 'such', 'than', 'that', 'then', 'to',
+  'true', 'union', 'using', 'valueset', 'version', 'when', 'where', 'width', 'with', 'within',
+  'without', 'xor'
+]);
+
+export const DATE_TIME_PRECISIONS = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second', 'millisecond'];
+const PLURAL_PRECISIONS = DATE_TIME_PRECISIONS.map(p => `${p}s`);
+const DATE_TIME_COMPONENTS = [...DATE_TIME_PRECISIONS, 'date', 'time', 'timezoneoffset'];
+
+const TIMING_STARTERS = new Set([
+  'starts', 'ends', 'occurs', 'same', 'properly', 'includes', 'during', 'included',
+  'before', 'after', 'within', 'meets', 'overlaps', 'on', 'less', 'more'
+]);
+
+/**
+ * Parse CQL source text into a library AST
+ * @param {string} source - CQL source text
+ * @returns {CqlLibrary}
+ */
+export function parseCql(source) {
+  const { tokens, comments, errors } = tokenizeCql(source);
+  const parser = new CqlParser(tokens);
+  const library = parser.parseLibrary();
+  library.comments = comments;
+  library.errors = [...errors, ...parser.errors].sort((a, b) => a.start.offset - b.start.offset);
+  return library;
+}
+
+/**
+ * Depth-first walk over an AST (or any subtree). The visitor receives each
+ * node together with its ancestor chain, nearest ancestor last. Returning
+ * `false` from the visitor skips that node's children.
+ * @param {Object} node - AST node
+ * @param {Function} visitor - (node, ancestors) => boolean|void
+ * @param {Array<Object>} ancestors - Internal: ancestor stack
+ */
+export function walkCql(node, visitor, ancestors = []) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach(child => walkCql(child, visitor, ancestors));
+    return;
+  }
+  // Plain holder objects (let items, sort items, tuple elements) are not
+  // visited themselves but their children are
+  const isNode = typeof node.type === 'string';
+  if (isNode && visitor(node, ancestors) === false) {
+    return;
+  }
+  if (isNode) {
+    ancestors.push(node);
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'comments' || key === 'errors') {
+      continue;
+    }
+    if (value && typeof value === 'object') {
+      walkCql(value, visitor, ancestors);
+    }
+  }
+  if (isNode) {
+    ancestors.pop();
+  }
+}
+
+class CqlParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.errors = [];
+    this.includeAliases = new Set();
+    this.currentContext = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.pos + ahead, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== TokenType.EOF) {
+      this.pos += 1;
+    }
+    this.previous = token;
+    return token;
+  }
+
+  atEnd() {
+    return this.peek().type === TokenType.EOF;
+  }
+
+  isKeyword(token, ...values) {
+    return token.type === TokenType.IDENTIFIER && values.includes(token.value);
+  }
+
+  isPunct(token, ...values) {
+    return token.type === TokenType.PUNCTUATION && values.includes(token.value);
+  }
+
+  checkKeyword(...values) {
+    return this.isKeyword(this.peek(), ...values);
+  }
+
+  checkPunct(...values) {
+    return this.isPunct(this.peek(), ...values);
+  }
+
+  acceptKeyword(...values) {
+    return this.checkKeyword(...values) ? this.next() : null;
+  }
+
+  acceptPunct(...values) {
+    return this.checkPunct(...values) ? this.next() : null;
+  }
+
+  expectKeyword(value) {
+    if (!this.checkKeyword(value)) {
+      this.fail(`Expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  expectPunct(value) {
+    if (!this.checkPunct(value)) {
+      this.fail(`Expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  fail(message, token = this.peek()) {
+    const found = token.type === TokenType.EOF ? 'end of input' : `'${token.raw}'`;
+    throw new CqlSyntaxError(`${message} but found ${found}`, token.start);
+  }
+
+  isIdentifierToken(token) {
+    return token.type === TokenType.IDENTIFIER || token.type === TokenType.QUOTED_IDENTIFIER;
+  }
+
+  expectIdentifier(what = 'identifier') {
+    if (!this.isIdentifierToken(this.peek())) {
+      this.fail(`Expected ${what}`);
+    }
+    return this.next().value;
+  }
+
+  expectString(what = 'string literal') {
+    if (this.peek().type !== TokenType.STRING) {
+      this.fail(`Expected ${what}`);
+    }
+    return this.next().value;
+  }
+
+  /**
+   * Identifiers of declarations (OIDs, code values) should be single-quoted
+   * strings, but double-quoted values are common in hand-written CQL.
+   */
+  expectDeclarationValue(what) {
+    const token = this.peek();
+    if (token.type !== TokenType.STRING && token.type !== TokenType.QUOTED_IDENTIFIER) {
+      this.fail(`Expected ${what}`);
+    }
+    return this.next().value;
+  }
+
+  locFrom(startToken) {
+    const end = this.previous || startToken;
+    return { start: startToken.start, end: end.end };
+  }
+
+  span(startNode, endNode) {
+    return { start: startNode.loc.start, end: endNode.loc.end };
+  }
+
+  isStatementStart(index) {
+    const token = this.tokens[index];
+    if (!token || !this.isKeyword(token, ...STATEMENT_KEYWORDS)) {
+      return false;
+    }
+    if (token.value === 'code' || token.value === 'concept') {
+      const name = this.tokens[index + 1];
+      const colon = this.tokens[index + 2];
+      return !!name && this.isIdentifierToken(name) && !!colon && this.isPunct(colon, ':');
+    }
+    return true;
+  }
+
+  /**
+   * Skip ahead to the next token that starts a statement on a fresh line
+   */
+  synchronize() {
+    if (this.pos === this.errorPos) {
+      this.next();
+    }
+    while (!this.atEnd()) {
+      const prev = this.tokens[this.pos - 1];
+      const lineStart = !prev || prev.end.line < this.peek().start.line;
+      if (lineStart && this.isStatementStart(this.pos)) {
+        return;
+      }
+      this.next();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  parseLibrary() {
+    const library = {
+      type: 'Library',
+      identifier: null,
+      usings: [],
+      includes: [],
+      codesystems: [],
+      valuesets: [],
+      codes: [],
+      concepts: [],
+      parameters: [],
+      contexts: [],
+      statements: []
+    };
+
+    while (!this.atEnd()) {
+      const statementStart = this.pos;
+      try {
+        if (!this.isStatementStart(this.pos)) {
+          this.fail('Expected a library statement');
+        }
+        this.parseStatement(library);
+      } catch (error) {
+        if (!(error instanceof CqlSyntaxError)) {
+          throw error;
+        }
+        this.errors.push({ message: error.reason, start: error.position || this.peek().start });
+        this.errorPos = this.pos === statementStart ? this.pos : -1;
+        this.synchronize();
+      }
+    }
+
+    return library;
+  }
+
+  parseStatement(library) {
+    const startToken = this.peek();
+    let accessLevel = this.acceptKeyword('public', 'private')?.value || 'Public';
+    const keyword = this.next();
+
+    switch (keyword.value) {
+      case 'library': {
+        const name = this.parseQualifiedName();
+        const version = this.acceptKeyword('version') ? this.expectString('library version') : null;
+        library.identifier = { name, version, loc: this.locFrom(startToken) };
+        return;
+      }
+      case 'using': {
+        const model = this.parseQualifiedName();
+        const version = this.acceptKeyword('version') ? this.expectString('model version') : null;
+        library.usings.push({ type: 'UsingDef', model, version, loc: this.locFrom(startToken) });
+        return;
+      }
+      case 'include': {
+        const path = this.parseQualifiedName();
+        const version = this.acceptKeyword('version') ? this.expectString('library version') : null;
+        const alias = this.acceptKeyword('called') ? this.expectIdentifier('library alias') : path.split('.').pop();
+        this.includeAliases.add(alias);
+        library.includes.push({ type: 'IncludeDef', path, version, alias, loc: this.locFrom(startToken) });
+        return;
+      }
+      case 'codesystem': {
+        const name = this.expectIdentifier('codesystem name');
+        this.expectPunct(':');
+        const id = this.expectDeclarationValue('codesystem identifier');
+        const version = this.acceptKeyword('version') ? this.expectString('codesystem version') : null;
+        library.codesystems.push({
+          type: 'CodeSystemDef', name, id, version, accessLevel: normalizeAccess(accessLevel), loc: this.locFrom(startToken)
+        });
+        return;
+      }
+      case 'valueset': {
+        const name = this.expectIdentifier('valueset name');
+        this.expectPunct(':');
+        const id = this.expectDeclarationValue('valueset identifier');
+        const version = this.acceptKeyword('version') ? this.expectString('valueset version') : null;
+        const codesystems = [];
+        if (this.acceptKeyword('codesystems')) {
+          this.expectPunct('{');
+          do {
+            codesystems.push(this.parseTerminologyReference());
+          } while (this.acceptPunct(','));
+          this.expectPunct('}');
+        }
+        library.valuesets.push({
+          type: 'ValueSetDef', name, id, version, codesystems, accessLevel: normalizeAccess(accessLevel), loc: this.locFrom(startToken)
+        });
+        return;
+      }
+      case 'code': {
+        const name = this.expectIdentifier('code name');
+        this.expectPunct(':');
+        const id = this.expectDeclarationValue('code value');
+        this.expectKeyword('from');
+        const codesystem = this.parseTerminologyReference();
+        const display = this.acceptKeyword('display') ? this.expectString('display text') : null;
+        library.codes.push({
+          type: 'CodeDef', name, id, codesystem, display, accessLevel: normalizeAccess(accessLevel), loc: this.locFrom(startToken)
+        });
+        return;
+      }
+      case 'concept': {
+        const name = this.expectIdentifier('concept name');
+        this.expectPunct(':');
+        this.expectPunct('{');
+        const codes = [];
+        do {
+          codes.push(this.parseTerminologyReference());
+        } while (this.acceptPunct(','));
+        this.expectPunct('}');
+        const display = this.acceptKeyword('display') ? this.expectString('display text') : null;
+        library.concepts.push({
+          type: 'ConceptDef', name, codes, display, accessLevel: normalizeAccess(accessLevel), loc: this.locFrom(startToken)
+        });
+        return;
+      }
+      case 'parameter': {
+        const name = this.expectIdentifier('parameter name');
+        const parameterType = this.checkKeyword('default') ? null : this.parseTypeSpecifier();
+        const defaultValue = this.acceptKeyword('default') ? this.parseExpression() : null;
+        library.parameters.push({
+          type: 'ParameterDef', name, parameterType, default: defaultValue,
+          accessLevel: normalizeAccess(accessLevel), loc: this.locFrom(startToken)
+        });
+        return;
+      }
+      case 'context': {
+        const name = this.parseQualifiedName();
+        this.currentContext = name;
+        library.contexts.push({ type: 'ContextDef', name, loc: this.locFrom(startToken) });
+        return;
+      }
+      case 'define': {
+        accessLevel = this.acceptKeyword('public', 'private')?.value || accessLevel;
+        const fluent = !!this.acceptKeyword('fluent');
+        if (this.acceptKeyword('function')) {
+          library.statements.push(this.parseFunctionDef(startToken, normalizeAccess(accessLevel), fluent));
+          return;
+        }
+        const name = this.expectIdentifier('define name');
+        this.expectPunct(':');
+        const expression = this.parseExpression();
+        library.statements.push({
+          type: 'ExpressionDef',
+          name,
+          context: this.currentContext,
+          accessLevel: normalizeAccess(accessLevel),
+          expression,
+          loc: this.locFrom(startToken)
+        });
+        return;
+      }
+      default:
+        this.fail('Expected a library statement', keyword);
+    }
+  }
+
+  parseFunctionDef(startToken, accessLevel, fluent) {
+    const name = this.expectIdentifier('function name');
+    this.expectPunct('(');
+    const operands = [];
+    if (!this.checkPunct(')')) {
+      do {
+        const operandName = this.expectIdentifier('operand name');
+        operands.push({ name: operandName, operandType: this.parseTypeSpecifier() });
+      } while (this.acceptPunct(','));
+    }
+    this.expectPunct(')');
+    const resultType = this.acceptKeyword('returns') ? this.parseTypeSpecifier() : null;
+    this.expectPunct(':');
+    const external = !!this.acceptKeyword('external');
+    const expression = external ? null : this.parseExpression();
+    return {
+      type: 'FunctionDef',
+      name,
+      context: this.currentContext,
+      accessLevel,
+      fluent,
+      external,
+      operands,
+      resultType,
+      expression,
+      loc: this.locFrom(startToken)
+    };
+  }
+
+  parseQualifiedName() {
+    let name = this.expectIdentifier();
+    while (this.checkPunct('.') && this.isIdentifierToken(this.peek(1))) {
+      this.next();
+      name += `.${this.next().value}`;
+    }
+    return name;
+  }
+
+  /**
+   * A reference to a codesystem or code by name, optionally library-qualified:
+   * "LOINC" or Common."LOINC"
+   */
+  parseTerminologyReference() {
+    const first = this.expectIdentifier('terminology reference');
+    if (this.checkPunct('.') && this.isIdentifierToken(this.peek(1))) {
+      this.next();
+      return { name: this.next().value, libraryName: first };
+    }
+    return { name: first, libraryName: null };
+  }
+
+  parseTypeSpecifier() {
+    const startToken = this.peek();
+    if (this.checkKeyword('List', 'Interval', 'Choice') && this.isPunct(this.peek(1), '<')) {
+      const kind = this.next().value;
+      this.expectPunct('<');
+      const types = [this.parseTypeSpecifier()];
+      while (kind === 'Choice' && this.acceptPunct(',')) {
+        types.push(this.parseTypeSpecifier());
+      }
+      this.expectPunct('>');
+      if (kind === 'List') {
+        return { type: 'ListTypeSpecifier', elementType: types[0], loc: this.locFrom(startToken) };
+      }
+      if (kind === 'Interval') {
+        return { type: 'IntervalTypeSpecifier', pointType: types[0], loc: this.locFrom(startToken) };
+      }
+      return { type: 'ChoiceTypeSpecifier', choices: types, loc: this.locFrom(startToken) };
+    }
+    if (this.checkKeyword('Tuple') && this.isPunct(this.peek(1), '{')) {
+      this.next();
+      this.next();
+      const elements = [];
+      if (!this.checkPunct('}')) {
+        do {
+          const name = this.expectIdentifier('tuple element name');
+          elements.push({ name, elementType: this.parseTypeSpecifier() });
+        } while (this.acceptPunct(','));
+      }
+      this.expectPunct('}');
+      return { type: 'TupleTypeSpecifier', elements, loc: this.locFrom(startToken) };
+    }
+    const name = this.parseQualifiedName();
+    return { type: 'NamedTypeSpecifier', name, loc: this.locFrom(startToken) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions, lowest precedence first
+  // ---------------------------------------------------------------------------
+
+  parseExpression() {
+    let left = this.parseImplies();
+    while (this.checkPunct('|') || this.checkKeyword('union', 'intersect', 'except')) {
+      const op = this.next().value;
+      const right = this.parseImplies();
+      left = this.binary(op === '|' ? 'union' : op, left, right);
+    }
+    return left;
+  }
+
+  binary(operator, left, right, extra = {}) {
+    return { type: 'BinaryExpression', operator, left, right, ...extra, loc: this.span(left, right) };
+  }
+
+  parseImplies() {
+    let left = this.parseOr();
+    while (this.acceptKeyword('implies')) {
+      left = this.binary('implies', left, this.parseOr());
+    }
+    return left;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.checkKeyword('or', 'xor')) {
+      const op = this.next().value;
+      left = this.binary(op, left, this.parseAnd());
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseMembership();
+    while (this.acceptKeyword('and')) {
+      left = this.binary('and', left, this.parseMembership());
+    }
+    return left;
+  }
+
+  parseMembership() {
+    let left = this.parseEquality();
+    while (this.checkKeyword('in', 'contains')) {
+      const op = this.next().value;
+      const precision = this.parsePrecisionSpecifier();
+      left = this.binary(op, left, this.parseEquality(), precision ? { precision } : {});
+    }
+    return left;
+  }
+
+  parseEquality() {
+    let left = this.parseTiming();
+    while (this.checkPunct('=', '!=', '~', '!~')) {
+      const op = this.next().value;
+      left = this.binary(op, left, this.parseTiming());
+    }
+    return left;
+  }
+
+  parseTiming() {
+    let left = this.parseInequality();
+    while (this.isTimingPhraseStart()) {
+      const phrase = this.parseTimingPhrase();
+      const right = this.parseInequality();
+      left = { type: 'TimingExpression', ...phrase, left, right, loc: this.span(left, right) };
+    }
+    return left;
+  }
+
+  parseInequality() {
+    let left = this.parseBetween();
+    while (this.checkPunct('<=', '<', '>', '>=')) {
+      const op = this.next().value;
+      left = this.binary(op, left, this.parseBetween());
+    }
+    return left;
+  }
+
+  parseBetween() {
+    const operand = this.parsePrefix();
+    const properly = this.checkKeyword('properly') && this.isKeyword(this.peek(1), 'between');
+    if (properly || this.checkKeyword('between')) {
+      if (properly) {
+        this.next();
+      }
+      this.next();
+      const low = this.parseAdditive();
+      this.expectKeyword('and');
+      const high = this.parseAdditive();
+      return { type: 'Between', operand, low, high, properly, loc: this.span(operand, high) };
+    }
+    return operand;
+  }
+
+  parsePrefix() {
+    const startToken = this.peek();
+    if (this.acceptKeyword('not')) {
+      const operand = this.parsePrefix();
+      return { type: 'UnaryExpression', operator: 'not', operand, loc: this.locFrom(startToken) };
+    }
+    if (this.acceptKeyword('exists')) {
+      const operand = this.parsePrefix();
+      return { type: 'UnaryExpression', operator: 'exists', operand, loc: this.locFrom(startToken) };
+    }
+    if (this.acceptKeyword('cast')) {
+      const operand = this.parseExpression();
+      this.expectKeyword('as');
+      const asType = this.parseTypeSpecifier();
+      return { type: 'As', operand, asType, strict: true, loc: this.locFrom(startToken) };
+    }
+    return this.parseTypeOperators();
+  }
+
+  parseTypeOperators() {
+    let operand = this.parseAdditive();
+    for (;;) {
+      if (this.acceptKeyword('is')) {
+        const negated = !!this.acceptKeyword('not');
+        if (this.checkKeyword('null', 'true', 'false')) {
+          const test = this.next().value;
+          operand = { type: 'BooleanTest', test, negated, operand, loc: this.span(operand, { loc: this.locFrom(this.previous) }) };
+          continue;
+        }
+        const isType = this.parseTypeSpecifier();
+        operand = { type: 'Is', operand, isType, loc: this.span(operand, isType) };
+        continue;
+      }
+      if (this.acceptKeyword('as')) {
+        const asType = this.parseTypeSpecifier();
+        operand = { type: 'As', operand, asType, strict: false, loc: this.span(operand, asType) };
+        continue;
+      }
+      return operand;
+    }
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.checkPunct('+', '-', '&')) {
+      const op = this.next().value;
+      left = this.binary(op, left, this.parseMultiplicative());
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parsePower();
+    while (this.checkPunct('*', '/') || this.checkKeyword('div', 'mod')) {
+      const op = this.next().value;
+      left = this.binary(op, left, this.parsePower());
+    }
+    return left;
+  }
+
+  parsePower() {
+    let left = this.parseUnaryTerm();
+    while (this.acceptPunct('^')) {
+      left = this.binary('^', left, this.parseUnaryTerm());
+    }
+    return left;
+  }
+
+  parseUnaryTerm() {
+    const startToken = this.peek();
+    const lookahead = this.peek(1);
+
+    if (this.checkPunct('+', '-')) {
+      const op = this.next().value;
+      const operand = this.parseUnaryTerm();
+      if (op === '-' && operand.type === 'Literal' && typeof operand.value === 'number') {
+        return { ...operand, value: -operand.value, loc: this.locFrom(startToken) };
+      }
+      if (op === '-' && operand.type === 'Quantity') {
+        return { ...operand, value: -operand.value, loc: this.locFrom(startToken) };
+      }
+      return op === '-'
+        ? { type: 'UnaryExpression', operator: 'negate', operand, loc: this.locFrom(startToken) }
+        : operand;
+    }
+
+    if (this.checkKeyword('start', 'end') && this.isKeyword(lookahead, 'of')) {
+      const boundary = this.next().value;
+      this.next();
+      const operand = this.parseUnaryTerm();
+      return { type: 'TimeBoundary', boundary, operand, loc: this.locFrom(startToken) };
+    }
+
+    if (this.checkKeyword(...DATE_TIME_COMPONENTS) && this.isKeyword(lookahead, 'from')) {
+      const component = this.next().value;
+      this.next();
+      const operand = this.parseUnaryTerm();
+      return { type: 'DateTimeComponentFrom', component, operand, loc: this.locFrom(startToken) };
+    }
+
+    if (this.checkKeyword('duration', 'difference') && this.isKeyword(lookahead, 'in')) {
+      const kind = this.next().value;
+      this.next();
+      const precision = this.expectPluralPrecision();
+      return this.parseDurationTail(kind, precision, startToken);
+    }
+
+    if (this.checkKeyword(...PLURAL_PRECISIONS) && this.isKeyword(lookahead, 'between')) {
+      const precision = singularPrecision(this.next().value);
+      return this.parseDurationTail('duration', precision, startToken);
+    }
+
+    if (this.checkKeyword('width', 'successor', 'predecessor') && this.isKeyword(lookahead, 'of')) {
+      const operator = this.next().value;
+      this.next();
+      const operand = this.parseUnaryTerm();
+      return { type: 'UnaryExpression', operator, operand, loc: this.locFrom(startToken) };
+    }
+
+    if (this.checkKeyword('singleton', 'point') && this.isKeyword(lookahead, 'from')) {
+      const operator = this.next().value;
+      this.next();
+      const operand = this.parseUnaryTerm();
+      return { type: 'UnaryExpression', operator, operand, loc: this.locFrom(startToken) };
+    }
+
+    if (this.checkKeyword('minimum', 'maximum') && this.isIdentifierToken(lookahead) && !this.isPunct(this.peek(2), '(')) {
+      const operator = this.next().value;
+      const valueType = this.parseTypeSpecifier();
+      return { type: 'TypeExtent', operator, valueType, loc: this.locFrom(startToken) };
+    }
+
+    if (this.acceptKeyword('convert')) {
+      const operand = this.parseExpression();
+      this.expectKeyword('to');
+      if (this.peek().type === TokenType.STRING) {
+        const unit = this.next().value;
+        return { type: 'ConvertQuantity', operand, unit, loc: this.locFrom(startToken) };
+      }
+      const toType = this.parseTypeSpecifier();
+      return { type: 'Convert', operand, toType, loc: this.locFrom(startToken) };
+    }
+
+    if (this.acceptKeyword('if')) {
+      const condition = this.parseExpression();
+      this.expectKeyword('then');
+      const then = this.parseExpression();
+      this.expectKeyword('else');
+      const otherwise = this.parseExpression();
+      return { type: 'If', condition, then, else: otherwise, loc: this.locFrom(startToken) };
+    }
+
+    if (this.acceptKeyword('case')) {
+      const comparand = this.checkKeyword('when') ? null : this.parseExpression();
+      const items = [];
+      while (this.acceptKeyword('when')) {
+        const when = this.parseExpression();
+        this.expectKeyword('then');
+        items.push({ when, then: this.parseExpression() });
+      }
+      if (items.length === 0) {
+        this.fail("Expected 'when'");
+      }
+      this.expectKeyword('else');
+      const otherwise = this.parseExpression();
+      this.expectKeyword('end');
+      return { type: 'Case', comparand, items, else: otherwise, loc: this.locFrom(startToken) };
+    }
+
+    if (this.checkKeyword('distinct', 'flatten', 'expand', 'collapse') && !this.isPunct(lookahead, '.', ')', ',')) {
+      const operator = this.next().value;
+      const operand = this.parseExpression();
+      let per = null;
+      if ((operator === 'expand' || operator === 'collapse') && this.acceptKeyword('per')) {
+        per = this.checkKeyword(...DATE_TIME_PRECISIONS) ? this.next().value : this.parseExpression();
+      }
+      return { type: 'UnaryExpression', operator, operand, ...(per ? { per } : {}), loc: this.locFrom(startToken) };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parseDurationTail(kind, precision, startToken) {
+    if (this.acceptKeyword('of')) {
+      const operand = this.parseUnaryTerm();
+      return { type: kind === 'duration' ? 'DurationOf' : 'DifferenceOf', precision, operand, loc: this.locFrom(startToken) };
+    }
+    this.expectKeyword('between');
+    const low = this.parseAdditive();
+    this.expectKeyword('and');
+    const high = this.parseAdditive();
+    return {
+      type: kind === 'duration' ? 'DurationBetween' : 'DifferenceBetween',
+      precision,
+      low,
+      high,
+      loc: this.locFrom(startToken)
+    };
+  }
+
+  expectPluralPrecision() {
+    if (!this.checkKeyword(...PLURAL_PRECISIONS, ...DATE_TIME_PRECISIONS)) {
+      this.fail('Expected a date/time precision');
+    }
+    return singularPrecision(this.next().value);
+  }
+
+  parsePrecisionSpecifier() {
+    if (this.checkKeyword(...DATE_TIME_PRECISIONS) && this.isKeyword(this.peek(1), 'of')) {
+      const precision = this.next().value;
+      this.next();
+      return precision;
+    }
+    return null;
+  }
+
+  parsePostfix({ allowQuery = true } = {}) {
+    const startToken = this.peek();
+    let expression = this.parsePrimary();
+    let querySource = ['Retrieve', 'Identifier', 'Parenthesized'].includes(expression.type);
+    if (expression.type === 'Parenthesized') {
+      expression = expression.expression;
+    }
+
+    for (;;) {
+      if (this.checkPunct('.') && this.isIdentifierToken(this.peek(1))) {
+        this.next();
+        const member = this.next().value;
+        if (this.checkPunct('(')) {
+          const args = this.parseArguments();
+          const isLibraryCall = expression.type === 'Identifier' && !expression.libraryName && this.includeAliases.has(expression.name);
+          expression = isLibraryCall
+            ? { type: 'FunctionCall', name: member, libraryName: expression.name, args, loc: this.locFrom(startToken) }
+            : { type: 'FunctionCall', name: member, libraryName: null, source: expression, args, fluent: true, loc: this.locFrom(startToken) };
+          querySource = false;
+          continue;
+        }
+        if (expression.type === 'Identifier' && !expression.libraryName && this.includeAliases.has(expression.name)) {
+          expression = { type: 'Identifier', name: member, libraryName: expression.name, loc: this.locFrom(startToken) };
+        } else {
+          expression = { type: 'Property', source: expression, path: member, loc: this.locFrom(startToken) };
+        }
+        continue;
+      }
+      if (this.checkPunct('[') && this.peek().start.line === this.previous.end.line) {
+        this.next();
+        const index = this.parseExpression();
+        this.expectPunct(']');
+        expression = { type: 'Indexer', source: expression, index, loc: this.locFrom(startToken) };
+        querySource = false;
+        continue;
+      }
+      break;
+    }
+
+    if (allowQuery && querySource && this.isAliasToken(this.peek())) {
+      return this.parseQuery([this.parseAliasedSource(expression, startToken)], startToken);
+    }
+    return expression;
+  }
+
+  isAliasToken(token) {
+    return token.type === TokenType.IDENTIFIER && !RESERVED_WORDS.has(token.value);
+  }
+
+  parseAliasedSource(expression, startToken) {
+    const alias = this.next().value;
+    return { type: 'AliasedQuerySource', expression, alias, loc: this.locFrom(startToken) };
+  }
+
+  parseQuerySource() {
+    const startToken = this.peek();
+    const expression = this.parsePostfix({ allowQuery: false });
+    if (!this.isAliasToken(this.peek())) {
+      this.fail('Expected a query alias');
+    }
+    return this.parseAliasedSource(expression, startToken);
+  }
+
+  parseQuery(sources, startToken, { multiSource = false } = {}) {
+    while (multiSource && this.acceptPunct(',')) {
+      sources.push(this.parseQuerySource());
+    }
+
+    const query = {
+      type: 'Query',
+      sources,
+      let: [],
+      relationships: [],
+      where: null,
+      return: null,
+      aggregate: null,
+      sort: null
+    };
+
+    if (this.acceptKeyword('let')) {
+      do {
+        const identifier = this.expectIdentifier('let identifier');
+        this.expectPunct(':');
+        query.let.push({ identifier, expression: this.parseExpression() });
+      } while (this.acceptPunct(','));
+    }
+
+    while (this.checkKeyword('with', 'without')) {
+      const relStart = this.next();
+      const source = this.parseQuerySource();
+      this.expectKeyword('such');
+      this.expectKeyword('that');
+      const suchThat = this.parseExpression();
+      query.relationships.push({
+        ...source,
+        type: relStart.value === 'with' ? 'With' : 'Without',
+        suchThat,
+        loc: this.locFrom(relStart)
+      });
+    }
+
+    if (this.acceptKeyword('where')) {
+      query.where = this.parseExpression();
+    }
+
+    if (this.checkKeyword('return')) {
+      const returnStart = this.next();
+      const modifier = this.acceptKeyword('all', 'distinct')?.value || null;
+      const expression = this.parseExpression();
+      query.return = { distinct: modifier !== 'all', expression, loc: this.locFrom(returnStart) };
+    } else if (this.checkKeyword('aggregate')) {
+      const aggregateStart = this.next();
+      const modifier = this.acceptKeyword('all', 'distinct')?.value || null;
+      const identifier = this.expectIdentifier('aggregate identifier');
+      const starting = this.acceptKeyword('starting') ? this.parseUnaryTerm() : null;
+      this.expectPunct(':');
+      const expression = this.parseExpression();
+      query.aggregate = { identifier, distinct: modifier === 'distinct', starting, expression, loc: this.locFrom(aggregateStart) };
+    }
+
+    if (this.checkKeyword('sort')) {
+      const sortStart = this.next();
+      const items = [];
+      if (this.acceptKeyword('by')) {
+        do {
+          const expression = this.parseAdditive();
+          items.push({ expression, direction: this.parseSortDirection() });
+        } while (this.acceptPunct(','));
+      } else {
+        items.push({ expression: null, direction: this.parseSortDirection() || 'asc' });
+      }
+      query.sort = { items, loc: this.locFrom(sortStart) };
+    }
+
+    query.loc = this.locFrom(startToken);
+    return query;
+  }
+
+  parseSortDirection() {
+    const token = this.acceptKeyword('asc', 'ascending', 'desc', 'descending');
+    if (!token) {
+      return null;
+    }
+    return token.value.startsWith('desc') ? 'desc' : 'asc';
+  }
+
+  parseArguments() {
+    this.expectPunct('(');
+    const args = [];
+    if (!this.checkPunct(')')) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.acceptPunct(','));
+    }
+    this.expectPunct(')');
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    const lookahead = this.peek(1);
+
+    if (this.acceptPunct('(')) {
+      const expression = this.parseExpression();
+      this.expectPunct(')');
+      return { type: 'Parenthesized', expression, loc: this.locFrom(token) };
+    }
+
+    if (this.checkPunct('[')) {
+      return this.parseRetrieve();
+    }
+
+    if (this.checkPunct('{')) {
+      return this.parseListOrTuple(token);
+    }
+
+    switch (token.type) {
+      case TokenType.STRING:
+        this.next();
+        return { type: 'Literal', valueType: 'String', value: token.value, loc: this.locFrom(token) };
+      case TokenType.NUMBER:
+        return this.parseNumberOrQuantity();
+      case TokenType.DATETIME:
+        this.next();
+        return {
+          type: 'Literal',
+          valueType: /T/.test(token.value) ? 'DateTime' : 'Date',
+          value: token.value,
+          loc: this.locFrom(token)
+        };
+      case TokenType.TIME:
+        this.next();
+        return { type: 'Literal', valueType: 'Time', value: token.value.slice(1), loc: this.locFrom(token) };
+      case TokenType.QUOTED_IDENTIFIER:
+        this.next();
+        if (this.checkPunct('(')) {
+          return { type: 'FunctionCall', name: token.value, libraryName: null, args: this.parseArguments(), loc: this.locFrom(token) };
+        }
+        return { type: 'Identifier', name: token.value, libraryName: null, loc: this.locFrom(token) };
+      case TokenType.IDENTIFIER:
+        break;
+      default:
+        this.fail('Expected an expression');
+    }
+
+    if (this.checkKeyword('true', 'false')) {
+      this.next();
+      return { type: 'Literal', valueType: 'Boolean', value: token.value === 'true', loc: this.locFrom(token) };
+    }
+    if (this.acceptKeyword('null')) {
+      return { type: 'Literal', valueType: 'Null', value: null, loc: this.locFrom(token) };
+    }
+    if (this.checkKeyword('Interval') && this.isPunct(lookahead, '[', '(')) {
+      return this.parseIntervalSelector();
+    }
+    if (this.checkKeyword('List') && this.isPunct(lookahead, '<', '{')) {
+      this.next();
+      const elementType = this.acceptPunct('<') ? this.parseTypeSpecifier() : null;
+      if (elementType) {
+        this.expectPunct('>');
+      }
+      const list = this.parseListOrTuple(this.peek());
+      return { ...list, elementType, loc: this.locFrom(token) };
+    }
+    if (this.checkKeyword('Tuple') && this.isPunct(lookahead, '{')) {
+      this.next();
+      const tuple = this.parseListOrTuple(this.peek(), { forceTuple: true });
+      return { ...tuple, loc: this.locFrom(token) };
+    }
+    if (this.checkKeyword('Code') && lookahead.type === TokenType.STRING) {
+      return this.parseCodeSelector();
+    }
+    if (this.checkKeyword('Concept') && this.isPunct(lookahead, '{')) {
+      this.next();
+      this.next();
+      const codes = [];
+      do {
+        codes.push(this.parseCodeSelector());
+      } while (this.acceptPunct(','));
+      this.expectPunct('}');
+      const display = this.acceptKeyword('display') ? this.expectString('display text') : null;
+      return { type: 'ConceptSelector', codes, display, loc: this.locFrom(token) };
+    }
+    if (this.checkKeyword('from') && !this.isPunct(lookahead, '(')) {
+      this.next();
+      return this.parseQuery([this.parseQuerySource()], token, { multiSource: true });
+    }
+    if (this.isPunct(lookahead, '(')) {
+      this.next();
+      return { type: 'FunctionCall', name: token.value, libraryName: null, args: this.parseArguments(), loc: this.locFrom(token) };
+    }
+    if (/^[A-Z]/.test(token.value) && this.isPunct(lookahead, '{') && this.isIdentifierToken(this.peek(2)) && this.isPunct(this.peek(3), ':')) {
+      this.next();
+      const tuple = this.parseListOrTuple(this.peek(), { forceTuple: true });
+      return { type: 'InstanceSelector', classType: token.value, elements: tuple.elements, loc: this.locFrom(token) };
+    }
+    if (RESERVED_WORDS.has(token.value)) {
+      this.fail('Expected an expression');
+    }
+
+    this.next();
+    return { type: 'Identifier', name: token.value, libraryName: null, loc: this.locFrom(token) };
+  }
+
+  parseNumberOrQuantity() {
+    const token = this.next();
+    const value = Number(token.value);
+    const unitToken = this.peek();
+    if (unitToken.type === TokenType.STRING) {
+      this.next();
+      return { type: 'Quantity', value, unit: unitToken.value, loc: this.locFrom(token) };
+    }
+    if (this.isKeyword(unitToken, ...DATE_TIME_PRECISIONS, ...PLURAL_PRECISIONS)) {
+      this.next();
+      return { type: 'Quantity', value, unit: singularPrecision(unitToken.value), temporal: true, loc: this.locFrom(token) };
+    }
+    return {
+      type: 'Literal',
+      valueType: token.value.includes('.') ? 'Decimal' : (token.raw.endsWith('L') ? 'Long' : 'Integer'),
+      value,
+      loc: this.locFrom(token)
+    };
+  }
+
+  parseQuantity() {
+    if (this.peek().type !== TokenType.NUMBER) {
+      this.fail('Expected a quantity');
+    }
+    const quantity = this.parseNumberOrQuantity();
+    if (quantity.type !== 'Quantity') {
+      this.fail('Expected a quantity unit');
+    }
+    return quantity;
+  }
+
+  parseCodeSelector() {
+    const startToken = this.expectKeyword('Code');
+    const code = this.expectString('code value');
+    this.expectKeyword('from');
+    const system = this.parseTerminologyReference();
+    const display = this.acceptKeyword('display') ? this.expectString('display text') : null;
+    return { type: 'CodeSelector', code, system, display, loc: this.locFrom(startToken) };
+  }
+
+  parseIntervalSelector() {
+    const startToken = this.next();
+    const open = this.next().value;
+    const low = this.parseExpression();
+    this.expectPunct(',');
+    const high = this.parseExpression();
+    if (!this.checkPunct(']', ')')) {
+      this.fail("Expected ']' or ')'");
+    }
+    const close = this.next().value;
+    return {
+      type: 'IntervalSelector',
+      low,
+      high,
+      lowClosed: open === '[',
+      highClosed: close === ']',
+      loc: this.locFrom(startToken)
+    };
+  }
+
+  parseListOrTuple(startToken, { forceTuple = false } = {}) {
+    this.expectPunct('{');
+    // Empty tuple: { : }
+    if (this.checkPunct(':') && this.isPunct(this.peek(1), '}')) {
+      this.next();
+      this.next();
+      return { type: 'TupleSelector', elements: [], loc: this.locFrom(startToken) };
+    }
+    if (this.acceptPunct('}')) {
+      return forceTuple
+        ? { type: 'TupleSelector', elements: [], loc: this.locFrom(startToken) }
+        : { type: 'ListSelector', elements: [], loc: this.locFrom(startToken) };
+    }
+    const isTuple = forceTuple || (this.isIdentifierToken(this.peek()) && this.isPunct(this.peek(1), ':'));
+    const elements = [];
+    do {
+      if (isTuple) {
+        const name = this.expectIdentifier('tuple element name');
+        this.expectPunct(':');
+        elements.push({ name, value: this.parseExpression() });
+      } else {
+        elements.push(this.parseExpression());
+      }
+    } while (this.acceptPunct(','));
+    this.expectPunct('}');
+    return { type: isTuple ? 'TupleSelector' : 'ListSelector', elements, loc: this.locFrom(startToken) };
+  }
+
+  /**
+   * [Type], [Type: "Value Set"], [Type: code in "Value Set"], [Patient -> Type: ...]
+   * QDM data types may be written quoted ("Encounter, Performed") or bare
+   * (Encounter, Performed).
+   */
+  parseRetrieve() {
+    const startToken = this.expectPunct('[');
+    let context = null;
+    if (this.isIdentifierToken(this.peek()) && this.isPunct(this.peek(1), '->')) {
+      context = this.next().value;
+      this.next();
+    }
+
+    const words = [];
+    let model = null;
+    while (!this.checkPunct(':', ']') && !this.atEnd()) {
+      const token = this.next();
+      if (this.isPunct(token, '.') && words.length > 0) {
+        model = words.join(' ');
+        words.length = 0;
+        continue;
+      }
+      if (this.isPunct(token, ',')) {
+        words.push(',');
+        continue;
+      }
+      if (!this.isIdentifierToken(token)) {
+        this.fail('Expected a retrieve data type', token);
+      }
+      words.push(token.value);
+    }
+    if (words.length === 0) {
+      this.fail('Expected a retrieve data type');
+    }
+    const dataType = words.join(' ').replace(/ ,/g, ',');
+
+    let codePath = null;
+    let codeComparator = null;
+    let terminology = null;
+    if (this.acceptPunct(':')) {
+      const pathStart = this.pos;
+      if (this.peek().type === TokenType.IDENTIFIER) {
+        const parts = [this.next().value];
+        while (this.checkPunct('.') && this.isIdentifierToken(this.peek(1))) {
+          this.next();
+          parts.push(this.next().value);
+        }
+        if (this.checkKeyword('in') || this.checkPunct('=', '~')) {
+          codePath = parts.join('.');
+          codeComparator = this.next().value;
+        } else {
+          this.pos = pathStart;
+        }
+      }
+      terminology = this.parseExpression();
+    }
+    this.expectPunct(']');
+
+    return {
+      type: 'Retrieve',
+      dataType,
+      model,
+      context,
+      codePath,
+      codeComparator,
+      terminology,
+      loc: this.locFrom(startToken)
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Timing phrases: starts 30 days or less before end of, during, overlaps, ...
+  // ---------------------------------------------------------------------------
+
+  isTimingPhraseStart() {
+    const token = this.peek();
+    if (token.type === TokenType.NUMBER) {
+      return this.isKeyword(this.peek(1), ...DATE_TIME_PRECISIONS, ...PLURAL_PRECISIONS);
+    }
+    if (!this.isKeyword(token, ...TIMING_STARTERS)) {
+      return false;
+    }
+    if (token.value === 'on') {
+      return this.isKeyword(this.peek(1), 'or');
+    }
+    if (token.value === 'less' || token.value === 'more') {
+      return this.isKeyword(this.peek(1), 'than');
+    }
+    if (token.value === 'included') {
+      return this.isKeyword(this.peek(1), 'in');
+    }
+    return true;
+  }
+
+  parseTimingPhrase() {
+    const phrase = {
+      operator: null,
+      leftBoundary: null,
+      rightBoundary: null,
+      precision: null,
+      properly: false,
+      inclusive: false,
+      offset: null
+    };
+
+    if (this.checkKeyword('starts', 'ends', 'occurs')) {
+      const qualifierFollows = this.isTimingQualifierFollowing(this.peek(1));
+      if (qualifierFollows || this.checkKeyword('occurs')) {
+        const word = this.next().value;
+        phrase.leftBoundary = word === 'starts' ? 'start' : word === 'ends' ? 'end' : null;
+      } else {
+        phrase.operator = this.next().value;
+        phrase.precision = this.parsePrecisionSpecifier();
+        return phrase;
+      }
+    }
+
+    if (this.acceptKeyword('same')) {
+      phrase.precision = this.checkKeyword(...DATE_TIME_PRECISIONS) ? this.next().value : null;
+      if (this.acceptKeyword('as')) {
+        phrase.operator = 'sameAs';
+      } else {
+        this.expectKeyword('or');
+        if (!this.checkKeyword('before', 'after')) {
+          this.fail("Expected 'before' or 'after'");
+        }
+        phrase.operator = this.next().value === 'before' ? 'sameOrBefore' : 'sameOrAfter';
+      }
+      phrase.rightBoundary = this.parsePhraseBoundary();
+      return phrase;
+    }
+
+    if (this.checkKeyword('properly') && this.isKeyword(this.peek(1), 'includes', 'during', 'included', 'within')) {
+      this.next();
+      phrase.properly = true;
+    }
+
+    if (this.acceptKeyword('includes')) {
+      phrase.operator = 'includes';
+      phrase.precision = this.parsePrecisionSpecifier();
+      phrase.rightBoundary = this.parsePhraseBoundary();
+      return phrase;
+    }
+
+    if (this.checkKeyword('during') || (this.checkKeyword('included') && this.isKeyword(this.peek(1), 'in'))) {
+      if (this.next().value === 'included') {
+        this.next();
+      }
+      phrase.operator = 'includedIn';
+      phrase.precision = this.parsePrecisionSpecifier();
+      return phrase;
+    }
+
+    if (this.acceptKeyword('within')) {
+      const quantity = this.parseQuantity();
+      if (this.checkKeyword('before', 'after')) {
+        // Lenient form: "within 30 days after" means "30 days or less after"
+        phrase.offset = { quantity, qualifier: 'or less' };
+        phrase.operator = this.next().value;
+        phrase.rightBoundary = this.parsePhraseBoundary();
+        return phrase;
+      }
+      this.expectKeyword('of');
+      phrase.operator = 'within';
+      phrase.offset = { quantity, qualifier: 'or less' };
+      phrase.rightBoundary = this.parsePhraseBoundary();
+      return phrase;
+    }
+
+    if (this.checkKeyword('meets', 'overlaps')) {
+      const word = this.next().value;
+      const side = this.checkKeyword('before', 'after') && !this.isKeyword(this.peek(1), 'of') ? this.next().value : null;
+      phrase.operator = side ? `${word}${side === 'before' ? 'Before' : 'After'}` : word;
+      phrase.precision = this.parsePrecisionSpecifier();
+      return phrase;
+    }
+
+    // Quantity offset: "30 days or less", "1 year or more", "less than 3 days", "more than 3 days"
+    if (this.peek().type === TokenType.NUMBER) {
+      const quantity = this.parseQuantity();
+      let qualifier = null;
+      if (this.checkKeyword('or') && this.isKeyword(this.peek(1), 'less', 'more')) {
+        this.next();
+        qualifier = `or ${this.next().value}`;
+      }
+      phrase.offset = { quantity, qualifier };
+    } else if (this.checkKeyword('less', 'more') && this.isKeyword(this.peek(1), 'than')) {
+      const word = this.next().value;
+      this.next();
+      phrase.offset = { quantity: this.parseQuantity(), qualifier: `${word} than` };
+    }
+
+    if (this.checkKeyword('on') && this.isKeyword(this.peek(1), 'or')) {
+      this.next();
+      this.next();
+      phrase.inclusive = true;
+    }
+    if (!this.checkKeyword('before', 'after')) {
+      this.fail('Expected a timing operator');
+    }
+    phrase.operator = this.next().value;
+    if (this.checkKeyword('or') && this.isKeyword(this.peek(1), 'on')) {
+      this.next();
+      this.next();
+      phrase.inclusive = true;
+    }
+    phrase.precision = this.parsePrecisionSpecifier();
+    phrase.rightBoundary = this.parsePhraseBoundary();
+    return phrase;
+  }
+
+  isTimingQualifierFollowing(token) {
+    if (token.type === TokenType.NUMBER) {
+      return true;
+    }
+    return this.isKeyword(token, 'same', 'properly', 'during', 'included', 'before', 'after', 'within', 'on', 'less', 'more');
+  }
+
+  /**
+   * "before start X" names the boundary inside the phrase; "before start of X"
+   * leaves it to a TimeBoundary operand, so only consume when no 'of' follows.
+   */
+  parsePhraseBoundary() {
+    if (this.checkKeyword('start', 'end') && !this.isKeyword(this.peek(1), 'of')) {
+      return this.next().value;
+    }
+    return null;
+  }
+}
+
+function normalizeAccess(accessLevel) {
+  return accessLevel === 'private' ? 'Private' : 'Public';
+}
+
+function singularPrecision(word) {
+  return word.endsWith('s') ? word.slice(0, -1) : word;
+}
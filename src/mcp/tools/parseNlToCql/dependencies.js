@@ -0,0 +1,420 @@
+// src/mcp/tools/parseNlToCql/dependencies.js
+
+import { walkCql } from "./cqlParser.js";
+import { toCqlLibrary, buildLibraryUnits } from "./extractors.js";
+import { PROPORTION_POPULATIONS } from "../generateSql/measurePopulations.js";
+
+// Population criteria are entry points even when another define references them
+const POPULATION_NAMES = new Set(PROPORTION_POPULATIONS.flatMap(population => population.names));
+
+/**
+ * CQL system functions. Unqualified calls to these are not library references,
+ * so they are neither graph edges nor undefined references.
+ */
+const SYSTEM_FUNCTIONS = new Set([
+  'Abs', 'AgeInDays', 'AgeInDaysAt', 'AgeInHours', 'AgeInHoursAt', 'AgeInMinutes', 'AgeInMinutesAt',
+  'AgeInMonths', 'AgeInMonthsAt', 'AgeInSeconds', 'AgeInSecondsAt', 'AgeInWeeks', 'AgeInWeeksAt',
+  'AgeInYears', 'AgeInYearsAt', 'AllTrue', 'AnyTrue', 'Avg', 'CalculateAgeInDays', 'CalculateAgeInDaysAt',
+  'CalculateAgeInMonths', 'CalculateAgeInMonthsAt', 'CalculateAgeInYears', 'CalculateAgeInYearsAt',
+  'Ceiling', 'Children', 'Coalesce', 'Code', 'Combine', 'Concatenate', 'Concept', 'Count', 'Date',
+  'DateTime', 'Descendents', 'Distinct', 'EndsWith', 'Exists', 'Exp', 'First', 'Flatten', 'Floor',
+  'GeometricMean', 'HighBoundary', 'IndexOf', 'Interval', 'IsFalse', 'IsNull', 'IsTrue', 'Last',
+  'LastPositionOf', 'Length', 'Ln', 'Log', 'LowBoundary', 'Lower', 'Matches', 'Max', 'Median', 'Message',
+  'Min', 'Mode', 'Now', 'PopulationStdDev', 'PopulationVariance', 'PositionOf', 'Power', 'Precision',
+  'Product', 'ReplaceMatches', 'Round', 'Size', 'Skip', 'Split', 'SplitOnMatches', 'StartsWith', 'StdDev',
+  'Substring', 'Sum', 'Tail', 'Take', 'Time', 'TimeOfDay', 'Today', 'ToBoolean', 'ToChars', 'ToConcept',
+  'ToDate', 'ToDateTime', 'ToDecimal', 'ToInteger', 'ToList', 'ToLong', 'ToQuantity', 'ToRatio',
+  'ToString', 'ToTime', 'Truncate', 'Upper', 'Variance'
+]);
+
+/**
+ * Graph node id for a declaration
+ * @param {string} kind - Declaration kind (define, function, valueset, ...)
+ * @param {string} name - Declaration name
+ * @returns {string} e.g. 'define:Initial Population'
+ */
+function nodeId(kind, name) {
+  return `${kind}:${name}`;
+}
+
+/**
+ * Names that a query brings into scope (source aliases, let clauses,
+ * with/without aliases and the aggregate accumulator)
+ * @param {Object} query - Query node
+ * @returns {string[]} Alias names
+ */
+function queryScope(query) {
+  return [
+    ...query.sources.map(source => source.alias),
+    ...(query.let || []).map(item => item.identifier),
+    ...(query.relationships || []).map(relationship => relationship.alias),
+    ...(query.aggregate ? [query.aggregate.identifier] : [])
+  ];
+}
+
+/**
+ * Build the dependency graph of a CQL library: define -> define,
+ * define -> function and define -> valueset/code/concept/parameter edges, plus
+ * concept -> code and code -> codesystem edges. Library-qualified references
+ * (Global."Inpatient Encounter") become external nodes; they are checked
+ * against the included library when it was loaded.
+ * @param {string|Object} cqlQuery - The CQL query string or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Object} { nodes, edges, entryPoints, unusedDeclarations, undefinedReferences, cycles }
+ */
+export function buildDependencyGraph(cqlQuery, includedLibraries = []) {
+  const library = toCqlLibrary(cqlQuery);
+  const [root] = buildLibraryUnits(library, includedLibraries);
+
+  const nodes = new Map();
+  const edges = new Map();
+  const undefinedReferences = [];
+
+  const addNode = (kind, name, declaration, extra = {}) => {
+    const id = nodeId(kind, name);
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        kind,
+        name,
+        accessLevel: declaration?.accessLevel || null,
+        line: declaration?.loc?.start.line ?? null,
+        ...extra
+      });
+    }
+    return id;
+  };
+  const addEdge = (from, to, kind) => {
+    edges.set(`${from}->${to}`, { from, to, kind });
+  };
+
+  // Declarations, in CQL's identifier resolution order
+  const declarations = new Map();
+  const declare = (kind, items) => items.forEach(item => {
+    addNode(kind, item.name, item);
+    if (!declarations.has(item.name)) declarations.set(item.name, kind);
+  });
+  declare('define', library.statements.filter(statement => statement.type === 'ExpressionDef'));
+  declare('parameter', library.parameters);
+  declare('valueset', library.valuesets);
+  declare('code', library.codes);
+  declare('concept', library.concepts);
+  declare('codesystem', library.codesystems);
+  library.statements
+    .filter(statement => statement.type === 'FunctionDef')
+    .forEach(statement => addNode('function', statement.name, statement));
+  const functions = new Set(library.statements.filter(s => s.type === 'FunctionDef').map(s => s.name));
+  const contexts = new Set(['Patient', 'Population', 'Unfiltered', ...library.contexts.map(context => context.name)]);
+
+  /**
+   * Alias of the loaded include that declares a fluent function, if any
+   */
+  const fluentSource = name => {
+    for (const [alias, unit] of root.includes) {
+      if (unit.library.statements.some(statement => statement.type === 'FunctionDef' && statement.fluent && statement.name === name)) {
+        return alias;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Record a library-qualified reference as an external node
+   */
+  const addExternal = (from, reference, kind, loc) => {
+    const target = root.includes.get(reference.libraryName);
+    const externalId = addNode('external', `${reference.libraryName}.${reference.name}`, null, {
+      library: target?.name || reference.libraryName
+    });
+    addEdge(from, externalId, kind);
+
+    if (target) {
+      const declared = kind === 'function'
+        ? target.library.statements.some(statement => statement.type === 'FunctionDef' && statement.name === reference.name)
+        : [target.library.statements, target.library.parameters, target.library.valuesets, target.library.codes,
+          target.library.concepts, target.library.codesystems].some(list => list.some(item => item.name === reference.name));
+      if (!declared) {
+        undefinedReferences.push({
+          from,
+          name: reference.name,
+          libraryName: reference.libraryName,
+          kind,
+          reason: `${reference.name} is not declared in ${target.name}`,
+          line: loc?.start.line ?? null,
+          column: loc?.start.column ?? null
+        });
+      }
+    } else if (!library.includes.some(include => include.alias === reference.libraryName)) {
+      undefinedReferences.push({
+        from,
+        name: reference.name,
+        libraryName: reference.libraryName,
+        kind,
+        reason: `no include is called ${reference.libraryName}`,
+        line: loc?.start.line ?? null,
+        column: loc?.start.column ?? null
+      });
+    }
+  };
+
+  /**
+   * Walk an expression and add an edge for every declaration it references
+   */
+  const collectReferences = (from, expression, localNames = []) => {
+    const sortScoped = new Set();
+
+    walkCql(expression, (node, ancestors) => {
+      if (node.type === 'Query' && node.sort) {
+        // Sort items name properties of the query result, not declarations
+        walkCql(node.sort.items.map(item => item.expression), inner => {
+          if (inner.type === 'Identifier') sortScoped.add(inner);
+        });
+      }
+
+      if (node.type === 'FunctionCall') {
+        if (node.libraryName) {
+          addExternal(from, node, 'function', node.loc);
+        } else if (functions.has(node.name)) {
+          addEdge(from, nodeId('function', node.name), 'function');
+        } else if (node.fluent && fluentSource(node.name)) {
+          // Fluent functions of included libraries are called without the library alias
+          addExternal(from, { name: node.name, libraryName: fluentSource(node.name) }, 'function', node.loc);
+        } else if (node.fluent && root.includes.size < library.includes.length) {
+          // May come from an include that was not loaded
+        } else if (!SYSTEM_FUNCTIONS.has(node.name) && !/^ConvertsTo/.test(node.name)) {
+          undefinedReferences.push({
+            from,
+            name: node.name,
+            libraryName: null,
+            kind: 'function',
+            reason: 'not a function of this library or a CQL system function',
+            line: node.loc?.start.line ?? null,
+            column: node.loc?.start.column ?? null
+          });
+        }
+        return true;
+      }
+
+      if (node.type !== 'Identifier' || sortScoped.has(node)) {
+        return true;
+      }
+      if (node.libraryName) {
+        addExternal(from, node, 'reference', node.loc);
+        return true;
+      }
+
+      const inScope = localNames.includes(node.name) ||
+        ancestors.some(ancestor => ancestor.type === 'Query' && queryScope(ancestor).includes(node.name));
+      if (inScope || contexts.has(node.name) || node.name.startsWith('$')) {
+        return true;
+      }
+
+      const kind = declarations.get(node.name);
+      if (kind) {
+        addEdge(from, nodeId(kind, node.name), kind);
+      } else {
+        undefinedReferences.push({
+          from,
+          name: node.name,
+          libraryName: null,
+          kind: 'identifier',
+          reason: 'not declared in this library or in scope',
+          line: node.loc?.start.line ?? null,
+          column: node.loc?.start.column ?? null
+        });
+      }
+      return true;
+    });
+  };
+
+  for (const statement of library.statements) {
+    const from = nodeId(statement.type === 'FunctionDef' ? 'function' : 'define', statement.name);
+    const operands = statement.type === 'FunctionDef' ? statement.operands.map(operand => operand.name) : [];
+    collectReferences(from, statement.expression, operands);
+  }
+  for (const parameter of library.parameters) {
+    collectReferences(nodeId('parameter', parameter.name), parameter.default);
+  }
+
+  // Terminology declarations reference each other directly
+  const terminologyEdge = (from, reference, kind) => {
+    if (reference.libraryName) {
+      addExternal(from, reference, kind, null);
+    } else if (nodes.has(nodeId(kind, reference.name))) {
+      addEdge(from, nodeId(kind, reference.name), kind);
+    } else {
+      undefinedReferences.push({
+        from,
+        name: reference.name,
+        libraryName: null,
+        kind,
+        reason: `${kind} "${reference.name}" is not declared`,
+        line: null,
+        column: null
+      });
+    }
+  };
+  library.concepts.forEach(concept => concept.codes.forEach(code => terminologyEdge(nodeId('concept', concept.name), code, 'code')));
+  library.codes.forEach(code => terminologyEdge(nodeId('code', code.name), code.codesystem, 'codesystem'));
+  library.valuesets.forEach(valueset => (valueset.codesystems || [])
+    .forEach(codesystem => terminologyEdge(nodeId('valueset', valueset.name), codesystem, 'codesystem')));
+
+  // Entry points: public defines nothing points at (population criteria,
+  // SDEs). Unused: what no entry point or population define reaches, so a
+  // cycle of defines nothing else uses is unused too.
+  const referenced = new Set(Array.from(edges.values()).map(edge => edge.to));
+  const entryPoints = Array.from(nodes.values())
+    .filter(node => node.kind === 'define' && node.accessLevel !== 'Private' && !referenced.has(node.id))
+    .map(node => node.id);
+  const roots = [...entryPoints, ...Array.from(nodes.values())
+    .filter(node => node.kind === 'define' && POPULATION_NAMES.has(node.name))
+    .map(node => node.id)];
+  const reachable = reachableFrom(roots, edges);
+  const unusedDeclarations = Array.from(nodes.values())
+    .filter(node => node.kind !== 'external' && !reachable.has(node.id))
+    .map(node => ({
+      id: node.id,
+      kind: node.kind,
+      name: node.name,
+      line: node.line,
+      reason: referenced.has(node.id) ? 'unreachable' : 'unreferenced'
+    }));
+
+  const graph = {
+    nodes: Array.from(nodes.values()),
+    edges: Array.from(edges.values()),
+    entryPoints,
+    unusedDeclarations,
+    undefinedReferences,
+    cycles: findCycles(nodes, edges)
+  };
+  console.error(`Dependency graph: ${graph.nodes.length} nodes, ${graph.edges.length} edges, ${graph.cycles.length} cycle(s)`);
+  return graph;
+}
+
+/**
+ * Node ids reachable from the roots, the roots included
+ * @param {string[]} roots - Node ids
+ * @param {Map<string, Object>} edges - Graph edges
+ * @returns {Set<string>}
+ */
+function reachableFrom(roots, edges) {
+  const adjacency = new Map();
+  for (const edge of edges.values()) {
+    adjacency.set(edge.from, [...(adjacency.get(edge.from) || []), edge.to]);
+  }
+  const reached = new Set(roots);
+  const pending = [...roots];
+  while (pending.length > 0) {
+    for (const next of adjacency.get(pending.pop()) || []) {
+      if (!reached.has(next)) {
+        reached.add(next);
+        pending.push(next);
+      }
+    }
+  }
+  return reached;
+}
+
+/**
+ * Find cycles among defines and functions (Tarjan's strongly connected components)
+ * @param {Map<string, Object>} nodes - Graph nodes by id
+ * @param {Map<string, Object>} edges - Graph edges
+ * @returns {Array<string[]>} Node ids of each cycle
+ */
+function findCycles(nodes, edges) {
+  const adjacency = new Map(Array.from(nodes.keys()).map(id => [id, []]));
+  for (const edge of edges.values()) {
+    adjacency.get(edge.from)?.push(edge.to);
+  }
+
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const strongConnect = id => {
+    indices.set(id, index);
+    lowLinks.set(id, index);
+    index += 1;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of adjacency.get(id) || []) {
+      if (!indices.has(next)) {
+        strongConnect(next);
+        lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(next)));
+      }
+    }
+
+    if (lowLinks.get(id) === indices.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      const selfLoop = (adjacency.get(id) || []).includes(id);
+      if (component.length > 1 || selfLoop) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  for (const id of adjacency.keys()) {
+    if (!indices.has(id)) {
+      strongConnect(id);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Render a dependency graph as a Mermaid flowchart. Unused declarations,
+ * cycle members and undefined references are highlighted with classes.
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {string} direction - Mermaid direction (LR, TD, ...)
+ * @returns {string} Mermaid source
+ */
+export function dependencyGraphToMermaid(graph, direction = 'LR') {
+  const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+  const label = node => `${node.kind}: ${node.name}`.replace(/"/g, '#quot;');
+  const shapes = {
+    define: text => `["${text}"]`,
+    function: text => `[["${text}"]]`,
+    parameter: text => `{{"${text}"}}`,
+    valueset: text => `[("${text}")]`,
+    code: text => `(["${text}"])`,
+    concept: text => `(["${text}"])`,
+    codesystem: text => `[/"${text}"/]`,
+    external: text => `>"${text}"]`
+  };
+
+  const lines = [`graph ${direction}`];
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.id)}${shapes[node.kind](label(node))}`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+  }
+
+  const unused = graph.unusedDeclarations.map(item => ids.get(item.id));
+  const cyclic = [...new Set(graph.cycles.flat())].map(id => ids.get(id));
+  const broken = [...new Set(graph.undefinedReferences.map(reference => reference.from))]
+    .filter(id => ids.has(id))
+    .map(id => ids.get(id));
+  lines.push('  classDef unused stroke-dasharray: 5 5,fill:#eeeeee;');
+  lines.push('  classDef cycle stroke:#d62728,stroke-width:3px;');
+  lines.push('  classDef undefinedRef fill:#fde0dd;');
+  if (unused.length) lines.push(`  class ${unused.join(',')} unused;`);
+  if (cyclic.length) lines.push(`  class ${cyclic.join(',')} cycle;`);
+  if (broken.length) lines.push(`  class ${broken.join(',')} undefinedRef;`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,771 @@
+// src/mcp/tools/parseNlToCql/elm.js
+
+import { XMLParser } from 'fast-xml-parser';
+import { parseCql, DATE_TIME_PRECISIONS } from './cqlParser.js';
+import { defaultCodePath } from './retrieves.js';
+import { CqlLibraryError } from '../../../utils/cqlLibraryErrors.js';
+
+/**
+ * Reader for ELM (the translated form of CQL), in JSON or XML.
+ *
+ * ELM is reduced to the same library AST parseCql builds from CQL text, so the
+ * valueset, code, concept, retrieve and dependency extractors work on either
+ * input unchanged. Conversions the translator inserts implicitly (ToList,
+ * ToConcept, FHIRHelpers.To*, the "Patient" context define, the System using)
+ * are dropped so the tree matches what the CQL source would parse to.
+ *
+ * ELM carries positions only when translated with locators
+ * (`locator: "12:3-14:20"`); without them every `loc` is null.
+ */
+
+// Conversions the translator inserts to make operand types line up
+const IMPLICIT_CONVERSIONS = new Set(['ToList', 'ToConcept', 'ToDecimal', 'ToQuantity', 'ToDate', 'ToDateTime']);
+
+const REFERENCE_TYPES = new Set([
+  'ExpressionRef', 'ParameterRef', 'ValueSetRef', 'CodeRef', 'ConceptRef', 'CodeSystemRef',
+  'OperandRef', 'AliasRef', 'QueryLetRef', 'IdentifierRef'
+]);
+
+const BINARY_OPERATORS = {
+  And: 'and', Or: 'or', Xor: 'xor', Implies: 'implies',
+  Equal: '=', Equivalent: '~', NotEqual: '!=',
+  Less: '<', LessOrEqual: '<=', Greater: '>', GreaterOrEqual: '>=',
+  Add: '+', Subtract: '-', Multiply: '*', Divide: '/', TruncatedDivide: 'div', Modulo: 'mod', Power: '^',
+  Concatenate: '&', Union: 'union', Intersect: 'intersect', Except: 'except', In: 'in', Contains: 'contains'
+};
+
+const UNARY_OPERATORS = {
+  Not: 'not', Exists: 'exists', Negate: 'negate', Distinct: 'distinct', Flatten: 'flatten',
+  Width: 'width', Successor: 'successor', Predecessor: 'predecessor', SingletonFrom: 'singleton', PointFrom: 'point'
+};
+
+const TIMING_OPERATORS = {
+  Before: 'before', After: 'after', SameAs: 'sameAs', SameOrBefore: 'sameOrBefore', SameOrAfter: 'sameOrAfter',
+  Meets: 'meets', MeetsBefore: 'meetsBefore', MeetsAfter: 'meetsAfter',
+  Overlaps: 'overlaps', OverlapsBefore: 'overlapsBefore', OverlapsAfter: 'overlapsAfter',
+  Starts: 'starts', Ends: 'ends', Includes: 'includes', IncludedIn: 'includedIn',
+  ProperIncludes: 'includes', ProperIncludedIn: 'includedIn', ProperIn: 'includedIn', ProperContains: 'includes'
+};
+
+const COMPONENT_OPERATORS = { DateFrom: 'date', TimeFrom: 'time', TimezoneOffsetFrom: 'timezoneoffset' };
+
+// QDM data element categories; ELM class names run them together
+// ("PositiveEncounterPerformed" is "Encounter, Performed")
+const QDM_CATEGORIES = [
+  'Adverse Event', 'Allergy/Intolerance', 'Assessment', 'Care Experience', 'Care Goal', 'Communication',
+  'Device', 'Diagnosis', 'Diagnostic Study', 'Encounter', 'Family History', 'Immunization', 'Intervention',
+  'Laboratory Test', 'Medication', 'Participation', 'Patient Care Experience', 'Patient Characteristic',
+  'Physical Exam', 'Procedure', 'Provider Care Experience', 'Related Person', 'Substance', 'Symptom'
+];
+
+const asArray = value => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+const isTrue = value => value === true || value === 'true';
+
+/**
+ * Strip the namespace from an ELM qualified name:
+ * "{http://hl7.org/fhir}Condition" (JSON) or "fhir:Condition" (XML) -> "Condition"
+ */
+function localName(qualifiedName) {
+  if (!qualifiedName) {
+    return null;
+  }
+  return String(qualifiedName).replace(/^\{[^}]*\}/, '').replace(/^[\w.-]+:/, '');
+}
+
+/**
+ * "12:3-14:20" -> { start: { line: 12, column: 3 }, end: { line: 14, column: 20 } }
+ */
+function toLoc(locator) {
+  const match = /^(\d+):(\d+)-(\d+):(\d+)$/.exec(locator || '');
+  if (!match) {
+    return null;
+  }
+  const [startLine, startColumn, endLine, endColumn] = match.slice(1).map(Number);
+  return {
+    start: { line: startLine, column: startColumn, offset: null },
+    end: { line: endLine, column: endColumn, offset: null }
+  };
+}
+
+/**
+ * "PositiveEncounterPerformed" -> "Encounter, Performed",
+ * "NegativeInterventionOrder" -> "Intervention, Not Order",
+ * "PatientCharacteristicBirthdate" -> "Patient Characteristic Birthdate"
+ */
+function qdmDataType(className) {
+  const negated = className.startsWith('Negative');
+  const name = className.replace(/^(Positive|Negative)/, '');
+  const category = QDM_CATEGORIES
+    .filter(candidate => name.startsWith(candidate.replace(/[ /]/g, '')))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!category) {
+    return className;
+  }
+
+  const rest = name.slice(category.replace(/[ /]/g, '').length).replace(/([a-z])([A-Z])/g, '$1 $2');
+  if (!rest) {
+    return category;
+  }
+  if (category === 'Patient Characteristic') {
+    return `${category} ${rest}`;
+  }
+  return `${category}, ${negated ? 'Not ' : ''}${rest}`;
+}
+
+/**
+ * Turn ELM text (or an already parsed ELM JSON object) into the ELM library
+ * object and the XML namespace prefixes it declares
+ */
+function readElm(elm) {
+  if (elm && typeof elm === 'object') {
+    return { root: elm.library || elm, namespaces: {} };
+  }
+
+  const text = String(elm || '').trim();
+  if (text.startsWith('<')) {
+    let document;
+    try {
+      const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '',
+        parseAttributeValue: false,
+        parseTagValue: false
+      });
+      document = parser.parse(text);
+    } catch (error) {
+      throw new CqlLibraryError(`ELM XML could not be parsed: ${error.message}`, 'INVALID_ELM');
+    }
+    const root = normalizeXml(document.library);
+    if (!root) {
+      throw new CqlLibraryError('ELM XML has no <library> element', 'INVALID_ELM');
+    }
+    const namespaces = {};
+    for (const [key, value] of Object.entries(root)) {
+      if (key.startsWith('xmlns:')) {
+        namespaces[key.slice('xmlns:'.length)] = value;
+      }
+    }
+    return { root, namespaces };
+  }
+
+  try {
+    const document = JSON.parse(text);
+    return { root: document.library || document, namespaces: {} };
+  } catch (error) {
+    throw new CqlLibraryError(`ELM input is neither JSON nor XML: ${error.message}`, 'INVALID_ELM');
+  }
+}
+
+/**
+ * XML elements carry their ELM type as xsi:type; JSON calls it type
+ */
+function normalizeXml(node) {
+  if (Array.isArray(node)) {
+    return node.map(normalizeXml);
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  const normalized = {};
+  for (const [key, value] of Object.entries(node)) {
+    normalized[/^[\w-]+:type$/.test(key) ? 'type' : key] = normalizeXml(value);
+  }
+  return normalized;
+}
+
+/**
+ * Convert ELM JSON or XML into a library AST
+ * @param {string|Object} elm - ELM JSON text, ELM XML text or a parsed ELM JSON object
+ * @returns {Object} Library AST with the shape returned by parseCql
+ */
+export function parseElm(elm) {
+  const { root, namespaces } = readElm(elm);
+  if (!root || typeof root !== 'object' || (!root.identifier && !root.statements)) {
+    throw new CqlLibraryError('ELM input does not contain a library', 'INVALID_ELM');
+  }
+  return new ElmConverter(root, namespaces).convertLibrary();
+}
+
+/**
+ * Parse the measure logic of a tool call, given either as CQL text or as ELM
+ * @param {{cqlQuery?:string, elm?:string|Object}} input - Tool arguments
+ * @returns {Object} Library AST
+ */
+export function parseLibraryInput({ cqlQuery, elm }) {
+  if (elm) {
+    if (cqlQuery) {
+      console.error('Both CQL and ELM were given; using the ELM');
+    }
+    return parseElm(elm);
+  }
+  if (!cqlQuery) {
+    throw new CqlLibraryError(
+      'Measure logic is required: pass CQL text as cqlQuery or ELM JSON/XML as elm',
+      'LIBRARY_INPUT_MISSING'
+    );
+  }
+  return parseCql(cqlQuery);
+}
+
+class ElmConverter {
+  constructor(root, namespaces) {
+    this.root = root;
+    this.namespaces = namespaces;
+    this.usings = asArray(root.usings?.def);
+    const models = this.usings.map(def => def.localIdentifier).filter(model => model !== 'System');
+    // Retrieves of the only declared model read as unqualified ([Condition], not [FHIR.Condition])
+    this.defaultModel = models.length === 1 ? models[0] : null;
+    this.fhirHelpersAliases = new Set(
+      asArray(root.includes?.def).filter(def => def.path === 'FHIRHelpers').map(def => def.localIdentifier)
+    );
+  }
+
+  convertLibrary() {
+    const root = this.root;
+    const statements = asArray(root.statements?.def);
+    const declaredContexts = asArray(root.contexts?.def).map(def => def.name);
+    const contexts = declaredContexts.length > 0
+      ? declaredContexts
+      : [...new Set(statements.map(def => def.context).filter(Boolean))];
+
+    return {
+      type: 'Library',
+      identifier: root.identifier
+        ? { name: root.identifier.id, version: root.identifier.version ?? null, loc: null }
+        : null,
+      // The translator always adds the System model; CQL never declares it
+      usings: this.usings
+        .filter(def => def.localIdentifier !== 'System')
+        .map(def => ({ type: 'UsingDef', model: def.localIdentifier, version: def.version ?? null, loc: toLoc(def.locator) })),
+      includes: asArray(root.includes?.def).map(def => ({
+        type: 'IncludeDef',
+        path: def.path,
+        version: def.version ?? null,
+        alias: def.localIdentifier,
+        loc: toLoc(def.locator)
+      })),
+      codesystems: asArray(root.codeSystems?.def).map(def => ({
+        type: 'CodeSystemDef',
+        name: def.name,
+        id: def.id,
+        version: def.version ?? null,
+        accessLevel: def.accessLevel || 'Public',
+        loc: toLoc(def.locator)
+      })),
+      valuesets: asArray(root.valueSets?.def).map(def => ({
+        type: 'ValueSetDef',
+        name: def.name,
+        id: def.id,
+        version: def.version ?? null,
+        codesystems: asArray(def.codeSystem).map(toTerminologyReference),
+        accessLevel: def.accessLevel || 'Public',
+        loc: toLoc(def.locator)
+      })),
+      codes: asArray(root.codes?.def).map(def => ({
+        type: 'CodeDef',
+        name: def.name,
+        id: def.id,
+        codesystem: toTerminologyReference(asArray(def.codeSystem)[0] || {}),
+        display: def.display ?? null,
+        accessLevel: def.accessLevel || 'Public',
+        loc: toLoc(def.locator)
+      })),
+      concepts: asArray(root.concepts?.def).map(def => ({
+        type: 'ConceptDef',
+        name: def.name,
+        codes: asArray(def.code).map(toTerminologyReference),
+        display: def.display ?? null,
+        accessLevel: def.accessLevel || 'Public',
+        loc: toLoc(def.locator)
+      })),
+      parameters: asArray(root.parameters?.def).map(def => ({
+        type: 'ParameterDef',
+        name: def.name,
+        parameterType: this.typeSpecifier(def.parameterTypeSpecifier),
+        default: this.expression(def.default),
+        accessLevel: def.accessLevel || 'Public',
+        loc: toLoc(def.locator)
+      })),
+      contexts: contexts.map(name => ({ type: 'ContextDef', name, loc: null })),
+      statements: statements
+        .filter(def => !isImplicitContextDef(def))
+        .map(def => this.statement(def)),
+      comments: [],
+      errors: asArray(root.annotation)
+        .filter(annotation => localName(annotation.type) === 'CqlToElmError' && annotation.errorSeverity !== 'warning' && annotation.errorSeverity !== 'info')
+        .map(annotation => ({
+          message: annotation.message,
+          start: { line: Number(annotation.startLine) || null, column: Number(annotation.startChar) || null, offset: null }
+        }))
+    };
+  }
+
+  statement(def) {
+    const base = {
+      name: def.name,
+      context: def.context ?? null,
+      accessLevel: def.accessLevel || 'Public'
+    };
+    if (localName(def.type) === 'FunctionDef') {
+      const external = isTrue(def.external);
+      return {
+        type: 'FunctionDef',
+        ...base,
+        fluent: isTrue(def.fluent),
+        external,
+        operands: asArray(def.operand).map(operand => ({
+          name: operand.name,
+          operandType: this.typeSpecifier(operand.operandTypeSpecifier)
+        })),
+        resultType: this.typeSpecifier(def.resultTypeSpecifier),
+        expression: external ? null : this.expression(def.expression),
+        loc: toLoc(def.locator)
+      };
+    }
+    return { type: 'ExpressionDef', ...base, expression: this.expression(def.expression), loc: toLoc(def.locator) };
+  }
+
+  typeSpecifier(specifier) {
+    if (!specifier) {
+      return null;
+    }
+    const loc = toLoc(specifier.locator);
+    switch (localName(specifier.type)) {
+      case 'ListTypeSpecifier':
+        return { type: 'ListTypeSpecifier', elementType: this.typeSpecifier(specifier.elementType), loc };
+      case 'IntervalTypeSpecifier':
+        return { type: 'IntervalTypeSpecifier', pointType: this.typeSpecifier(specifier.pointType), loc };
+      case 'ChoiceTypeSpecifier':
+        return { type: 'ChoiceTypeSpecifier', choices: asArray(specifier.choice).map(choice => this.typeSpecifier(choice)), loc };
+      case 'TupleTypeSpecifier':
+        return {
+          type: 'TupleTypeSpecifier',
+          elements: asArray(specifier.element).map(element => ({
+            name: element.name,
+            elementType: this.typeSpecifier(element.elementType)
+          })),
+          loc
+        };
+      default:
+        return { type: 'NamedTypeSpecifier', name: localName(specifier.name), loc };
+    }
+  }
+
+  /**
+   * Model of a retrieve data type: the using whose URI is the type's namespace
+   */
+  modelOf(qualifiedName) {
+    const text = String(qualifiedName || '');
+    const braced = /^\{([^}]*)\}/.exec(text);
+    const prefixed = /^([\w.-]+):/.exec(text);
+    const uri = braced ? braced[1] : prefixed ? this.namespaces[prefixed[1]] : null;
+    return this.usings.find(def => def.uri === uri)?.localIdentifier || null;
+  }
+
+  expression(node) {
+    if (!node || typeof node !== 'object') {
+      return null;
+    }
+    const converted = this.convertExpression(localName(node.type), node, asArray(node.operand));
+    if (converted && converted.loc === undefined) {
+      converted.loc = toLoc(node.locator);
+    }
+    return converted;
+  }
+
+  convertExpression(type, node, operands) {
+    const expr = child => this.expression(child);
+
+    if (REFERENCE_TYPES.has(type)) {
+      return { type: 'Identifier', name: node.name, libraryName: node.libraryName ?? null };
+    }
+    if (IMPLICIT_CONVERSIONS.has(type) && operands.length === 1) {
+      return expr(operands[0]);
+    }
+    if (BINARY_OPERATORS[type] && operands.length >= 2) {
+      // Union and friends may be n-ary in ELM
+      return operands.slice(1).reduce(
+        (left, right) => ({
+          type: 'BinaryExpression',
+          operator: BINARY_OPERATORS[type],
+          left,
+          right: expr(right),
+          ...(node.precision && { precision: node.precision.toLowerCase() }),
+          loc: toLoc(node.locator)
+        }),
+        expr(operands[0])
+      );
+    }
+    if (TIMING_OPERATORS[type]) {
+      return {
+        type: 'TimingExpression',
+        operator: TIMING_OPERATORS[type],
+        leftBoundary: null,
+        rightBoundary: null,
+        precision: node.precision ? node.precision.toLowerCase() : null,
+        properly: type.startsWith('Proper'),
+        inclusive: false,
+        offset: null,
+        left: expr(operands[0]),
+        right: expr(operands[1])
+      };
+    }
+
+    switch (type) {
+      case 'Retrieve':
+        return this.retrieve(node);
+      case 'Query':
+        return this.query(node);
+      case 'Property':
+        return this.property(node);
+      case 'FunctionRef':
+        // FHIRHelpers.ToConcept(X) and friends are implicit FHIR-to-System conversions
+        if (this.fhirHelpersAliases.has(node.libraryName) && /^To/.test(node.name) && operands.length === 1) {
+          return expr(operands[0]);
+        }
+        return { type: 'FunctionCall', name: node.name, libraryName: node.libraryName ?? null, args: operands.map(expr) };
+      case 'Literal':
+        return literal(node);
+      case 'Null':
+        return { type: 'Literal', valueType: 'Null', value: null };
+      case 'Quantity':
+        return quantity(node.value, node.unit);
+      case 'Date':
+      case 'DateTime':
+      case 'Time':
+        return this.temporalLiteral(type, node);
+      case 'Interval':
+        return {
+          type: 'IntervalSelector',
+          low: expr(node.low),
+          high: expr(node.high),
+          lowClosed: node.lowClosed === undefined ? true : isTrue(node.lowClosed),
+          highClosed: node.highClosed === undefined ? true : isTrue(node.highClosed)
+        };
+      case 'List':
+        return { type: 'ListSelector', elements: asArray(node.element).map(expr) };
+      case 'Tuple':
+        return { type: 'TupleSelector', elements: asArray(node.element).map(element => ({ name: element.name, value: expr(element.value) })) };
+      case 'Instance':
+        return {
+          type: 'InstanceSelector',
+          classType: localName(node.classType),
+          elements: asArray(node.element).map(element => ({ name: element.name, value: expr(element.value) }))
+        };
+      case 'Code':
+        return codeSelector(node);
+      case 'Concept':
+        return { type: 'ConceptSelector', codes: asArray(node.code).map(codeSelector), display: node.display ?? null };
+      case 'Not':
+        return this.not(operands[0] ?? node.operand);
+      case 'Negate': {
+        const operand = expr(operands[0]);
+        if ((operand?.type === 'Literal' && typeof operand.value === 'number') || operand?.type === 'Quantity') {
+          return { ...operand, value: -operand.value, loc: undefined };
+        }
+        return { type: 'UnaryExpression', operator: 'negate', operand };
+      }
+      case 'Expand':
+      case 'Collapse': {
+        const per = operands[1] ? expr(operands[1]) : null;
+        return {
+          type: 'UnaryExpression',
+          operator: type.toLowerCase(),
+          operand: expr(operands[0]),
+          ...(per && { per: per.type === 'Quantity' && per.temporal && per.value === 1 ? per.unit : per })
+        };
+      }
+      case 'IsNull':
+      case 'IsTrue':
+      case 'IsFalse':
+        return { type: 'BooleanTest', test: type.slice(2).toLowerCase(), negated: false, operand: expr(operands[0]) };
+      case 'As': {
+        const implicitChoice = localName(node.asTypeSpecifier?.type) === 'ChoiceTypeSpecifier';
+        if (implicitChoice || (!node.asType && !node.asTypeSpecifier)) {
+          return expr(operands[0]);
+        }
+        return {
+          type: 'As',
+          operand: expr(operands[0]),
+          asType: this.typeSpecifier(node.asTypeSpecifier) || { type: 'NamedTypeSpecifier', name: localName(node.asType), loc: null },
+          strict: isTrue(node.strict)
+        };
+      }
+      case 'Is':
+        return {
+          type: 'Is',
+          operand: expr(operands[0]),
+          isType: this.typeSpecifier(node.isTypeSpecifier) || { type: 'NamedTypeSpecifier', name: localName(node.isType), loc: null }
+        };
+      case 'Start':
+      case 'End':
+        return { type: 'TimeBoundary', boundary: type.toLowerCase(), operand: expr(operands[0]) };
+      case 'DateTimeComponentFrom':
+        return { type: 'DateTimeComponentFrom', component: String(node.precision).toLowerCase(), operand: expr(operands[0]) };
+      case 'DateFrom':
+      case 'TimeFrom':
+      case 'TimezoneOffsetFrom':
+        return { type: 'DateTimeComponentFrom', component: COMPONENT_OPERATORS[type], operand: expr(operands[0]) };
+      case 'DurationBetween':
+      case 'DifferenceBetween':
+        return {
+          type: type,
+          precision: String(node.precision).toLowerCase(),
+          low: expr(operands[0]),
+          high: expr(operands[1])
+        };
+      case 'CalculateAge':
+      case 'CalculateAgeAt':
+        return this.age(type, node, operands);
+      case 'InValueSet':
+      case 'AnyInValueSet':
+      case 'InCodeSystem':
+      case 'AnyInCodeSystem':
+        return {
+          type: 'BinaryExpression',
+          operator: 'in',
+          left: expr(node.code || node.codes),
+          right: expr(node.valueset || node.valuesetExpression || node.codesystem || node.codesystemExpression)
+        };
+      case 'If':
+        return { type: 'If', condition: expr(node.condition), then: expr(node.then), else: expr(node.else) };
+      case 'Case':
+        return {
+          type: 'Case',
+          comparand: expr(node.comparand),
+          items: asArray(node.caseItem).map(item => ({ when: expr(item.when), then: expr(item.then) })),
+          else: expr(node.else)
+        };
+      case 'Indexer':
+        return { type: 'Indexer', source: expr(operands[0]), index: expr(operands[1]) };
+      default:
+        break;
+    }
+
+    if (UNARY_OPERATORS[type]) {
+      return { type: 'UnaryExpression', operator: UNARY_OPERATORS[type], operand: expr(operands[0] ?? node.source) };
+    }
+
+    // Aggregates (Count, First, ...) take a source; everything else is a
+    // system function over its operands, as in CQL call syntax
+    const args = node.source ? [expr(node.source)] : operands.map(expr);
+    return { type: 'FunctionCall', name: type, libraryName: null, args };
+  }
+
+  not(operandNode) {
+    const operandType = localName(operandNode?.type);
+    const inner = asArray(operandNode?.operand);
+    if ((operandType === 'Equal' || operandType === 'Equivalent') && inner.length === 2) {
+      return {
+        type: 'BinaryExpression',
+        operator: operandType === 'Equal' ? '!=' : '!~',
+        left: this.expression(inner[0]),
+        right: this.expression(inner[1])
+      };
+    }
+    if (['IsNull', 'IsTrue', 'IsFalse'].includes(operandType)) {
+      return { type: 'BooleanTest', test: operandType.slice(2).toLowerCase(), negated: true, operand: this.expression(inner[0]) };
+    }
+    return { type: 'UnaryExpression', operator: 'not', operand: this.expression(operandNode) };
+  }
+
+  retrieve(node) {
+    const model = this.modelOf(node.dataType);
+    const className = localName(node.dataType);
+    const dataType = model === 'QDM' ? qdmDataType(className) : className;
+    const terminology = this.expression(node.codes);
+    // The translator always fills in the code path; keep it only when the CQL
+    // must have named it, so implicit paths stay implicit
+    const explicitPath = terminology && node.codeProperty && node.codeProperty !== defaultCodePath(dataType, model);
+    return {
+      type: 'Retrieve',
+      dataType,
+      model: model === this.defaultModel ? null : model,
+      context: null,
+      codePath: explicitPath ? node.codeProperty : null,
+      codeComparator: explicitPath ? (node.codeComparator || 'in') : null,
+      terminology
+    };
+  }
+
+  query(node) {
+    const sources = asArray(node.source).map(source => ({
+      type: 'AliasedQuerySource',
+      expression: this.expression(source.expression),
+      alias: source.alias,
+      loc: toLoc(source.locator)
+    }));
+
+    let returnClause = null;
+    if (node.return) {
+      const expression = this.expression(node.return.expression);
+      // Multi-source queries get an implicit tuple of their aliases
+      const implicitTuple = sources.length > 1 && expression?.type === 'TupleSelector' &&
+        expression.elements.length === sources.length &&
+        expression.elements.every(element => element.value?.type === 'Identifier' && element.value.name === element.name);
+      if (!implicitTuple) {
+        returnClause = {
+          distinct: node.return.distinct === undefined ? true : isTrue(node.return.distinct),
+          expression,
+          loc: toLoc(node.return.locator)
+        };
+      }
+    }
+
+    return {
+      type: 'Query',
+      sources,
+      let: asArray(node.let).map(clause => ({ identifier: clause.identifier, expression: this.expression(clause.expression) })),
+      relationships: asArray(node.relationship).map(relationship => ({
+        type: localName(relationship.type) === 'Without' ? 'Without' : 'With',
+        expression: this.expression(relationship.expression),
+        alias: relationship.alias,
+        suchThat: this.expression(relationship.suchThat),
+        loc: toLoc(relationship.locator)
+      })),
+      where: this.expression(node.where),
+      return: returnClause,
+      aggregate: node.aggregate
+        ? {
+          identifier: node.aggregate.identifier,
+          distinct: isTrue(node.aggregate.distinct),
+          starting: this.expression(node.aggregate.starting),
+          expression: this.expression(node.aggregate.expression),
+          loc: toLoc(node.aggregate.locator)
+        }
+        : null,
+      sort: node.sort
+        ? {
+          items: asArray(node.sort.by).map(item => ({
+            expression: localName(item.type) === 'ByColumn'
+              ? { type: 'Identifier', name: item.path, libraryName: null, loc: toLoc(item.locator) }
+              : this.expression(item.expression),
+            direction: /^desc/.test(item.direction || '') ? 'desc' : 'asc'
+          })),
+          loc: toLoc(node.sort.locator)
+        }
+        : null
+    };
+  }
+
+  property(node) {
+    let source = node.source
+      ? this.expression(node.source)
+      : node.scope ? { type: 'Identifier', name: node.scope, libraryName: null, loc: null } : null;
+    const path = String(node.path).split('.');
+    if (!source) {
+      // A bare path inside a sort or query scope reads like an identifier
+      source = { type: 'Identifier', name: path.shift(), libraryName: null, loc: toLoc(node.locator) };
+      if (path.length === 0) {
+        return source;
+      }
+    }
+    return path.reduce((current, segment) => ({ type: 'Property', source: current, path: segment, loc: toLoc(node.locator) }), source);
+  }
+
+  /**
+   * CalculateAgeAt(birthDate, X) is how the translator spells AgeInYearsAt(X)
+   */
+  age(type, node, operands) {
+    const unit = `${String(node.precision)}s`;
+    const birthDateImplicit = refersToBirthDate(operands[0]);
+    const args = type === 'CalculateAgeAt' ? operands : [operands[0] ?? node.operand];
+    const callArgs = birthDateImplicit ? args.slice(1) : args;
+    const name = `${birthDateImplicit ? '' : 'Calculate'}AgeIn${unit}${type === 'CalculateAgeAt' ? 'At' : ''}`;
+    return { type: 'FunctionCall', name, libraryName: null, args: callArgs.map(arg => this.expression(arg)) };
+  }
+
+  temporalLiteral(type, node) {
+    const components = ['year', 'month', 'day', 'hour', 'minute', 'second', 'millisecond', 'timezoneOffset'];
+    const present = components.filter(component => node[component] !== undefined);
+    const values = present.map(component => node[component]);
+    if (!values.every(value => localName(value?.type) === 'Literal')) {
+      return { type: 'FunctionCall', name: type, libraryName: null, args: values.map(value => this.expression(value)) };
+    }
+
+    const part = (component, width) => String(Number(node[component].value)).padStart(width, '0');
+    const has = component => node[component] !== undefined;
+    let time = '';
+    if (has('hour')) {
+      time = part('hour', 2);
+      if (has('minute')) time += `:${part('minute', 2)}`;
+      if (has('second')) time += `:${part('second', 2)}`;
+      if (has('millisecond')) time += `.${part('millisecond', 3)}`;
+    }
+    if (type === 'Time') {
+      return { type: 'Literal', valueType: 'Time', value: time };
+    }
+
+    let date = part('year', 4);
+    if (has('month')) date += `-${part('month', 2)}`;
+    if (has('day')) date += `-${part('day', 2)}`;
+    if (type === 'Date') {
+      return { type: 'Literal', valueType: 'Date', value: date };
+    }
+
+    let offset = '';
+    if (has('timezoneOffset')) {
+      const hours = Number(node.timezoneOffset.value);
+      const minutes = Math.round(Math.abs(hours % 1) * 60);
+      offset = hours === 0
+        ? 'Z'
+        : `${hours < 0 ? '-' : '+'}${String(Math.trunc(Math.abs(hours))).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    return { type: 'Literal', valueType: 'DateTime', value: `${date}T${time}${offset}` };
+  }
+}
+
+/**
+ * The translator adds `define "Patient": SingletonFrom([Patient])` for the
+ * Patient context; CQL source never contains it
+ */
+function isImplicitContextDef(def) {
+  const expression = def.expression;
+  return def.name === def.context &&
+    localName(expression?.type) === 'SingletonFrom' &&
+    localName(asArray(expression.operand)[0]?.type) === 'Retrieve' &&
+    localName(asArray(expression.operand)[0].dataType) === def.name;
+}
+
+function refersToBirthDate(node) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (localName(node.type) === 'Property' && /^birthDate(time)?(\.value)?$/i.test(node.path)) {
+    return true;
+  }
+  return asArray(node.operand).some(refersToBirthDate);
+}
+
+function toTerminologyReference(reference) {
+  return { name: reference.name, libraryName: reference.libraryName ?? null };
+}
+
+function codeSelector(node) {
+  return {
+    type: 'CodeSelector',
+    code: node.code,
+    system: toTerminologyReference(node.system || {}),
+    display: node.display ?? null,
+    loc: toLoc(node.locator)
+  };
+}
+
+function literal(node) {
+  const valueType = localName(node.valueType);
+  if (['Integer', 'Long', 'Decimal'].includes(valueType)) {
+    return { type: 'Literal', valueType, value: Number(node.value) };
+  }
+  if (valueType === 'Boolean') {
+    return { type: 'Literal', valueType, value: isTrue(node.value) };
+  }
+  return { type: 'Literal', valueType, value: node.value ?? null };
+}
+
+function quantity(value, unit) {
+  const singular = typeof unit === 'string' && unit.endsWith('s') ? unit.slice(0, -1) : unit;
+  if (DATE_TIME_PRECISIONS.includes(singular)) {
+    return { type: 'Quantity', value: Number(value), unit: singular, temporal: true };
+  }
+  return { type: 'Quantity', value: Number(value), unit };
+}
@@ -1,46 +1,249 @@
 // src/mcp/tools/parseNlToCql/extractors.js
 
+import { parseCql } from "./cqlParser.js";
+import { resolveCodeSystemIdentifier, findCodeSystem } from "../../../utils/codeSystems.js";
+
+const OID_PATTERN = /^\d+(?:\.\d+)+$/;
+// FHIR canonical: http://cts.nlm.nih.gov/fhir/ValueSet/<OID>, optionally with a |version suffix
+const CANONICAL_VALUESET_PATTERN = /^https?:\/\/\S+\/ValueSet\/(\d+(?:\.\d+)+)(?:\|(\S+))?$/i;
+// Start of a terminology declaration inside comment text
+const COMMENTED_DECLARATION_PATTERN = /\b(valueset|codesystem|code|concept)\s+"/g;
+
 /**
- * Extract ValueSet OID identifiers from CQL query using valueset declaration pattern
- * Pattern: (valueset\s")(.+)(":\s')(urn:oid:)((\d+\.)*\d+)(')
- * Extracts group 5: the OID part and group 2: the name
- * @param {string} cqlQuery - The CQL query string
- * @returns {Promise<Object>} Object with oids array and valuesets array with name/oid pairs
+ * Parse CQL text into a library AST. An already-parsed library is passed
+ * through unchanged so tools can parse once and extract many times.
+ * @param {string|Object} cqlQuery - CQL source text or a library from parseCql
+ * @returns {Object} Library AST (see cqlParser.js)
+ */
+export function toCqlLibrary(cqlQuery) {
+  if (cqlQuery && typeof cqlQuery === 'object' && cqlQuery.type === 'Library') {
+    return cqlQuery;
+  }
+  return parseCql(typeof cqlQuery === 'string' ? cqlQuery : '');
+}
+
+/**
+ * Split a valueset declaration id into its OID and any version it carries.
+ * Accepts 'urn:oid:<OID>', a bare OID and FHIR canonical URLs ending in
+ * /ValueSet/<OID> (with an optional '|version' suffix).
+ * @param {string} id - Identifier from the valueset declaration
+ * @returns {{ oid:string|null, version:string|null, form:string|null }} oid is null when no OID can be found
+ */
+export function parseValueSetIdentifier(id) {
+  const value = (id || '').trim();
+
+  const canonical = CANONICAL_VALUESET_PATTERN.exec(value);
+  if (canonical) {
+    return { oid: canonical[1], version: canonical[2] || null, form: 'canonical' };
+  }
+
+  const oid = value.replace(/^urn:oid:/i, '');
+  if (OID_PATTERN.test(oid)) {
+    return { oid, version: null, form: oid === value ? 'oid' : 'urn:oid' };
+  }
+
+  return { oid: null, version: null, form: null };
+}
+
+/**
+ * Explain why a valueset identifier yields no OID
+ * @param {string} id - Identifier from the valueset declaration
+ * @returns {string} Reason
+ */
+function describeMalformedValueSetId(id) {
+  const value = (id || '').trim();
+  if (/^urn:oid:/i.test(value)) {
+    return `'${value}' is not a valid OID (expected digits separated by dots)`;
+  }
+  if (/^https?:\/\//i.test(value)) {
+    return `'${value}' does not end in /ValueSet/<OID>`;
+  }
+  return `'${value}' is not an OID or canonical ValueSet URL`;
+}
+
+/**
+ * Source position of a declaration; ELM translated without locators has none
+ * @param {Object} node - Declaration from the library AST
+ * @returns {{ line:number|null, column:number|null }}
+ */
+function positionOf(node) {
+  return { line: node.loc?.start.line ?? null, column: node.loc?.start.column ?? null };
+}
+
+/**
+ * Shape a candidate the extractors did not use
+ * @param {string} kind - valueset, codesystem, code or concept
+ * @param {Object} unit - Library unit holding the candidate
+ * @param {Object} candidate - { name, identifier, line, column }
+ * @param {string} reasonCode - MALFORMED_OID, UNKNOWN_CODESYSTEM_ALIAS, UNKNOWN_CODE or COMMENTED_OUT
+ * @param {string} reason - Human-readable reason
+ * @returns {Object} Rejected candidate
+ */
+function toRejectedCandidate(kind, unit, { name, identifier = null, line, column }, reasonCode, reason) {
+  return { kind, name, identifier, library: unit.name, line, column, reasonCode, reason };
+}
+
+/**
+ * Find terminology declarations that sit inside comments. Each
+ * 'valueset "', 'codesystem "', 'code "' or 'concept "' in a comment is parsed
+ * as CQL from that point on; text that forms a declaration is reported with
+ * its position in the source.
+ * @param {Object} unit - Library unit (see buildLibraryUnits)
+ * @param {string} kind - Declaration kind to look for
+ * @returns {Array<Object>} Rejected candidates with reasonCode COMMENTED_OUT
+ */
+function findCommentedDeclarations(unit, kind) {
+  const rejected = [];
+
+  for (const comment of unit.library.comments || []) {
+    // Drop the leading '*' of block comment lines, keeping columns intact
+    const text = comment.value.replace(/^(\s*)\*/gm, '$1 ');
+
+    for (const match of text.matchAll(COMMENTED_DECLARATION_PATTERN)) {
+      if (match[1] !== kind) {
+        continue;
+      }
+      const [declaration] = parseCql(text.slice(match.index))[`${kind}s`];
+      if (!declaration || declaration.loc.start.offset !== 0) {
+        continue;
+      }
+
+      // The comment text starts after its '//' or '/*'
+      const lines = text.slice(0, match.index).split('\n');
+      const line = comment.start.line + lines.length - 1;
+      const column = lines.length === 1 ? comment.start.column + 2 + match.index : lines[lines.length - 1].length + 1;
+
+      const active = unit.library[`${kind}s`].find(item => item.name === declaration.name);
+      const activeNote = active ? `; the active declaration of "${declaration.name}" is at line ${active.loc?.start.line ?? '?'}` : '';
+      rejected.push(toRejectedCandidate(
+        kind,
+        unit,
+        { name: declaration.name, identifier: declaration.id ?? null, line, column },
+        'COMMENTED_OUT',
+        `${kind} declaration is inside a comment${activeNote}`
+      ));
+    }
+  }
+
+  return rejected;
+}
+
+/**
+ * Combine the rejected candidates of several extractors, ordered by library and source position
+ * @param {...Array<Object>} lists - rejected arrays from the extract* functions
+ * @returns {Array<Object>} Rejected candidates
+ */
+export function mergeRejectedCandidates(...lists) {
+  return sortByPosition(lists.flat());
+}
+
+/**
+ * Order rejected candidates by library and source position
+ */
+function sortByPosition(candidates) {
+  return candidates.sort((a, b) =>
+    (a.library || '').localeCompare(b.library || '') ||
+    (a.line ?? Infinity) - (b.line ?? Infinity) ||
+    (a.column ?? Infinity) - (b.column ?? Infinity)
+  );
+}
+
+/**
+ * Pair the root library with the libraries it includes. Each unit knows its
+ * own include aliases so library-qualified references (Global."Inpatient")
+ * can be followed into the library that declares them.
+ * @param {Object} library - Root library AST
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Array<{name:string|null, version:string|null, library:Object, includes:Map<string, Object>, codeSystems:Map<string, Object>}>}
+ *          Root unit first
+ */
+export function buildLibraryUnits(library, includedLibraries = []) {
+  const units = [
+    { name: library.identifier?.name || null, version: library.identifier?.version || null, library },
+    ...includedLibraries.map(entry => ({ name: entry.name, version: entry.version, library: entry.library }))
+  ];
+  const byName = new Map(units.map(unit => [unit.name?.split('.').pop(), unit]));
+
+  for (const unit of units) {
+    unit.codeSystems = resolveCodeSystemAliases(unit.library);
+    unit.includes = new Map();
+    for (const include of unit.library.includes) {
+      const target = byName.get(include.path.split('.').pop());
+      if (target) {
+        unit.includes.set(include.alias, target);
+      }
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Extract ValueSet OID identifiers from the valueset declarations of a CQL library.
+ * Declarations are read from the parsed AST, so commented-out declarations and
+ * look-alike text inside strings are ignored, and multi-line declarations work.
+ * Declarations of included libraries are extracted too, tagged with their library.
+ * @param {string|Object} cqlQuery - The CQL query string or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Promise<Object>} Object with oids array, valuesets array with name/oid/version/library/line/column,
+ *          versions (OID -> pinned version) and rejected (declarations that gave no OID, with the reason)
  */
-export async function extractValueSetIdentifiersFromCQL(cqlQuery) {
+export async function extractValueSetIdentifiersFromCQL(cqlQuery, includedLibraries = []) {
   try {
-    console.error("Extracting ValueSet OIDs using valueset declaration pattern...");
+    console.error("Extracting ValueSet OIDs from parsed valueset declarations...");
     
     // Input validation
-    if (!cqlQuery || typeof cqlQuery !== 'string') {
+    if (!cqlQuery || (typeof cqlQuery !== 'string' && cqlQuery.type !== 'Library')) {
       console.error("Invalid CQL query input:", typeof cqlQuery);
-      return { oids: [], valuesets: [] };
+      return { oids: [], valuesets: [], versions: {}, rejected: [] };
     }
     
+    const units = buildLibraryUnits(toCqlLibrary(cqlQuery), includedLibraries);
     const oids = new Set(); // Use Set to avoid duplicates
     const valuesets = []; // Array to store name/oid pairs
+    const versions = {}; // OID -> pinned version
+    const rejected = [];
     
-    // Updated Pattern: (valueset\s")(.+)(":\s')(urn:oid:)((\d+\.)*\d+)(')
-    // Group 1: valueset "
-    // Group 2: name (what we want to extract)
-    // Group 3: ": '
-    // Group 4: urn:oid:
-    // Group 5: the OID we want to extract
-    // Group 6: closing quote
-    const valuesetPattern = /(valueset\s")(.+)(":\s')(urn:oid:)((\d+\.)*\d+)(')/gi;
-    let match;
-    
-    while ((match = valuesetPattern.exec(cqlQuery)) !== null) {
-      const name = match[2]; // Extract group 2 - the name
-      const oid = match[5]; // Extract group 5 - the OID part
+    for (const unit of units) {
+      rejected.push(...findCommentedDeclarations(unit, 'valueset'));
       
-      if (oid && typeof oid === 'string' && name && typeof name === 'string') {
+      for (const declaration of unit.library.valuesets) {
+        const identifier = parseValueSetIdentifier(declaration.id);
+        
+        if (!identifier.oid) {
+          const reason = describeMalformedValueSetId(declaration.id);
+          console.error(`Skipping valueset "${declaration.name}": ${reason}`);
+          rejected.push(toRejectedCandidate(
+            'valueset',
+            unit,
+            { name: declaration.name.trim(), identifier: declaration.id, ...positionOf(declaration) },
+            'MALFORMED_OID',
+            reason
+          ));
+          continue;
+        }
+        
+        // The version clause wins over a |version suffix on the canonical URL
+        const oid = identifier.oid;
+        const version = declaration.version || identifier.version;
+        if (version) {
+          if (versions[oid] && versions[oid] !== version) {
+            console.error(`Valueset ${oid} is pinned to both '${versions[oid]}' and '${version}'; fetching '${versions[oid]}'`);
+          } else {
+            versions[oid] = version;
+          }
+        }
+        
         oids.add(oid);
         valuesets.push({
-          name: name.trim(),
-          oid: oid.trim()
+          name: declaration.name.trim(),
+          oid,
+          version,
+          library: unit.name,
+          libraryVersion: unit.version,
+          ...positionOf(declaration)
         });
-        console.error(`Found valueset declaration: "${name}" -> ${oid}`);
+        console.error(`Found valueset declaration: "${declaration.name}" -> ${oid}${version ? ` version ${version}` : ''}${unit.name ? ` (${unit.name})` : ''}`);
       }
     }
     
@@ -49,16 +252,21 @@ export async function extractValueSetIdentifiersFromCQL(cqlQuery) {
     console.error(`Total unique OIDs extracted: ${oidArray.length}`);
     console.error(`Total valuesets with names: ${valuesets.length}`);
     console.error(`OIDs found: ${JSON.stringify(oidArray)}`);
+    if (rejected.length > 0) {
+      console.error(`Rejected valueset candidates: ${rejected.length}`);
+    }
     
-    // Return both arrays
+    // Return both arrays plus the version pins
     return {
-      oids: Array.isArray(oidArray) ? oidArray : [],
-      valuesets: Array.isArray(valuesets) ? valuesets : []
+      oids: oidArray,
+      valuesets,
+      versions,
+      rejected: sortByPosition(rejected)
     };
     
   } catch (error) {
     console.error("Error extracting ValueSet OIDs:", error);
-    return { oids: [], valuesets: [] };
+    return { oids: [], valuesets: [], versions: {}, rejected: [] };
   }
 }
 
@@ -74,65 +282,234 @@ export function validateExtractedOids(oids) {
     return [];
   }
   
-  const validOidPattern = /^\d+(?:\.\d+)+$/;
-  
   return oids.filter(oid => {
     // Ensure each oid is a string before testing
     if (typeof oid !== 'string') {
       console.error("validateExtractedOids: Non-string OID found:", oid);
       return false;
     }
-    return validOidPattern.test(oid);
+    return OID_PATTERN.test(oid);
   });
 }
 
 /**
- * Extract individual code definitions from CQL query
- * Pattern: code "Name": 'code-value' from "System"
- * @param {string} cqlQuery - The CQL query string
- * @returns {Promise<Object>} Object with individual codes array
+ * Resolve the codesystem aliases declared in a CQL library.
+ * Aliases are arbitrary ("LOINC:2.69", "SNOMEDCT"), so the canonical URL/OID and
+ * version come from each declaration rather than from the alias text.
+ * @param {string|Object} cqlQuery - The CQL query string or a parsed library
+ * @returns {Map<string, Object>} Alias name -> resolved code system
+ */
+export function resolveCodeSystemAliases(cqlQuery) {
+  const library = toCqlLibrary(cqlQuery);
+  const aliases = new Map();
+
+  for (const declaration of library.codesystems) {
+    aliases.set(declaration.name, {
+      name: declaration.name,
+      ...resolveCodeSystemIdentifier(declaration.id, declaration.version),
+      resolved: true
+    });
+  }
+
+  return aliases;
+}
+
+/**
+ * Look up the code system a code declaration points at
+ * @param {Object} reference - { name, libraryName } from a CodeDef
+ * @param {Object} unit - Library unit that holds the code declaration
+ * @returns {Object} Resolved code system; resolved is false when the alias cannot be found
+ */
+function resolveCodeSystemReference(reference, unit) {
+  const owner = reference.libraryName ? unit.includes.get(reference.libraryName) : unit;
+  if (owner?.codeSystems.has(reference.name)) {
+    return owner.codeSystems.get(reference.name);
+  }
+
+  let reason = `codesystem "${reference.name}" is not declared`;
+  if (reference.libraryName && !owner) {
+    reason = `codesystem "${reference.name}" is declared in included library ${reference.libraryName}, which was not loaded`;
+  } else if (reference.libraryName) {
+    reason = `codesystem "${reference.name}" is not declared in ${owner.name}`;
+  }
+  return {
+    name: reference.name,
+    libraryName: reference.libraryName || null,
+    id: null,
+    uri: null,
+    oid: null,
+    version: null,
+    vocabularyId: null,
+    resolved: false,
+    reason
+  };
+}
+
+/**
+ * Shape a code declaration for the extractor output
+ * @param {Object} declaration - CodeDef from the library AST
+ * @param {Object} unit - Library unit that holds the declaration
+ * @returns {Object} { name, code, system, codeSystem, display, library, line, column }
  */
-export async function extractIndividualCodesFromCQL(cqlQuery) {
+export function toExtractedCode(declaration, unit) {
+  return {
+    name: declaration.name.trim(),
+    code: declaration.id.trim(),
+    system: declaration.codesystem.name.trim(),
+    codeSystem: resolveCodeSystemReference(declaration.codesystem, unit),
+    display: declaration.display,
+    library: unit.name,
+    ...positionOf(declaration)
+  };
+}
+
+/**
+ * A code whose codesystem alias is not declared can still be mapped when the
+ * alias itself names a known terminology ("LOINC"); otherwise it is unusable
+ * @param {Object} code - Code from toExtractedCode
+ * @returns {boolean}
+ */
+function hasUnknownCodeSystem(code) {
+  return !code.codeSystem.resolved && !findCodeSystem(code.system);
+}
+
+/**
+ * Extract individual code declarations from a CQL library
+ * Declaration: code "Name": 'code-value' from "System" display 'Text'
+ * The "System" alias is resolved through its codesystem declaration to the
+ * canonical URL/OID, version and OMOP vocabulary. Codes whose alias is neither
+ * declared nor a known terminology are rejected, as are commented-out
+ * code and codesystem declarations.
+ * @param {string|Object} cqlQuery - The CQL query string or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Promise<Object>} Object with individual codes array and rejected candidates
+ */
+export async function extractIndividualCodesFromCQL(cqlQuery, includedLibraries = []) {
   try {
     console.error("Extracting individual codes from CQL...");
     
     // Input validation
-    if (!cqlQuery || typeof cqlQuery !== 'string') {
+    if (!cqlQuery || (typeof cqlQuery !== 'string' && cqlQuery.type !== 'Library')) {
       console.error("Invalid CQL query input:", typeof cqlQuery);
-      return { codes: [] };
+      return { codes: [], rejected: [] };
     }
     
+    const units = buildLibraryUnits(toCqlLibrary(cqlQuery), includedLibraries);
     const codes = [];
+    const rejected = [];
     
-    // Pattern to match individual code definitions
-    // Example: code "Diastolic blood pressure": '8462-4' from "LOINC"
-    const codePattern = /code\s+"([^"]+)":\s+'([^']+)'\s+from\s+"([^"]+)"/gi;
-    let match;
-    
-    while ((match = codePattern.exec(cqlQuery)) !== null) {
-      const name = match[1];
-      const code = match[2];
-      const system = match[3];
+    for (const unit of units) {
+      rejected.push(...findCommentedDeclarations(unit, 'codesystem'), ...findCommentedDeclarations(unit, 'code'));
       
-      if (code && name && system) {
-        codes.push({
-          name: name.trim(),
-          code: code.trim(),
-          system: system.trim()
-        });
-        console.error(`Found individual code: "${name}" -> ${code} (${system})`);
+      for (const declaration of unit.library.codes) {
+        const code = toExtractedCode(declaration, unit);
+        if (hasUnknownCodeSystem(code)) {
+          console.error(`Skipping individual code: "${code.name}" -> ${code.code} (${code.codeSystem.reason})`);
+          rejected.push(toRejectedCandidate(
+            'code',
+            unit,
+            { name: code.name, identifier: code.code, line: code.line, column: code.column },
+            'UNKNOWN_CODESYSTEM_ALIAS',
+            `${code.codeSystem.reason} and "${code.system}" is not a known terminology`
+          ));
+          continue;
+        }
+        if (code.codeSystem.resolved) {
+          console.error(`Found individual code: "${code.name}" -> ${code.code} (${code.codeSystem.id}${code.codeSystem.version ? ` version ${code.codeSystem.version}` : ''})`);
+        } else {
+          console.error(`Found individual code: "${code.name}" -> ${code.code} (unresolved: ${code.codeSystem.reason})`);
+        }
+        codes.push(code);
       }
     }
     
     console.error(`Total individual codes extracted: ${codes.length}`);
     
     return {
-      codes: codes
+      codes: codes,
+      rejected: sortByPosition(rejected)
     };
     
   } catch (error) {
     console.error("Error extracting individual codes:", error);
-    return { codes: [] };
+    return { codes: [], rejected: [] };
+  }
+}
+
+/**
+ * Extract concept declarations from a CQL library
+ * Declaration: concept "Name": { "Code A", "Code B" } display 'Text'
+ * Each member is resolved to its code declaration (with codesystem); members
+ * that cannot be found, or whose codesystem is unknown, are listed in
+ * unresolvedCodes and reported as rejected candidates.
+ * @param {string|Object} cqlQuery - The CQL query string or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Promise<Object>} Object with concepts array and rejected candidates
+ */
+export async function extractConceptDeclarationsFromCQL(cqlQuery, includedLibraries = []) {
+  try {
+    console.error("Extracting concept declarations from CQL...");
+    
+    if (!cqlQuery || (typeof cqlQuery !== 'string' && cqlQuery.type !== 'Library')) {
+      console.error("Invalid CQL query input:", typeof cqlQuery);
+      return { concepts: [], rejected: [] };
+    }
+    
+    const units = buildLibraryUnits(toCqlLibrary(cqlQuery), includedLibraries);
+    const rejected = units.flatMap(unit => findCommentedDeclarations(unit, 'concept'));
+    
+    const concepts = units.flatMap(unit => unit.library.concepts.map(declaration => {
+      const codes = [];
+      const unresolvedCodes = [];
+      const position = positionOf(declaration);
+      
+      for (const member of declaration.codes) {
+        const owner = member.libraryName ? unit.includes.get(member.libraryName) : unit;
+        const codeDeclaration = owner?.library.codes.find(code => code.name === member.name);
+        const code = codeDeclaration && toExtractedCode(codeDeclaration, owner);
+        if (code && !hasUnknownCodeSystem(code)) {
+          codes.push(code);
+          continue;
+        }
+        
+        let reasonCode = 'UNKNOWN_CODE';
+        let reason = `code "${member.name}" is not declared`;
+        if (code) {
+          reasonCode = 'UNKNOWN_CODESYSTEM_ALIAS';
+          reason = `code "${member.name}": ${code.codeSystem.reason} and "${code.system}" is not a known terminology`;
+        } else if (member.libraryName && !owner) {
+          reason = `code "${member.name}" is declared in included library ${member.libraryName}, which was not loaded`;
+        } else if (member.libraryName) {
+          reason = `code "${member.name}" is not declared in ${owner.name}`;
+        }
+        unresolvedCodes.push({ name: member.name, libraryName: member.libraryName || null, reason });
+        rejected.push(toRejectedCandidate(
+          'concept',
+          unit,
+          { name: declaration.name.trim(), identifier: member.name, ...position },
+          reasonCode,
+          reason
+        ));
+      }
+      
+      console.error(`Found concept: "${declaration.name}" with ${codes.length} code(s)${unresolvedCodes.length ? `, ${unresolvedCodes.length} unresolved` : ''}`);
+      return {
+        name: declaration.name.trim(),
+        display: declaration.display,
+        codes,
+        unresolvedCodes,
+        library: unit.name,
+        ...position
+      };
+    }));
+    
+    console.error(`Total concept declarations extracted: ${concepts.length}`);
+    
+    return { concepts, rejected: sortByPosition(rejected) };
+    
+  } catch (error) {
+    console.error("Error extracting concept declarations:", error);
+    return { concepts: [], rejected: [] };
   }
 }
 
@@ -177,7 +554,7 @@ export async function extractAndValidateValueSets(cqlQuery) {
 }
 
 /**
- * Test function to demonstrate regex pattern on sample CQL
+ * Show how the parser sees the valueset declarations of a sample CQL
  * @param {string} sampleCql - Sample CQL for testing
  * @returns {Object} Test results
  */
@@ -185,27 +562,19 @@ export function testOidExtraction(sampleCql) {
   console.error("Testing OID extraction on sample CQL...");
   console.error("Sample CQL:", sampleCql);
   
-  const results = {
+  const library = toCqlLibrary(sampleCql);
+  
+  return {
     input: sampleCql,
-    patternUsed: "(valueset\\s\".+\":\\s')(urn:oid:)((\\d+\\.)*\\d+)(')",
-    patternDescription: "Matches valueset declarations with single quotes and extracts group 3 (OID)",
-    matches: []
+    method: "cql_parser",
+    matches: library.valuesets.map(declaration => ({
+      name: declaration.name,
+      id: declaration.id,
+      version: declaration.version,
+      line: declaration.loc?.start.line ?? null,
+      column: declaration.loc?.start.column ?? null,
+      extractedOid: parseValueSetIdentifier(declaration.id).oid
+    })),
+    parseErrors: library.errors
   };
-  
-  // Test the valueset declaration pattern
-  const valuesetPattern = /(valueset\s".+":\s')(urn:oid:)((\d+\.)*\d+)(')/gi;
-  let match;
-  while ((match = valuesetPattern.exec(sampleCql)) !== null) {
-    results.matches.push({
-      fullMatch: match[0],
-      group1: match[1], // valueset "name": '
-      group2: match[2], // urn:oid:
-      group3: match[3], // OID (what we extract)
-      group4: match[4], // '
-      index: match.index,
-      extractedOid: match[3]
-    });
-  }
-  
-  return results;
-}
\ No newline at end of file
+}
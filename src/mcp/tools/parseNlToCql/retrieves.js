@@ -0,0 +1,247 @@
+// src/mcp/tools/parseNlToCql/retrieves.js
+
+import { walkCql } from "./cqlParser.js";
+import { toCqlLibrary, buildLibraryUnits, parseValueSetIdentifier, toExtractedCode } from "./extractors.js";
+
+/**
+ * OMOP fact tables for QDM data element categories (the part of the QDM
+ * data type before the comma: "Encounter, Performed" -> "Encounter").
+ */
+const QDM_FACT_TABLES = {
+  'Adverse Event': ['observation'],
+  'Allergy/Intolerance': ['observation'],
+  'Assessment': ['observation', 'measurement'],
+  'Care Experience': ['observation'],
+  'Care Goal': ['observation'],
+  'Communication': ['observation'],
+  'Device': ['device_exposure'],
+  'Diagnosis': ['condition_occurrence'],
+  'Diagnostic Study': ['procedure_occurrence', 'measurement'],
+  'Encounter': ['visit_occurrence'],
+  'Family History': ['observation'],
+  'Immunization': ['drug_exposure'],
+  'Intervention': ['procedure_occurrence'],
+  'Laboratory Test': ['measurement'],
+  'Medication': ['drug_exposure'],
+  'Participation': ['payer_plan_period'],
+  'Patient Characteristic': ['person'],
+  'Patient Characteristic Birthdate': ['person'],
+  'Patient Characteristic Ethnicity': ['person'],
+  'Patient Characteristic Expired': ['death'],
+  'Patient Characteristic Payer': ['payer_plan_period'],
+  'Patient Characteristic Race': ['person'],
+  'Patient Characteristic Sex': ['person'],
+  'Physical Exam': ['measurement'],
+  'Procedure': ['procedure_occurrence'],
+  'Substance': ['drug_exposure'],
+  'Symptom': ['condition_occurrence', 'observation']
+};
+
+/**
+ * OMOP fact tables and default code paths for FHIR resource types
+ */
+const FHIR_RESOURCES = {
+  AdverseEvent: { factTables: ['observation'], codePath: 'event' },
+  AllergyIntolerance: { factTables: ['observation'], codePath: 'code' },
+  Communication: { factTables: ['observation'], codePath: 'topic' },
+  CommunicationRequest: { factTables: ['observation'], codePath: 'category' },
+  Condition: { factTables: ['condition_occurrence'], codePath: 'code' },
+  Coverage: { factTables: ['payer_plan_period'], codePath: 'type' },
+  Device: { factTables: ['device_exposure'], codePath: 'type' },
+  DeviceRequest: { factTables: ['device_exposure'], codePath: 'code' },
+  DeviceUseStatement: { factTables: ['device_exposure'], codePath: 'device' },
+  DiagnosticReport: { factTables: ['measurement'], codePath: 'code' },
+  Encounter: { factTables: ['visit_occurrence'], codePath: 'type' },
+  Immunization: { factTables: ['drug_exposure'], codePath: 'vaccineCode' },
+  ImmunizationRecommendation: { factTables: ['drug_exposure'], codePath: 'vaccineCode' },
+  Medication: { factTables: ['drug_exposure'], codePath: 'code' },
+  MedicationAdministration: { factTables: ['drug_exposure'], codePath: 'medication' },
+  MedicationDispense: { factTables: ['drug_exposure'], codePath: 'medication' },
+  MedicationRequest: { factTables: ['drug_exposure'], codePath: 'medication' },
+  MedicationStatement: { factTables: ['drug_exposure'], codePath: 'medication' },
+  Observation: { factTables: ['measurement', 'observation'], codePath: 'code' },
+  Patient: { factTables: ['person'], codePath: null },
+  Procedure: { factTables: ['procedure_occurrence'], codePath: 'code' },
+  ServiceRequest: { factTables: ['procedure_occurrence'], codePath: 'code' }
+};
+
+/**
+ * Work out the data model of a retrieve: an explicit model prefix
+ * ([FHIR.Condition]) wins, otherwise the library's using declaration decides.
+ * @param {Object} retrieve - Retrieve node
+ * @param {Object} library - Library AST holding the retrieve
+ * @returns {string|null} 'QDM', 'FHIR' or the declared model name
+ */
+export function retrieveModel(retrieve, library) {
+  if (retrieve.model && (['QDM', 'FHIR'].includes(retrieve.model) || library.usings.some(using => using.model === retrieve.model))) {
+    return retrieve.model;
+  }
+  const models = library.usings.map(using => using.model).filter(model => model !== 'System');
+  if (models.length === 1) {
+    return models[0];
+  }
+  // No (or several) using declarations: QDM data types contain a comma or a space
+  return /[, ]/.test(retrieve.dataType) ? 'QDM' : (models[0] || null);
+}
+
+/**
+ * OMOP fact tables a retrieve of the given data type reads from
+ * @param {string} dataType - QDM data type ("Encounter, Performed") or FHIR resource ("Condition")
+ * @param {string|null} model - 'QDM' or 'FHIR'
+ * @returns {string[]} Fact tables; empty when the data type is unknown
+ */
+export function factTablesForDataType(dataType, model) {
+  if (model === 'FHIR' || (!model && FHIR_RESOURCES[dataType])) {
+    return FHIR_RESOURCES[dataType]?.factTables || [];
+  }
+  return QDM_FACT_TABLES[dataType] || QDM_FACT_TABLES[dataType.split(',')[0].trim()] || [];
+}
+
+/**
+ * Code path a retrieve filters on when the CQL does not name one
+ * @param {string} dataType - QDM data type or FHIR resource
+ * @param {string|null} model - 'QDM' or 'FHIR'
+ * @returns {string|null} Code path; null for FHIR resources without a code element
+ */
+export function defaultCodePath(dataType, model) {
+  return model === 'FHIR' ? FHIR_RESOURCES[dataType]?.codePath ?? null : 'code';
+}
+
+/**
+ * Describe the code filter of a retrieve by finding the declaration it names
+ * @param {Object|null} terminology - Terminology expression of the retrieve
+ * @param {Object} unit - Library unit holding the retrieve (see buildLibraryUnits)
+ * @returns {Object|null} { type: 'valueset'|'code'|'concept'|'expression', ... } or null without a filter
+ */
+export function describeTerminology(terminology, unit) {
+  if (!terminology) {
+    return null;
+  }
+
+  if (terminology.type === 'Identifier') {
+    const owner = terminology.libraryName ? unit.includes.get(terminology.libraryName) : unit;
+    const library = owner?.library;
+
+    const valueset = library?.valuesets.find(declaration => declaration.name === terminology.name);
+    if (valueset) {
+      const identifier = parseValueSetIdentifier(valueset.id);
+      return {
+        type: 'valueset',
+        name: valueset.name,
+        library: owner.name,
+        oid: identifier.oid,
+        version: valueset.version || identifier.version
+      };
+    }
+
+    const code = library?.codes.find(declaration => declaration.name === terminology.name);
+    if (code) {
+      const extracted = toExtractedCode(code, owner);
+      return {
+        type: 'code',
+        name: extracted.name,
+        library: owner.name,
+        code: extracted.code,
+        system: extracted.system,
+        systemUri: extracted.codeSystem.uri,
+        vocabularyId: extracted.codeSystem.vocabularyId
+      };
+    }
+
+    const concept = library?.concepts.find(declaration => declaration.name === terminology.name);
+    if (concept) {
+      return { type: 'concept', name: concept.name, library: owner.name, codeCount: concept.codes.length };
+    }
+
+    return {
+      type: 'expression',
+      name: terminology.name,
+      library: terminology.libraryName || null,
+      reason: owner ? 'not a valueset, code or concept declaration' : `library ${terminology.libraryName} was not loaded`
+    };
+  }
+
+  return { type: 'expression', expressionType: terminology.type };
+}
+
+/**
+ * List every retrieve in every define and function of a CQL library, with its
+ * data type, code filter, code path and enclosing statement. Retrieves in
+ * included libraries are listed too, tagged with their library.
+ * @param {string|Object} cqlQuery - The CQL query string or a parsed library
+ * @param {Array<Object>} includedLibraries - Entries from cqlLibraryService.resolveIncludes
+ * @returns {Array<Object>} Retrieve descriptions in source order
+ */
+export function extractRetrievesFromCQL(cqlQuery, includedLibraries = []) {
+  const units = buildLibraryUnits(toCqlLibrary(cqlQuery), includedLibraries);
+  const retrieves = [];
+
+  for (const unit of units) {
+    for (const statement of unit.library.statements) {
+      walkCql(statement.expression, node => {
+        if (node.type !== 'Retrieve') {
+          return true;
+        }
+
+        const model = retrieveModel(node, unit.library);
+        retrieves.push({
+          define: statement.name,
+          statementType: statement.type === 'FunctionDef' ? 'function' : 'define',
+          library: unit.name,
+          model,
+          dataType: node.dataType,
+          codePath: node.terminology ? (node.codePath || defaultCodePath(node.dataType, model)) : null,
+          codePathSource: node.codePath ? 'explicit' : (node.terminology ? 'default' : null),
+          codeComparator: node.terminology ? (node.codeComparator || 'in') : null,
+          terminology: describeTerminology(node.terminology, unit),
+          factTables: factTablesForDataType(node.dataType, model),
+          line: node.loc?.start.line ?? null,
+          column: node.loc?.start.column ?? null
+        });
+        return true;
+      });
+    }
+  }
+
+  console.error(`Found ${retrieves.length} retrieve(s) across ${units.length} library(ies)`);
+  return retrieves;
+}
+
+/**
+ * Group retrieves by the value set, code or concept they filter on
+ * @param {Array<Object>} retrieves - Result of extractRetrievesFromCQL
+ * @returns {Array<Object>} One entry per terminology with its data types, fact tables and defines
+ */
+export function summariseTerminologyUsage(retrieves) {
+  const usage = new Map();
+
+  for (const retrieve of retrieves) {
+    const terminology = retrieve.terminology;
+    if (!terminology || terminology.type === 'expression') {
+      continue;
+    }
+
+    const key = `${terminology.type}:${terminology.library ?? ''}:${terminology.name}`;
+    if (!usage.has(key)) {
+      usage.set(key, {
+        type: terminology.type,
+        name: terminology.name,
+        library: terminology.library,
+        ...(terminology.oid && { oid: terminology.oid }),
+        dataTypes: [],
+        factTables: [],
+        defines: []
+      });
+    }
+
+    const entry = usage.get(key);
+    const addUnique = (list, value) => {
+      if (value && !list.includes(value)) list.push(value);
+    };
+    addUnique(entry.dataTypes, retrieve.dataType);
+    retrieve.factTables.forEach(table => addUnique(entry.factTables, table));
+    addUnique(entry.defines, retrieve.define);
+  }
+
+  return Array.from(usage.values());
+}
@@ -0,0 +1,277 @@
+// src/services/cqlLibraryService.js
+import fs from 'fs';
+import path from 'path';
+import { parseCql } from '../mcp/tools/parseNlToCql/cqlParser.js';
+import { CqlLibraryError } from '../utils/cqlLibraryErrors.js';
+
+// Version suffix of a library file name: FHIRHelpers-4.0.1.cql
+const VERSION_SUFFIX = /-\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Loads CQL libraries referenced by `include` statements from a local
+ * library directory (CQL_LIBRARY_PATH). Several directories may be given,
+ * separated by the platform path delimiter (':' on Linux/macOS, ';' on Windows).
+ */
+class CqlLibraryService {
+  constructor() {
+    this.cache = new Map(); // file path -> { mtimeMs, library }
+  }
+
+  /**
+   * Split a library path setting into absolute directories
+   * @param {string} libraryPath - Value of CQL_LIBRARY_PATH (or a tool argument)
+   * @returns {string[]} Directories to search, in order
+   */
+  getSearchPaths(libraryPath) {
+    return (libraryPath || '')
+      .split(path.delimiter)
+      .map(dir => dir.trim())
+      .filter(Boolean)
+      .map(dir => path.resolve(dir));
+  }
+
+  /**
+   * Parse a .cql file, reusing the cached AST while the file is unchanged
+   * @param {string} filePath - Path to the .cql file
+   * @returns {Object} Library AST
+   */
+  loadLibraryFile(filePath) {
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = this.cache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.library;
+    }
+
+    const library = parseCql(fs.readFileSync(filePath, 'utf8'));
+    this.cache.set(filePath, { mtimeMs, library });
+    return library;
+  }
+
+  /**
+   * List the libraries available in the search paths
+   * @param {string[]} searchPaths - Directories from getSearchPaths
+   * @returns {Array<{name:string, version:string|null, path:string}>}
+   */
+  listLibraries(searchPaths) {
+    const available = [];
+
+    for (const dir of searchPaths) {
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new CqlLibraryError(
+          `CQL library directory not found: ${dir}. Check CQL_LIBRARY_PATH.`,
+          'LIBRARY_PATH_NOT_FOUND',
+          { directory: dir }
+        );
+      }
+
+      for (const file of fs.readdirSync(dir).sort()) {
+        if (!file.toLowerCase().endsWith('.cql')) {
+          continue;
+        }
+        const filePath = path.join(dir, file);
+        const library = this.loadLibraryFile(filePath);
+        // Files without a library declaration are known by their file name, less any version suffix
+        const name = library.identifier?.name || file.replace(/\.cql$/i, '').replace(VERSION_SUFFIX, '');
+        available.push({ name, version: library.identifier?.version || null, path: filePath });
+      }
+    }
+
+    return available;
+  }
+
+  /**
+   * Find the file for an included library
+   * @param {string} name - Library name from the include statement
+   * @param {string|null} version - Required version, or null for any
+   * @param {string[]} searchPaths - Directories from getSearchPaths
+   * @returns {{name:string, version:string|null, path:string}} Matching library file
+   * @throws {CqlLibraryError} LIBRARY_NOT_FOUND or LIBRARY_VERSION_MISMATCH
+   */
+  findLibrary(name, version, searchPaths) {
+    const wanted = unqualifiedName(name);
+    const candidates = this.listLibraries(searchPaths)
+      .filter(entry => unqualifiedName(entry.name) === wanted);
+
+    if (candidates.length === 0) {
+      throw new CqlLibraryError(
+        `Included library ${name}${version ? ` version '${version}'` : ''} was not found in ${searchPaths.join(', ')}`,
+        'LIBRARY_NOT_FOUND',
+        { library: name, version, searchPaths }
+      );
+    }
+
+    if (!version) {
+      return candidates[0];
+    }
+
+    const match = candidates.find(entry => entry.version === version);
+    if (!match) {
+      const found = candidates.map(entry => `'${entry.version ?? 'unversioned'}' (${entry.path})`).join(', ');
+      throw new CqlLibraryError(
+        `Included library ${name} version '${version}' was not found; available version(s): ${found}`,
+        'LIBRARY_VERSION_MISMATCH',
+        { library: name, version, available: candidates }
+      );
+    }
+    return match;
+  }
+
+  /**
+   * Load every library a CQL library includes, recursively
+   * @param {Object} library - Root library AST from parseCql
+   * @param {string} libraryPath - Library search path (CQL_LIBRARY_PATH)
+   * @param {Function} [locate] - (include) => { name, version, path, library } for libraries
+   *        that come from somewhere else (a measure package); defaults to the library path
+   * @returns {Array<Object>} Included libraries as
+   *          { name, version, path, includedBy, alias, library } in load order
+   * @throws {CqlLibraryError} When a library is missing or included with conflicting versions
+   */
+  resolveIncludes(library, libraryPath, locate = null) {
+    const searchPaths = this.getSearchPaths(libraryPath);
+    if (!locate && library.includes.length > 0 && searchPaths.length === 0) {
+      throw new CqlLibraryError(
+        'CQL library path is not configured. Set CQL_LIBRARY_PATH to a directory of .cql files.',
+        'LIBRARY_PATH_NOT_CONFIGURED'
+      );
+    }
+
+    const findIncluded = locate || (include => {
+      const file = this.findLibrary(include.path, include.version, searchPaths);
+      return { ...file, library: this.loadLibraryFile(file.path) };
+    });
+
+    const resolved = new Map(); // unqualified name -> entry
+    // Versions a later include pinned for a library an unversioned include had loaded: unqualified name -> { version, by }
+    const pinned = new Map();
+    const rootName = library.identifier?.name || 'Main';
+    let restart = false;
+
+    const load = (include, includedBy) => {
+      const pin = include.version ? { version: include.version, by: includedBy } : pinned.get(unqualifiedName(include.path)) ?? null;
+      const file = findIncluded(pin ? { ...include, version: pin.version } : include);
+      const includedLibrary = file.library;
+      if (includedLibrary.errors.length > 0) {
+        console.error(`Included library ${file.name} parsed with ${includedLibrary.errors.length} error(s):`, includedLibrary.errors);
+      }
+      console.error(`Resolved include ${include.path}${pin ? ` version '${pin.version}'` : ''} -> ${file.path}`);
+      return {
+        name: file.name,
+        version: file.version,
+        path: file.path,
+        includedBy,
+        alias: include.alias,
+        // Version asked for and by whom; null takes any
+        pin,
+        library: includedLibrary
+      };
+    };
+
+    const visit = (current, currentName) => {
+      for (const include of current.includes) {
+        const key = unqualifiedName(include.path);
+        const existing = resolved.get(key);
+
+        if (existing) {
+          if (!include.version || existing.version === include.version) {
+            continue;
+          }
+          if (existing.pin) {
+            throw new CqlLibraryError(
+              `Library ${include.path} is included with conflicting versions: '${existing.pin.version}' by ${existing.pin.by} and '${include.version}' by ${currentName}`,
+              'LIBRARY_VERSION_MISMATCH',
+              { library: include.path, versions: [existing.pin.version, include.version] }
+            );
+          }
+          // The earlier include takes any version: resolve again with the one this include pins,
+          // so the libraries only the other version included are dropped
+          pinned.set(key, { version: include.version, by: currentName });
+          restart = true;
+          return;
+        }
+        if (key === unqualifiedName(rootName)) {
+          throw new CqlLibraryError(
+            `Library ${currentName} includes ${include.path}, which is the library being processed`,
+            'LIBRARY_CYCLE',
+            { library: include.path }
+          );
+        }
+
+        const entry = load(include, currentName);
+        resolved.set(key, entry);
+        visit(entry.library, entry.name);
+        if (restart) {
+          return;
+        }
+      }
+    };
+
+    do {
+      restart = false;
+      resolved.clear();
+      visit(library, rootName);
+    } while (restart);
+    return Array.from(resolved.values()).map(({ pin, ...entry }) => entry);
+  }
+
+  /**
+   * Load included libraries when a library path is configured.
+   * Without a path the includes are only reported, so CQL that includes
+   * libraries keeps working with its own declarations.
+   * @param {Object} library - Root library AST from parseCql
+   * @param {string} libraryPath - Library search path (CQL_LIBRARY_PATH), may be empty
+   * @returns {{ libraries:Array<Object>, includes:Array<Object> }} Loaded libraries
+   *          and a JSON-friendly summary of every include
+   * @throws {CqlLibraryError} When a configured path cannot satisfy an include
+   */
+  loadIncludes(library, libraryPath) {
+    if (this.getSearchPaths(libraryPath).length === 0) {
+      if (library.includes.length > 0) {
+        console.error(`CQL_LIBRARY_PATH not set; ${library.includes.length} include(s) not loaded`);
+      }
+      return {
+        libraries: [],
+        includes: library.includes.map(include => ({
+          name: include.path,
+          version: include.version,
+          alias: include.alias,
+          includedBy: library.identifier?.name || null,
+          path: null,
+          status: 'not_loaded',
+          reason: 'CQL_LIBRARY_PATH is not configured'
+        }))
+      };
+    }
+
+    const libraries = this.resolveIncludes(library, libraryPath);
+    return {
+      libraries,
+      includes: libraries.map(entry => ({
+        name: entry.name,
+        version: entry.version,
+        alias: entry.alias,
+        includedBy: entry.includedBy,
+        path: entry.path,
+        status: 'loaded'
+      }))
+    };
+  }
+
+  /**
+   * Clear cache
+   */
+  clearCache() {
+    this.cache.clear();
+    console.error('CQL library cache cleared');
+  }
+}
+
+/**
+ * Library name without its namespace (hl7.fhir.FHIRHelpers -> FHIRHelpers)
+ * @param {string} name - Possibly qualified library name
+ * @returns {string} Unqualified name
+ */
+export function unqualifiedName(name) {
+  return name.split('.').pop();
+}
+
+export default new CqlLibraryService();
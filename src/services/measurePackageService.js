@@ -0,0 +1,515 @@
+// src/services/measurePackageService.js
+import fs from 'fs';
+import path from 'path';
+import { parseCql } from '../mcp/tools/parseNlToCql/cqlParser.js';
+import { parseElm, parseLibraryInput } from '../mcp/tools/parseNlToCql/elm.js';
+import { extractValueSetIdentifiersFromCQL, parseValueSetIdentifier } from '../mcp/tools/parseNlToCql/extractors.js';
+import cqlLibraryService, { unqualifiedName } from './cqlLibraryService.js';
+import { findCodeSystem } from '../utils/codeSystems.js';
+import { readZipEntries } from '../utils/zipArchive.js';
+import { MeasurePackageError } from '../utils/measurePackageErrors.js';
+import { CqlLibraryError } from '../utils/cqlLibraryErrors.js';
+
+// Library content we can read, best first: CQL keeps source positions
+const LIBRARY_FORMATS = [
+  { contentType: 'text/cql', format: 'cql' },
+  { contentType: 'application/elm+json', format: 'elm+json' },
+  { contentType: 'application/elm+xml', format: 'elm+xml' }
+];
+
+const formatRank = format => LIBRARY_FORMATS.findIndex(entry => entry.format === format);
+
+// Media type of an attachment without its parameters ('text/cql; charset=utf-8' -> 'text/cql')
+const mediaType = contentType => (contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Imports published eCQM packages: a FHIR Bundle (JSON) with Measure, Library
+ * and ValueSet resources, or a zip of such bundles / loose .cql and ELM files
+ * (MAT export). Imported packages are kept in memory by id so the mapping
+ * pipeline can run from them, using the bundled value set expansions instead
+ * of VSAC.
+ */
+class MeasurePackageService {
+  constructor() {
+    this.packages = new Map(); // package id -> imported package
+  }
+
+  /**
+   * Read the files of a package on disk; zips (and zips inside zips) are unpacked
+   * @param {string} packagePath - Path to a .zip or a .json bundle
+   * @returns {Array<{name:string, data:Buffer}>}
+   */
+  readPackageFiles(packagePath) {
+    const resolved = path.resolve(packagePath);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+      throw new MeasurePackageError(`Measure package not found: ${resolved}`, 'PACKAGE_NOT_FOUND', { path: resolved });
+    }
+
+    const unpack = (name, data) => (name.toLowerCase().endsWith('.zip')
+      ? readZipEntries(data).flatMap(entry => unpack(`${name}/${entry.name}`, entry.data))
+      : [{ name, data }]);
+
+    return unpack(path.basename(resolved), fs.readFileSync(resolved));
+  }
+
+  /**
+   * Sort package contents into measures, libraries and value sets
+   * @param {Array<{name:string, data:Buffer}>|Object} source - Package files, or a parsed Bundle
+   * @returns {{ measures:Array, libraries:Array, valueSets:Array, skipped:Array }}
+   */
+  collectContents(source) {
+    const contents = { measures: [], libraries: new Map(), valueSets: [], skipped: [] };
+
+    const addLibrary = (library, format, file, resource = null) => {
+      const name = library.identifier?.name || resource?.name || path.basename(file).replace(/\.[^.]+$/, '');
+      const version = library.identifier?.version || resource?.version || null;
+      const key = `${unqualifiedName(name)}|${version ?? ''}`;
+      const existing = contents.libraries.get(key);
+      // MAT exports ship the same library as CQL, ELM JSON and ELM XML
+      if (!existing || formatRank(format) < formatRank(existing.format)) {
+        contents.libraries.set(key, { name, version, url: resource?.url || existing?.url || null, format, file, library });
+      }
+    };
+
+    const addResource = (resource, file) => {
+      switch (resource?.resourceType) {
+        case 'Bundle':
+          (resource.entry || []).forEach(entry => addResource(entry.resource, file));
+          return;
+        case 'Measure':
+          contents.measures.push({ resource, file });
+          return;
+        case 'ValueSet':
+          contents.valueSets.push({ resource, file });
+          return;
+        case 'Library': {
+          const attachments = resource.content || [];
+          for (const { contentType, format } of LIBRARY_FORMATS) {
+            const attachment = attachments.find(item => mediaType(item.contentType) === contentType && item.data);
+            if (attachment) {
+              const text = Buffer.from(attachment.data, 'base64').toString('utf8');
+              addLibrary(format === 'cql' ? parseCql(text) : parseElm(text), format, `${file}#Library/${resource.id || resource.name}`, resource);
+              return;
+            }
+          }
+          contents.skipped.push({ file, reason: `Library ${resource.name || resource.id} has no CQL or ELM content` });
+          return;
+        }
+        default:
+          if (resource?.resourceType) {
+            contents.skipped.push({ file, reason: `${resource.resourceType} resources are not used` });
+          }
+      }
+    };
+
+    if (!Array.isArray(source)) {
+      addResource(source, 'bundle');
+      return { ...contents, libraries: Array.from(contents.libraries.values()) };
+    }
+
+    for (const { name, data } of source) {
+      const extension = path.extname(name).toLowerCase();
+      const text = () => data.toString('utf8').replace(/^﻿/, '');
+
+      if (extension === '.cql') {
+        addLibrary(parseCql(text()), 'cql', name);
+      } else if (extension === '.json') {
+        let json;
+        try {
+          json = JSON.parse(text());
+        } catch (error) {
+          contents.skipped.push({ file: name, reason: `Invalid JSON: ${error.message}` });
+          continue;
+        }
+        if (json.resourceType) {
+          addResource(json, name);
+        } else if (json.library?.identifier) {
+          addLibrary(parseElm(json), 'elm+json', name);
+        } else {
+          contents.skipped.push({ file: name, reason: 'Neither a FHIR resource nor ELM' });
+        }
+      } else if (extension === '.xml' && /<library\b[^>]*urn:hl7-org:elm/.test(text())) {
+        addLibrary(parseElm(text()), 'elm+xml', name);
+      } else {
+        contents.skipped.push({ file: name, reason: 'Not a bundle, CQL or ELM file' });
+      }
+    }
+
+    return { ...contents, libraries: Array.from(contents.libraries.values()) };
+  }
+
+  /**
+   * Import a measure package and keep it for the mapping pipeline
+   * @param {{packagePath?:string, bundle?:string|Object}} input - Package on disk or Bundle JSON
+   * @param {string} libraryPath - CQL_LIBRARY_PATH, used for includes the package lacks
+   * @returns {Object} Imported package (see describePackage for the JSON summary)
+   * @throws {MeasurePackageError|CqlLibraryError}
+   */
+  importPackage({ packagePath, bundle }, libraryPath = '') {
+    let source;
+    if (packagePath) {
+      source = this.readPackageFiles(packagePath);
+    } else if (bundle) {
+      try {
+        source = typeof bundle === 'string' ? JSON.parse(bundle) : bundle;
+      } catch (error) {
+        throw new MeasurePackageError(`Bundle is not valid JSON: ${error.message}`, 'INVALID_BUNDLE');
+      }
+    } else {
+      throw new MeasurePackageError('Pass packagePath (zip or bundle JSON file) or bundle (FHIR Bundle JSON)', 'PACKAGE_INPUT_MISSING');
+    }
+
+    const contents = this.collectContents(source);
+    if (contents.libraries.length === 0) {
+      throw new MeasurePackageError('The package contains no CQL or ELM library', 'NO_LIBRARY', { skipped: contents.skipped });
+    }
+    if (contents.measures.length > 1) {
+      console.error(`Package holds ${contents.measures.length} Measure resources; using the first`);
+    }
+
+    const measure = contents.measures[0]?.resource || null;
+    const primary = this.findPrimaryLibrary(measure, contents.libraries);
+    console.error(`Primary library: ${primary.name}${primary.version ? ` version '${primary.version}'` : ''} (${primary.format})`);
+
+    const includedLibraries = cqlLibraryService.resolveIncludes(
+      primary.library,
+      libraryPath,
+      include => this.locateInclude(include, contents.libraries, libraryPath)
+    );
+    const includes = includedLibraries.map(entry => ({
+      name: entry.name,
+      version: entry.version,
+      alias: entry.alias,
+      includedBy: entry.includedBy,
+      path: entry.path,
+      status: 'loaded'
+    }));
+
+    const valueSets = new Map();
+    for (const { resource, file } of contents.valueSets) {
+      const expansion = toBundledValueSet(resource, file);
+      if (expansion.unexpandedReason) {
+        contents.skipped.push({ file, reason: `ValueSet ${resource.url || resource.id} ${expansion.unexpandedReason}` });
+      }
+      if (expansion.oid) {
+        valueSets.set(expansion.oid, expansion);
+      } else {
+        contents.skipped.push({ file, reason: `ValueSet ${resource.url || resource.id} has no OID` });
+      }
+    }
+
+    const id = `${primary.name}${primary.version ? `|${primary.version}` : ''}`;
+    const imported = {
+      id,
+      source: packagePath ? path.resolve(packagePath) : 'bundle',
+      measure,
+      primary,
+      libraries: contents.libraries,
+      library: primary.library,
+      includedLibraries,
+      includes,
+      valueSets,
+      skipped: contents.skipped,
+      importedAt: new Date().toISOString()
+    };
+    this.packages.set(id, imported);
+    console.error(`Imported measure package ${id}: ${contents.libraries.length} library(ies), ${valueSets.size} value set(s)`);
+    return imported;
+  }
+
+  /**
+   * The library the Measure points at; without a Measure, the one no other library includes
+   */
+  findPrimaryLibrary(measure, libraries) {
+    const reference = measure?.library?.[0];
+    if (reference) {
+      const [url, version] = reference.split('|');
+      const name = url.split('/').pop();
+      const match = libraries.find(entry => entry.url === url && (!version || entry.version === version)) ||
+        libraries.find(entry => unqualifiedName(entry.name) === unqualifiedName(name) && (!version || entry.version === version));
+      if (!match) {
+        throw new MeasurePackageError(`Measure library ${reference} is not in the package`, 'PRIMARY_LIBRARY_MISSING', { library: reference });
+      }
+      return match;
+    }
+
+    const included = new Set(libraries.flatMap(entry => entry.library.includes.map(include => unqualifiedName(include.path))));
+    const roots = libraries.filter(entry => !included.has(unqualifiedName(entry.name)));
+    if (roots.length > 1) {
+      console.error(`No Measure resource and ${roots.length} top-level libraries; using ${roots[0].name}`);
+    }
+    return roots[0] || libraries[0];
+  }
+
+  /**
+   * Find an included library in the package, falling back to the library path
+   */
+  locateInclude(include, libraries, libraryPath) {
+    const wanted = unqualifiedName(include.path);
+    const candidates = libraries.filter(entry => unqualifiedName(entry.name) === wanted);
+    const match = candidates.find(entry => !include.version || entry.version === include.version);
+    if (match) {
+      return { name: match.name, version: match.version, path: match.file, library: match.library };
+    }
+
+    const searchPaths = cqlLibraryService.getSearchPaths(libraryPath);
+    if (searchPaths.length > 0) {
+      const file = cqlLibraryService.findLibrary(include.path, include.version, searchPaths);
+      return { ...file, library: cqlLibraryService.loadLibraryFile(file.path) };
+    }
+
+    if (candidates.length > 0) {
+      throw new CqlLibraryError(
+        `Included library ${include.path} version '${include.version}' is not in the package; it has version(s) ${candidates.map(entry => `'${entry.version}'`).join(', ')}`,
+        'LIBRARY_VERSION_MISMATCH',
+        { library: include.path, version: include.version, available: candidates.map(entry => entry.version) }
+      );
+    }
+    throw new CqlLibraryError(
+      `Included library ${include.path}${include.version ? ` version '${include.version}'` : ''} is not in the package. Set CQL_LIBRARY_PATH to load it from disk.`,
+      'LIBRARY_NOT_FOUND',
+      { library: include.path, version: include.version }
+    );
+  }
+
+  /**
+   * Look up an imported package
+   * @param {string} id - Package id returned by importPackage
+   * @returns {Object} Imported package
+   * @throws {MeasurePackageError} PACKAGE_NOT_IMPORTED
+   */
+  getPackage(id) {
+    const imported = this.packages.get(id);
+    if (!imported) {
+      const known = Array.from(this.packages.keys());
+      throw new MeasurePackageError(
+        `Measure package ${id} has not been imported${known.length > 0 ? `; imported: ${known.join(', ')}` : ''}. Run import-measure-package first.`,
+        'PACKAGE_NOT_IMPORTED',
+        { packageId: id, imported: known }
+      );
+    }
+    return imported;
+  }
+
+  /**
+   * Measure logic a tool runs on: the libraries of an imported package, or the
+   * CQL/ELM input with its includes resolved from the library path
+   * @param {{ cqlQuery?:string, elm?:string|Object, measurePackageId?:string }} input - Tool input
+   * @param {string} libraryPath - Library search path (CQL_LIBRARY_PATH), may be empty
+   * @returns {{ measurePackage:Object|null, library:Object, includedLibraries:Array<Object>, includes:Array<Object> }}
+   * @throws {MeasurePackageError} PACKAGE_NOT_IMPORTED
+   * @throws {CqlLibraryError} When there is no CQL or ELM, or an include cannot be loaded
+   */
+  loadMeasureLogic({ cqlQuery, elm, measurePackageId }, libraryPath = '') {
+    if (measurePackageId) {
+      const measurePackage = this.getPackage(measurePackageId);
+      if (cqlQuery || elm) {
+        console.error(`Using the libraries of measure package ${measurePackageId}; ignoring the CQL/ELM input`);
+      }
+      return {
+        measurePackage,
+        library: measurePackage.library,
+        includedLibraries: measurePackage.includedLibraries,
+        includes: measurePackage.includes
+      };
+    }
+    const library = parseLibraryInput({ cqlQuery, elm });
+    const { libraries: includedLibraries, includes } = cqlLibraryService.loadIncludes(library, libraryPath);
+    return { measurePackage: null, library, includedLibraries, includes };
+  }
+
+  /**
+   * Bundled expansions for value set OIDs, in the shape retrieveMultipleValueSets returns
+   * @param {Object} imported - Package from getPackage
+   * @param {string[]} oids - Value set OIDs the CQL declares
+   * @param {Object} versions - OID -> version pins from the CQL
+   * @returns {{ results:Object, missing:string[] }} Results by OID and the OIDs the package cannot expand
+   */
+  getValueSetExpansions(imported, oids, versions = {}) {
+    const results = {};
+    const missing = [];
+
+    for (const oid of oids) {
+      const valueSet = imported.valueSets.get(oid);
+      if (!valueSet?.concepts) {
+        missing.push(oid);
+        continue;
+      }
+      if (versions[oid] && valueSet.version && versions[oid] !== valueSet.version) {
+        console.error(`Value set ${oid}: CQL pins version '${versions[oid]}', package has '${valueSet.version}'; using the package expansion`);
+      }
+      results[oid] = {
+        metadata: {
+          id: oid,
+          displayName: valueSet.name,
+          version: valueSet.version,
+          requestedVersion: versions[oid] || null,
+          source: `measure package ${imported.id}`,
+          status: valueSet.status,
+          description: valueSet.description,
+          clinicalFocus: null,
+          dataElementScope: null,
+          inclusionCriteria: null,
+          exclusionCriteria: null
+        },
+        concepts: valueSet.concepts.map(concept => ({ ...concept, valueSetOid: oid, valueSetName: valueSet.name }))
+      };
+    }
+
+    return { results, missing };
+  }
+
+  /**
+   * JSON summary of an imported package: measure, population criteria,
+   * libraries and how many of the declared value sets the package expands
+   * @param {Object} imported - Package from importPackage
+   * @returns {Promise<Object>}
+   */
+  async describePackage(imported) {
+    const { measure, primary } = imported;
+    const defines = new Set(primary.library.statements.map(statement => statement.name));
+    const criteria = component => {
+      const expression = component.criteria?.expression ?? null;
+      return {
+        code: component.code?.coding?.[0]?.code ?? component.code?.text ?? null,
+        display: component.code?.coding?.[0]?.display ?? null,
+        criteria: expression,
+        language: component.criteria?.language ?? null,
+        defined: expression ? defines.has(expression) : false
+      };
+    };
+
+    const declared = await extractValueSetIdentifiersFromCQL(primary.library, imported.includedLibraries);
+    const missing = declared.valuesets
+      .filter(valueset => valueset.oid && !imported.valueSets.get(valueset.oid)?.concepts)
+      .map(valueset => ({ name: valueset.name, oid: valueset.oid, library: valueset.library }));
+    const versionMismatches = declared.valuesets
+      .filter(valueset => valueset.version && imported.valueSets.get(valueset.oid)?.version &&
+        imported.valueSets.get(valueset.oid).version !== valueset.version)
+      .map(valueset => ({ name: valueset.name, oid: valueset.oid, cqlVersion: valueset.version, packageVersion: imported.valueSets.get(valueset.oid).version }));
+
+    const populationCriteria = (measure?.group || []).map((group, index) => ({
+      group: group.id ?? `group-${index + 1}`,
+      description: group.description ?? null,
+      populations: (group.population || []).map(criteria),
+      stratifiers: (group.stratifier || []).map(criteria)
+    }));
+    const supplementalData = (measure?.supplementalData || []).map(criteria);
+    const undefinedCriteria = [...populationCriteria.flatMap(group => [...group.populations, ...group.stratifiers]), ...supplementalData]
+      .filter(item => item.criteria && !item.defined)
+      .map(item => item.criteria);
+
+    const includedPaths = new Set(imported.includedLibraries.map(entry => entry.path));
+
+    return {
+      packageId: imported.id,
+      source: imported.source,
+      measure: measure
+        ? {
+          url: measure.url ?? null,
+          name: measure.name ?? null,
+          title: measure.title ?? null,
+          version: measure.version ?? null,
+          scoring: measure.scoring?.coding?.[0]?.code ?? null,
+          improvementNotation: measure.improvementNotation?.coding?.[0]?.code ?? null,
+          effectivePeriod: measure.effectivePeriod ?? null
+        }
+        : null,
+      primaryLibrary: { name: primary.name, version: primary.version, format: primary.format, file: primary.file },
+      libraries: imported.libraries.map(entry => ({
+        name: entry.name,
+        version: entry.version,
+        format: entry.format,
+        file: entry.file,
+        role: entry === primary ? 'primary' : includedPaths.has(entry.file) ? 'included' : 'unused'
+      })),
+      includes: imported.includes,
+      populationCriteria,
+      supplementalData,
+      valueSets: Array.from(imported.valueSets.values()).map(valueSet => ({
+        name: valueSet.name,
+        oid: valueSet.oid,
+        version: valueSet.version,
+        conceptCount: valueSet.concepts?.length ?? 0,
+        contentSource: valueSet.contentSource
+      })),
+      coverage: {
+        declaredValueSets: declared.oids.length,
+        expandedInPackage: declared.oids.length - missing.length,
+        missing,
+        versionMismatches
+      },
+      warnings: [
+        ...undefinedCriteria.map(name => `Population criteria "${name}" is not a define in ${primary.name}`),
+        ...imported.skipped.map(item => `${item.file}: ${item.reason}`)
+      ],
+      parseErrors: primary.library.errors
+    };
+  }
+}
+
+/**
+ * Flatten a FHIR ValueSet into VSAC-style concepts. The expansion is used when
+ * present; otherwise a compose that only lists concepts is enumerated.
+ * Concepts a compose excludes are left out of either. Intensional composes
+ * (filters, other value sets, in an include or an exclude) cannot be expanded
+ * here; unexpandedReason then says why the value set has no concepts.
+ */
+function toBundledValueSet(resource, file) {
+  const identifier = [
+    resource.url,
+    ...(resource.identifier || []).map(item => item.value),
+    resource.id
+  ].map(value => parseValueSetIdentifier(value || '')).find(parsed => parsed.oid);
+
+  const enumerated = item => item.concept && !item.filter && !item.valueSet;
+  const excludes = resource.compose?.exclude || [];
+  const excluded = new Set(excludes.filter(enumerated)
+    .flatMap(exclude => exclude.concept.map(concept => `${exclude.system}|${concept.code}`)));
+
+  let concepts = null;
+  let contentSource = null;
+  let unexpandedReason = null;
+  if (resource.expansion?.contains) {
+    const flatten = items => items.flatMap(item => [
+      ...(item.code && !item.abstract ? [item] : []),
+      ...flatten(item.contains || [])
+    ]);
+    concepts = flatten(resource.expansion.contains);
+    contentSource = 'expansion';
+  } else if (resource.compose?.include?.length > 0 && resource.compose.include.every(enumerated)) {
+    if (excludes.every(enumerated)) {
+      concepts = resource.compose.include.flatMap(include =>
+        include.concept.map(concept => ({ ...concept, system: include.system, version: include.version }))
+      );
+      contentSource = 'compose';
+    } else {
+      unexpandedReason = 'excludes concepts by filter or value set and has no expansion';
+    }
+  }
+  concepts = concepts?.filter(concept => !excluded.has(`${concept.system}|${concept.code}`)) ?? null;
+
+  return {
+    oid: identifier?.oid || null,
+    url: resource.url ?? null,
+    name: resource.title || resource.name || resource.id || null,
+    version: resource.version ?? identifier?.version ?? null,
+    status: resource.status ?? null,
+    description: resource.description ?? null,
+    file,
+    contentSource,
+    unexpandedReason,
+    concepts: concepts?.map(concept => {
+      const codeSystem = findCodeSystem(concept.system);
+      return {
+        code: concept.code,
+        codeSystem: codeSystem?.oids[0] || concept.system,
+        codeSystemName: codeSystem?.names[0] || concept.system,
+        codeSystemVersion: concept.version || null,
+        displayName: concept.display || concept.code
+      };
+    }) ?? null
+  };
+}
+
+export default new MeasurePackageService();
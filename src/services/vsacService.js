@@ -384,9 +384,10 @@ class VSACService {
    * @param {Array<string>} valueSetIds - Array of value set OIDs
    * @param {string} username 
    * @param {string} password 
+   * @param {Object} versions - Optional OID -> version pins (unpinned OIDs fetch the latest)
    * @returns {Promise<Object>} Object mapping OID to value set objects
    */
-  async retrieveMultipleValueSets(valueSetIds, username, password) {
+  async retrieveMultipleValueSets(valueSetIds, username, password, versions = {}) {
     const results      = {};
     const concurrency  = 3;
     console.log(JSON.stringify(results, null, 2));   // after retrieveMultipleValueSets
@@ -410,12 +411,13 @@ class VSACService {
       // 4. Minimal metadata sanity
       raw.metadata = raw.metadata || {};
       raw.metadata.id = raw.metadata.id || oid;
+      raw.metadata.requestedVersion = versions[oid] || null;
 
       return raw;
     };
 
     const makeErrorShell = (oid, err) => ({
-      metadata: { id: oid, displayName: 'Error', status: 'ERROR' },
+      metadata: { id: oid, displayName: 'Error', status: 'ERROR', requestedVersion: versions[oid] || null },
       concepts: [],
       error   : err instanceof Error ? err.message : String(err),
     });
@@ -425,7 +427,7 @@ class VSACService {
       const batch    = valueSetIds.slice(i, i + concurrency);
       const promises = batch.map(async (oid) => {
         try {
-          const raw = await this.retrieveValueSet(oid, null, username, password);
+          const raw = await this.retrieveValueSet(oid, versions[oid] || null, username, password);
           return { oid, valueSetData: normalize(raw, oid) };
         } catch (err) {
           console.error(`Failed to retrieve value set ${oid}:`, err);
@@ -0,0 +1,10 @@
+// src/utils/atlasExportErrors.js
+
+export class AtlasExportError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AtlasExportError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,171 @@
+// src/utils/codeSystems.js
+
+/**
+ * Known terminologies keyed by their canonical identifiers. CQL code systems
+ * are declared with a FHIR canonical URL ('http://loinc.org') or an OID
+ * ('urn:oid:2.16.840.1.113883.6.1'); VSAC reports the OID plus a short name.
+ * Each entry ties those identifiers to the OMOP vocabulary_id.
+ */
+const CODE_SYSTEMS = [
+  {
+    vocabularyId: 'LOINC',
+    uri: 'http://loinc.org',
+    oids: ['2.16.840.1.113883.6.1'],
+    names: ['LOINC']
+  },
+  {
+    vocabularyId: 'SNOMED',
+    uri: 'http://snomed.info/sct',
+    oids: ['2.16.840.1.113883.6.96'],
+    names: ['SNOMEDCT', 'SNOMEDCT_US', 'SNOMED CT US Edition', 'SNOMED-CT', 'SNOMED']
+  },
+  {
+    vocabularyId: 'ICD10CM',
+    uri: 'http://hl7.org/fhir/sid/icd-10-cm',
+    oids: ['2.16.840.1.113883.6.90'],
+    names: ['ICD10CM', 'ICD-10-CM']
+  },
+  {
+    vocabularyId: 'ICD10PCS',
+    uri: 'http://www.cms.gov/Medicare/Coding/ICD10',
+    oids: ['2.16.840.1.113883.6.4'],
+    names: ['ICD10PCS', 'ICD-10-PCS']
+  },
+  {
+    vocabularyId: 'ICD9CM',
+    uri: 'http://hl7.org/fhir/sid/icd-9-cm',
+    oids: ['2.16.840.1.113883.6.103'],
+    names: ['ICD9CM', 'ICD-9-CM']
+  },
+  {
+    vocabularyId: 'ICD9Proc',
+    uri: 'http://www.cms.gov/Medicare/Coding/ICD9',
+    oids: ['2.16.840.1.113883.6.104'],
+    names: ['ICD9PCS', 'ICD-9-PCS', 'ICD9Proc']
+  },
+  {
+    vocabularyId: 'CPT4',
+    uri: 'http://www.ama-assn.org/go/cpt',
+    oids: ['2.16.840.1.113883.6.12'],
+    names: ['CPT', 'CPT4']
+  },
+  {
+    vocabularyId: 'HCPCS',
+    uri: 'https://www.cms.gov/Medicare/Coding/HCPCSReleaseCodeSets',
+    oids: ['2.16.840.1.113883.6.285', '2.16.840.1.113883.6.14'],
+    names: ['HCPCS', 'HCPCS Level II']
+  },
+  {
+    vocabularyId: 'RxNorm',
+    uri: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+    oids: ['2.16.840.1.113883.6.88'],
+    names: ['RxNorm', 'RXNORM']
+  },
+  {
+    vocabularyId: 'NDC',
+    uri: 'http://hl7.org/fhir/sid/ndc',
+    oids: ['2.16.840.1.113883.6.69'],
+    names: ['NDC']
+  },
+  {
+    vocabularyId: 'CVX',
+    uri: 'http://hl7.org/fhir/sid/cvx',
+    oids: ['2.16.840.1.113883.12.292'],
+    names: ['CVX']
+  },
+  {
+    vocabularyId: 'CDT',
+    uri: 'http://ada.org/cdt',
+    oids: ['2.16.840.1.113883.6.13'],
+    names: ['CDT']
+  },
+  {
+    vocabularyId: 'UCUM',
+    uri: 'http://unitsofmeasure.org',
+    oids: ['2.16.840.1.113883.6.8'],
+    names: ['UCUM']
+  },
+  {
+    vocabularyId: 'Gender',
+    uri: 'http://terminology.hl7.org/CodeSystem/v3-AdministrativeGender',
+    oids: ['2.16.840.1.113883.5.1'],
+    names: ['AdministrativeGender']
+  },
+  {
+    vocabularyId: 'SOPT',
+    uri: 'https://nahdo.org/sopt',
+    oids: ['2.16.840.1.113883.3.221.5'],
+    names: ['SOP', 'SOPT']
+  }
+];
+
+const OID_PATTERN = /^\d+(?:\.\d+)+$/;
+
+// SNOMED CT edition and version URIs name the code system with its module
+const SNOMED_EDITION = /^(https?:\/\/snomed\.info\/sct)\/\d+(?:\/version\/\d+)?$/i;
+
+function normalizeUri(uri) {
+  return uri.trim().replace(/^https:/i, 'http:').replace(/\/+$/, '').replace(SNOMED_EDITION, '$1').toLowerCase();
+}
+
+/**
+ * Split a versioned canonical ('http://snomed.info/sct|20240301') into the
+ * code system identifier, without urn:oid: or a trailing slash, and its version
+ * @returns {{ value:string, oid:string|null, version:string|null }} oid is set for OID identifiers
+ */
+function parseIdentifier(identifier) {
+  const [system, ...version] = identifier.trim().split('|');
+  const value = system.trim().replace(/\/+$/, '');
+  const oid = value.replace(/^urn:oid:/i, '');
+  return {
+    value,
+    oid: OID_PATTERN.test(oid) ? oid : null,
+    version: version.join('|').trim() || null
+  };
+}
+
+/**
+ * Look up a terminology by canonical URL, urn:oid, bare OID or VSAC name.
+ * A |version suffix, a trailing slash and SNOMED CT edition paths are ignored.
+ * @param {string} identifier - e.g. 'http://loinc.org', 'urn:oid:2.16.840.1.113883.6.1', 'LOINC',
+ *        'http://snomed.info/sct|http://snomed.info/sct/731000124108/version/20240301'
+ * @returns {Object|null} Registry entry or null when the terminology is unknown
+ */
+export function findCodeSystem(identifier) {
+  if (!identifier || typeof identifier !== 'string' || !identifier.trim()) {
+    return null;
+  }
+  const { value, oid } = parseIdentifier(identifier);
+
+  if (oid) {
+    return CODE_SYSTEMS.find(system => system.oids.includes(oid)) || null;
+  }
+  if (/^https?:\/\//i.test(value)) {
+    const uri = normalizeUri(value);
+    return CODE_SYSTEMS.find(system => normalizeUri(system.uri) === uri) || null;
+  }
+  const name = value.toUpperCase();
+  return CODE_SYSTEMS.find(system => system.names.some(n => n.toUpperCase() === name)) || null;
+}
+
+/**
+ * Resolve a codesystem declaration to its canonical identity and OMOP vocabulary.
+ * The declared identifier is kept as written; the canonical URL and OID are
+ * filled in from the registry where the terminology is known.
+ * @param {string} id - Identifier from the declaration ('http://loinc.org', 'urn:oid:...')
+ * @param {string|null} version - Version clause of the declaration; else the |version of the identifier
+ * @returns {{ id:string, uri:string|null, oid:string|null, version:string|null, vocabularyId:string|null }}
+ */
+export function resolveCodeSystemIdentifier(id, version = null) {
+  const known = findCodeSystem(id);
+  const declared = parseIdentifier(id || '');
+  const declaredUri = /^https?:\/\//i.test(declared.value) ? declared.value : null;
+
+  return {
+    id,
+    uri: declaredUri || known?.uri || null,
+    oid: declared.oid || known?.oids[0] || null,
+    version: version || declared.version,
+    vocabularyId: known?.vocabularyId || null
+  };
+}
@@ -0,0 +1,10 @@
+// src/utils/cqlLibraryErrors.js
+
+export class CqlLibraryError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CqlLibraryError';
+    this.code = code;
+    this.details = details;
+  }
+}
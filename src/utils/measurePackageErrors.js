@@ -0,0 +1,10 @@
+// src/utils/measurePackageErrors.js
+
+export class MeasurePackageError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'MeasurePackageError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,10 @@
+// src/utils/sqlGenerationErrors.js
+
+export class SqlGenerationError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'SqlGenerationError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,10 @@
+// src/utils/sqlValidationErrors.js
+
+export class SqlValidationError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'SqlValidationError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,72 @@
+// src/utils/zipArchive.js
+import zlib from 'zlib';
+import { MeasurePackageError } from './measurePackageErrors.js';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Read the files of a zip archive (stored or deflated entries; no ZIP64,
+ * no encryption), which covers the measure packages eCQI and MAT export
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Array<{name:string, data:Buffer}>} Files in archive order; directories are skipped
+ * @throws {MeasurePackageError} INVALID_ZIP when the archive cannot be read
+ */
+export function readZipEntries(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new MeasurePackageError('Not a zip archive (no end of central directory record)', 'INVALID_ZIP');
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new MeasurePackageError('ZIP64 archives are not supported', 'INVALID_ZIP');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new MeasurePackageError(`Corrupt zip central directory at entry ${i}`, 'INVALID_ZIP');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw new MeasurePackageError(`Zip entry ${name} is encrypted`, 'INVALID_ZIP');
+    }
+    if (buffer.readUInt32LE(localHeader) !== LOCAL_FILE_HEADER) {
+      throw new MeasurePackageError(`Corrupt local header for zip entry ${name}`, 'INVALID_ZIP');
+    }
+
+    const dataStart = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.push({ name, data: raw });
+    } else if (method === 8) {
+      entries.push({ name, data: zlib.inflateRawSync(raw) });
+    } else {
+      throw new MeasurePackageError(`Zip entry ${name} uses unsupported compression method ${method}`, 'INVALID_ZIP');
+    }
+  }
+
+  return entries;
+}